@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// =========================
+// TERMINAL PLAYER
+// =========================
+// Plays Searchle on the command line through the headless engine
+// (src/game/engine.js): `npm run play -- [options]`. Commands come one per
+// line from the terminal or from a pipe, so a game can be scripted:
+//
+//   printf 'guess CRANES ...\nquit\n' | npm run play -- --seed abc --json
+//
+// With --json every command answers with one JSON line instead of a drawing,
+// for regression runs and reproducing bug reports (--load a player's save).
+// --check plays the board with the solver instead (src/game/solver.js) and
+// exits 1 when it can't be solved within the difficulty's attempts.
+import { readFile, writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { PuzzleRequestError, resolvePuzzleRequest } from "../server/puzzles.mjs";
+import {
+  GameError, createGame, enterWord, getSolutionEntries, getStatus, guess, loadGame, saveGame, submit, takeHint,
+} from "../src/game/engine.js";
+import { getRevealedCells } from "../src/game/hints.js";
+import { generatePuzzle } from "../src/game/generator.js";
+import { checkSolvable, findCandidates } from "../src/game/solver.js";
+import { DIFFICULTIES, pickShape } from "../src/game/difficulty.js";
+import { LANGUAGES, getLanguage } from "../src/game/languages/index.js";
+import { cellKey, getLetterPositions, getWordSlots } from "../src/game/layout.js";
+import { getSlotLabel } from "../src/game/clues.js";
+import { STATE_SYMBOLS } from "../src/game/a11y.js";
+import { createWordSource } from "../src/game/wordSources.js";
+
+const USAGE = `Usage: npm run play -- [options]
+
+  --daily              today's daily board (the default without --seed)
+  --seed <seed>        a free-play board
+  --difficulty <id>    ${Object.keys(DIFFICULTIES).join(", ")}
+  --language <id>      ${Object.keys(LANGUAGES).join(", ")}
+  --source <name>      word source: local (default) or datamuse
+  --load <file>        carry on a saved game (ours, or the app's localStorage save)
+  --save <file>        write the game there after every move
+  --json               answer each command with a JSON line
+  --check              play the board with the solver and report whether it
+                       can be solved within its attempts (exit 1 if not)
+  --help`;
+
+const COMMANDS = `Commands:
+  a WORD, d3 WORD      type a word across, or down in column 3
+  guess W1 W2 ...      type the whole board (across first) and submit
+  submit               score the board
+  hint letter d3 2     reveal letter 2 of a word; "hint check d3" checks it
+  hint word d3         reveal a whole word
+  assist [d3]          how many dictionary words still fit each word, or
+                       the best of them for one word
+  show, save [file], help, quit`;
+
+const COLORS = { correct: "\x1b[42;30m", present: "\x1b[43;30m", incorrect: "\x1b[47;30m" };
+const RESET = "\x1b[0m";
+const SLOT_NAME = /^(?:a|across)$|^(?:d|down)-?(\d+)$/i;
+
+// "a", "across", "d3" or "down3" -> the engine's slot id
+function parseSlot(name = "") {
+  const match = SLOT_NAME.exec(name);
+  if (!match) throw new GameError(`"${name}" is not a word: use a, d1, d2, ...`);
+  return match[1] ? `down-${Number(match[1]) - 1}` : "across";
+}
+
+// The cell `index` (1-based) letters into a word
+function parseCell(game, slotName, index = "1") {
+  const slotId = parseSlot(slotName);
+  const slot = getWordSlots(game.puzzle).find((s) => s.id === slotId);
+  const key = slot?.cells[Number(index) - 1];
+  if (!key) throw new GameError(`${slotName} has no letter ${index}`);
+  return key;
+}
+
+// The cross as text rows: each cell its letter (or _) and, once scored, its
+// result as a colour or, without colour, a symbol.
+function drawBoard(game, { color }) {
+  const positions = getLetterPositions(game.puzzle);
+  const xs = positions.map((c) => c.x);
+  const ys = positions.map((c) => c.y);
+  const onBoard = new Set(positions.map((c) => cellKey(c.x, c.y)));
+  const { cells } = getStatus(game);
+  const rows = [];
+  for (let y = Math.min(...ys); y <= Math.max(...ys); y++) {
+    let row = "";
+    for (let x = Math.min(...xs); x <= Math.max(...xs); x++) {
+      const key = cellKey(x, y);
+      if (!onBoard.has(key)) {
+        row += "   ";
+        continue;
+      }
+      const letter = game.entries[key] || "_";
+      const state = cells[key]?.state;
+      row += color && state ? `${COLORS[state]} ${letter} ${RESET}` : ` ${letter}${state ? STATE_SYMBOLS[state] : " "}`;
+    }
+    rows.push(row.trimEnd());
+  }
+  return rows.join("\n");
+}
+
+function describeClues(game) {
+  return getWordSlots(game.puzzle)
+    .map((slot) => `${getSlotLabel(slot).padEnd(7)} (${slot.word.length}) ${slot.clue ?? ""}`)
+    .join("\n");
+}
+
+function describeInvalid(game, invalid) {
+  const slots = getWordSlots(game.puzzle);
+  const problems = invalid.map((w) => {
+    const label = getSlotLabel(slots.find((slot) => slot.id === w.slotId));
+    return w.reason === "unknown" ? `${label} (${w.guess}) isn't in the dictionary` : `${label} isn't filled in`;
+  });
+  return `Not scored: ${problems.join("; ")}`;
+}
+
+function describeStatus(game) {
+  const status = getStatus(game);
+  if (status.won) return `Solved in ${status.attempts}/${game.maxAttempts}! Score ${status.score}`;
+  if (status.over) return `Out of attempts. The answers are filled in above.`;
+  return `Attempts: ${status.attempts}/${game.maxAttempts}${status.hints ? `, hints: ${status.hints}` : ""}`;
+}
+
+// A saved game, or a new board named the way the server's /api/puzzle names
+// them. `wordSource` checks guesses against the board's dictionary.
+async function startGame(options) {
+  const board = resolvePuzzleRequest({
+    mode: options.seed ? "free" : "daily",
+    seed: options.seed,
+    difficulty: options.difficulty,
+    language: options.language,
+  });
+  const difficulty = DIFFICULTIES[board.difficulty];
+  const getWordSource = (language) => createWordSource(options.source ?? "local", getLanguage(language), {
+    datamuseUrl: process.env.REACT_APP_DATAMUSE_URL,
+  });
+  if (options.load) {
+    // The save's own difficulty wins over --difficulty, where it has one
+    const game = loadGame(await readFile(options.load, "utf8"), { maxAttempts: difficulty.maxAttempts });
+    return { game, board: null, wordSource: getWordSource(game.puzzle.language ?? board.language) };
+  }
+
+  const language = LANGUAGES[board.language];
+  const wordSource = getWordSource(board.language);
+  const puzzle = await generatePuzzle(() => {}, {
+    wordSource,
+    language,
+    seed: board.seed,
+    shape: pickShape(difficulty, board.seed),
+  });
+  return { game: createGame({ ...puzzle, language: board.language }, { maxAttempts: difficulty.maxAttempts }), board, wordSource };
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      daily: { type: "boolean" },
+      seed: { type: "string" },
+      difficulty: { type: "string" },
+      language: { type: "string" },
+      source: { type: "string" },
+      load: { type: "string" },
+      save: { type: "string" },
+      json: { type: "boolean" },
+      check: { type: "boolean" },
+      help: { type: "boolean" },
+    },
+  });
+  if (options.help) {
+    console.log(`${USAGE}\n\n${COMMANDS}`);
+    return;
+  }
+
+  const { board, wordSource, ...start } = await startGame(options);
+  let { game } = start;
+  const color = process.stdout.isTTY && !options.json && !process.env.NO_COLOR;
+  const hasWord = (word) => wordSource.hasWord(word);
+
+  if (options.check) {
+    const { history, ...outcome } = await checkSolvable(game.puzzle, { wordSource, maxAttempts: game.maxAttempts });
+    if (options.json) {
+      console.log(JSON.stringify({ command: "check", board, ...outcome, guesses: history.map((h) => h.entries) }));
+    } else if (outcome.solvable) {
+      console.log(`The solver got it in ${outcome.attempts}/${game.maxAttempts}`);
+    } else {
+      const slot = getWordSlots(game.puzzle).find((s) => s.id === outcome.stuck);
+      console.log(slot ? `Not solvable: nothing in the dictionary fits ${getSlotLabel(slot)}` : `The solver didn't get it in ${game.maxAttempts} attempts`);
+    }
+    process.exitCode = outcome.solvable ? 0 : 1;
+    return;
+  }
+
+  // Prints a command's outcome: a JSON line, or the board and a message
+  const report = (command, { message = "", invalid, results, error } = {}) => {
+    if (options.json) {
+      console.log(JSON.stringify({ command, ok: !error, error, invalid, results, status: getStatus(game) }));
+      return;
+    }
+    if (error) {
+      console.log(error);
+      return;
+    }
+    console.log(`\n${drawBoard(game, { color })}\n\n${message || describeStatus(game)}`);
+  };
+
+  const save = async (file = options.save) => {
+    if (file) await writeFile(file, saveGame(game));
+  };
+
+  const commands = {
+    async help() {
+      if (options.json) report("help");
+      else console.log(COMMANDS);
+    },
+    async show() {
+      report("show", { message: `${describeClues(game)}\n\n${describeStatus(game)}` });
+    },
+    async submit() {
+      const outcome = await submit(game, { hasWord });
+      game = outcome.game;
+      report("submit", { message: outcome.invalid.length ? describeInvalid(game, outcome.invalid) : "", invalid: outcome.invalid });
+    },
+    async guess(...words) {
+      const outcome = await guess(game, words, { hasWord });
+      game = outcome.game;
+      report("guess", { message: outcome.invalid.length ? describeInvalid(game, outcome.invalid) : "", invalid: outcome.invalid });
+    },
+    async hint(type, slotName, index) {
+      const target = type === "word" ? { slotId: parseSlot(slotName) } : { key: parseCell(game, slotName, index) };
+      const outcome = takeHint(game, type, target);
+      game = outcome.game;
+      report("hint", { results: outcome.results });
+    },
+    async assist(slotName) {
+      const slotId = slotName && parseSlot(slotName);
+      const solution = getSolutionEntries(game.puzzle);
+      const known = Object.fromEntries([...getRevealedCells(game.hints)].map((key) => [key, solution[key]]));
+      const candidates = await findCandidates(game.puzzle, game.history, { wordSource, known });
+      if (options.json) {
+        console.log(JSON.stringify({ command: "assist", ok: true, candidates: slotId ? { [slotId]: candidates[slotId] } : candidates }));
+        return;
+      }
+      const slots = getWordSlots(game.puzzle).filter((slot) => !slotId || slot.id === slotId);
+      if (!slots.length) throw new GameError(`No word ${slotName} on this board`);
+      console.log(slots
+        .map((slot) => `${getSlotLabel(slot).padEnd(7)} ${candidates[slot.id].length} fit${slotId ? `: ${candidates[slot.id].slice(0, 24).join(" ")}` : ""}`)
+        .join("\n"));
+    },
+    async save(file) {
+      if (!file && !options.save) throw new GameError("Save where? Give a file name");
+      await save(file);
+      if (options.json) report("save");
+      else console.log(`Saved to ${file ?? options.save}`);
+    },
+  };
+
+  if (options.json) {
+    const slots = getWordSlots(game.puzzle).map((slot) => ({ id: slot.id, length: slot.word.length, clue: slot.clue }));
+    console.log(JSON.stringify({ command: "start", board, slots, status: getStatus(game) }));
+  } else {
+    if (board) console.log(`Searchle ${board.mode === "daily" ? board.day : `#${board.seed}`} (${board.difficulty}, ${board.language})`);
+    await commands.show();
+    console.log(`\nType "help" for commands.`);
+  }
+
+  const input = createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  const prompt = () => process.stdin.isTTY && input.prompt();
+  input.setPrompt("> ");
+  prompt();
+  for await (const line of input) {
+    const [name, ...args] = line.trim().split(/\s+/);
+    if (!name) {
+      prompt();
+      continue;
+    }
+    if (name === "quit" || name === "exit") break;
+    try {
+      if (Object.hasOwn(commands, name)) {
+        await commands[name](...args);
+      } else if (SLOT_NAME.test(name)) {
+        game = enterWord(game, parseSlot(name), args[0] ?? "");
+        report(name);
+      } else {
+        throw new GameError(`Unknown command "${name}": type "help" for the list`);
+      }
+      await save();
+    } catch (error) {
+      if (!(error instanceof GameError)) throw error;
+      report(name, { error: error.message });
+    }
+    prompt();
+  }
+  input.close();
+}
+
+main().catch((error) => {
+  console.error(error instanceof PuzzleRequestError ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Runs the terminal player with `args`, typing `lines` into it, and resolves
+// to the JSON lines it printed.
+function play(args, lines) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [new URL("./searchle.mjs", import.meta.url).pathname, "--json", ...args]);
+    let out = "";
+    child.stdout.on("data", (chunk) => (out += chunk));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code !== 0) reject(new Error(`searchle exited with ${code}`));
+      else resolve(out.trim().split("\n").map((line) => JSON.parse(line)));
+    });
+    child.stdin.end(lines.map((line) => `${line}\n`).join(""));
+  });
+}
+
+test("commands answer one JSON line each, errors included", async () => {
+  const [start, ...replies] = await play(["--seed", "abc"], ["a PLANET", "bogus", "save", "a 123456", "a CAT"]);
+  assert.equal(start.command, "start");
+  assert.deepEqual(start.board, { id: "free:abc", mode: "free", seed: "abc", day: null, difficulty: "normal", language: "en" });
+  assert.deepEqual(start.slots[0], { id: "across", length: 6, clue: start.slots[0].clue });
+
+  assert.deepEqual(replies.map(({ command, ok, error }) => ({ command, ok, error })), [
+    { command: "a", ok: true, error: undefined },
+    { command: "bogus", ok: false, error: 'Unknown command "bogus": type "help" for the list' },
+    { command: "save", ok: false, error: "Save where? Give a file name" },
+    { command: "a", ok: false, error: "\"123456\" has letters that English boards don't use" },
+    { command: "a", ok: false, error: 'across has 6 letters, "CAT" has 3' },
+  ]);
+  assert.equal(replies[0].status.attempts, 0);
+});
+
+test("save writes the game where it's told, and --load carries it on", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "searchle-cli-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const file = join(dir, "save.json");
+
+  const [, ...replies] = await play(["--seed", "abc"], ["a PLANET", `save ${file}`]);
+  assert.deepEqual(replies.map(({ command, ok }) => [command, ok]), [["a", true], ["save", true]]);
+  assert.equal(Object.values(JSON.parse(await readFile(file, "utf8")).entries).join(""), "PLANET");
+
+  const [start] = await play(["--load", file], []);
+  assert.equal(start.board, null);
+  assert.equal(start.status.attempts, 0);
+  assert.equal(start.slots.length, 7);
+});
@@ -0,0 +1,126 @@
+// =========================
+// HTTP ROUTES
+// =========================
+//   POST /api/log      telemetry batches (see src/game/telemetry.js), one line per event
+//   GET  /api/puzzle   ?mode=daily|free|timeattack&seed&day&difficulty&language
+//   GET  /words        Datamuse-compatible: ?sp=pattern&max=n&md=d
+//
+// Only Node built-ins, so `npm run server` needs nothing beyond the app's own
+// install.
+import { createServer } from "node:http";
+import { createLocalWordSource } from "../src/game/wordSources.js";
+import { PuzzleRequestError } from "./puzzles.mjs";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SEEN_EVENT_LIMIT = 10000;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw Object.assign(new Error("Request body too large"), { status: 413 });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// A v1 batch, or the single-event bodies older clients posted.
+function getEvents(body) {
+  if (Array.isArray(body?.events)) return body.events.filter((event) => event && typeof event.type === "string");
+  if (typeof body?.type === "string") return [body];
+  return null;
+}
+
+// Datamuse's answer shape: lower-case words, best first, definitions as "pos\tdefinition".
+function toDatamuseResults(words, definitions, wantDefinitions) {
+  return words.map((word, i) => {
+    const result = { word: word.toLowerCase(), score: words.length - i };
+    const definition = definitions[word];
+    if (wantDefinitions && definition) result.defs = [`n\t${definition}`];
+    return result;
+  });
+}
+
+export function createApp({ logStore, puzzles, words, definitions = {} }) {
+  const wordSource = createLocalWordSource({ words, definitions });
+  const seenEvents = new Set(); // ids already logged, as a beacon may repeat a fetch
+
+  const routes = {
+    "POST /api/log": async (req, res) => {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (error) {
+        sendJson(res, error.status ?? 400, { error: error.status ? error.message : "Body must be JSON" });
+        return;
+      }
+      const events = getEvents(body);
+      if (!events) {
+        sendJson(res, 400, { error: "Expected { events: [...] }" });
+        return;
+      }
+      const fresh = events.filter((event) => {
+        if (!event.id) return true;
+        if (seenEvents.has(event.id)) return false;
+        seenEvents.add(event.id);
+        return true;
+      });
+      while (seenEvents.size > SEEN_EVENT_LIMIT) seenEvents.delete(seenEvents.values().next().value);
+
+      const receivedAt = new Date().toISOString();
+      if (fresh.length) await logStore.append(fresh.map((event) => ({ receivedAt, context: body.context, ...event })));
+      res.writeHead(204);
+      res.end();
+    },
+
+    "GET /api/puzzle": async (req, res, url) => {
+      try {
+        const query = Object.fromEntries(url.searchParams);
+        const board = await puzzles.getPuzzle(query);
+        // A board named by its day or seed never changes; "today" or "any" does
+        const named = board.mode === "daily" ? "day" in query : "seed" in query;
+        sendJson(res, 200, board, {
+          "Cache-Control": named ? "public, max-age=86400" : "no-store",
+          "Access-Control-Allow-Origin": "*",
+        });
+      } catch (error) {
+        if (error instanceof PuzzleRequestError) sendJson(res, 400, { error: error.message });
+        else sendJson(res, 500, { error: `Could not build a puzzle: ${error.message}` });
+      }
+    },
+
+    // Only the `?` wildcard of Datamuse's `sp`, which is all the client uses
+    "GET /words": async (req, res, url) => {
+      const sp = (url.searchParams.get("sp") ?? "").toUpperCase();
+      if (!/^[A-Z?]+$/.test(sp)) {
+        sendJson(res, 400, { error: "sp must be letters and ? wildcards" });
+        return;
+      }
+      const max = Math.min(1000, Number(url.searchParams.get("max")) || 100);
+      const found = await wordSource.findWords({ pattern: sp, max });
+      const wantDefinitions = (url.searchParams.get("md") ?? "").includes("d");
+      sendJson(res, 200, toDatamuseResults(found, definitions, wantDefinitions), { "Access-Control-Allow-Origin": "*" });
+    },
+  };
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+    try {
+      await route(req, res, url);
+    } catch (error) {
+      console.error(`${req.method} ${url.pathname} failed:`, error);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+    }
+  });
+}
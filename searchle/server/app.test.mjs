@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createApp } from "./app.mjs";
+import { createPuzzleService } from "./puzzles.mjs";
+import { createLocalWordSource } from "../src/game/wordSources.js";
+
+const words = ["CAT", "COT", "DOG"];
+
+// The app on a port of its own, with its log kept in memory; stopped when the
+// test ends
+async function startApp(t) {
+  const logged = [];
+  const logStore = { append: async (records) => logged.push(...records) };
+  const puzzles = createPuzzleService({ getWordSource: () => createLocalWordSource() });
+  const server = createApp({ logStore, puzzles, words, definitions: { CAT: "A small feline" } });
+  server.listen(0);
+  await once(server, "listening");
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+  return { logged, request: (path, init) => fetch(`${base}${path}`, init) };
+}
+
+const postLog = (request, body) => request("/api/log", { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+
+test("a daily named by its day is the same board every time, and may be cached", async (t) => {
+  const { request } = await startApp(t);
+  const first = await request("/api/puzzle?mode=daily&day=2024-05-01&difficulty=hard");
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("cache-control"), "public, max-age=86400");
+  const board = await first.json();
+  assert.deepEqual([board.mode, board.day, board.difficulty, board.language], ["daily", "2024-05-01", "hard", "en"]);
+  assert.equal(typeof board.puzzle.horizontal.word, "string");
+  assert.deepEqual(await (await request("/api/puzzle?day=2024-05-01&difficulty=hard")).json(), board);
+
+  const free = await request("/api/puzzle?mode=free");
+  assert.equal(free.headers.get("cache-control"), "no-store");
+});
+
+test("puzzle requests that don't name a board are turned away", async (t) => {
+  const { request } = await startApp(t);
+  for (const query of ["mode=versus", "difficulty=extreme", "difficulty=constructor", "language=__proto__", "day=May%201"]) {
+    const response = await request(`/api/puzzle?${query}`);
+    assert.equal(response.status, 400, query);
+    assert.match((await response.json()).error, /Unknown|Days look like/);
+  }
+});
+
+test("logged events are written once, however often they're posted", async (t) => {
+  const { logged, request } = await startApp(t);
+  const batch = { context: { app: "1" }, events: [{ id: "e1", type: "submission" }, { id: "e2", type: "hint" }] };
+  assert.equal((await postLog(request, batch)).status, 204);
+  assert.equal((await postLog(request, batch)).status, 204);
+  assert.equal((await postLog(request, { type: "game_win" })).status, 204); // a pre-batch client
+  assert.deepEqual(logged.map((event) => event.type), ["submission", "hint", "game_win"]);
+  assert.deepEqual(logged[0].context, { app: "1" });
+  assert.ok(!Number.isNaN(Date.parse(logged[0].receivedAt)));
+});
+
+test("log posts that aren't event batches, or are too big, are refused", async (t) => {
+  const { logged, request } = await startApp(t);
+  const notJson = await postLog(request, "{events");
+  assert.deepEqual([notJson.status, await notJson.json()], [400, { error: "Body must be JSON" }]);
+  const notBatch = await postLog(request, { events: "all of them" });
+  assert.deepEqual([notBatch.status, await notBatch.json()], [400, { error: "Expected { events: [...] }" }]);
+  const huge = await postLog(request, { events: [{ type: "x", padding: "x".repeat(1024 * 1024) }] });
+  assert.equal(huge.status, 413);
+  assert.deepEqual(logged, []);
+});
+
+test("/words answers like Datamuse from the word list", async (t) => {
+  const { request } = await startApp(t);
+  const response = await request("/words?sp=c?t&md=d");
+  assert.deepEqual(await response.json(), [
+    { word: "cat", score: 2, defs: ["n\tA small feline"] },
+    { word: "cot", score: 1 },
+  ]);
+  assert.equal((await request("/words?sp=c*")).status, 400);
+  assert.equal((await request("/nowhere")).status, 404);
+});
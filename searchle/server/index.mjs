@@ -0,0 +1,52 @@
+// =========================
+// LOCAL SERVER
+// =========================
+// Companion server for development and offline play; `npm run server`, then
+// `npm start` proxies /api to it (see "proxy" in package.json). It also runs
+// the versus relay on ws://localhost:3001/versus (see relay.mjs). Settings come
+// from the environment:
+//
+//   PORT         default 3001
+//   LOG_DIR      where /api/log writes, default server/logs
+//   LOG_MAX_MB   size at which the log rotates, default 5
+//   WORDS_FILE   word list for /words and English puzzles (see wordFile.mjs)
+import { fileURLToPath } from "node:url";
+import { createApp } from "./app.mjs";
+import { createLogStore } from "./logStore.mjs";
+import { createPuzzleService } from "./puzzles.mjs";
+import { createRelay } from "./relay.mjs";
+import { loadWordFile } from "./wordFile.mjs";
+import { LANGUAGES } from "../src/game/languages/index.js";
+import { createLocalWordSource } from "../src/game/wordSources.js";
+
+const port = Number(process.env.PORT) || 3001;
+const logDir = process.env.LOG_DIR || fileURLToPath(new URL("./logs/", import.meta.url));
+const { words, definitions } = await loadWordFile(process.env.WORDS_FILE);
+
+// English boards come from the same list /words serves; other languages use their bundled lists
+const wordSources = Object.fromEntries(
+  Object.values(LANGUAGES).map((language) => [
+    language.id,
+    language.id === "en"
+      ? createLocalWordSource({ language, words, definitions })
+      : createLocalWordSource({ language }),
+  ])
+);
+
+const server = createApp({
+  logStore: createLogStore({ dir: logDir, maxBytes: (Number(process.env.LOG_MAX_MB) || 5) * 1024 * 1024 }),
+  puzzles: createPuzzleService({ getWordSource: (language) => wordSources[language] }),
+  words,
+  definitions,
+});
+
+createRelay({ server });
+
+server.on("error", (error) => {
+  console.error(error.code === "EADDRINUSE" ? `Port ${port} is already in use; set PORT to use another.` : error.message);
+  process.exit(1);
+});
+
+server.listen(port, () => {
+  console.log(`Searchle server on http://localhost:${port} (${words.length} words, logs in ${logDir}, versus relay on /versus)`);
+});
@@ -0,0 +1,46 @@
+// =========================
+// ROTATING LOG FILES
+// =========================
+// Appends JSON lines to <dir>/<name>.log. When the next write would take the
+// file past `maxBytes` it is renamed to <name>.1.log (older ones shift up to
+// <name>.<maxFiles>.log, the oldest is deleted) and a new file is started.
+import { appendFile, mkdir, rename, stat, unlink } from "node:fs/promises";
+import { join } from "node:path";
+
+const ignoreMissing = (error) => {
+  if (error.code !== "ENOENT") throw error;
+};
+
+export function createLogStore({ dir, name = "client", maxBytes = 5 * 1024 * 1024, maxFiles = 5 }) {
+  const fileAt = (index) => join(dir, index === 0 ? `${name}.log` : `${name}.${index}.log`);
+  let size = null; // bytes in the current file, read once from disk
+  let queue = Promise.resolve(); // writes happen one at a time, in order
+
+  const rotate = async () => {
+    await unlink(fileAt(maxFiles)).catch(ignoreMissing);
+    for (let i = maxFiles - 1; i >= 0; i--) {
+      await rename(fileAt(i), fileAt(i + 1)).catch(ignoreMissing);
+    }
+    size = 0;
+  };
+
+  const write = async (records) => {
+    const text = records.map((record) => JSON.stringify(record)).join("\n") + "\n";
+    const bytes = Buffer.byteLength(text);
+    await mkdir(dir, { recursive: true }); // cheap, and survives the folder being cleared
+    if (size === null) size = await stat(fileAt(0)).then((s) => s.size, () => 0);
+    if (size > 0 && size + bytes > maxBytes) await rotate();
+    await appendFile(fileAt(0), text);
+    size += bytes;
+  };
+
+  return {
+    path: fileAt(0),
+    // Resolves once the records are on disk.
+    append(records) {
+      const done = queue.then(() => write(records));
+      queue = done.catch(() => {}); // one failed write doesn't block the rest
+      return done;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLogStore } from "./logStore.mjs";
+
+async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), "searchle-logs-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const lines = async (path) => (await readFile(path, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+
+test("records are appended as JSON lines, in order", async (t) => {
+  const dir = await tempDir(t);
+  const store = createLogStore({ dir: join(dir, "nested") });
+  await Promise.all([store.append([{ n: 1 }, { n: 2 }]), store.append([{ n: 3 }])]);
+  assert.deepEqual(await lines(store.path), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test("a full log is rotated, keeping maxFiles old ones", async (t) => {
+  const dir = await tempDir(t);
+  const record = { text: "x".repeat(20) }; // 38 bytes a line
+  const store = createLogStore({ dir, maxBytes: 80, maxFiles: 2 });
+  for (let n = 1; n <= 8; n++) await store.append([{ n, ...record }]);
+
+  assert.deepEqual((await readdir(dir)).sort(), ["client.1.log", "client.2.log", "client.log"]);
+  assert.deepEqual((await lines(join(dir, "client.log"))).map((r) => r.n), [7, 8]);
+  assert.deepEqual((await lines(join(dir, "client.1.log"))).map((r) => r.n), [5, 6]);
+  assert.deepEqual((await lines(join(dir, "client.2.log"))).map((r) => r.n), [3, 4]);
+});
+
+test("a log already on disk counts towards the first rotation", async (t) => {
+  const dir = await tempDir(t);
+  await createLogStore({ dir }).append([{ n: 1 }]);
+  const store = createLogStore({ dir, maxBytes: 10 });
+  await store.append([{ n: 2 }]);
+  assert.deepEqual(await lines(join(dir, "client.1.log")), [{ n: 1 }]);
+  assert.deepEqual(await lines(store.path), [{ n: 2 }]);
+});
@@ -0,0 +1,76 @@
+// =========================
+// PUZZLE SERVICE
+// =========================
+// Generates boards with the same code and seeds as the client and keeps the
+// most recent `cacheSize` in memory, so a daily is built once per language and
+// difficulty and repeat requests for a seed are instant. Requests for a board
+// that is still being generated share that generation.
+import { generatePuzzle } from "../src/game/generator.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, pickShape } from "../src/game/difficulty.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../src/game/languages/index.js";
+import { getBoardId, getDailyBoardId } from "../src/game/puzzleIds.js";
+import { getDailyId, randomSeed } from "../src/game/rng.js";
+
+const MODES = ["daily", "free", "timeattack"];
+
+// Thrown for requests that can't name a board; the server answers 400.
+export class PuzzleRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PuzzleRequestError";
+  }
+}
+
+// Fill in defaults and work out the board's id and seed, as createSession does.
+export function resolvePuzzleRequest({
+  mode = "daily", seed, day = getDailyId(), difficulty = DEFAULT_DIFFICULTY, language = DEFAULT_LANGUAGE,
+}) {
+  if (!MODES.includes(mode)) throw new PuzzleRequestError(`Unknown mode "${mode}"`);
+  if (!Object.hasOwn(DIFFICULTIES, difficulty)) throw new PuzzleRequestError(`Unknown difficulty "${difficulty}"`);
+  if (!Object.hasOwn(LANGUAGES, language)) throw new PuzzleRequestError(`Unknown language "${language}"`);
+  if (mode === "daily") {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new PuzzleRequestError(`Days look like 2024-01-31, not "${day}"`);
+    const id = getDailyBoardId(day, difficulty, language);
+    return { id, mode, seed: id, day, difficulty, language };
+  }
+  const boardSeed = seed || randomSeed();
+  return { id: getBoardId(mode, boardSeed, language), mode, seed: boardSeed, day: null, difficulty, language };
+}
+
+export function createPuzzleService({ getWordSource, cacheSize = 200, generationAttempts = 25 }) {
+  const cache = new Map(); // id -> Promise<board>, least recently used first
+
+  const generate = async (request) => {
+    const language = LANGUAGES[request.language];
+    const puzzle = await generatePuzzle(() => {}, {
+      wordSource: getWordSource(request.language),
+      language,
+      seed: request.seed,
+      shape: pickShape(DIFFICULTIES[request.difficulty], request.seed),
+      maxAttempts: generationAttempts,
+    });
+    return { ...request, puzzle };
+  };
+
+  return {
+    get size() {
+      return cache.size;
+    },
+
+    // Resolves to { id, mode, seed, day, difficulty, language, puzzle }.
+    getPuzzle(query) {
+      const request = resolvePuzzleRequest(query);
+      let board = cache.get(request.id);
+      if (board) {
+        cache.delete(request.id);
+      } else {
+        board = generate(request);
+        // Failures aren't cached; the next request tries again
+        board.catch(() => cache.delete(request.id));
+      }
+      cache.set(request.id, board);
+      if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+      return board;
+    },
+  };
+}
@@ -0,0 +1,165 @@
+// =========================
+// VERSUS RELAY
+// =========================
+// WebSocket rooms for versus races (see src/game/versus.js), on the HTTP
+// server's /versus path. The relay passes each message on to the rest of its
+// room, stamped with the relay's clock, and remembers every room's board and
+// each player's last progress, so a player who joins or comes back gets the
+// whole race in one `state` message. It keeps no letters because players never
+// send any.
+//
+// A player's first solve is stamped here and echoed back to them, so every
+// client agrees on who finished first whatever their own clocks say. Rooms are
+// forgotten `roomTtl` ms after their last player leaves.
+//
+// A connection speaks for the player it said hello as and nobody else, and
+// only the counts getProgress sends and a known board are passed on.
+import { WebSocketServer } from "ws";
+import { VERSUS_VERSION, isVersusMessage } from "../src/game/versus.js";
+import { DIFFICULTIES } from "../src/game/difficulty.js";
+import { LANGUAGES } from "../src/game/languages/index.js";
+
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const PING_INTERVAL = 30000;
+const PROGRESS_COUNTS = ["attempts", "maxAttempts", "correct", "total"];
+const PROGRESS_FLAGS = ["solved", "over"];
+
+// A copy of `progress` with just getProgress' fields, or null if any is missing
+// or isn't what getProgress would send.
+function readProgress(progress) {
+  if (!progress || typeof progress !== "object") return null;
+  const read = {};
+  for (const key of PROGRESS_COUNTS) {
+    if (!Number.isInteger(progress[key]) || progress[key] < 0) return null;
+    read[key] = progress[key];
+  }
+  for (const key of PROGRESS_FLAGS) {
+    if (typeof progress[key] !== "boolean") return null;
+    read[key] = progress[key];
+  }
+  return read;
+}
+
+// The board a room plays, or null unless it names a difficulty and language
+// the game has. Custom difficulties can't be raced.
+function readBoard(board) {
+  const { difficulty, language } = board ?? {};
+  if (typeof difficulty !== "string" || !Object.hasOwn(DIFFICULTIES, difficulty)) return null;
+  if (typeof language !== "string" || !Object.hasOwn(LANGUAGES, language)) return null;
+  return { difficulty, language };
+}
+
+export function createRelay({ server, path = "/versus", roomTtl = 60 * 60 * 1000, now = Date.now }) {
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_MESSAGE_BYTES });
+  const rooms = new Map(); // code -> { sockets: Map(socket -> player id), board, players: Map(id -> entry), expiry }
+
+  const getRoom = (code) => {
+    if (!rooms.has(code)) rooms.set(code, { sockets: new Map(), board: null, players: new Map(), expiry: null });
+    const room = rooms.get(code);
+    clearTimeout(room.expiry);
+    return room;
+  };
+
+  const broadcast = (room, message, { except } = {}) => {
+    const data = JSON.stringify(message);
+    room.sockets.forEach((_, socket) => socket !== except && socket.send(data));
+  };
+
+  const isOnline = (room, id) => [...room.sockets.values()].includes(id);
+
+  const leave = (socket, code) => {
+    const room = rooms.get(code);
+    const id = room?.sockets.get(socket);
+    if (!id) return;
+    room.sockets.delete(socket);
+    if (!isOnline(room, id)) {
+      broadcast(room, { type: "leave", v: VERSUS_VERSION, room: code, player: room.players.get(id).player, at: now() });
+    }
+    if (room.sockets.size === 0) {
+      room.expiry = setTimeout(() => rooms.delete(code), roomTtl);
+      room.expiry.unref?.();
+    }
+  };
+
+  const receive = (socket, message) => {
+    const progress = readProgress(message.progress);
+    if (message.progress != null && !progress) return; // not from getProgress
+    const room = getRoom(message.room);
+    const { id } = message.player;
+    const at = now();
+    const entry = room.players.get(id) ?? { player: null, progress: null, solvedAt: null };
+    entry.player = { id, name: String(message.player.name ?? "").slice(0, 24) };
+    if (progress) {
+      if (progress.solved) entry.solvedAt ??= at;
+      entry.progress = { ...progress, solvedAt: entry.solvedAt ?? undefined };
+    }
+    room.players.set(id, entry);
+    room.board ??= readBoard(message.board);
+
+    if (message.type === "hello") {
+      room.sockets.set(socket, id);
+      const players = [...room.players.values()]
+        .filter((other) => other.player.id !== id)
+        .map(({ player, progress }) => ({ player, progress, online: isOnline(room, player.id) }));
+      socket.send(JSON.stringify({ type: "state", v: VERSUS_VERSION, room: message.room, board: room.board, players, at }));
+    }
+    const stamped = {
+      type: message.type, v: VERSUS_VERSION, room: message.room, player: entry.player, board: room.board, progress: entry.progress, at,
+    };
+    // Everyone hears it; the sender too once they've solved, for the stamp
+    broadcast(room, stamped, { except: entry.progress?.solved && message.type === "progress" ? null : socket });
+  };
+
+  wss.on("connection", (socket) => {
+    let joined = null; // the room code this socket said hello to
+    socket.alive = true;
+    socket.on("pong", () => (socket.alive = true));
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (!isVersusMessage(message) || message.type === "state") return;
+      if (message.type === "hello" && joined !== message.room) {
+        if (joined) leave(socket, joined);
+        joined = message.room;
+      }
+      if (message.room !== joined) return; // say hello first
+      const id = rooms.get(joined)?.sockets.get(socket);
+      if (id && message.player.id !== id) return; // someone else's name
+      if (message.type === "leave") {
+        leave(socket, joined);
+        joined = null;
+        return;
+      }
+      receive(socket, message);
+    });
+    socket.on("close", () => joined && leave(socket, joined));
+  });
+
+  // Connections that vanished without closing (a laptop lid, a lost network)
+  // stop answering pings and are let go, which tells their room.
+  const pinger = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.alive) {
+        socket.terminate();
+        return;
+      }
+      socket.alive = false;
+      socket.ping();
+    });
+  }, PING_INTERVAL);
+  pinger.unref?.();
+
+  return {
+    rooms,
+    close() {
+      clearInterval(pinger);
+      rooms.forEach((room) => clearTimeout(room.expiry));
+      wss.clients.forEach((socket) => socket.terminate());
+      wss.close();
+    },
+  };
+}
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import WebSocket from "ws";
+import { createRelay } from "./relay.mjs";
+import { VERSUS_VERSION } from "../src/game/versus.js";
+
+const ada = { id: "ada", name: "Ada" };
+const bo = { id: "bo", name: "Bo" };
+const board = { difficulty: "hard", language: "en" };
+const progress = { attempts: 1, maxAttempts: 4, correct: 3, total: 9, solved: false, over: false };
+
+// A relay on a port of its own, stopped when the test ends
+async function startRelay(t, options = {}) {
+  const server = createServer();
+  const relay = createRelay({ server, ...options });
+  server.listen(0);
+  await once(server, "listening");
+  t.after(() => {
+    relay.close();
+    server.close();
+  });
+  const url = `ws://localhost:${server.address().port}/versus`;
+  return { relay, connect: () => connect(url, t) };
+}
+
+// A player's connection; next() is the next message it hears
+async function connect(url, t) {
+  const socket = new WebSocket(url);
+  const heard = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(data);
+    if (waiting.length) waiting.shift()(message);
+    else heard.push(message);
+  });
+  await once(socket, "open");
+  t.after(() => socket.terminate());
+  return {
+    socket,
+    send: (type, player, fields = {}) => socket.send(JSON.stringify({ type, v: VERSUS_VERSION, room: "QXRTB", player, at: 0, ...fields })),
+    next: () => {
+      if (heard.length) return Promise.resolve(heard.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("Nothing heard")), 2000);
+        waiting.push((message) => {
+          clearTimeout(timer);
+          resolve(message);
+        });
+      });
+    },
+  };
+}
+
+test("a player saying hello gets the room and the others hear them", async (t) => {
+  const { connect } = await startRelay(t, { now: () => 1000 });
+  const host = await connect();
+  host.send("hello", ada, { board, progress: null });
+  assert.deepEqual(await host.next(), { type: "state", v: VERSUS_VERSION, room: "QXRTB", board, players: [], at: 1000 });
+
+  const guest = await connect();
+  guest.send("hello", bo, { board: null, progress: null });
+  const state = await guest.next();
+  assert.deepEqual(state.board, board);
+  assert.deepEqual(state.players, [{ player: ada, progress: null, online: true }]);
+  assert.deepEqual(await host.next(), { type: "hello", v: VERSUS_VERSION, room: "QXRTB", player: bo, board, progress: null, at: 1000 });
+});
+
+test("progress reaches the room with only its counts, and a solve is stamped for the solver", async (t) => {
+  let clock = 0;
+  const { connect } = await startRelay(t, { now: () => clock });
+  const host = await connect();
+  host.send("hello", ada, { board, progress: null });
+  await host.next();
+  const guest = await connect();
+  guest.send("hello", bo, { progress: null });
+  await guest.next();
+  await host.next();
+
+  guest.send("progress", bo, { progress: { ...progress, letters: "CAT" } });
+  assert.deepEqual((await host.next()).progress, progress);
+
+  clock = 5000;
+  const solved = { ...progress, attempts: 2, correct: 9, solved: true, over: true };
+  guest.send("progress", bo, { progress: solved });
+  assert.equal((await host.next()).progress.solvedAt, 5000);
+  assert.equal((await guest.next()).progress.solvedAt, 5000);
+
+  // The first solve counts, however often it's repeated
+  clock = 9000;
+  guest.send("progress", bo, { progress: solved });
+  assert.equal((await host.next()).progress.solvedAt, 5000);
+});
+
+test("the room hears when a player leaves or their connection closes", async (t) => {
+  const { connect } = await startRelay(t, { now: () => 0 });
+  const host = await connect();
+  host.send("hello", ada, { board, progress: null });
+  await host.next();
+  const guest = await connect();
+  guest.send("hello", bo, { progress: null });
+  await guest.next();
+  await host.next();
+
+  guest.send("leave", bo);
+  assert.deepEqual(await host.next(), { type: "leave", v: VERSUS_VERSION, room: "QXRTB", player: bo, at: 0 });
+
+  guest.send("hello", bo, { progress: null });
+  assert.deepEqual((await guest.next()).players, [{ player: ada, progress: null, online: true }]);
+  await host.next();
+  guest.socket.close();
+  assert.equal((await host.next()).type, "leave");
+});
+
+test("an empty room is forgotten after roomTtl", async (t) => {
+  const { relay, connect } = await startRelay(t, { roomTtl: 20 });
+  const host = await connect();
+  host.send("hello", ada, { board, progress: null });
+  await host.next();
+  assert.ok(relay.rooms.has("QXRTB"));
+
+  host.socket.close();
+  await once(host.socket, "close");
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.ok(!relay.rooms.has("QXRTB"));
+});
+
+test("a connection can't speak for another player or set a board the game hasn't got", async (t) => {
+  const { relay, connect } = await startRelay(t, { now: () => 0 });
+  const host = await connect();
+  host.send("hello", ada, { board: { difficulty: "__proto__", language: "en" }, progress: null });
+  assert.equal((await host.next()).board, null);
+  host.send("progress", ada, { progress });
+
+  const guest = await connect();
+  guest.send("hello", bo, { board, progress: null });
+  await guest.next();
+  await host.next();
+  guest.send("progress", ada, { progress: { ...progress, correct: 9, solved: true, over: true } });
+  guest.send("leave", ada);
+  guest.send("hello", ada, { progress: null });
+  guest.send("progress", bo, { progress: { ...progress, attempts: -1 } });
+  guest.send("progress", bo, { progress });
+
+  // Only Bo's last, honest message gets through
+  const heard = await host.next();
+  assert.deepEqual([heard.type, heard.player, heard.progress], ["progress", bo, progress]);
+  const { players } = relay.rooms.get("QXRTB");
+  assert.deepEqual(players.get("ada").progress, { ...progress, solvedAt: undefined });
+  assert.equal(players.get("ada").solvedAt, null);
+});
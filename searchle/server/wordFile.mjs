@@ -0,0 +1,25 @@
+// =========================
+// WORD FILE
+// =========================
+// The Datamuse stand-in answers from a plain text file: one word per line,
+// optionally followed by a tab and a definition. Blank lines and lines
+// starting with # are skipped. Without a file, the bundled English list is used.
+import { readFile } from "node:fs/promises";
+import EN_WORDS from "../src/game/words/en.js";
+
+export function parseWordFile(text) {
+  const words = [];
+  const definitions = {};
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith("#")) continue;
+    const [word, definition] = line.split("\t").map((part) => part.trim());
+    words.push(word);
+    if (definition) definitions[word.toUpperCase()] = definition;
+  }
+  return { words, definitions };
+}
+
+export async function loadWordFile(path) {
+  if (!path) return { words: EN_WORDS, definitions: {} };
+  return parseWordFile(await readFile(path, "utf8"));
+}
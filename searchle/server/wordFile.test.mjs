@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadWordFile, parseWordFile } from "./wordFile.mjs";
+
+test("words come one a line, with optional tab-separated definitions", () => {
+  const text = "# my list\r\ncat\tA small feline\r\n\r\n  dog  \n  # not a word\nowl\t\n";
+  assert.deepEqual(parseWordFile(text), {
+    words: ["cat", "dog", "owl"],
+    definitions: { CAT: "A small feline" },
+  });
+});
+
+test("without a file the bundled English list is used", async (t) => {
+  const bundled = await loadWordFile();
+  assert.ok(bundled.words.length > 1000);
+  assert.deepEqual(bundled.definitions, {});
+
+  const dir = await mkdtemp(join(tmpdir(), "searchle-words-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await writeFile(join(dir, "words.txt"), "emu\tA large bird\n");
+  assert.deepEqual(await loadWordFile(join(dir, "words.txt")), { words: ["emu"], definitions: { EMU: "A large bird" } });
+});
@@ -1,117 +1,325 @@
 // App.jsx
-import React, { useState, useEffect, useMemo, useCallback } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { motion, AnimatePresence, MotionConfig, useAnimationControls } from "framer-motion";
 import "./App.css";
+import { createWordSource } from "./game/wordSources";
+import { createTelemetry } from "./game/telemetry";
+import { openCacheStore } from "./game/cacheStore";
+import { createPuzzlePool, getPoolKey } from "./game/puzzlePool";
+import { getBoardId, getDailyBoardId, getLanguageScope } from "./game/puzzleIds";
+import { getDailyId, hashSeed, randomSeed } from "./game/rng";
+import { generatePuzzle } from "./game/generator";
+import { getLetterPositions, getWordSlots } from "./game/layout";
+import { getKeyStates } from "./game/scoring";
+import { getSolutionEntries, judgeSubmission } from "./game/engine";
+import { findCandidates } from "./game/solver";
+import { createRace, createRoomCode, getProgress, normalizeRoomCode } from "./game/versus";
+import { createBroadcastTransport, createMemoryHub, createWebSocketTransport } from "./game/transports";
+import { describeInvalidWords, findInvalidWords } from "./game/validation";
+import { STATE_SYMBOLS, describeCell, describeSubmission, getStateName } from "./game/a11y";
+import { DEFAULT_KEYBOARD, KEYBOARD_LAYOUTS, buildKeyboardRows } from "./game/keyboards";
+import { getActiveSlot, getAdjacentWord, getNextCell, getPreviousCell, toggleDirection } from "./game/navigation";
+import {
+  createStats, getAverageTime, getCurrentStreak, getWinPercentage, recordResult, recordRun,
+} from "./game/stats";
+import { buildRunShareText, buildShareText, shareText } from "./game/share";
+import {
+  addSolve, createClock, createRun, endRun, formatTime, getElapsed, getRemaining, setRunning, snapshotClock, startClock,
+  TIME_ATTACK,
+} from "./game/timer";
+import {
+  HINT_PENALTIES, checkWords, getHintPenalty, getRevealedCells, getScore, getSlotsThrough, revealLetter, revealWord,
+} from "./game/hints";
+import { attachClues, getSlotLabel, getSlotNumber } from "./game/clues";
+import { checkDraft, createDraft, getCrossingOptions, setDraftSpine } from "./game/builder";
+import { buildPuzzleUrl, decodePuzzleLink, encodePuzzleLink, readLinkCode } from "./game/puzzleLink";
+import {
+  DEFAULT_DIFFICULTY, DIFFICULTIES, MAX_ATTEMPTS_LIMIT, MAX_WORD_LENGTH, getDifficulty, pickShape, validateCustomDifficulty,
+} from "./game/difficulty";
+import { LANGUAGES, detectLanguage, getLanguage, normalizeWord, translate } from "./game/languages";
 
 // =========================
 // CONFIG & WORD LIST
 // =========================
-const GAME_CONFIG = { TILE: 55, MAX_ATTEMPTS: 6, STORAGE_KEY: "searchle:v1" };
-
-async function generatePuzzle(onProgress) {
-  // 1. Fetch a random 6-letter word for the horizontal base
-  onProgress({ current: 0, total: 7 });
-  // Add ml (means like) to get more common English words.
-  const horizRes = await fetch('https://api.datamuse.com/words?sp=??????&max=100&ml=love');
-  const horizWords = await horizRes.json();
-  if (horizWords.length === 0) throw new Error("Could not fetch horizontal word");
-  const horizontalWord = horizWords[Math.floor(Math.random() * horizWords.length)].word.toUpperCase();
-  onProgress({ current: 1, total: 7 }); // 1 for horizontal word
-
-  let validVerticals = [];
-  const usedWords = new Set([horizontalWord]);
-
-  // Define the required lengths for vertical words and shuffle them
-  const requiredVerticalLengths = [6, 5, 5, 4, 4, 4]; // 1x6, 2x5, 3x4
-  requiredVerticalLengths.sort(() => 0.5 - Math.random()); // Shuffle for random assignment to intersection points
-
-  // 2. For each letter, fetch a vertical word that intersects
-  const promises = horizontalWord.split("").map(async (letter, index) => {
-    const wordLength = requiredVerticalLengths[index]; // Use the assigned length for this intersection
-    // Add ml to this query as well for better word quality
-    const query = `?sp=${'?'.repeat(wordLength)}&max=50&sl=${letter}&ml=love`;
-    const vertRes = await fetch(`https://api.datamuse.com/words${query}`);
-    const vertWords = await vertRes.json();
-
-    if (vertWords.length > 0) {
-      // Filter out words already used and ensure they contain the letter
-      const availableWords = vertWords
-        .map(w => w.word.toUpperCase())
-        .filter(w => w.includes(letter) && !usedWords.has(w));
-
-      if (availableWords.length > 0) {
-        const selectedWord = availableWords[Math.floor(Math.random() * availableWords.length)];
-        usedWords.add(selectedWord); // Add to used words for subsequent checks
-        onProgress({ current: 1 + index + 1, total: 7 }); // Update progress (1 horiz + index completed verticals + 1 current)
-        return { word: selectedWord, intersectIndex: index };
-      }
-    }
-    onProgress({ current: 1 + index + 1, total: 7 }); // Update progress even if no word found
-    return null; // No suitable word found for this intersection
-  });
+const GAME_CONFIG = {
+  TILE: 55,
+  STORAGE_KEY: "searchle:v1",
+  // "datamuse" (falls back to the bundled list when offline) or "local"
+  WORD_SOURCE: process.env.REACT_APP_WORD_SOURCE || "datamuse",
+  // Point Datamuse queries elsewhere, e.g. the local server's stand-in (see README)
+  DATAMUSE_URL: process.env.REACT_APP_DATAMUSE_URL || undefined,
+  // How many spine words the generator may try before giving up
+  GENERATION_ATTEMPTS: 25,
+  // Share of sessions that report gameplay events (errors are always reported)
+  TELEMETRY_SAMPLE_RATE: 1,
+  // Boards kept ready for New Game, per language and difficulty
+  POOL_SIZE: 2,
+  // How long a board has been on screen before the pool is topped up (ms)
+  PREFETCH_DELAY: 2000,
+  // Versus relay, e.g. ws://localhost:3001/versus (see README); without one,
+  // rooms only reach other tabs of the same browser
+  VERSUS_URL: process.env.REACT_APP_VERSUS_URL || undefined,
+};
 
-  const results = (await Promise.all(promises)).filter(Boolean); // Filter out nulls
-  
-  // Check if all horizontal letters have a vertical word
-  if (results.length !== horizontalWord.length) {
-    console.warn(`Puzzle generation failed: Not all horizontal letters have a vertical word. Retrying...`);
-    return generatePuzzle(onProgress);
+// IndexedDB where the browser has it (see game/cacheStore.js): recent Datamuse
+// answers and the puzzle pool's boards
+const cacheStore = openCacheStore();
+const defaultPuzzlePool = createPuzzlePool({ store: cacheStore, size: GAME_CONFIG.POOL_SIZE });
+
+// One word source per language, made the first time that language is played
+const defaultWordSources = new Map();
+
+function getDefaultWordSource(languageId) {
+  if (!defaultWordSources.has(languageId)) {
+    defaultWordSources.set(languageId, createWordSource(GAME_CONFIG.WORD_SOURCE, getLanguage(languageId), {
+      datamuseUrl: GAME_CONFIG.DATAMUSE_URL,
+      cache: cacheStore,
+    }));
   }
+  return defaultWordSources.get(languageId);
+}
 
-  // Check if the required length distribution is met
-  const counts = results.reduce((acc, v) => {
-    acc[v.word.length] = (acc[v.word.length] || 0) + 1;
-    return acc;
-  }, {});
+// "Play offline" after a failed generation: the bundled dictionary, whatever
+// the configured source
+const offlineWordSources = new Map();
 
-  const hasRequiredCounts =
-    counts[6] === 1 &&
-    counts[5] === 2 &&
-    counts[4] === 3;
+function getOfflineWordSource(languageId) {
+  if (!offlineWordSources.has(languageId)) {
+    offlineWordSources.set(languageId, createWordSource("local", getLanguage(languageId)));
+  }
+  return offlineWordSources.get(languageId);
+}
 
-  if (!hasRequiredCounts) {
-    console.warn(`Puzzle generation failed: Incorrect word length distribution. Retrying...`);
-    return generatePuzzle(onProgress);
+// A versus room's messages go through the relay when there is one, else
+// between this browser's tabs (see game/transports.js)
+const pageHub = createMemoryHub();
+
+function createDefaultTransport(room) {
+  if (GAME_CONFIG.VERSUS_URL) return createWebSocketTransport(GAME_CONFIG.VERSUS_URL);
+  try {
+    return createBroadcastTransport(`searchle:versus:${room}`);
+  } catch (error) {
+    console.warn("Versus rooms will only reach this page:", error);
+    return pageHub.connect();
   }
+}
 
-  validVerticals = results; // All checks passed, assign results
+// =========================
+// SESSIONS (daily / free play)
+// =========================
+// A session says which board to build: today's daily (seeded from the date, so
+// everyone gets the same grid), a free-play board with a random seed, or the
+// current board of a time-attack run, or a versus race's board (seeded from
+// its room code), at a given difficulty and in a given language. Custom
+// difficulties are never daily.
+const SESSION_KEY = `${GAME_CONFIG.STORAGE_KEY}:session`;
+const DIFFICULTY_KEY = `${GAME_CONFIG.STORAGE_KEY}:difficulty`;
+const LANGUAGE_KEY = `${GAME_CONFIG.STORAGE_KEY}:language`;
+
+// Ids and the daily seed come from game/puzzleIds.js, which the local server
+// shares.
+function createSession(mode, difficulty, language, seed = randomSeed()) {
+  if (mode === "daily" && difficulty.id !== "custom") {
+    const day = getDailyId();
+    const id = getDailyBoardId(day, difficulty.id, language);
+    return { mode: "daily", difficulty, language, id, seed: id, day };
+  }
+  const boardMode = mode === "timeattack" || mode === "versus" ? mode : "free";
+  return { mode: boardMode, difficulty, language, id: getBoardId(boardMode, seed, language), seed, day: null };
+}
 
+// A shared link plays the exact board encoded in it. Throws PuzzleLinkError
+// for links that can't be decoded.
+function createLinkSession(code) {
+  const { puzzle, difficulty, language } = decodePuzzleLink(code);
+  const preset = getDifficulty(difficulty.id);
+  const seed = hashSeed(code).toString(36);
   return {
-    horizontal: { word: horizontalWord, x: 0, y: 4 },
-    verticals: validVerticals,
+    mode: "link",
+    difficulty: { ...preset, id: difficulty.id, maxAttempts: difficulty.maxAttempts },
+    language,
+    id: `link:${seed}`,
+    seed,
+    day: null,
+    puzzle,
   };
 }
 
+// The chosen difficulty ({ id, custom }) is remembered between visits.
+function loadDifficultyChoice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DIFFICULTY_KEY));
+    if (saved?.id) return saved;
+  } catch { /* ignore */ }
+  return { id: DEFAULT_DIFFICULTY, custom: null };
+}
+
+function saveDifficultyChoice(choice) {
+  try {
+    localStorage.setItem(DIFFICULTY_KEY, JSON.stringify(choice));
+  } catch { /* ignore */ }
+}
+
+// The chosen language, or the browser's on a first visit.
+function loadLanguageChoice() {
+  const saved = localStorage.getItem(LANGUAGE_KEY);
+  return Object.hasOwn(LANGUAGES, saved) ? saved : detectLanguage(navigator.languages ?? [navigator.language]);
+}
+
+function saveLanguageChoice(language) {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, language);
+  } catch { /* ignore */ }
+}
+
+// Reopen the free-play, time-attack or versus board after a reload, at the
+// difficulty and in the language it was started with (sessions saved before
+// those were kept take the player's choice); otherwise start on today's daily.
+function getInitialSession() {
+  const { id, custom } = loadDifficultyChoice();
+  const difficulty = getDifficulty(id, custom);
+  const language = loadLanguageChoice();
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (["free", "timeattack", "versus"].includes(saved?.mode) && saved.seed) {
+      const boardDifficulty = saved.difficulty ? getDifficulty(saved.difficulty, saved.custom) : difficulty;
+      const boardLanguage = Object.hasOwn(LANGUAGES, saved.language) ? saved.language : language;
+      return createSession(saved.mode, boardDifficulty, boardLanguage, saved.seed);
+    }
+  } catch { /* ignore */ }
+  return createSession("daily", difficulty, language);
+}
+
+// A puzzle link in the URL wins over everything else. A broken one still
+// starts the usual session, with the error to show in front of it.
+function getStartup() {
+  const code = readLinkCode(window.location);
+  if (code) {
+    try {
+      return { session: createLinkSession(code), linkError: null };
+    } catch (error) {
+      return { session: getInitialSession(), linkError: error.message };
+    }
+  }
+  return { session: getInitialSession(), linkError: null };
+}
+
+function clearLinkFromUrl() {
+  if (readLinkCode(window.location)) window.history.replaceState(null, "", window.location.pathname);
+}
+
+// Each daily puzzle and shared link keeps its own save so finishing one leaves
+// the others alone; free play and time attack have a single slot each (per
+// language) that the next board replaces.
+function getSaveKey({ mode, id, language }) {
+  return mode === "free" || mode === "timeattack"
+    ? `${GAME_CONFIG.STORAGE_KEY}:${getLanguageScope(language)}${mode}`
+    : `${GAME_CONFIG.STORAGE_KEY}:${id}`;
+}
+
+// The board saved for a session, clues included, so a reload doesn't need the
+// word source (or its definitions) again.
+function loadSavedPuzzle(session) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getSaveKey(session)))?.puzzle;
+    return saved?.id === session.id ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+// Stats are kept per language, mode and difficulty: daily streaks count days,
+// free-play streaks count games. Shared links count as free play.
+function getStatsKey({ mode, difficulty, language }) {
+  const suffix = difficulty.id === DEFAULT_DIFFICULTY ? "" : `:${difficulty.id}`;
+  return `${GAME_CONFIG.STORAGE_KEY}:${getLanguageScope(language)}stats:${mode === "link" ? "free" : mode}${suffix}`;
+}
+
+function loadStats(session) {
+  try {
+    const raw = localStorage.getItem(getStatsKey(session));
+    if (raw) return { ...createStats(), ...JSON.parse(raw) };
+  } catch { /* ignore */ }
+  return createStats();
+}
+
+function saveStats(session, stats) {
+  try {
+    localStorage.setItem(getStatsKey(session), JSON.stringify(stats));
+  } catch { /* ignore */ }
+}
+
+// Who this browser is in versus rooms. The id outlives reloads, so a player
+// who comes back rejoins the race as themselves.
+const PLAYER_KEY = `${GAME_CONFIG.STORAGE_KEY}:versus:player`;
+
+function savePlayer(player) {
+  try {
+    localStorage.setItem(PLAYER_KEY, JSON.stringify(player));
+  } catch { /* ignore */ }
+}
+
+function loadPlayer() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYER_KEY));
+    if (saved?.id) return { id: saved.id, name: saved.name ?? "" };
+  } catch { /* ignore */ }
+  const player = { id: randomSeed(), name: "" };
+  savePlayer(player);
+  return player;
+}
+
+// The time-attack run outlives its boards, so it's saved on its own.
+const RUN_KEY = `${GAME_CONFIG.STORAGE_KEY}:timeattack:run`;
+
+function loadRun() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RUN_KEY));
+    if (saved?.clock) return { ...saved, clock: { ...saved.clock, startedAt: null } };
+  } catch { /* ignore */ }
+  return createRun();
+}
+
+function saveRun(run) {
+  try {
+    localStorage.setItem(RUN_KEY, JSON.stringify({ ...run, clock: snapshotClock(run.clock) }));
+  } catch { /* ignore */ }
+}
+
+
 // =========================
-// UTILS
+// SETTINGS
 // =========================
-function getLetterPositions(p) {
-  const cells = [];
-  const { word: horizWord, x: startX, y: startY } = p.horizontal;
+// Player options, remembered between visits. All of them apply immediately.
+const SETTINGS_KEY = `${GAME_CONFIG.STORAGE_KEY}:settings`;
+const DEFAULT_SETTINGS = {
+  allowPartial: false, // casual play: submit with unfinished words
+  showTimer: false,
+  highContrast: false, // colour-blind friendly palette
+  theme: "system", // "light" | "dark" | "system"
+  reducedMotion: false, // replaced by the OS preference until the player chooses
+  keyboardLayout: DEFAULT_KEYBOARD, // see game/keyboards.js
+  showArrows: true,
+  vibration: true,
+  telemetry: false, // opt-in usage and error reports, see game/telemetry.js
+  assist: false, // the solver's word counts and suggestions, see game/solver.js
+};
 
-  // Horizontal
-  horizWord.split("").forEach((ch, i) => {
-    cells.push({ letter: ch, x: startX + i, y: startY });
-  });
+const mediaMatches = (query) => Boolean(window.matchMedia?.(query).matches);
 
-  // Verticals
-  p.verticals.forEach(({ word, intersectIndex }) => {
-    const anchorLetter = horizWord[intersectIndex];
-    const anchorX = startX + intersectIndex;
-    const anchorY = startY;
-    const intersectYIndex = word.indexOf(anchorLetter);
-    if (intersectYIndex === -1) return;
-
-    word.split("").forEach((ch, i) => {
-      const posY = anchorY - (intersectYIndex - i);
-      const posX = anchorX;
-      cells.push({ letter: ch, x: posX, y: posY });
-    });
-  });
+function loadSettings() {
+  const defaults = { ...DEFAULT_SETTINGS, reducedMotion: mediaMatches("(prefers-reduced-motion: reduce)") };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return defaults;
+  }
+}
 
-  const unique = new Map();
-  cells.forEach((c) => unique.set(`${c.x},${c.y}`, c));
-  return Array.from(unique.values());
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch { /* ignore */ }
 }
 
 // =========================
@@ -126,58 +334,51 @@ function getLetterPositions(p) {
 //   tracesSampleRate: 1.0,
 // });
 
-// Minimal AWS/Lambda-style logger (swap `/api/log` for your endpoint)
-async function logClientEvent(event) {
-  try {
-    await fetch("/api/log", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      keepalive: true,
-      body: JSON.stringify({
-        ...event,
-        ts: Date.now(),
-        ua: navigator.userAgent,
-        url: window.location.href,
-      }),
-    });
-  } catch {
-    // swallow
-  }
-}
+// Opt-in, batched event log (see game/telemetry.js); the Settings toggle is
+// the consent. Events wait in localStorage while offline.
+const telemetry = createTelemetry({
+  endpoint: "/api/log",
+  storage: window.localStorage,
+  sendBeacon: navigator.sendBeacon
+    ? (url, body) => navigator.sendBeacon(url, new Blob([body], { type: "application/json" }))
+    : null,
+  isOnline: () => navigator.onLine !== false,
+  consent: loadSettings().telemetry,
+  sampleRate: GAME_CONFIG.TELEMETRY_SAMPLE_RATE,
+  context: () => ({ ua: navigator.userAgent, url: window.location.href }),
+});
 
-// Global error hooks
+// Global error hooks, and sending what's queued before the page goes away
 if (typeof window !== "undefined") {
   window.addEventListener("error", (e) => {
-    logClientEvent({ type: "error", message: e.message, stack: e.error?.stack });
+    telemetry.trackError("error", { message: e.message, stack: e.error?.stack });
   });
   window.addEventListener("unhandledrejection", (e) => {
-    logClientEvent({ type: "unhandledrejection", reason: String(e.reason) });
+    telemetry.trackError("unhandledrejection", { message: String(e.reason) });
+  });
+  window.addEventListener("online", () => telemetry.flush());
+  window.addEventListener("pagehide", () => telemetry.flushBeacon());
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") telemetry.flushBeacon();
   });
 }
 
 // =========================
 // KEYBOARD COMPONENT
 // =========================
-const Keyboard = React.memo(function Keyboard({ onKeyPress, keyStates }) {
-  const keyboardLayout = [
-    ["Q", "W", "E", "R", "T", "Y", "U", "I", "O", "P", "Backspace"],
-    ["A", "S", "D", "F", "G", "H", "J", "K", "L", "ArrowUp", "Enter"],
-    ["Z", "X", "C", "V", "B", "N", "M", "ArrowLeft", "ArrowDown", "ArrowRight"]
-  ];
-
+const Keyboard = React.memo(function Keyboard({ onKeyPress, keyStates, palette, keyboardLayout, language }) {
   const getKeyColor = useCallback((key) => {
     const state = keyStates[key];
     switch (state) {
       case "correct":
-        return "bg-green-500 text-white";
       case "present":
-        return "bg-yellow-500 text-white";
+        return `${palette[state]} text-white`;
       case "incorrect":
-        return "bg-gray-100 text-gray-800"; // Default color for incorrect, keeping the red X overlay
+        return `${palette.incorrect} text-gray-800 dark:text-gray-100`; // keeping the red X overlay
       default:
-        return "bg-gray-100 text-gray-800";
+        return "bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100";
     }
-  }, [keyStates]);
+  }, [keyStates, palette]);
 
   return (
     <div className="flex flex-col items-center w-full max-w-2xl px-1">
@@ -186,9 +387,10 @@ const Keyboard = React.memo(function Keyboard({ onKeyPress, keyStates }) {
           {row.map((key) => (
             <button
               key={key}
-              className={`relative flex items-center justify-center h-10 mx-px text-sm font-bold uppercase rounded border border-gray-400 ${getKeyColor(key)}`}
+              className={`relative flex items-center justify-center h-10 mx-px text-sm font-bold uppercase rounded border border-gray-400 dark:border-gray-600 ${getKeyColor(key)}`}
               style={{ flex: key.length > 1 ? '1.5' : '1' }}
               onClick={() => onKeyPress({ key: key, preventDefault: () => {} })} // Pass mock event with preventDefault
+              aria-label={`${key.length > 1 ? translate(language, `key.${key}`) : key}${keyStates[key] ? `, ${getStateName(keyStates[key], language)}` : ""}`}
             >
               {key === "Backspace" ? "⌫" :
                key === "ArrowLeft" ? "←"
@@ -202,6 +404,9 @@ const Keyboard = React.memo(function Keyboard({ onKeyPress, keyStates }) {
                   X
                 </div>
               )}
+              {(keyStates[key] === 'correct' || keyStates[key] === 'present') && (
+                <span className="absolute top-0 right-0.5 text-xs leading-none" aria-hidden="true">{STATE_SYMBOLS[keyStates[key]]}</span>
+              )}
             </button>
           ))}
         </div>
@@ -213,68 +418,765 @@ const Keyboard = React.memo(function Keyboard({ onKeyPress, keyStates }) {
 // =========================
 // HELP MODAL COMPONENT
 // =========================
-const HelpModal = ({ onClose }) => {
+const HELP_LEGEND = [
+  { state: "correct", letter: "L" },
+  { state: "present", letter: "E" },
+  { state: "incorrect", letter: "T" },
+];
+
+const HelpModal = ({ onClose, palette, t }) => {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full relative">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-8 max-w-md w-full relative">
         <button
           onClick={onClose}
-          className="absolute top-2 right-2 text-gray-500 hover:text-gray-800 text-2xl font-bold"
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
         >
           &times;
         </button>
-        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>How to Play</h2>
-        <div className="space-y-4 text-gray-700">
-          <p>Guess the hidden words. There is 1 horizontal word and the rest are vertical, all interconnected, sharing letters.</p>
+        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("help.title")}</h2>
+        <div className="space-y-4 text-gray-700 dark:text-gray-200">
+          <p>{t("help.intro")}</p>
           <ul className="list-disc list-inside space-y-2">
-            <li>Click on a tile and type letters (A-Z). Use your keyboard or the on-screen one. Backspace clears a tile.</li>
-            <li>When you're ready, hit the "Submit" button to check your guesses.</li>
-            <li>You can use Tab/Shift+Tab or the arrow keys to move between tiles.</li>
+            {t("help.rules", { start: formatTime(TIME_ATTACK.startMs), bonus: formatTime(TIME_ATTACK.bonusMs) }).map((rule) => (
+              <li key={rule}>{rule}</li>
+            ))}
           </ul>
-          <div className="flex items-center space-x-2">
-            <div className="w-8 h-8 bg-green-500 text-white flex items-center justify-center font-bold rounded">L</div>
-            <span><b>Green</b>: The letter is in the word and in the correct spot.</span>
-          </div>
-          <div className="flex items-center space-x-2">
-            <div className="w-8 h-8 bg-yellow-500 text-white flex items-center justify-center font-bold rounded">E</div>
-            <span><b>Yellow</b>: The letter is in the word but in the wrong spot.</span>
+          {HELP_LEGEND.map(({ state, letter }) => (
+            <div key={state} className="flex items-center space-x-2">
+              <div className={`relative w-8 h-8 ${palette[state]} border border-gray-400 dark:border-gray-600 flex items-center justify-center font-bold rounded`}>
+                {letter}
+                <span className="absolute bottom-0 left-0.5 text-xs leading-none font-normal" aria-hidden="true">{STATE_SYMBOLS[state]}</span>
+              </div>
+              <span><b>{STATE_SYMBOLS[state]}</b> {t(`help.${state}`)}</span>
+            </div>
+          ))}
+          <p>{t("help.counting", { present: STATE_SYMBOLS.present })}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// =========================
+// STATS MODAL COMPONENT
+// =========================
+const StatsModal = ({ stats, title, today, maxAttempts, highlight, showRuns, onShare, onClose, t }) => {
+  const counts = Array.from({ length: maxAttempts }, (_, i) => stats.distribution[i + 1] || 0);
+  const maxCount = Math.max(1, ...counts);
+  const figures = [
+    [t("stats.played"), stats.played],
+    [t("stats.winPercent"), getWinPercentage(stats)],
+    [t("stats.streak"), getCurrentStreak(stats, today)],
+    [t("stats.maxStreak"), stats.bestStreak],
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-8 max-w-md w-full relative">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
+        >
+          &times;
+        </button>
+        <h2 className="text-2xl font-bold mb-1" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("stats.title")}</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{title}</p>
+        <div className="grid grid-cols-4 gap-2 text-center mb-6">
+          {figures.map(([label, value]) => (
+            <div key={label}>
+              <div className="text-3xl font-bold">{value}</div>
+              <div className="text-xs text-gray-600 dark:text-gray-300">{label}</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          {t("stats.bestScore")}: <b>{stats.bestScore}</b> · {t("stats.hintsUsed")}: <b>{stats.hintsUsed}</b>
+          {stats.timedWins > 0 && (
+            <>
+              <br />
+              {t("stats.bestTime")}: <b>{formatTime(stats.bestTime)}</b> · {t("stats.averageTime")}: <b>{formatTime(getAverageTime(stats))}</b>
+            </>
+          )}
+          {showRuns && (
+            <>
+              <br />
+              {t("stats.bestRun")}: <b>{t("common.boards", { count: stats.bestRun })}</b>
+            </>
+          )}
+        </p>
+        <h3 className="font-bold mb-2">{t("stats.distribution")}</h3>
+        <div className="space-y-1">
+          {counts.map((count, i) => (
+            <div key={i} className="flex items-center space-x-2 text-sm">
+              <span className="w-4 text-right">{i + 1}</span>
+              <div
+                className={`text-right text-white font-bold px-2 rounded ${highlight === i + 1 ? "bg-green-500" : "bg-gray-500"}`}
+                style={{ width: `${Math.max(8, (count / maxCount) * 100)}%` }}
+              >
+                {count}
+              </div>
+            </div>
+          ))}
+        </div>
+        {onShare && (
+          <button
+            onClick={onShare}
+            className="mt-6 w-full px-4 py-2 bg-green-500 text-white font-bold rounded border border-gray-400 dark:border-gray-600 hover:bg-green-700"
+          >
+            {t("action.share")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// =========================
+// SETTINGS MODAL COMPONENT
+// =========================
+const SettingsModal = ({ settings, onChange, onClose, t }) => {
+  const checkbox = (name, label, hint) => (
+    <label className="flex items-start space-x-2">
+      <input
+        type="checkbox"
+        className="mt-1"
+        checked={settings[name]}
+        onChange={(e) => onChange({ [name]: e.target.checked })}
+      />
+      <span>
+        {label}
+        {hint && <span className="block text-sm text-gray-500 dark:text-gray-400">{hint}</span>}
+      </span>
+    </label>
+  );
+  const selectClass = "ml-2 px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" role="dialog" aria-modal="true" aria-label={t("settings.title")}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-8 max-w-md w-full max-h-full overflow-y-auto relative">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
+          aria-label={t("action.close")}
+        >
+          &times;
+        </button>
+        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("settings.title")}</h2>
+        <div className="space-y-3 text-gray-700 dark:text-gray-200">
+          <label className="block">
+            {t("settings.theme")}
+            <select className={selectClass} value={settings.theme} onChange={(e) => onChange({ theme: e.target.value })}>
+              {["system", "light", "dark"].map((theme) => (
+                <option key={theme} value={theme}>{t(`settings.theme.${theme}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            {t("settings.keyboard")}
+            <select
+              className={selectClass}
+              value={settings.keyboardLayout}
+              onChange={(e) => onChange({ keyboardLayout: e.target.value })}
+            >
+              {Object.entries(KEYBOARD_LAYOUTS).map(([id, layout]) => (
+                <option key={id} value={id}>{layout.label}</option>
+              ))}
+            </select>
+          </label>
+          {checkbox("showArrows", t("settings.showArrows"))}
+          {checkbox("reducedMotion", t("settings.reducedMotion"), t("settings.reducedMotionHint"))}
+          {checkbox("highContrast", t("settings.highContrast"), t("settings.highContrastHint"))}
+          {checkbox("vibration", t("settings.vibration"), t("settings.vibrationHint"))}
+          {checkbox("showTimer", t("settings.showTimer"))}
+          {checkbox("allowPartial", t("settings.casual"), t("settings.casualHint"))}
+          {checkbox("assist", t("settings.assist"), t("settings.assistHint"))}
+          {checkbox("telemetry", t("settings.telemetry"), t("settings.telemetryHint"))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// =========================
+// CUSTOM DIFFICULTY MODAL COMPONENT
+// =========================
+const CustomDifficultyModal = ({ initial, onSave, onClose, language, t }) => {
+  const [lengths, setLengths] = useState((initial?.verticalLengths ?? [6, 5, 5, 4, 4, 4]).join(", "));
+  const [attempts, setAttempts] = useState(String(initial?.maxAttempts ?? 6));
+  const custom = {
+    verticalLengths: lengths.split(/[\s,]+/).filter(Boolean).map(Number),
+    maxAttempts: Number(attempts),
+  };
+  const error = validateCustomDifficulty(custom, language);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-8 max-w-md w-full relative">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
+        >
+          &times;
+        </button>
+        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("custom.title")}</h2>
+        <div className="space-y-4 text-gray-700 dark:text-gray-200">
+          <label className="block">
+            <span>{t("custom.lengths")}</span>
+            <input
+              className="mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded"
+              value={lengths}
+              onChange={(e) => setLengths(e.target.value)}
+            />
+          </label>
+          <label className="block">
+            <span>{t("custom.attempts")}</span>
+            <input
+              type="number"
+              className="mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded"
+              value={attempts}
+              onChange={(e) => setAttempts(e.target.value)}
+            />
+          </label>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t("custom.note", { length: custom.verticalLengths.length })}
+          </p>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            onClick={() => onSave(custom)}
+            disabled={Boolean(error)}
+            className="w-full px-4 py-2 bg-purple-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-purple-700 disabled:opacity-50"
+          >
+            {t("action.play")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// =========================
+// VERSUS MODAL COMPONENT
+// =========================
+// Open a room, or join one by its code. A player joining waits here until
+// someone in the room says which board it plays.
+const VersusModal = ({ name, joining, onCreate, onJoin, onCancel, onClose, t }) => {
+  const [playerName, setPlayerName] = useState(name);
+  const [code, setCode] = useState("");
+  const room = normalizeRoomCode(code);
+  const inputClass = "mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" role="dialog" aria-modal="true" aria-label={t("versus.title")}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-8 max-w-md w-full relative">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
+          aria-label={t("action.close")}
+        >
+          &times;
+        </button>
+        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("versus.title")}</h2>
+        <div className="space-y-4 text-gray-700 dark:text-gray-200">
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t("versus.intro")}</p>
+          <label className="block">
+            <span>{t("versus.name")}</span>
+            <input className={inputClass} value={playerName} maxLength={24} onChange={(e) => setPlayerName(e.target.value)} />
+          </label>
+          {joining ? (
+            <>
+              <p role="status">{t("versus.joining", { code: joining })}</p>
+              <button
+                onClick={onCancel}
+                className="w-full px-4 py-2 bg-gray-100 dark:bg-gray-700 rounded border border-gray-400 dark:border-gray-600 hover:bg-gray-300 dark:hover:bg-gray-600"
+              >
+                {t("versus.cancel")}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => onCreate(playerName.trim())}
+                className="w-full px-4 py-2 bg-red-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-red-700"
+              >
+                {t("versus.create")}
+              </button>
+              <form
+                className="flex items-end space-x-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (room) onJoin(room, playerName.trim());
+                }}
+              >
+                <label className="block flex-grow">
+                  <span>{t("versus.code")}</span>
+                  <input className={`${inputClass} uppercase tracking-widest`} value={code} onChange={(e) => setCode(e.target.value)} />
+                </label>
+                <button
+                  type="submit"
+                  disabled={!room}
+                  className="px-4 py-1 bg-blue-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {t("versus.join")}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// =========================
+// RACE PANEL COMPONENT
+// =========================
+// Everyone in the versus room and how far they've got: attempts and cells
+// right in their last submission, never their letters (see game/versus.js).
+const RacePanel = ({ race, onLeave, t }) => {
+  const winner = race.players.find((player) => player.id === race.winner);
+  const describe = ({ progress }) => {
+    if (!progress) return t("versus.waiting");
+    if (progress.solved) return t("versus.solved", { attempts: progress.attempts });
+    if (progress.over) return t("versus.out");
+    return t("versus.progress", { correct: progress.correct, total: progress.total, attempts: progress.attempts, max: progress.maxAttempts });
+  };
+
+  return (
+    <section className="w-full max-w-2xl px-4 mt-1 text-sm text-gray-700 dark:text-gray-200" aria-label={t("versus.panel")}>
+      <div className="flex justify-between items-center">
+        <p>
+          {t("versus.room", { code: race.room })} · <span className={race.status === "open" ? "" : "text-red-600"}>{t(`versus.status.${race.status}`)}</span>
+        </p>
+        <button onClick={onLeave} className="underline">{t("versus.leave")}</button>
+      </div>
+      <ul>
+        {race.players.map((player) => (
+          <li key={player.id} className={`flex items-center space-x-2 ${player.online ? "" : "opacity-50"}`}>
+            <span className="w-24 truncate font-bold">{player.self ? t("versus.you") : player.name || t("versus.anonymous")}</span>
+            <span
+              className="flex-grow h-2 bg-gray-300 dark:bg-gray-700 rounded overflow-hidden"
+              role="progressbar"
+              aria-label={player.self ? t("versus.you") : player.name || t("versus.anonymous")}
+              aria-valuemin={0}
+              aria-valuemax={player.progress?.total ?? 1}
+              aria-valuenow={player.progress?.correct ?? 0}
+            >
+              <span
+                className="block h-2 bg-green-500"
+                style={{ width: `${player.progress ? (player.progress.correct / player.progress.total) * 100 : 0}%` }}
+              />
+            </span>
+            <span className="w-40 text-right">
+              {describe(player)}
+              {!player.online && ` · ${t("versus.away")}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {winner && (
+        <p className={`font-bold ${winner.self ? "text-green-600" : "text-red-600"}`} role="status">
+          {winner.self ? t("versus.youWon") : t("versus.theyWon", { name: winner.name || t("versus.anonymous") })}
+        </p>
+      )}
+    </section>
+  );
+};
+
+// =========================
+// PUZZLE BUILDER COMPONENT
+// =========================
+// Editor for hand-made boards: an across word, then a down word per letter.
+// The preview is drawn from the same layout code as the game; cells named by
+// an error are red, cells named by a warning yellow.
+const PREVIEW_TILE = 22;
+
+const PuzzleBuilder = ({ language, onPlay, onCopyLink, onClose, t }) => {
+  const [draft, setDraft] = useState(() => createDraft());
+  const [attempts, setAttempts] = useState("6");
+  const { puzzle, errors, warnings } = checkDraft(draft, language);
+  const maxAttempts = Number(attempts);
+  const attemptsError = Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= MAX_ATTEMPTS_LIMIT
+    ? null
+    : t("builder.attemptsError", { max: MAX_ATTEMPTS_LIMIT });
+  const playable = errors.length === 0 && !attemptsError;
+  const getCode = () => encodePuzzleLink({ puzzle, difficulty: { id: "custom", maxAttempts }, language: language.id });
+
+  const cells = getLetterPositions(puzzle);
+  const minX = Math.min(0, ...cells.map((c) => c.x));
+  const minY = Math.min(0, ...cells.map((c) => c.y));
+  const errorCells = new Set(errors.flatMap((issue) => issue.cells));
+  const warningCells = new Set(warnings.flatMap((issue) => issue.cells));
+  // Letter by letter, so one stray character doesn't throw away the whole word
+  const toLetters = (value) => [...value].map((ch) => normalizeWord(ch, language.alphabet) ?? "").join("");
+
+  const setVertical = (i, change) =>
+    setDraft((prev) => ({
+      ...prev,
+      verticals: prev.verticals.map((v, j) => (j === i ? { ...v, ...change } : v)),
+    }));
+
+  const handleDownload = () => {
+    const json = JSON.stringify({ puzzle, difficulty: { id: "custom", maxAttempts }, language: language.id }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `searchle-${draft.spine.toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const buttonClass = "px-4 py-2 text-white rounded border border-gray-400 dark:border-gray-600 disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto relative">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 text-2xl font-bold"
+        >
+          &times;
+        </button>
+        <h2 className="text-2xl font-bold mb-4" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("builder.title")}</h2>
+        <div className="flex flex-col md:flex-row md:space-x-6 text-gray-700 dark:text-gray-200">
+          <div className="flex-1 space-y-3">
+            <label className="block">
+              <span>{t("builder.across")}</span>
+              <input
+                className="mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded uppercase"
+                value={draft.spine}
+                maxLength={MAX_WORD_LENGTH}
+                onChange={(e) => setDraft((prev) => setDraftSpine(prev, toLetters(e.target.value)))}
+              />
+            </label>
+            {draft.verticals.map((vertical, i) => {
+              const letter = draft.spine[i];
+              const options = getCrossingOptions(vertical.word, letter);
+              const crossIndex = options.includes(vertical.crossIndex) ? vertical.crossIndex : options[0];
+              return (
+                <div key={i}>
+                  <label className="block">
+                    <span>{t("builder.down", { number: i + 1, letter })}</span>
+                    <input
+                      className="mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded uppercase"
+                      value={vertical.word}
+                      maxLength={MAX_WORD_LENGTH}
+                      onChange={(e) => setVertical(i, { word: toLetters(e.target.value) })}
+                    />
+                  </label>
+                  {options.length > 1 && (
+                    <div className="mt-1 flex items-center space-x-1 text-sm">
+                      <span>{t("builder.crossOn")}</span>
+                      {vertical.word.split("").map((ch, j) => (
+                        <button
+                          key={j}
+                          disabled={ch !== letter}
+                          onClick={() => setVertical(i, { crossIndex: j })}
+                          className={`w-6 h-6 rounded border border-gray-400 dark:border-gray-600 disabled:opacity-30 ${j === crossIndex ? "bg-purple-500 text-white" : "bg-white dark:bg-gray-800"}`}
+                          aria-label={t("builder.crossLabel", { number: i + 1, index: j + 1 })}
+                        >
+                          {ch}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            <label className="block">
+              <span>{t("custom.attempts")}</span>
+              <input
+                type="number"
+                className="mt-1 w-full px-2 py-1 border border-gray-400 dark:border-gray-600 dark:bg-gray-700 rounded"
+                value={attempts}
+                onChange={(e) => setAttempts(e.target.value)}
+              />
+            </label>
           </div>
-          <div className="flex items-center space-x-2">
-            <div className="w-8 h-8 bg-gray-100 border border-gray-400 flex items-center justify-center font-bold rounded">T</div>
-            <span><b>Grey</b>: The letter is not in the word.</span>
+          <div className="flex-1 mt-4 md:mt-0">
+            <div className="relative mx-auto" style={{ height: (Math.max(0, ...cells.map((c) => c.y)) - minY + 1) * PREVIEW_TILE }}>
+              {cells.map((cell) => {
+                const key = `${cell.x},${cell.y}`;
+                const bg = errorCells.has(key) ? "bg-red-300" : warningCells.has(key) ? "bg-yellow-200" : "bg-gray-100 dark:bg-gray-800";
+                return (
+                  <div
+                    key={key}
+                    className={`absolute flex items-center justify-center border border-gray-400 dark:border-gray-600 text-xs font-bold ${bg}`}
+                    style={{
+                      left: (cell.x - minX) * PREVIEW_TILE,
+                      top: (cell.y - minY) * PREVIEW_TILE,
+                      width: PREVIEW_TILE,
+                      height: PREVIEW_TILE,
+                    }}
+                  >
+                    {cell.letter}
+                  </div>
+                );
+              })}
+            </div>
+            <ul className="mt-3 space-y-1 text-sm">
+              {[...errors, ...(attemptsError ? [{ message: attemptsError }] : [])].map((issue) => (
+                <li key={issue.message} className="text-red-600">{issue.message}</li>
+              ))}
+              {warnings.map((issue) => (
+                <li key={issue.message} className="text-yellow-700">{issue.message}</li>
+              ))}
+            </ul>
           </div>
         </div>
+        <div className="mt-4 flex flex-wrap justify-center gap-2">
+          <button onClick={() => onPlay(getCode())} disabled={!playable} className={`${buttonClass} bg-purple-500 hover:bg-purple-700`}>
+            {t("action.play")}
+          </button>
+          <button onClick={() => onCopyLink(getCode())} disabled={!playable} className={`${buttonClass} bg-green-500 hover:bg-green-700`}>
+            {t("header.copyLinkShort")}
+          </button>
+          <button onClick={handleDownload} disabled={!playable} className={`${buttonClass} bg-blue-500 hover:bg-blue-700`}>
+            {t("builder.download")}
+          </button>
+        </div>
       </div>
     </div>
   );
 };
 
+// =========================
+// HINT MENU COMPONENT
+// =========================
+// Options for the active cell; `slots` are the word(s) running through it.
+const HintMenu = ({ slots, canRevealLetter, onHint, onClose, t }) => {
+  const buttonClass = "px-3 py-1 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded border border-gray-400 dark:border-gray-600 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50 text-sm";
+  return (
+    <div className="mb-2 p-2 bg-gray-200 dark:bg-gray-700 rounded flex flex-wrap justify-center gap-2 items-center">
+      {slots.length === 0 ? (
+        <span className="text-sm text-gray-600 dark:text-gray-300">{t("hint.select")}</span>
+      ) : (
+        <>
+          <button className={buttonClass} onClick={() => onHint("letter")} disabled={!canRevealLetter}>
+            {t("hint.letter", { penalty: HINT_PENALTIES.letter })}
+          </button>
+          <button className={buttonClass} onClick={() => onHint("check")}>
+            {t("hint.check", { count: slots.length, penalty: HINT_PENALTIES.check })}
+          </button>
+          {slots.map((slot) => (
+            <button key={slot.id} className={buttonClass} onClick={() => onHint("word", slot.id)}>
+              {t(`hint.word.${slot.direction}`, { penalty: HINT_PENALTIES.word })}
+            </button>
+          ))}
+        </>
+      )}
+      <button className="text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 font-bold px-2" onClick={onClose} aria-label={t("hint.close")}>
+        &times;
+      </button>
+    </div>
+  );
+};
+
+// =========================
+// ASSIST PANEL COMPONENT
+// =========================
+// How many dictionary words still fit each word (game/solver.js), and the
+// best guesses for the one picked. `candidates` is null while they're worked out.
+const ASSIST_SUGGESTIONS = 24;
+
+const AssistPanel = ({ slots, candidates, selectedId, onSelect, onClose, language, t }) => {
+  const buttonClass = "px-3 py-1 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded border border-gray-400 dark:border-gray-600 hover:bg-gray-200 dark:hover:bg-gray-700 text-sm aria-pressed:bg-yellow-100 dark:aria-pressed:bg-yellow-900";
+  const selected = slots.find((slot) => slot.id === selectedId) ?? slots[0];
+  const words = candidates?.[selected?.id] ?? [];
+  return (
+    <section className="mb-2 p-2 w-full max-w-2xl bg-gray-200 dark:bg-gray-700 rounded text-sm" aria-label={t("assist.title")}>
+      <div className="flex flex-wrap justify-center gap-2 items-center">
+        {slots.map((slot) => (
+          <button key={slot.id} className={buttonClass} aria-pressed={slot.id === selected.id} onClick={() => onSelect(slot.id)}>
+            {getSlotLabel(slot, language)}: {candidates ? t("assist.count", { count: candidates[slot.id].length }) : "…"}
+          </button>
+        ))}
+        <button className="text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 font-bold px-2" onClick={onClose} aria-label={t("assist.close")}>
+          &times;
+        </button>
+      </div>
+      {!candidates ? (
+        <p className="mt-2 text-center text-gray-600 dark:text-gray-300" role="status">{t("assist.loading")}</p>
+      ) : words.length === 0 ? (
+        <p className="mt-2 text-center text-gray-600 dark:text-gray-300">{t("assist.none")}</p>
+      ) : (
+        <ul className="mt-2 flex flex-wrap justify-center gap-1 font-mono" aria-label={t("assist.suggestions", { word: getSlotLabel(selected, language) })}>
+          {words.slice(0, ASSIST_SUGGESTIONS).map((word) => (
+            <li key={word} className="px-1 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded">{word}</li>
+          ))}
+          {words.length > ASSIST_SUGGESTIONS && (
+            <li className="px-1 text-gray-600 dark:text-gray-300">{t("assist.more", { count: words.length - ASSIST_SUGGESTIONS })}</li>
+          )}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+// =========================
+// CLUE COMPONENTS
+// =========================
+// The clue for the word being typed, shown under the grid.
+const ActiveClue = ({ slot, language }) => (
+  <div className="min-h-[3rem] w-full max-w-2xl mx-auto px-4 text-center text-gray-700 dark:text-gray-200">
+    {slot && (
+      <p>
+        <span className="font-bold">{getSlotLabel(slot, language)}:</span> {slot.clue}
+      </p>
+    )}
+  </div>
+);
+
+// Every clue on the board, beside the grid on wider screens.
+const CluePanel = ({ slots, activeIds, t }) => {
+  const groups = [
+    { title: t("clue.across"), slots: slots.filter((slot) => slot.direction === "across") },
+    { title: t("clue.downHeading"), slots: slots.filter((slot) => slot.direction === "down") },
+  ];
+  return (
+    <aside className="hidden md:block w-64 ml-8 text-sm text-gray-700 dark:text-gray-200" aria-label={t("clue.panel")}>
+      {groups.map((group) => (
+        <div key={group.title} className="mb-3">
+          <h2 className="font-bold">{group.title}</h2>
+          <ul>
+            {group.slots.map((slot) => (
+              <li key={slot.id} className={`px-1 rounded ${activeIds.includes(slot.id) ? "bg-yellow-100 dark:bg-yellow-900" : ""}`}>
+                {slot.direction === "down" && <span className="font-bold">{getSlotNumber(slot)}. </span>}
+                {slot.clue}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </aside>
+  );
+};
+
+// =========================
+// CLOCK COMPONENT
+// =========================
+// Re-renders itself while the clock runs. With a `budget` it counts down.
+const ClockDisplay = ({ clock, budget = null, t }) => {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (clock.startedAt === null) return;
+    const interval = setInterval(() => setTick((t) => t + 1), 250);
+    return () => clearInterval(interval);
+  }, [clock.startedAt]);
+
+  const elapsed = getElapsed(clock);
+  // Round the countdown up, so it only reads 0:00 once time has run out
+  const shown = budget === null ? elapsed : Math.ceil(Math.max(0, budget - elapsed) / 1000) * 1000;
+  return <span className="font-mono" aria-label={t(budget === null ? "clock.time" : "clock.left")}>⏱ {formatTime(shown)}</span>;
+};
+
+// =========================
+// HISTORY PANEL COMPONENT
+// =========================
+// Steps the board back through earlier submissions; `viewIndex` null is the live board.
+const HistoryPanel = ({ history, viewIndex, onView, t }) => {
+  if (history.length === 0) return null;
+  const index = viewIndex ?? history.length - 1;
+  const viewing = viewIndex !== null;
+  const buttonClass = "w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded font-bold hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50";
+
+  return (
+    <div className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300">
+      <button className={buttonClass} onClick={() => onView(index - 1)} disabled={index === 0} aria-label={t("history.previous")}>
+        ‹
+      </button>
+      <span>
+        {viewing ? t("history.attempt", { index: index + 1, total: history.length }) : t("history.live")}
+        {viewing && ` · ${new Date(history[index].ts).toLocaleTimeString()}`}
+      </span>
+      <button
+        className={buttonClass}
+        onClick={() => onView(index + 1 < history.length ? index + 1 : null)}
+        disabled={!viewing}
+        aria-label={t("history.next")}
+      >
+        ›
+      </button>
+      {!viewing && (
+        <button className="underline hover:text-gray-800 dark:hover:text-gray-100" onClick={() => onView(history.length - 1)}>
+          {t("history.open")}
+        </button>
+      )}
+      {viewing && (
+        <button className="underline hover:text-gray-800 dark:hover:text-gray-100" onClick={() => onView(null)}>
+          {t("history.back")}
+        </button>
+      )}
+    </div>
+  );
+};
+
 // =========================
 // CELL (Memoized for perf)
 // =========================
+// Shared by tiles and keyboard. Incorrect and default (unguessed) blocks are
+// light grey. The high-contrast set swaps green/yellow for orange/blue, which
+// stay apart for the common kinds of colour blindness.
+const PALETTES = {
+  standard: { correct: "bg-green-500", present: "bg-yellow-500", incorrect: "bg-gray-100 dark:bg-gray-800" },
+  contrast: { correct: "bg-orange-500", present: "bg-sky-500", incorrect: "bg-gray-300 dark:bg-gray-600" },
+};
+
 const Cell = React.memo(function Cell({
-  x, y, offsetX, offsetY, TILE, isActive, onClick, value, state, revealIndex
+  x, y, offsetX, offsetY, TILE, isActive, inActiveWord, onClick, value, state, across, down, revealed, revealIndex, invalid, shake,
+  palette, label, focusable, onFocus, t,
 }) {
+  const controls = useAnimationControls();
+  const ref = useRef(null);
+
+  // Keyboard focus follows the cursor, unless the player is busy elsewhere (a modal, a button)
+  useEffect(() => {
+    const focused = document.activeElement;
+    if (isActive && (!focused || focused === document.body || focused.getAttribute("role") === "gridcell")) {
+      ref.current?.focus({ preventScroll: true });
+    }
+  }, [isActive]);
+
+  // bounce a tiny bit on type
+  useEffect(() => {
+    controls.start({ scale: value ? 1.04 : 1, transition: { type: "spring", stiffness: 400, damping: 20, mass: 0.5 } });
+  }, [controls, value]);
+
+  // `shake` changes on every rejected submission that includes this cell
+  useEffect(() => {
+    if (shake) controls.start({ x: [0, -6, 6, -4, 4, 0], transition: { duration: 0.4 } });
+  }, [controls, shake]);
+
   // Animation variants
   const flip = {
     initial: { rotateX: 0 },
     reveal: { rotateX: [0, 90, 0] },
   };
 
+  // Crossing cells are scored once per word; when the results differ the tile
+  // is split diagonally: across in the top-left half, down in the bottom-right.
+  const split = Boolean(across && down && across !== down);
+
   // Color by state
-  const bg =
-    state === "correct"
-      ? "bg-green-500" // Matches keyboard correct
-      : state === "present"
-      ? "bg-yellow-500" // Matches keyboard present
-      : "bg-gray-100"; // Incorrect and default (unguessed) blocks are light grey
+  const bg = palette[split ? across : state] ?? palette.incorrect;
+  const symbolClass = "absolute text-xs leading-none font-normal z-10 pointer-events-none";
 
   return (
    <motion.div
+      ref={ref}
+      role="gridcell"
+      aria-colindex={x - offsetX + 1}
+      aria-label={label}
+      aria-selected={isActive}
+      tabIndex={focusable ? 0 : -1}
+      onFocus={onFocus}
+      // Clicks select through onClick; skipping the mouse focus keeps a click from selecting twice
+      onMouseDown={(e) => e.preventDefault()}
        onClick={onClick}
-      className={`absolute flex items-center justify-center border font-bold shadow-sm cursor-pointer transition-all ${
-        isActive ? "bg-blue-200 border-blue-400" : `border-gray-400 ${bg}`
-      }`}
+      title={split ? t("cell.title", { across: t(`state.${across}`), down: t(`state.${down}`) }) : undefined}
+      className={`absolute flex items-center justify-center border font-bold shadow-sm cursor-pointer transition-all outline-none focus-visible:ring-2 focus-visible:ring-blue-600 ${
+        isActive ? "bg-blue-200 dark:bg-blue-800 border-blue-400" : `border-gray-400 dark:border-gray-600 ${bg}`
+      } ${invalid ? "ring-2 ring-red-500 z-10" : ""}`}
       style={{
         // Inset the tile slightly to create a gap
         left: `${(x - offsetX) * TILE + 2}px`,
@@ -285,10 +1187,37 @@ const Cell = React.memo(function Cell({
         textTransform: "uppercase",
         perspective: 600,
       }}
-      // bounce a tiny bit on type
-      animate={{ scale: value ? 1.04 : 1 }}
-      transition={{ type: "spring", stiffness: 400, damping: 20, mass: 0.5 }}
+      animate={controls}
     >
+      {revealed && (
+        // Letters given away by a hint are locked; the corner notch marks them
+        <div
+          className="absolute top-0 right-0 w-0 h-0 border-t-8 border-l-8 border-t-purple-500 border-l-transparent z-10"
+          aria-hidden="true"
+        />
+      )}
+      {split && !isActive && (
+        <div
+          className={`absolute inset-0 ${palette[down]}`}
+          style={{ clipPath: "polygon(100% 0, 100% 100%, 0 100%)" }}
+          aria-hidden="true"
+        />
+      )}
+      {state && !isActive && (
+        // Symbols repeat the colours: one per half on split tiles
+        split ? (
+          <>
+            <span className={`${symbolClass} top-0.5 left-0.5`} aria-hidden="true">{STATE_SYMBOLS[across]}</span>
+            <span className={`${symbolClass} bottom-0.5 right-0.5`} aria-hidden="true">{STATE_SYMBOLS[down]}</span>
+          </>
+        ) : (
+          <span className={`${symbolClass} bottom-0.5 left-0.5`} aria-hidden="true">{STATE_SYMBOLS[state]}</span>
+        )
+      )}
+      {inActiveWord && !isActive && (
+        // Tint the rest of the word being typed without hiding its colours
+        <div className="absolute inset-0 bg-blue-300 opacity-30" aria-hidden="true" />
+      )}
       <AnimatePresence>
         <motion.div
           key={`${state}-${revealIndex ?? "idle"}`}
@@ -297,6 +1226,7 @@ const Cell = React.memo(function Cell({
           animate={state ? "reveal" : "initial"}
           transition={{ duration: 0.35, delay: (revealIndex ?? 0) * 0.07 }}
           style={{
+            position: "relative",
             width: "100%",
             height: "100%",
             display: "grid",
@@ -305,7 +1235,7 @@ const Cell = React.memo(function Cell({
             borderRadius: "0",
           }}
         >
-          {value}
+          <span aria-hidden="true">{value}</span>
          </motion.div>
       </AnimatePresence>
     </motion.div>
@@ -315,12 +1245,85 @@ const Cell = React.memo(function Cell({
 // =========================
 // MAIN APP
 // =========================
-export default function App() {
+// `wordSource` pins one source for every language (tests); otherwise each
+// language gets its own from `getWordSource`.
+export default function App({
+  wordSource: fixedWordSource = null,
+  getWordSource = getDefaultWordSource,
+  puzzlePool = defaultPuzzlePool,
+  createTransport = createDefaultTransport,
+}) {
   const [puzzle, setPuzzle] = useState(null);
   const [loading, setLoading] = useState(true);
   const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
   const [displayProgress, setDisplayProgress] = useState({ current: 0, total: 0 });
   const [showHelp, setShowHelp] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [statsDue, setStatsDue] = useState(false); // open stats once the final reveal has played
+  const [notice, setNotice] = useState(""); // short-lived toast, e.g. "Copied to clipboard"
+  const [showCustom, setShowCustom] = useState(false);
+  const [showBuilder, setShowBuilder] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [run, setRun] = useState(loadRun); // time-attack run, see game/timer.js
+  const [showVersus, setShowVersus] = useState(false);
+  const [player, setPlayer] = useState(loadPlayer); // { id, name } in versus rooms
+  const [joiningRoom, setJoiningRoom] = useState(null); // a room code waiting to hear its board
+  const [race, setRace] = useState(null); // the versus room's race, see game/versus.js
+  const [raceState, setRaceState] = useState(null); // its getState()
+  const [boardDue, setBoardDue] = useState(false); // load the next time-attack board after the reveal
+  const [pageVisible, setPageVisible] = useState(() => document.visibilityState !== "hidden");
+  const [startup] = useState(getStartup);
+  const [session, setSession] = useState(startup.session);
+  const [linkError, setLinkError] = useState(startup.linkError);
+  const [generationError, setGenerationError] = useState(null); // message of the last failed generation
+  const [generationTick, setGenerationTick] = useState(0); // bump to retry it
+  const [offline, setOffline] = useState(false); // chosen on the error screen, lasts the visit
+  const [stats, setStats] = useState(() => loadStats(session));
+  const language = getLanguage(session.language);
+  const t = useCallback((key, values) => translate(language, key, values), [language]);
+  const wordSource = useMemo(
+    () => (offline ? getOfflineWordSource(session.language) : fixedWordSource ?? getWordSource(session.language)),
+    [offline, fixedWordSource, getWordSource, session.language]
+  );
+
+  useEffect(() => {
+    setStats(loadStats(session));
+  }, [session]);
+
+  useEffect(() => {
+    if (!statsDue) return;
+    const timer = setTimeout(() => {
+      setShowStats(true);
+      setStatsDue(false);
+    }, 1500);
+    return () => clearTimeout(timer);
+  }, [statsDue]);
+
+  useEffect(() => {
+    if (!boardDue) return;
+    const timeout = setTimeout(() => {
+      setBoardDue(false);
+      setSession((current) => {
+        const next = createSession("timeattack", current.difficulty, current.language);
+        localStorage.removeItem(getSaveKey(next));
+        return next;
+      });
+    }, 1500);
+    return () => clearTimeout(timeout);
+  }, [boardDue]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => setPageVisible(document.visibilityState !== "hidden");
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", onVisibilityChange);
+  }, []);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(""), 2000);
+    return () => clearTimeout(timer);
+  }, [notice]);
 
   // Effect to animate the progress counter
   useEffect(() => {
@@ -328,6 +1331,9 @@ export default function App() {
       const interval = setInterval(() => {
         // Use a functional update to get the latest state
         setDisplayProgress(currentDisplay => {
+          if (currentDisplay.current > progress.current) {
+            return { current: progress.current, total: progress.total }; // counter was reset
+          }
           if (currentDisplay.current < progress.current) {
             return { ...currentDisplay, current: currentDisplay.current + 1, total: progress.total };
           }
@@ -338,24 +1344,6 @@ export default function App() {
     }
   }, [loading, progress]);
 
-  // Initial puzzle generation (and subsequent new games)
-  useEffect(() => {
-    const getNewPuzzle = async () => {
-      setLoading(true);
-      setProgress({ current: 0, total: 7 }); // Initialize progress
-      setDisplayProgress({ current: 0, total: 7 }); // Reset display progress
-      try {
-        const newPuzzle = await generatePuzzle(setProgress); // Pass setProgress callback
-        setPuzzle(newPuzzle);
-      } catch (error) {
-        console.error("Failed to generate puzzle:", error);
-        // Handle error, maybe show a message to the user
-      }
-      setLoading(false);
-    };
-    getNewPuzzle();
-  }, []);
-
   const initialCells = useMemo(() => puzzle ? getLetterPositions(puzzle) : [], [puzzle]);
   
   const TILE = useMemo(() => {
@@ -376,7 +1364,8 @@ export default function App() {
     return Math.min(GAME_CONFIG.TILE, tileWidth, tileHeight);
   }, [initialCells]);
 
-  const MAX_ATTEMPTS = GAME_CONFIG.MAX_ATTEMPTS;
+  const MAX_ATTEMPTS = session.difficulty.maxAttempts;
+  const palette = settings.highContrast ? PALETTES.contrast : PALETTES.standard;
 
   const offsetX = useMemo(() => Math.min(...initialCells.map((c) => c.x)), [initialCells]);
   const offsetY = useMemo(() => Math.min(...initialCells.map((c) => c.y)), [initialCells]);
@@ -394,15 +1383,175 @@ export default function App() {
     return [...initialCells].sort((a, b) => (a.y === b.y ? a.x - b.x : a.y - b.y));
   }, [initialCells]);
 
+  // Cells grouped into rows for the ARIA grid
+  const gridRows = useMemo(() => {
+    const rows = [];
+    sortedCells.forEach((cell) => {
+      if (rows[rows.length - 1]?.y !== cell.y) rows.push({ y: cell.y, cells: [] });
+      rows[rows.length - 1].cells.push(cell);
+    });
+    return rows;
+  }, [sortedCells]);
+
   // ======= PERSISTENCE (3) =======
   const [entries, setEntries] = useState({});
   const [attempts, setAttempts] = useState(0);
+  // One entry per submission: { entries, cells (scoreBoard results), ts }
+  const [history, setHistory] = useState([]);
+  const [viewIndex, setViewIndex] = useState(null); // history entry shown on the grid, null = live
+  const [hints, setHints] = useState([]); // hint records, see game/hints.js
+  const [showHints, setShowHints] = useState(false);
+  const [showAssist, setShowAssist] = useState(false);
+  const [assistSlot, setAssistSlot] = useState(null); // word browsed in the assist panel, null = the active one
+  const [candidates, setCandidates] = useState(null); // findCandidates' answer for the board as it stands
 
   const [activeCell, setActiveCell] = useState(null);
+  const [direction, setDirection] = useState("across"); // which word through activeCell is being typed
   const [cellStates, setCellStates] = useState({}); // 'correct' | 'present' | 'incorrect'
   const [gameOver, setGameOver] = useState(false);
   const [gameWon, setGameWon] = useState(false);
   const [revealTick, setRevealTick] = useState(0); // bump to retrigger reveal anim
+  // Cells of words that stopped the last submission; `tick` retriggers the shake
+  const [rejected, setRejected] = useState({ cells: new Set(), tick: 0 });
+  const [submitting, setSubmitting] = useState(false);
+  // The board on screen and the time-attack run, for a submission to check
+  // they're still in play once its words have been looked up
+  const puzzleRef = useRef(puzzle);
+  useEffect(() => {
+    puzzleRef.current = puzzle;
+  }, [puzzle]);
+  const runRef = useRef(run);
+  useEffect(() => {
+    runRef.current = run;
+  }, [run]);
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region after a submission
+  const [timer, setTimer] = useState(createClock); // this board's clock, see game/timer.js
+
+  // Puzzle generation whenever the session changes (initial load, new game,
+  // daily). A generation overtaken by a newer one is aborted and its result
+  // dropped, so a slow board can't replace the one asked for last.
+  useEffect(() => {
+    try {
+      // A board other than the daily is rebuilt from its seed, so it needs the
+      // shape and language it was built with, whatever the player picks later
+      // (a room's, a link's or a custom setup)
+      const { difficulty } = session;
+      const custom = difficulty.id === "custom"
+        ? { custom: { verticalLengths: difficulty.shapes[0].verticalLengths, maxAttempts: difficulty.maxAttempts } }
+        : {};
+      const board = session.mode === "daily" ? {} : { difficulty: difficulty.id, ...custom, language: session.language };
+      localStorage.setItem(SESSION_KEY, JSON.stringify({ mode: session.mode, seed: session.seed, ...board }));
+    } catch { /* ignore */ }
+    if (session.mode !== "link") clearLinkFromUrl();
+
+    // Attached to every generation event
+    const board = { mode: session.mode, difficulty: session.difficulty.id, language: session.language, seed: session.seed };
+    const controller = new AbortController();
+    const { signal } = controller;
+    let attempt = 1;
+    const onProgress = (next) => {
+      if (signal.aborted) return;
+      setProgress(next);
+      if (next.attempt === attempt) return;
+      attempt = next.attempt;
+      telemetry.track("generation_retry", { ...board, attempt, maxAttempts: next.maxAttempts });
+    };
+
+    const getNewPuzzle = async () => {
+      setLoading(true);
+      setGenerationError(null);
+      setProgress({ current: 0, total: 0, message: '' }); // Initialize progress
+      setDisplayProgress({ current: 0, total: 0 }); // Reset display progress
+      setPuzzle(null); // Clear old puzzle
+      setEntries({});
+      setAttempts(0);
+      setCellStates({});
+      setHistory([]);
+      setViewIndex(null);
+      setHints([]);
+      setShowHints(false);
+      setAssistSlot(null);
+      setGameOver(false);
+      setGameWon(false);
+      setActiveCell(null);
+      setDirection("across");
+      setTimer(createClock());
+      setBoardDue(false);
+      setAnnouncement("");
+      const startedAt = Date.now();
+      try {
+        const saved = loadSavedPuzzle(session);
+        // A board from the pool, or a link, which if made elsewhere may lack clues
+        const newPuzzle = saved ?? (session.puzzle
+          ? await attachClues(session.puzzle, wordSource, language, { signal })
+          : await generatePuzzle(onProgress, {
+            wordSource,
+            language,
+            seed: session.seed,
+            shape: pickShape(session.difficulty, session.seed),
+            maxAttempts: GAME_CONFIG.GENERATION_ATTEMPTS,
+            signal,
+          }));
+        if (signal.aborted) return;
+        setPuzzle({ ...newPuzzle, id: session.id, mode: session.mode, difficulty: session.difficulty.id, language: session.language });
+        puzzlePool.markPlayed(newPuzzle);
+        if (!saved && !session.puzzle) {
+          telemetry.track("generation_done", { ...board, attempts: attempt, ms: Date.now() - startedAt });
+        }
+      } catch (error) {
+        if (signal.aborted) return;
+        console.error("Failed to generate puzzle:", error);
+        telemetry.trackError("generation_failed", { ...board, message: error.message, attempts: error.attempts ?? attempt });
+        setGenerationError(error.message);
+      }
+      setLoading(false);
+    };
+    getNewPuzzle();
+    return () => controller.abort();
+  }, [session, wordSource, language, puzzlePool, generationTick]);
+
+  // Top the puzzle pool up once a board has been on screen for a while, so the
+  // next New Game starts at once. Stops when the board changes; custom
+  // difficulties aren't pooled.
+  const boardReady = !loading && puzzle !== null;
+  useEffect(() => {
+    if (!boardReady || session.difficulty.id === "custom") return;
+    const key = getPoolKey(session.language, session.difficulty.id);
+    puzzlePool.preload(key);
+    const controller = new AbortController();
+    const generate = (seed, signal) => generatePuzzle(() => {}, {
+      wordSource,
+      language,
+      seed,
+      shape: pickShape(session.difficulty, seed),
+      maxAttempts: GAME_CONFIG.GENERATION_ATTEMPTS,
+      signal,
+    });
+    const timeout = setTimeout(() => {
+      puzzlePool.fill(key, generate, { signal: controller.signal })
+        .catch((error) => console.warn("Could not prefetch puzzles:", error));
+    }, GAME_CONFIG.PREFETCH_DELAY);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [boardReady, session, wordSource, language, puzzlePool]);
+
+  // Pasting another puzzle link into the address bar only changes the hash
+  useEffect(() => {
+    const onHashChange = () => {
+      const code = readLinkCode(window.location);
+      if (!code) return;
+      try {
+        setSession(createLinkSession(code));
+        setLinkError(null);
+      } catch (error) {
+        setLinkError(error.message);
+      }
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
   // Effect to disable scrolling and zooming on the page
   useEffect(() => {
@@ -426,7 +1575,7 @@ export default function App() {
   useEffect(() => {
     if (puzzle) {
       try {
-        const raw = localStorage.getItem(GAME_CONFIG.STORAGE_KEY);
+        const raw = localStorage.getItem(getSaveKey(puzzle));
         if (raw) {
           const parsed = JSON.parse(raw);
           const currentPuzzleKey = getLetterPositions(puzzle).map((c) => c.letter).join("");
@@ -434,12 +1583,18 @@ export default function App() {
           if (parsed.puzzleKey === currentPuzzleKey) {
             setEntries(parsed.entries ?? {});
             setAttempts(parsed.attempts ?? 0);
-            // Note: cellStates are not restored here. They will be re-evaluated on next submit.
-            // If you need to restore visual state (colors) immediately, you'd need to re-run
-            // the handleSubmit logic or a similar evaluation here.
+            setGameOver(parsed.gameOver ?? false);
+            setGameWon(parsed.gameWon ?? false);
+            // Colors come back as they were, checks included; saves from
+            // before those were kept take the last recorded submission's
+            const savedHistory = parsed.history ?? [];
+            setHistory(savedHistory);
+            setCellStates(parsed.cellStates ?? savedHistory[savedHistory.length - 1]?.cells ?? {});
+            setHints(parsed.hints ?? []);
+            if (parsed.timer) setTimer({ ...parsed.timer, startedAt: null });
           } else {
             // If puzzle key doesn't match, clear old data
-            localStorage.removeItem(GAME_CONFIG.STORAGE_KEY);
+            localStorage.removeItem(getSaveKey(puzzle));
             setEntries({}); // Ensure current entries are also cleared
             setAttempts(0);
           }
@@ -455,154 +1610,330 @@ export default function App() {
     if (puzzle) try {
       const puzzleKey = getLetterPositions(puzzle).map((c) => c.letter).join("");
       localStorage.setItem(
-        GAME_CONFIG.STORAGE_KEY,
-        JSON.stringify({ entries, attempts, puzzleKey })
+        getSaveKey(puzzle),
+        JSON.stringify({ puzzle, entries, attempts, cellStates, history, hints, gameOver, gameWon, puzzleKey, timer: snapshotClock(timer) })
       );
     } catch { /* ignore */ }
-  }, [entries, attempts, puzzle]);
-
-  // ======= VALIDATION EFFICIENCY (8) =======
-  const horizontalWord = puzzle?.horizontal.word ?? '';
-  const horizontalSet = useMemo(() => new Set(horizontalWord.split("")), [horizontalWord]);
-  const verticalSets = useMemo(
-    () => puzzle?.verticals.map((v) => new Set(v.word.split(""))) ?? [],
-    [puzzle]
-  ); // Note: This should depend on `puzzle.verticals` if they can change.
-
-  // Derived key states for the virtual keyboard
-  const keyboardKeyStates = useMemo(() => {
-    return Object.values(cellStates).reduce((acc, cellState) => {
-      const letter = cellState.letter;
-      if (!letter) return acc;
-
-      const currentState = acc[letter];
-      const newState = cellState.state;
-
-      // Prioritize correct > present > incorrect
-      if (newState === "correct") {
-        acc[letter] = "correct";
-      } else if (newState === "present" && currentState !== "correct") {
-        acc[letter] = "present";
-      } else if (newState === "incorrect" && currentState !== "correct" && currentState !== "present") {
-        acc[letter] = "incorrect";
-      }
-      return acc;
-    }, {});
-  }, [cellStates]);
+  }, [entries, attempts, cellStates, history, hints, gameOver, gameWon, puzzle, timer]);
+
+  useEffect(() => {
+    if (session.mode === "timeattack") saveRun(run);
+  }, [run, session.mode]);
+
+  // Clocks only run while the player can actually play: not while a board
+  // loads, a modal is open or the tab is hidden
+  const modalOpen = showHelp || showStats || showCustom || showBuilder || showSettings || showVersus;
+  const canPlay = !loading && !gameOver && pageVisible && !modalOpen;
+  const timerRunning = timer.started && canPlay;
+  const runRunning = session.mode === "timeattack" && run.clock.started && !run.over && canPlay;
+
+  useEffect(() => {
+    setTimer((t) => setRunning(t, timerRunning));
+  }, [timerRunning]);
+
+  useEffect(() => {
+    setRun((r) => {
+      const clock = setRunning(r.clock, runRunning);
+      return clock === r.clock ? r : { ...r, clock };
+    });
+  }, [runRunning]);
+
+  // Time attack ends when the countdown hits zero
+  useEffect(() => {
+    if (!runRunning) return;
+    const timeout = setTimeout(() => {
+      const nextStats = recordRun(stats, run.solved);
+      saveStats(session, nextStats);
+      setStats(nextStats);
+      setRun(endRun(run));
+      setGameOver(true);
+      setStatsDue(true);
+      telemetry.track("time_attack_over", { difficulty: session.difficulty.id, solved: run.solved });
+    }, getRemaining(run));
+    return () => clearTimeout(timeout);
+  }, [runRunning, run, stats, session]);
+
+  // Derived key states for the virtual keyboard, from the same scoring engine,
+  // accumulated over every submission
+  const keyboardKeyStates = useMemo(
+    () => history.reduce((acc, attempt) => getKeyStates(attempt.cells, acc), {}),
+    [history]
+  );
+
+  const revealedCells = useMemo(() => getRevealedCells(hints), [hints]);
+
+  const wordSlots = useMemo(() => (puzzle ? getWordSlots(puzzle) : []), [puzzle]);
+  const activeSlot = useMemo(
+    () => (activeCell ? getActiveSlot(wordSlots, activeCell, direction) : null),
+    [wordSlots, activeCell, direction]
+  );
+  const activeWordCells = useMemo(() => new Set(activeSlot?.cells ?? []), [activeSlot]);
+
+  // ======= VERSUS RACE =======
+  // One race per room, kept while its board is played or while joining it;
+  // leaving the board (any other session) leaves the room.
+  const raceRoom = joiningRoom ?? (session.mode === "versus" ? session.seed : null);
+  useEffect(() => {
+    if (!raceRoom) return;
+    const next = createRace({ transport: createTransport(raceRoom), room: raceRoom, player, onChange: setRaceState });
+    setRace(next);
+    next.join();
+    return () => {
+      next.leave();
+      setRace(null);
+      setRaceState(null);
+    };
+  }, [raceRoom, player, createTransport]);
+
+  // The room's board, once someone in it has told a joining player
+  useEffect(() => {
+    const board = raceState?.board;
+    if (!joiningRoom || !board) return;
+    setJoiningRoom(null);
+    setShowVersus(false);
+    setSession((current) => createSession(
+      "versus",
+      getDifficulty(board.difficulty),
+      Object.hasOwn(LANGUAGES, board.language) ? board.language : current.language,
+      joiningRoom
+    ));
+  }, [joiningRoom, raceState]);
+
+  // Where this board stands, after every submission (counts only, no letters)
+  useEffect(() => {
+    if (!race || session.mode !== "versus" || puzzle?.id !== session.id) return;
+    race.setBoard({ difficulty: session.difficulty.id, language: session.language });
+    race.report(getProgress(puzzle, history, { maxAttempts: MAX_ATTEMPTS }));
+  }, [race, session, puzzle, history, MAX_ATTEMPTS]);
+
+  // ======= SOLVER ASSIST =======
+  // Worked out again after every submission or revealed letter, while the panel is open
+  const assistOpen = settings.assist && showAssist;
+  useEffect(() => {
+    if (!assistOpen || !puzzle) return;
+    const controller = new AbortController();
+    const solution = getSolutionEntries(puzzle);
+    const known = Object.fromEntries([...revealedCells].map((key) => [key, solution[key]]));
+    setCandidates(null);
+    findCandidates(puzzle, history, { wordSource, known, signal: controller.signal })
+      .then((found) => !controller.signal.aborted && setCandidates(found))
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Failed to find candidates:", error);
+        setCandidates(Object.fromEntries(getWordSlots(puzzle).map((slot) => [slot.id, []])));
+      });
+    return () => controller.abort();
+  }, [assistOpen, puzzle, history, revealedCells, wordSource]);
+
+  // Clicking the active cell again turns the cursor the other way
+  const handleCellClick = useCallback((key) => {
+    if (key === activeCell) {
+      setDirection((d) => toggleDirection(wordSlots, key, d));
+      return;
+    }
+    setActiveCell(key);
+    setDirection((d) => getActiveSlot(wordSlots, key, d)?.direction ?? d);
+  }, [activeCell, wordSlots]);
 
   // ======= INPUT HANDLERS (optimized / stable) =======
   const clearActive = useCallback(() => {
-    if (!activeCell || gameOver) return;
+    if (!activeCell || gameOver || revealedCells.has(activeCell)) return;
     setEntries((prev) => {
       if (!prev[activeCell]) return prev;
       const next = { ...prev };
       next[activeCell] = "";
       return next;
     });
-  }, [activeCell, gameOver]);
+  }, [activeCell, gameOver, revealedCells]);
 
   const setActiveValue = useCallback(
     (key, val) => {
-      if (gameOver) return;
+      if (gameOver || revealedCells.has(key)) return;
       setEntries((prev) => {
         if (prev[key] === val) return prev;
         return { ...prev, [key]: val };
       });
     },
-    [gameOver]
+    [gameOver, revealedCells]
   );
 
-  const handleSubmit = useCallback(() => {
-    if (gameOver) return;
+  // Any edit clears the highlight from the last rejected submission
+  useEffect(() => {
+    setRejected((prev) => (prev.cells.size ? { cells: new Set(), tick: prev.tick } : prev));
+  }, [entries]);
 
-    let newCellStates = {};
-    const newAttempts = attempts + 1;
+  useEffect(() => {
+    telemetry.setConsent(settings.telemetry);
+  }, [settings.telemetry]);
 
-    // Win condition
-    const isWin = initialCells.every((cell) => {
-      const key = `${cell.x},${cell.y}`;
-      return (entries[key] || "") === cell.letter;
+  const updateSettings = useCallback((change) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...change };
+      saveSettings(next);
+      return next;
     });
+  }, []);
+
+  // "system" follows the OS setting live; Tailwind's dark: variants key off the class
+  useEffect(() => {
+    const query = window.matchMedia?.("(prefers-color-scheme: dark)");
+    const apply = () => {
+      const dark = settings.theme === "dark" || (settings.theme === "system" && Boolean(query?.matches));
+      document.documentElement.classList.toggle("dark", dark);
+    };
+    apply();
+    if (settings.theme !== "system" || !query) return;
+    query.addEventListener("change", apply);
+    return () => query.removeEventListener("change", apply);
+  }, [settings.theme]);
+
+  const vibrate = useCallback(
+    (pattern) => {
+      if (settings.vibration) navigator.vibrate?.(pattern);
+    },
+    [settings.vibration]
+  );
+
+  const keyboardRows = useMemo(
+    () => buildKeyboardRows(settings.keyboardLayout, { showArrows: settings.showArrows, language }),
+    [settings.keyboardLayout, settings.showArrows, language]
+  );
 
-    // Horizontal check using Set
-    for (let i = 0; i < horizontalWord.length; i++) {
-      const key = `${puzzle.horizontal.x + i},${puzzle.horizontal.y}`;
-      const letter = entries[key] || "";
-      if (letter === horizontalWord[i]) newCellStates[key] = { state: "correct", letter };
-      else if (letter && horizontalSet.has(letter)) newCellStates[key] = { state: "present", letter };
-      else newCellStates[key] = { state: "incorrect", letter };
+  const handleSubmit = useCallback(async () => {
+    if (gameOver || submitting) return;
+
+    setSubmitting(true);
+    const invalid = await findInvalidWords(puzzle, entries, {
+      hasWord: (word) => wordSource.hasWord(word),
+      allowPartial: settings.allowPartial,
+    });
+    setSubmitting(false);
+    if (puzzleRef.current !== puzzle) return; // replaced while it was checked
+    // Nothing more counts once the time-attack run has run out, whether while
+    // this was checked or before a reload
+    if (session.mode === "timeattack" && (runRef.current.over || getRemaining(runRef.current) === 0)) return;
+    if (invalid.length) {
+      setRejected((prev) => ({ cells: new Set(invalid.flatMap((w) => w.cells)), tick: prev.tick + 1 }));
+      vibrate([40, 60, 40]);
+      setNotice(describeInvalidWords(invalid, language));
+      telemetry.track("submission_rejected", {
+        attempt: attempts + 1,
+        reasons: invalid.map((w) => w.reason),
+      });
+      return;
     }
 
-    // Vertical check using individual Sets
-    puzzle.verticals.forEach((vert, idx) => {
-      const vertWord = vert.word;
-      const vertSet = verticalSets[idx] ?? new Set();
-      const ix = puzzle.horizontal.x + vert.intersectIndex;
-      const iy = puzzle.horizontal.y;
-      const intersectIndex = vertWord.indexOf(puzzle.horizontal.word[vert.intersectIndex]);
-
-      for (let i = 0; i < vertWord.length; i++) {
-        const key = `${ix},${iy - (intersectIndex - i)}`;
-        const letter = entries[key] || "";
-        if (letter === vertWord[i]) newCellStates[key] = { state: "correct", letter };
-        else if (letter && vertSet.has(letter)) newCellStates[key] = { state: "present", letter };
-        else newCellStates[key] = { state: "incorrect", letter };
-      }
+    const { result, attempt: newAttempts, won: isWin, lost: isLoss } = judgeSubmission(puzzle, entries, {
+      attempts,
+      maxAttempts: MAX_ATTEMPTS,
     });
+    const { cells: newCellStates, words: wordStates } = result;
+    setAnnouncement(describeSubmission(puzzle, result, { attempt: newAttempts, maxAttempts: MAX_ATTEMPTS, language }));
+
     // This part was previously outside handleSubmit, but belongs inside
     setAttempts(newAttempts);
-    setCellStates((prev) => ({ ...prev, ...newCellStates }));
+    setCellStates(newCellStates);
+    setHistory((prev) => [...prev, { entries: { ...entries }, cells: newCellStates, ts: Date.now() }]);
+    setViewIndex(null);
     setRevealTick((t) => t + 1); // retrigger flip animations
 
+    telemetry.track("submission", {
+      mode: session.mode,
+      attempt: newAttempts,
+      maxAttempts: MAX_ATTEMPTS,
+      wordsSolved: Object.values(wordStates).filter((states) => states.every((state) => state === "correct")).length,
+      words: Object.keys(wordStates).length,
+      hints: hints.length,
+    });
+    if (isWin || isLoss) {
+      const nextStats = recordResult(stats, {
+        puzzleId: puzzle.id,
+        won: isWin,
+        attempts: newAttempts,
+        day: session.day,
+        hints: hints.length,
+        score: getScore({ won: isWin, attempts: newAttempts, maxAttempts: MAX_ATTEMPTS, hints }),
+        time: timer.started ? getElapsed(timer) : null,
+      });
+      saveStats(session, nextStats);
+      setStats(nextStats);
+      // A time-attack run goes straight on to the next board
+      if (session.mode === "timeattack") {
+        if (isWin) setRun(addSolve);
+        setBoardDue(true);
+      } else {
+        setStatsDue(true);
+      }
+    }
+
     if (isWin) {
       setGameWon(true);
       setGameOver(true);
-      logClientEvent({ type: "game_win", attempts: newAttempts });
+      vibrate([80, 40, 80, 40, 160]);
+      telemetry.track("game_win", { mode: session.mode, difficulty: session.difficulty.id, attempts: newAttempts, hints: hints.length });
       return;
     }
 
-    if (!isWin && newAttempts >= MAX_ATTEMPTS) {
+    if (isLoss) {
       setGameOver(true);
-      // Reveal solution on loss
-      const solutionEntries = {};
-      initialCells.forEach((cell) => (solutionEntries[`${cell.x},${cell.y}`] = cell.letter));
-      setEntries(solutionEntries);
-      logClientEvent({ type: "game_over", attempts: newAttempts });
+      setEntries(getSolutionEntries(puzzle)); // reveal the answers
+      telemetry.track("game_over", { mode: session.mode, difficulty: session.difficulty.id, attempts: newAttempts, hints: hints.length });
     }
-  }, [
-    attempts,
-    entries,
-    gameOver,
-    horizontalWord,
-    horizontalSet,
-    puzzle,
-    setAttempts, setCellStates, setRevealTick, setGameWon, setGameOver, logClientEvent, setEntries, // Added state setters
-   initialCells,
-    verticalSets,
-    MAX_ATTEMPTS,
-  ]);
+  }, [attempts, entries, gameOver, submitting, puzzle, stats, session, hints, MAX_ATTEMPTS, wordSource, settings, timer, vibrate, language]);
+
+  // ======= HINT HANDLER =======
+  const handleHint = useCallback((type, slotId) => {
+    if (!activeCell || gameOver) return;
+    telemetry.track("hint", { type, attempt: attempts, hints: hints.length + 1 });
+    if (type === "check") {
+      const { hint, results } = checkWords(puzzle, entries, activeCell);
+      setCellStates((prev) => ({ ...prev, ...results }));
+      setHints((prev) => [...prev, hint]);
+      return;
+    }
+    const { hint, letters } = type === "word" ? revealWord(puzzle, slotId) : revealLetter(puzzle, activeCell);
+    setEntries((prev) => ({ ...prev, ...letters }));
+    setHints((prev) => [...prev, hint]);
+    setShowHints(false);
+  }, [activeCell, entries, gameOver, puzzle, attempts, hints]);
 
   // ======= GLOBAL KEY PRESS HANDLER =======
   const handleGlobalKeyPress = useCallback((e) => {
     const handleKey = (e) => {
-      if (!activeCell || gameOver) return;
+      // Leave typing in form fields alone, and let Tab/Space/Enter work on focused buttons
+      if (e.target?.closest?.("input, select, textarea")) return;
+      if (e.target?.closest?.("button") && ["Tab", " ", "Enter"].includes(e.key)) return;
+      if (e.key === "Escape" && activeCell) {
+        // Let keyboard users leave the grid: Tab moves focus normally again
+        setActiveCell(null);
+        if (document.activeElement?.getAttribute("role") === "gridcell") document.activeElement.blur();
+        return;
+      }
+      if (!activeCell || gameOver || viewIndex !== null) return;
 
       if (e.key === "Backspace") {
-        clearActive();
+        // On an empty cell, step back through the word and delete there
+        if (entries[activeCell] || !activeSlot) {
+          clearActive();
+          return;
+        }
+        const prev = getPreviousCell(activeSlot, activeCell);
+        setActiveCell(prev);
+        if (!revealedCells.has(prev)) setEntries((all) => (all[prev] ? { ...all, [prev]: "" } : all));
         return;
       }
       if (e.key === "Tab") {
         e.preventDefault();
-        // If the event comes from the virtual keyboard, it won't have shiftKey
-        // We assume physical keyboard for shiftKey behavior.
-        // For virtual keyboard, we just move forward.
-        const isShiftKey = e.shiftKey;
-        const idx = sortedCells.findIndex((c) => `${c.x},${c.y}` === activeCell);
-        const nextIdx = e.shiftKey
-          ? (idx - 1 + sortedCells.length) % sortedCells.length
-          : (idx + 1) % sortedCells.length;
-        const next = sortedCells[nextIdx];
-        setActiveCell(`${next.x},${next.y}`);
+        // The virtual keyboard has no Shift, so it only ever moves forward
+        if (!activeSlot) return;
+        const { slot, key } = getAdjacentWord(wordSlots, activeSlot.id, e.shiftKey ? -1 : 1, entries);
+        setActiveCell(key);
+        setDirection(slot.direction);
+        return;
+      }
+      if (e.key === " ") {
+        e.preventDefault();
+        setDirection((d) => toggleDirection(wordSlots, activeCell, d));
         return;
       }
       // OPTIONAL: arrow keys to move
@@ -618,17 +1949,29 @@ export default function App() {
         const nx = ax + delta[0];
         const ny = ay + delta[1];
         const hasCell = initialCells.some((c) => c.x === nx && c.y === ny);
-        if (hasCell) setActiveCell(`${nx},${ny}`);
+        if (hasCell) {
+          const next = `${nx},${ny}`;
+          setActiveCell(next);
+          // Arrows also point the cursor along their axis where there's a word that way
+          const axis = delta[0] ? "across" : "down";
+          setDirection((d) => (getActiveSlot(wordSlots, next, axis)?.direction === axis ? axis : d));
+        }
         return;
       }
 
-      const key = e.key.toUpperCase();
-      if (key.length === 1 && key >= "A" && key <= "Z") {
+      // Accented letters the alphabet lacks are typed as their base letter
+      const key = e.key.length === 1 ? normalizeWord(e.key, language.alphabet) : null;
+      if (key) {
+        // The first letter typed starts the clocks
+        setTimer(startClock);
+        if (session.mode === "timeattack") setRun((r) => (r.clock.started ? r : { ...r, clock: startClock(r.clock) }));
         setActiveValue(activeCell, key);
+        vibrate(10);
+        if (activeSlot) setActiveCell(getNextCell(activeSlot, activeCell, { ...entries, [activeCell]: key }));
       }
     };
     handleKey(e); // Process the event
-  }, [activeCell, sortedCells, gameOver, clearActive, handleSubmit, setActiveValue, initialCells]); // handleSubmit is a dependency here
+  }, [activeCell, activeSlot, wordSlots, entries, revealedCells, gameOver, viewIndex, clearActive, handleSubmit, setActiveValue, vibrate, initialCells, session.mode, language]); // handleSubmit is a dependency here
 
   useEffect(() => {
     window.addEventListener("keydown", handleGlobalKeyPress);
@@ -637,128 +1980,551 @@ export default function App() {
 
 
   // ======= NEW GAME HANDLER =======
+  // New Game is always a fresh random free-play board, from the pool when it
+  // has one ready.
   const handleNewGame = useCallback(() => {
-    const getNewPuzzle = async () => {
-      setLoading(true);
-      setDisplayProgress({ current: 0, total: 7 }); // Reset display progress on new game
-      setPuzzle(null); // Clear old puzzle
-      setEntries({});
-      setAttempts(0);
-      setCellStates({});
-      setGameOver(false);
-      setGameWon(false);
-      setActiveCell(null);
-      localStorage.removeItem(GAME_CONFIG.STORAGE_KEY);
-      try { // Pass setProgress callback
-        const newPuzzle = await generatePuzzle(setProgress);
-        setPuzzle(newPuzzle);
-      } catch (error) {
-        console.error("Failed to generate puzzle:", error);
-      }
-      setLoading(false);
-    };
-    getNewPuzzle();
-  }, []);
+    const pooled = session.difficulty.id === "custom"
+      ? null
+      : puzzlePool.take(getPoolKey(session.language, session.difficulty.id));
+    const next = createSession("free", session.difficulty, session.language, pooled?.seed);
+    localStorage.removeItem(getSaveKey(next));
+    setSession(pooled ? { ...next, puzzle: pooled.puzzle } : next);
+  }, [session, puzzlePool]);
+
+  const handleTimeAttack = useCallback(() => {
+    const next = createSession("timeattack", session.difficulty, session.language);
+    localStorage.removeItem(getSaveKey(next));
+    setRun(createRun());
+    setSession(next);
+  }, [session]);
+
+  const handlePlayDaily = useCallback(() => {
+    setSession(createSession("daily", session.difficulty, session.language));
+  }, [session]);
+
+  // A new versus room plays the current difficulty (a custom one can't be
+  // shared) and language; joining one waits for its board.
+  const updatePlayerName = useCallback((name) => {
+    if (name === player.name) return;
+    const next = { ...player, name };
+    savePlayer(next);
+    setPlayer(next);
+  }, [player]);
+
+  const handleCreateRoom = useCallback((name) => {
+    updatePlayerName(name);
+    const difficulty = session.difficulty.id === "custom" ? getDifficulty(DEFAULT_DIFFICULTY) : session.difficulty;
+    setJoiningRoom(null);
+    setShowVersus(false);
+    setSession(createSession("versus", difficulty, session.language, createRoomCode()));
+  }, [session, updatePlayerName]);
+
+  const handleJoinRoom = useCallback((room, name) => {
+    updatePlayerName(name);
+    if (session.mode === "versus" && session.seed === room) setShowVersus(false);
+    else setJoiningRoom(room);
+  }, [session, updatePlayerName]);
+
+  const handleLeaveRoom = useCallback(() => {
+    setSession(createSession("daily", session.difficulty, session.language));
+  }, [session]);
+
+  // Switching difficulty starts a new board in the same mode (custom is free play only)
+  const handleDifficulty = useCallback((id, custom = null) => {
+    saveDifficultyChoice({ id, custom });
+    const next = createSession(session.mode, getDifficulty(id, custom), session.language);
+    if (next.mode !== "daily") localStorage.removeItem(getSaveKey(next));
+    if (next.mode === "timeattack") setRun(createRun()); // a run is played at one difficulty
+    setShowCustom(false);
+    setSession(next);
+  }, [session]);
+
+  // Switching language does the same; a shared board carries on as free play
+  const handleLanguage = useCallback((id) => {
+    saveLanguageChoice(id);
+    const mode = session.mode === "link" ? "free" : session.mode;
+    const next = createSession(mode, session.difficulty, id);
+    if (next.mode !== "daily") localStorage.removeItem(getSaveKey(next));
+    if (next.mode === "timeattack") setRun(createRun()); // and in one language
+    setSession(next);
+  }, [session]);
 
   
+  // ======= SHARE HANDLER =======
+  const handleShare = useCallback(async () => {
+    const difficultyLabel = session.difficulty.id === DEFAULT_DIFFICULTY ? "" : ` (${t(`difficulty.${session.difficulty.id}`)})`;
+    const text = session.mode === "timeattack"
+      ? buildRunShareText({ solved: run.solved, label: `${t("mode.timeattack")}${difficultyLabel}`, time: getElapsed(run.clock), language })
+      : buildShareText({
+        puzzle,
+        history,
+        won: gameWon,
+        maxAttempts: MAX_ATTEMPTS,
+        label: (session.mode === "daily" ? session.day : `#${session.seed}`) + difficultyLabel,
+        hints: hints.length,
+        time: timer.started ? getElapsed(timer) : null,
+      });
+    try {
+      const outcome = await shareText(text);
+      if (outcome === "copied") setNotice(t("notice.copied"));
+    } catch (error) {
+      console.error("Failed to share result:", error);
+      setNotice(t("notice.shareFailed"));
+    }
+  }, [puzzle, history, gameWon, session, hints, MAX_ATTEMPTS, run, timer, t, language]);
+
+  const copyPuzzleLink = useCallback(async (code) => {
+    const url = buildPuzzleUrl(code, window.location);
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice(t("notice.linkCopied"));
+    } catch (error) {
+      console.error("Failed to copy puzzle link:", error);
+      setNotice(t("notice.linkFailed"));
+    }
+  }, [t]);
+
+  const handleCopyLink = useCallback(() => {
+    copyPuzzleLink(encodePuzzleLink({ puzzle, difficulty: session.difficulty, language: session.language }));
+  }, [copyPuzzleLink, puzzle, session]);
+
+  // Built boards are played as links, so a reload (or the address bar) keeps them
+  const handlePlayBuilt = useCallback((code) => {
+    window.history.replaceState(null, "", buildPuzzleUrl(code, window.location));
+    setShowBuilder(false);
+    setSession(createLinkSession(code));
+  }, []);
+
+  const handleDismissLinkError = useCallback(() => {
+    clearLinkFromUrl();
+    setLinkError(null);
+  }, []);
+
+  const handleRetryGeneration = useCallback(() => setGenerationTick((tick) => tick + 1), []);
+
+  // Changes the word source, which starts the generation again
+  const handlePlayOffline = useCallback(() => setOffline(true), []);
+
   // =========================
   // RENDER
   // =========================
+  if (linkError) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-100 dark:bg-gray-900 dark:text-gray-100 space-y-4 px-4 text-center">
+        <h1 className="text-3xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("linkError.title")}</h1>
+        <p className="text-gray-700 dark:text-gray-200" role="alert">{linkError}</p>
+        <p className="text-gray-500 dark:text-gray-400">{t("linkError.hint")}</p>
+        <button
+          onClick={handleDismissLinkError}
+          className="px-4 py-2 bg-green-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-green-700"
+        >
+          {t("linkError.play")}
+        </button>
+      </div>
+    );
+  }
+
+  if (generationError) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-100 dark:bg-gray-900 dark:text-gray-100 space-y-4 px-4 text-center">
+        <h1 className="text-3xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("loadError.title")}</h1>
+        <p className="text-gray-700 dark:text-gray-200" role="alert">{generationError}</p>
+        <p className="text-gray-500 dark:text-gray-400">{t(offline ? "loadError.hintOffline" : "loadError.hint")}</p>
+        <div className="flex gap-2">
+          <button
+            onClick={handleRetryGeneration}
+            className="px-4 py-2 bg-green-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-green-700"
+          >
+            {t("loadError.retry")}
+          </button>
+          {!offline && (
+            <button
+              onClick={handlePlayOffline}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded border border-gray-400 dark:border-gray-600 hover:bg-gray-400 dark:hover:bg-gray-600"
+            >
+              {t("loadError.offline")}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   if (loading || !puzzle) {
     return (
-      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-100 space-y-4">
-        <div className="w-16 h-16 animate-spin border border-gray-400"></div>
+      <div className="min-h-screen flex flex-col items-center justify-center bg-gray-100 dark:bg-gray-900 dark:text-gray-100 space-y-4">
+        <div className="w-16 h-16 animate-spin border border-gray-400 dark:border-gray-600"></div>
         <div className="text-center">
-          <h1 className="text-3xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>Gathering Words!</h1>
+          <h1 className="text-3xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>{t("loading.title")}</h1>
           {displayProgress.total > 0 && (
-            <p className="text-xl font-bold text-gray-700">{displayProgress.current}/{displayProgress.total}</p>
+            <p className="text-xl font-bold text-gray-700 dark:text-gray-200">{displayProgress.current}/{displayProgress.total}</p>
+          )}
+          {progress.attempt > 1 && (
+            <p className="text-gray-500 dark:text-gray-400">
+              {t("loading.retry", { attempt: progress.attempt, total: progress.maxAttempts })}
+            </p>
+          )}
+          {progress.failed > 0 && (
+            <p className="text-gray-500 dark:text-gray-400" role="status">
+              {t("loading.failed", { count: progress.failed })}
+            </p>
           )}
         </div>
       </div>
     );
   }
 
-  return (
-    <div
-      className="flex flex-col bg-gray-100 relative"
-      style={{ height: '100dvh', touchAction: 'manipulation' }}
-    >
-      {showHelp && <HelpModal onClose={() => setShowHelp(false)} />}
+  // While stepping through history the grid shows that submission instead of the live board
+  const viewedAttempt = viewIndex !== null ? history[viewIndex] : null;
+  const shownEntries = viewedAttempt?.entries ?? entries;
+  const shownStates = viewedAttempt?.cells ?? cellStates;
 
-        <div className="flex justify-between items-center mt-8 w-full max-w-2xl px-4 pt-2">
-          <h1 className="text-4xl md:text-5xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>Searchle</h1>
-          <button
-            onClick={() => setShowHelp(true)}
-            className="w-8 h-8 bg-gray-200 text-gray-700 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300"
-            aria-label="How to play"
-          >
-            i
-          </button>
-        </div>
-        <div className="text-left w-full max-w-2xl px-4"> {/* This div now contains only attempts and messages */}
-          <p className="text-gray-600">Attempts: {attempts}/{MAX_ATTEMPTS}</p>
-          <div className="h-8 text-center"> {/* Reserve space for the message */}
-            {gameWon && <p className="text-2xl font-bold text-green-600">You won!</p>}
-            {gameOver && !gameWon && (
-              <p className="text-2xl font-bold text-red-600">Game Over!</p>
-            )}
+  return (
+    <MotionConfig reducedMotion={settings.reducedMotion ? "always" : "never"}>
+      <div
+        className="flex flex-col bg-gray-100 dark:bg-gray-900 dark:text-gray-100 relative"
+        style={{ height: '100dvh', touchAction: 'manipulation' }}
+      >
+        {showHelp && <HelpModal palette={palette} onClose={() => setShowHelp(false)} t={t} />}
+        {showSettings && (
+          <SettingsModal settings={settings} onChange={updateSettings} onClose={() => setShowSettings(false)} t={t} />
+        )}
+        {showBuilder && (
+          <PuzzleBuilder
+            language={language}
+            onPlay={handlePlayBuilt}
+            onCopyLink={copyPuzzleLink}
+            onClose={() => setShowBuilder(false)}
+            t={t}
+          />
+        )}
+        {showCustom && (
+          <CustomDifficultyModal
+            initial={loadDifficultyChoice().custom}
+            onSave={(custom) => handleDifficulty("custom", custom)}
+            onClose={() => setShowCustom(false)}
+            language={language}
+            t={t}
+          />
+        )}
+        {showVersus && (
+          <VersusModal
+            name={player.name}
+            joining={joiningRoom}
+            onCreate={handleCreateRoom}
+            onJoin={handleJoinRoom}
+            onCancel={() => setJoiningRoom(null)}
+            onClose={() => {
+              setJoiningRoom(null);
+              setShowVersus(false);
+            }}
+            t={t}
+          />
+        )}
+        <div className="sr-only" aria-live="polite" role="log">{announcement}</div>
+        {notice && (
+          <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 px-4 py-2 bg-gray-800 text-white rounded shadow" role="status">
+            {notice}
+          </div>
+        )}
+        {showStats && (
+          <StatsModal
+            stats={stats}
+            title={`${t(`mode.${session.mode === "link" ? "free" : session.mode}`)} · ${t(`difficulty.${session.difficulty.id}`)}`}
+            today={session.mode === "daily" ? getDailyId() : null}
+            maxAttempts={MAX_ATTEMPTS}
+            highlight={gameWon ? attempts : null}
+            showRuns={session.mode === "timeattack"}
+            onShare={gameOver && (session.mode !== "timeattack" || run.over) ? handleShare : null}
+            onClose={() => setShowStats(false)}
+            t={t}
+          />
+        )}
+
+          <div className="flex justify-between items-center mt-8 w-full max-w-2xl px-4 pt-2">
+            <div>
+              <h1 className="text-4xl md:text-5xl font-bold" style={{ fontFamily: 'Aoboshi One', cursive: true }}>Searchle</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {t(`mode.${session.mode}`)}
+                {session.mode === "daily" && ` · ${session.day}`}
+                {" · "}
+                <select
+                  aria-label={t("difficulty.label")}
+                  className="bg-transparent underline"
+                  value={session.difficulty.id}
+                  disabled={session.mode === "versus" || submitting} // the room's board
+                  onChange={(e) => (e.target.value === "custom" ? setShowCustom(true) : handleDifficulty(e.target.value))}
+                >
+                  {Object.values(DIFFICULTIES).map((d) => (
+                    <option key={d.id} value={d.id}>{t(`difficulty.${d.id}`)}</option>
+                  ))}
+                  <option value="custom">{t("difficulty.customOption")}</option>
+                </select>
+                {" · "}
+                <select
+                  aria-label={t("language.label")}
+                  className="bg-transparent underline"
+                  value={session.language}
+                  disabled={session.mode === "versus" || submitting}
+                  onChange={(e) => handleLanguage(e.target.value)}
+                >
+                  {Object.values(LANGUAGES).map((l) => (
+                    <option key={l.id} value={l.id}>{l.name}</option>
+                  ))}
+                </select>
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setShowBuilder(true)}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.build")}
+                title={t("header.build")}
+              >
+                ✎
+              </button>
+              <button
+                onClick={handleCopyLink}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.copyLink")}
+                title={t("header.copyLinkShort")}
+              >
+                🔗
+              </button>
+              <button
+                onClick={() => setShowVersus(true)}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.versus")}
+                title={t("header.versus")}
+              >
+                ⚔
+              </button>
+              <button
+                onClick={() => setShowStats(true)}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.stats")}
+              >
+                ▥
+              </button>
+              <button
+                onClick={() => setShowSettings(true)}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.settings")}
+              >
+                ⚙
+              </button>
+              <button
+                onClick={() => setShowHelp(true)}
+                className="w-8 h-8 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded flex items-center justify-center font-bold text-xl hover:bg-gray-300 dark:hover:bg-gray-600"
+                aria-label={t("header.help")}
+              >
+                i
+              </button>
+            </div>
+          </div>
+          <div className="text-left w-full max-w-2xl px-4"> {/* This div now contains only attempts and messages */}
+            <div className="flex justify-between items-center">
+              <p className="text-gray-600 dark:text-gray-300">
+                {t("status.attempts", { attempts, max: MAX_ATTEMPTS })}
+                {hints.length > 0 && ` · ${t("status.hints", { count: hints.length, penalty: getHintPenalty(hints) })}`}
+                {session.mode === "timeattack" ? (
+                  <> · <ClockDisplay clock={run.clock} budget={run.budget} t={t} /> · {t("status.boards", { count: run.solved })}</>
+                ) : (
+                  settings.showTimer && <> · <ClockDisplay clock={timer} t={t} /></>
+                )}
+              </p>
+              <HistoryPanel history={history} viewIndex={viewIndex} onView={setViewIndex} t={t} />
+            </div>
+            <div className="h-8 text-center"> {/* Reserve space for the message */}
+              {session.mode === "timeattack" && run.over ? (
+                <>
+                  <p className="text-2xl font-bold text-red-600 inline">
+                    {t("result.runOver", { count: run.solved })}
+                  </p>
+                  <button onClick={handleTimeAttack} className="ml-3 px-3 py-1 bg-orange-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-orange-700">
+                    {t("result.newRun")}
+                  </button>
+                </>
+              ) : session.mode === "timeattack" ? (
+                gameOver && (
+                  <p className={`text-2xl font-bold inline ${gameWon ? "text-green-600" : "text-red-600"}`}>
+                    {gameWon ? t("result.solvedBonus", { bonus: formatTime(TIME_ATTACK.bonusMs) }) : t("result.missed")} {t("result.nextBoard")}
+                  </p>
+                )
+              ) : (
+                <>
+                  {gameWon && (
+                    <p className="text-2xl font-bold text-green-600 inline">
+                      {t("result.won", { score: getScore({ won: true, attempts, maxAttempts: MAX_ATTEMPTS, hints }) })}
+                    </p>
+                  )}
+                  {gameOver && !gameWon && (
+                    <p className="text-2xl font-bold text-red-600 inline">{t("result.lost")}</p>
+                  )}
+                </>
+              )}
+              {gameOver && (session.mode !== "timeattack" || run.over) && (
+                <button onClick={handleShare} className="ml-3 px-3 py-1 bg-green-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-green-700">
+                  {t("action.share")}
+                </button>
+              )}
+            </div>
           </div>
-        </div>
 
-        <div className="flex-grow flex items-center justify-center w-full"><div className="relative mt-2" style={{ width, height, maxWidth: width }}>
-          {initialCells.map((cell, i) => {
-            const key = `${cell.x},${cell.y}`;
-            const isActive = activeCell === key;
-            const entered = entries[key] || "";
-            // sequential reveal index for nicer cascade
-            const revealIndex = sortedCells.findIndex((c) => c.x === cell.x && c.y === cell.y);
-
-            return (
-            <Cell
-                key={`${cell.x},${cell.y}`}
-                x={cell.x}
-                y={cell.y}
-                offsetX={offsetX}
-                offsetY={offsetY}
-                TILE={TILE}
-                isActive={isActive}
-                onClick={() => !gameOver && setActiveCell(key)}
-                value={entered}
-                state={cellStates[key]?.state}
-                revealIndex={revealTick ? revealIndex : undefined}
-                // (6) NOTE: memoized Cell prevents rerender storms
-                // (5) flip/bounce handled inside Cell
-              />
-            );
-          })}
-        </div></div>
+          {session.mode === "versus" && raceState && <RacePanel race={raceState} onLeave={handleLeaveRoom} t={t} />}
 
-      {/* Fixed footer for buttons and keyboard */}
-      <div className="flex flex-col items-center px-2 pb-2 md:pb-4"> {/* Added px-2 for horizontal padding */}
-        <div className="mt-2 mb-4 flex justify-center space-x-2">
-          <button
-            onClick={handleNewGame}
-            className="px-4 py-2 bg-purple-500 text-white rounded border border-gray-400 hover:bg-purple-700"
-          >
-            New Game
-          </button>
-          <button
-            onClick={() => activeCell && !gameOver && clearActive()}
-            className="px-4 py-2 bg-gray-100 text-gray-800 rounded border border-gray-400 hover:bg-gray-400 disabled:opacity-50"
-            disabled={gameOver}
+          <div className="flex-grow flex items-center justify-center w-full"><div
+            className="relative mt-2"
+            style={{ width, height, maxWidth: width }}
+            role="grid"
+            aria-label={t("board.label")}
+            aria-rowcount={Math.round(height / TILE)}
+            aria-colcount={Math.round(width / TILE)}
           >
-            Clear
-          </button>
-          <button
-            onClick={handleSubmit}
-            className="px-4 py-2 bg-blue-500 text-white rounded border border-gray-400 hover:bg-blue-700 disabled:opacity-50"
-            disabled={gameOver}
-          >
-            Submit
-          </button>
+            {gridRows.map((row) => (
+            // Rows only exist for assistive tech; the tiles position themselves
+            <div key={row.y} role="row" aria-rowindex={row.y - offsetY + 1} style={{ display: "contents" }}>
+            {row.cells.map((cell) => {
+              const key = `${cell.x},${cell.y}`;
+              const isActive = !viewedAttempt && activeCell === key;
+              const entered = shownEntries[key] || "";
+              // sequential reveal index for nicer cascade
+              const revealIndex = sortedCells.findIndex((c) => c.x === cell.x && c.y === cell.y);
+
+              return (
+              <Cell
+                  key={`${cell.x},${cell.y}`}
+                  x={cell.x}
+                  y={cell.y}
+                  offsetX={offsetX}
+                  offsetY={offsetY}
+                  TILE={TILE}
+                  isActive={isActive}
+                  inActiveWord={!viewedAttempt && activeWordCells.has(key)}
+                  onClick={() => !gameOver && !viewedAttempt && handleCellClick(key)}
+                  value={entered}
+                  state={shownStates[key]?.state}
+                  across={shownStates[key]?.across}
+                  down={shownStates[key]?.down}
+                  revealed={revealedCells.has(key)}
+                  invalid={!viewedAttempt && rejected.cells.has(key)}
+                  shake={rejected.cells.has(key) ? rejected.tick : 0}
+                  revealIndex={revealTick && !settings.reducedMotion ? revealIndex : undefined}
+                  palette={palette}
+                  label={describeCell({
+                    key,
+                    row: cell.y - offsetY + 1,
+                    column: cell.x - offsetX + 1,
+                    slots: wordSlots,
+                    letter: entered,
+                    result: shownStates[key],
+                    revealed: revealedCells.has(key),
+                    language,
+                  })}
+                  focusable={activeCell ? activeCell === key : revealIndex === 0}
+                  onFocus={() => !gameOver && !viewedAttempt && activeCell !== key && setActiveCell(key)}
+                  t={t}
+                  // (6) NOTE: memoized Cell prevents rerender storms
+                  // (5) flip/bounce handled inside Cell
+                />
+              );
+            })}
+            </div>
+            ))}
+          </div>
+          <CluePanel slots={wordSlots} activeIds={activeSlot ? [activeSlot.id] : []} t={t} />
+          </div>
+
+        <ActiveClue slot={activeSlot} language={language} />
+
+        {/* Fixed footer for buttons and keyboard */}
+        <div className="flex flex-col items-center px-2 pb-2 md:pb-4"> {/* Added px-2 for horizontal padding */}
+          {showHints && !gameOver && (
+            <HintMenu
+              slots={activeCell ? getSlotsThrough(puzzle, activeCell) : []}
+              canRevealLetter={Boolean(activeCell) && !revealedCells.has(activeCell)}
+              onHint={handleHint}
+              onClose={() => setShowHints(false)}
+              t={t}
+            />
+          )}
+          {assistOpen && (
+            <AssistPanel
+              slots={wordSlots}
+              candidates={candidates}
+              selectedId={assistSlot ?? activeSlot?.id}
+              onSelect={setAssistSlot}
+              onClose={() => setShowAssist(false)}
+              language={language}
+              t={t}
+            />
+          )}
+          <div className="mt-2 mb-4 flex justify-center space-x-2">
+            {session.mode !== "daily" && (
+              <button
+                onClick={handlePlayDaily}
+                className="px-4 py-2 bg-green-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-green-700 disabled:opacity-50"
+                disabled={submitting}
+              >
+                {t("action.daily")}
+              </button>
+            )}
+            <button
+              onClick={handleNewGame}
+              className="px-4 py-2 bg-purple-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-purple-700 disabled:opacity-50"
+              disabled={submitting}
+            >
+              {t("action.newGame")}
+            </button>
+            {session.mode !== "timeattack" && (
+              <button
+                onClick={handleTimeAttack}
+                className="px-4 py-2 bg-orange-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-orange-700 disabled:opacity-50"
+                disabled={submitting}
+              >
+                {t("action.timeAttack")}
+              </button>
+            )}
+            <button
+              onClick={() => activeCell && !gameOver && clearActive()}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded border border-gray-400 dark:border-gray-600 hover:bg-gray-400 dark:hover:bg-gray-600 disabled:opacity-50"
+              disabled={gameOver || Boolean(viewedAttempt)}
+            >
+              {t("action.clear")}
+            </button>
+            <button
+              onClick={() => setShowHints((open) => !open)}
+              className="px-4 py-2 bg-yellow-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-yellow-600 disabled:opacity-50"
+              disabled={gameOver || Boolean(viewedAttempt)}
+            >
+              {t("action.hint")}
+            </button>
+            {settings.assist && (
+              <button
+                onClick={() => setShowAssist((open) => !open)}
+                className="px-4 py-2 bg-teal-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-teal-700"
+                aria-pressed={showAssist}
+              >
+                {t("action.assist")}
+              </button>
+            )}
+            <button
+              onClick={handleSubmit}
+              className="px-4 py-2 bg-blue-500 text-white rounded border border-gray-400 dark:border-gray-600 hover:bg-blue-700 disabled:opacity-50"
+              disabled={gameOver || submitting || Boolean(viewedAttempt)}
+            >
+              {t("action.submit")}
+            </button>
+          </div>
+          <Keyboard
+            onKeyPress={handleGlobalKeyPress}
+            keyStates={keyboardKeyStates}
+            palette={palette}
+            keyboardLayout={keyboardRows}
+            language={language}
+          />
         </div>
-        <Keyboard onKeyPress={handleGlobalKeyPress} keyStates={keyboardKeyStates} />
       </div>
-    </div>
+    </MotionConfig>
   );
 }
@@ -1,8 +1,305 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { createLocalWordSource } from './game/wordSources';
+import { LANGUAGES } from './game/languages';
+import { createMemoryStore } from './game/cacheStore';
+import { generatePuzzle } from './game/generator';
+import { createPuzzlePool } from './game/puzzlePool';
+import { encodePuzzleLink } from './game/puzzleLink';
+import { createMemoryHub } from './game/transports';
+import { createRace } from './game/versus';
+import { getSolutionEntries } from './game/engine';
+import { TIME_ATTACK } from './game/timer';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('generates a board from the bundled dictionary', async () => {
+  render(<App wordSource={createLocalWordSource()} />);
+  expect(screen.getByText(/gathering words/i)).toBeInTheDocument();
+  expect(await screen.findByText('Searchle', {}, { timeout: 5000 })).toBeInTheDocument();
+});
+
+test('turns away an unfinished board without using an attempt', async () => {
+  localStorage.clear();
+  render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Submit' }, { timeout: 5000 }));
+  expect(await screen.findByText('Fill in every word before submitting')).toBeInTheDocument();
+  expect(screen.getByText('Attempts: 0/6')).toBeInTheDocument();
+});
+
+test('a submission still being checked when the board changes is dropped', async () => {
+  localStorage.clear();
+  localStorage.setItem('searchle:v1:settings', JSON.stringify({ allowPartial: true }));
+  const wordSource = createLocalWordSource();
+  let answer;
+  wordSource.hasWord = () => new Promise((resolve) => (answer = resolve));
+  render(<App wordSource={wordSource} />);
+  const grid = await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  fireEvent.click(within(grid).getAllByRole('gridcell')[0]);
+  for (let i = 0; i < 8; i++) fireEvent.keyDown(window, { key: 'z' });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+  await waitFor(() => expect(answer).toBeDefined());
+  expect(screen.getByRole('button', { name: 'New Game' })).toBeDisabled();
+  expect(screen.getByLabelText('Language')).toBeDisabled();
+
+  // A pasted puzzle link replaces the board anyway
+  const puzzle = await generatePuzzle(() => {}, { wordSource: createLocalWordSource(), seed: 'replacement' });
+  window.location.hash = `p=${encodePuzzleLink({ puzzle, difficulty: { id: 'custom', maxAttempts: 4 } })}`;
+  fireEvent(window, new HashChangeEvent('hashchange'));
+  expect(await screen.findByText('Attempts: 0/4', {}, { timeout: 5000 })).toBeInTheDocument();
+
+  await act(async () => answer(true));
+  expect(screen.getByText('Attempts: 0/4')).toBeInTheDocument();
+  expect(screen.getByRole('log')).toHaveTextContent('');
+  expect(screen.getByRole('button', { name: 'New Game' })).toBeEnabled();
+  window.history.replaceState(null, '', '/');
+});
+
+test('restores submissions and their history after a reload', async () => {
+  localStorage.clear();
+  localStorage.setItem('searchle:v1:settings', JSON.stringify({ allowPartial: true })); // casual: submit an empty board
+  const wordSource = createLocalWordSource();
+  const { unmount } = render(<App wordSource={wordSource} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Submit' }, { timeout: 5000 }));
+  expect(await screen.findByText('Attempts: 1/6')).toBeInTheDocument();
+  unmount();
+
+  render(<App wordSource={wordSource} />);
+  expect(await screen.findByText('Attempts: 1/6', {}, { timeout: 5000 })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'History' }));
+  expect(screen.getByText(/Attempt 1\/1/)).toBeInTheDocument();
+});
+
+test('checked letters keep their colours after a reload', async () => {
+  localStorage.clear();
+  const wordSource = createLocalWordSource();
+  const { unmount } = render(<App wordSource={wordSource} />);
+  const grid = await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  fireEvent.click(within(grid).getAllByRole('gridcell')[0]);
+  fireEvent.keyDown(window, { key: 'z' });
+  fireEvent.click(screen.getByRole('button', { name: 'Hint' }));
+  fireEvent.click(screen.getByRole('button', { name: /^Check words? / }));
+  const checked = within(grid).getAllByRole('gridcell')[0];
+  expect(checked).toHaveAccessibleName(/Z, (correct|not in the word)\.$/);
+  const name = checked.getAttribute('aria-label');
+  unmount();
+
+  render(<App wordSource={wordSource} />);
+  const restored = await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  expect(within(restored).getAllByRole('gridcell')[0]).toHaveAccessibleName(name);
+});
+
+test('a free-play board comes back at the difficulty it was started with', async () => {
+  localStorage.clear();
+  localStorage.setItem('searchle:v1:difficulty', JSON.stringify({ id: 'easy', custom: null }));
+  const session = { mode: 'free', seed: 'abc', difficulty: 'custom', custom: { verticalLengths: [4, 3, 5], maxAttempts: 7 }, language: 'en' };
+  localStorage.setItem('searchle:v1:session', JSON.stringify(session));
+  render(<App wordSource={createLocalWordSource()} />);
+  expect(await screen.findByText('Attempts: 0/7', {}, { timeout: 5000 })).toBeInTheDocument();
+  const grid = await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  expect(within(grid).getAllByRole('gridcell')).toHaveLength(3 + 4 + 3 + 5 - 3);
+  expect(JSON.parse(localStorage.getItem('searchle:v1:session'))).toEqual(session);
+});
+
+test('shows an error screen for a broken puzzle link', async () => {
+  window.history.replaceState(null, '', '/#p=garbage');
+  render(<App wordSource={createLocalWordSource()} />);
+  expect(screen.getByRole('alert')).toHaveTextContent(/puzzle link/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Play Searchle' }));
+  expect(await screen.findByText('Searchle', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(window.location.hash).toBe('');
+});
+
+test('time attack shows a countdown and the boards solved', async () => {
+  localStorage.clear();
+  render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Time Attack' }, { timeout: 5000 }));
+  expect(await screen.findByLabelText('Time left', {}, { timeout: 5000 })).toHaveTextContent('3:00');
+  expect(screen.getByText(/Boards: 0/)).toBeInTheDocument();
+});
+
+test('a board won after the run ran out doesn\'t count', async () => {
+  localStorage.clear();
+  const { unmount } = render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Time Attack' }, { timeout: 5000 }));
+  await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  await waitFor(() => expect(localStorage.getItem('searchle:v1:timeattack')).not.toBeNull());
+  unmount();
+
+  // Back after the clock ran out, with every answer typed in
+  const save = JSON.parse(localStorage.getItem('searchle:v1:timeattack'));
+  localStorage.setItem('searchle:v1:timeattack', JSON.stringify({ ...save, entries: getSolutionEntries(save.puzzle) }));
+  const clock = { elapsed: TIME_ATTACK.startMs, startedAt: null, started: true };
+  localStorage.setItem('searchle:v1:timeattack:run', JSON.stringify({ clock, budget: TIME_ATTACK.startMs, solved: 0, over: true }));
+  render(<App wordSource={createLocalWordSource()} />);
+  await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Submit' })).toBeEnabled());
+  expect(screen.getByText("Time's up! 0 boards solved")).toBeInTheDocument();
+  expect(screen.getByText(/Attempts: 0\//)).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('searchle:v1:timeattack:run'))).toMatchObject({ solved: 0, budget: TIME_ATTACK.startMs });
+});
+
+test('the board is an ARIA grid and submissions are announced', async () => {
+  localStorage.clear();
+  localStorage.setItem('searchle:v1:settings', JSON.stringify({ allowPartial: true }));
+  render(<App wordSource={createLocalWordSource()} />);
+  const grid = await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  const cells = within(grid).getAllByRole('gridcell');
+  expect(cells[0]).toHaveAttribute('tabindex', '0');
+  expect(cells[0]).toHaveAccessibleName(/^Row 1, column \d+\. Down \d letter 1 of \d\. Empty\.$/);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+  await waitFor(() => expect(screen.getByRole('log')).toHaveTextContent(/^Attempt 1 of 6\./));
+});
+
+test('settings apply immediately and are remembered', async () => {
+  localStorage.clear();
+  render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Settings' }, { timeout: 5000 }));
+  const dialog = screen.getByRole('dialog', { name: 'Settings' });
+  fireEvent.change(within(dialog).getByLabelText('Theme'), { target: { value: 'dark' } });
+  fireEvent.change(within(dialog).getByLabelText('Keyboard'), { target: { value: 'azerty' } });
+  fireEvent.click(within(dialog).getByLabelText('Show arrow keys'));
+
+  expect(document.documentElement).toHaveClass('dark');
+  expect(screen.getAllByRole('button', { name: /^[A-Z]$/ })[0]).toHaveTextContent('A');
+  expect(screen.queryByRole('button', { name: 'Left' })).not.toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('searchle:v1:settings'))).toMatchObject({
+    theme: 'dark',
+    keyboardLayout: 'azerty',
+    showArrows: false,
+  });
+});
+
+test('switching language swaps the interface, keyboard and saves', async () => {
+  localStorage.clear();
+  const getWordSource = (id) => createLocalWordSource({ language: LANGUAGES[id] });
+  const { unmount } = render(<App getWordSource={getWordSource} />);
+  fireEvent.change(await screen.findByLabelText('Language', {}, { timeout: 5000 }), { target: { value: 'de' } });
+
+  expect(await screen.findByText('Versuche: 0/6', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByText(/Tägliches Searchle/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Ä' })).toBeInTheDocument();
+  expect(localStorage.getItem('searchle:v1:language')).toBe('de');
+  await waitFor(() => expect(Object.keys(localStorage).some((key) => key.startsWith('searchle:v1:de:daily:'))).toBe(true));
+  unmount();
+
+  render(<App getWordSource={getWordSource} />);
+  expect(await screen.findByRole('button', { name: 'Prüfen' }, { timeout: 5000 })).toBeInTheDocument();
+});
+
+test('usage events are only queued after opting in', async () => {
+  localStorage.clear();
+  render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Submit' }, { timeout: 5000 }));
+  await screen.findByText('Fill in every word before submitting');
+  expect(localStorage.getItem('searchle:v1:telemetry')).toBeNull();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Settings' }));
+  fireEvent.click(within(screen.getByRole('dialog', { name: 'Settings' })).getByLabelText(/Share usage data/));
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+  await waitFor(() => expect(localStorage.getItem('searchle:v1:telemetry')).not.toBeNull());
+  const { events } = JSON.parse(localStorage.getItem('searchle:v1:telemetry'));
+  expect(events.map((event) => event.type)).toEqual(['submission_rejected']);
+  expect(events[0].data).toEqual({ attempt: 1, reasons: expect.arrayContaining(['incomplete']) });
+});
+
+test('New Game starts a board the pool prefetched, without generating', async () => {
+  localStorage.clear();
+  const wordSource = createLocalWordSource();
+  const puzzlePool = createPuzzlePool({ store: createMemoryStore(), size: 1, createSeed: () => 'pooled' });
+  await puzzlePool.fill('en:normal', (seed) => generatePuzzle(() => {}, { wordSource, seed }));
+  render(<App wordSource={wordSource} puzzlePool={puzzlePool} />);
+  const newGame = await screen.findByRole('button', { name: 'New Game' }, { timeout: 5000 });
+  await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+
+  const findWords = jest.spyOn(wordSource, 'findWords');
+  fireEvent.click(newGame);
+  expect(await screen.findByText(/Free Play/)).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('searchle:v1:session'))).toEqual({
+    mode: 'free', seed: 'pooled', difficulty: 'normal', language: 'en',
+  });
+  expect(findWords).not.toHaveBeenCalled();
+  expect(puzzlePool.count('en:normal')).toBe(0);
+});
+
+test('a failed generation offers a retry and the offline word list', async () => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const findWords = jest.fn().mockRejectedValue(new Error('Word service is unreachable'));
+  const broken = { id: 'broken', findWords, define: async () => null, hasWord: async () => false };
+  render(<App wordSource={broken} />);
+  expect(await screen.findByRole('alert', {}, { timeout: 5000 })).toHaveTextContent('Word service is unreachable');
+
+  const calls = findWords.mock.calls.length;
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+  await screen.findByRole('alert', {}, { timeout: 5000 });
+  expect(findWords.mock.calls.length).toBeGreaterThan(calls);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Play offline' }));
+  expect(await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 })).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('the solver assist counts the words that still fit and lists them', async () => {
+  localStorage.clear();
+  localStorage.setItem('searchle:v1:settings', JSON.stringify({ assist: true }));
+  render(<App wordSource={createLocalWordSource()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Assist' }, { timeout: 5000 }));
+  const panel = screen.getByRole('region', { name: 'Solver assist' });
+  const across = await within(panel).findByRole('button', { name: /^Across: \d+ words?$/ }, { timeout: 5000 });
+  fireEvent.click(across);
+  expect(across).toHaveAttribute('aria-pressed', 'true');
+  const list = within(panel).getByRole('list', { name: 'Words that fit Across' });
+  expect(within(list).getAllByRole('listitem').length).toBeGreaterThan(0);
+});
+
+test('a versus room shows the other players\' progress and who won', async () => {
+  localStorage.clear();
+  const hub = createMemoryHub();
+  render(<App wordSource={createLocalWordSource()} createTransport={() => hub.connect()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Versus race' }, { timeout: 5000 }));
+  const dialog = screen.getByRole('dialog', { name: 'Versus' });
+  fireEvent.change(within(dialog).getByLabelText('Your name'), { target: { value: 'Ada' } });
+  fireEvent.click(within(dialog).getByRole('button', { name: 'Open a room' }));
+
+  const panel = await screen.findByRole('region', { name: 'Versus race' }, { timeout: 5000 });
+  const room = within(panel).getByText(/^Room [A-Z2-9]{5}/).textContent.slice(5, 10);
+  await screen.findByRole('grid', { name: 'Puzzle board' }, { timeout: 5000 });
+  const rival = createRace({ transport: hub.connect(), room, player: { id: 'bo', name: 'Bo' } });
+  await act(async () => rival.join());
+  await waitFor(() => expect(rival.getState().board).toEqual({ difficulty: 'normal', language: 'en' }));
+  expect(rival.getState().players.find((p) => p.name === 'Ada').progress).toMatchObject({ attempts: 0, correct: 0 });
+
+  await act(async () => rival.report({ attempts: 1, maxAttempts: 6, correct: 12, total: 26, solved: false, over: false }));
+  expect(await within(panel).findByText('12/26 right · 1/6')).toBeInTheDocument();
+  await act(async () => rival.report({ attempts: 2, maxAttempts: 6, correct: 26, total: 26, solved: true, over: true }));
+  expect(await within(panel).findByText('Bo won the race')).toBeInTheDocument();
+  await act(async () => rival.leave());
+});
+
+test('joining a room by its code plays the room\'s board', async () => {
+  localStorage.clear();
+  const hub = createMemoryHub();
+  const host = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'ada', name: 'Ada' }, board: { difficulty: 'hard', language: 'en' } });
+  host.join();
+  const { unmount } = render(<App wordSource={createLocalWordSource()} createTransport={() => hub.connect()} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Versus race' }, { timeout: 5000 }));
+  fireEvent.change(screen.getByLabelText('Room code'), { target: { value: 'qxr tb' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+  const panel = await screen.findByRole('region', { name: 'Versus race' }, { timeout: 5000 });
+  expect(within(panel).getByText(/^Room QXRTB/)).toBeInTheDocument();
+  expect(within(panel).getByText('Ada')).toBeInTheDocument();
+  expect(await screen.findByText('Attempts: 0/4', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByLabelText('Difficulty')).toBeDisabled();
+  unmount();
+  await waitFor(() => expect(host.getState().players.find((p) => p.id !== 'ada').online).toBe(false));
+
+  // A reload rejoins the room on the same board, whatever difficulty the player picked
+  render(<App wordSource={createLocalWordSource()} createTransport={() => hub.connect()} />);
+  expect(await screen.findByText('Attempts: 0/4', {}, { timeout: 5000 })).toBeInTheDocument();
+  await waitFor(() => expect(host.getState().players.find((p) => p.id !== 'ada').online).toBe(true));
+  await act(async () => host.leave());
 });
@@ -0,0 +1,59 @@
+// =========================
+// SCREEN-READER TEXT
+// =========================
+// Words for what the board otherwise only shows with colour and position:
+// labels for grid cells and the summary announced after each submission, in
+// the board's language.
+import { getWordSlots } from "./layout.js";
+import { getSlotLabel } from "./clues.js";
+import { ENGLISH, translate } from "./languages/index.js";
+
+const STATES = ["correct", "present", "incorrect"];
+
+// "correct", "in another spot" or "not in the word"
+export function getStateName(state, language = ENGLISH) {
+  return translate(language, `state.${state}`);
+}
+
+// Shown on tiles and keys next to the colour, so no state depends on colour alone.
+export const STATE_SYMBOLS = { correct: "✓", present: "•", incorrect: "×" };
+
+// e.g. "Row 5, column 2. Across letter 2 of 6, Down 2 letter 3 of 5. A, correct."
+// `row`/`column` are 1-based positions in the drawn grid; `result` is the
+// cell's scoreBoard entry, if it has been scored.
+export function describeCell({ key, row, column, slots, letter, result, revealed = false, language = ENGLISH }) {
+  const t = (name, values) => translate(language, name, values);
+  const words = slots
+    .filter((slot) => slot.cells.includes(key))
+    .map((slot) =>
+      t("cell.letterOf", { word: getSlotLabel(slot, language), index: slot.cells.indexOf(key) + 1, length: slot.cells.length })
+    );
+  let state = "";
+  if (result?.across && result?.down && result.across !== result.down) {
+    state = `, ${t("cell.split", { across: getStateName(result.across, language), down: getStateName(result.down, language) })}`;
+  } else if (result?.state) {
+    state = `, ${getStateName(result.state, language)}`;
+  }
+  return [
+    t("cell.position", { row, column }),
+    `${words.join(", ")}.`,
+    `${letter || t("cell.empty")}${state}${revealed ? `, ${t("cell.revealed")}` : ""}.`,
+  ].join(" ");
+}
+
+// Counts per word, e.g. "Attempt 2 of 6. Across solved. Down 1: 2 correct,
+// 1 in another spot, 1 not in the word."
+export function describeSubmission(puzzle, { words, solved }, { attempt, maxAttempts, language = ENGLISH }) {
+  const t = (name, values) => translate(language, name, values);
+  const parts = getWordSlots(puzzle).map((slot) => {
+    const states = words[slot.id] ?? [];
+    if (states.every((s) => s === "correct")) return t("submission.solved", { word: getSlotLabel(slot, language) });
+    const counts = STATES
+      .map((state) => [state, states.filter((s) => s === state).length])
+      .filter(([, n]) => n > 0)
+      .map(([state, n]) => `${n} ${getStateName(state, language)}`);
+    return `${getSlotLabel(slot, language)}: ${counts.join(", ")}.`;
+  });
+  const outcome = solved ? t("submission.won") : attempt >= maxAttempts ? t("submission.lost") : "";
+  return [t("submission.attempt", { attempt, max: maxAttempts }), ...parts, outcome].filter(Boolean).join(" ");
+}
@@ -0,0 +1,29 @@
+import { describeCell, describeSubmission } from './a11y';
+import { getWordSlots } from './layout';
+import { scoreBoard } from './scoring';
+
+// CAT across on the top row, ACE down through the A
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 0 },
+  verticals: [{ word: 'ACE', intersectIndex: 1 }],
+};
+const slots = getWordSlots(puzzle);
+
+test('cells are described by position, words and result', () => {
+  expect(describeCell({ key: '1,2', row: 3, column: 2, slots, letter: '' })).toBe(
+    'Row 3, column 2. Down 2 letter 3 of 3. Empty.'
+  );
+  expect(describeCell({ key: '1,0', row: 1, column: 2, slots, letter: 'A', result: { state: 'correct' } })).toBe(
+    'Row 1, column 2. Across letter 2 of 3, Down 2 letter 1 of 3. A, correct.'
+  );
+  expect(
+    describeCell({ key: '1,0', row: 1, column: 2, slots, letter: 'A', result: { across: 'correct', down: 'present' }, revealed: true })
+  ).toBe('Row 1, column 2. Across letter 2 of 3, Down 2 letter 1 of 3. A, across correct, down in another spot, revealed by a hint.');
+});
+
+test('submissions are summarised word by word', () => {
+  const result = scoreBoard(puzzle, { '0,0': 'C', '1,0': 'A', '2,0': 'T', '1,1': 'E', '1,2': 'X' });
+  expect(describeSubmission(puzzle, result, { attempt: 2, maxAttempts: 6 })).toBe(
+    'Attempt 2 of 6. Across solved. Down 2: 1 correct, 1 in another spot, 1 not in the word.'
+  );
+});
@@ -0,0 +1,82 @@
+// =========================
+// PUZZLE BUILDER
+// =========================
+// Turns what the editor holds into a puzzle and says what's wrong with it.
+// A draft is { spine: "CAT", verticals: [{ word: "ACE", crossIndex: 0 }, ...] }
+// with one vertical per spine letter; `crossIndex` picks which letter of the
+// vertical sits on the spine when the anchor letter appears more than once.
+import { validateLayout } from "./layout.js";
+import { MAX_WORD_LENGTH, MIN_WORD_LENGTH } from "./difficulty.js";
+import { ENGLISH, translate } from "./languages/index.js";
+
+export function createDraft(spine = "") {
+  return { spine, verticals: spine.split("").map(() => ({ word: "", crossIndex: null })) };
+}
+
+// Keep the verticals lined up with the spine letters as the spine is edited.
+export function setDraftSpine(draft, spine) {
+  return {
+    spine,
+    verticals: spine.split("").map((_, i) => draft.verticals[i] ?? { word: "", crossIndex: null }),
+  };
+}
+
+// Where `word` may cross the spine letter `letter`.
+export function getCrossingOptions(word, letter) {
+  return word.split("").flatMap((ch, i) => (ch === letter ? [i] : []));
+}
+
+// The chosen crossing, or the first possible one, or null if there is none.
+function resolveCrossIndex(word, letter, crossIndex) {
+  const options = getCrossingOptions(word, letter);
+  return options.includes(crossIndex) ? crossIndex : options[0] ?? null;
+}
+
+// Verticals that can't cross yet are left out, so the preview still shows
+// everything that fits. The spine sits low enough for every vertical to hang
+// above it.
+export function buildPuzzle(draft) {
+  const verticals = draft.verticals.flatMap(({ word }, i) => {
+    const crossIndex = resolveCrossIndex(word, draft.spine[i], draft.verticals[i].crossIndex);
+    return word && crossIndex !== null ? [{ word, intersectIndex: i, crossIndex }] : [];
+  });
+  return {
+    horizontal: { word: draft.spine, x: 0, y: Math.max(0, ...verticals.map((v) => v.crossIndex)) },
+    verticals,
+  };
+}
+
+function checkWord(word, label, language) {
+  if (!word) return translate(language, "builder.empty", { label });
+  if (!word.split("").every((ch) => language.alphabet.includes(ch))) {
+    const extras = language.alphabet.split("").filter((ch) => ch < "A" || ch > "Z");
+    return translate(language, "builder.letters", { label, extras: extras.join(", ") });
+  }
+  if (word.length < MIN_WORD_LENGTH || word.length > MAX_WORD_LENGTH) {
+    return translate(language, "builder.length", { label, min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH });
+  }
+  return null;
+}
+
+// Returns { puzzle, errors, warnings }; messages as in validateLayout, in the
+// language pack's words. The puzzle is playable when `errors` is empty and
+// every word is spelled in the pack's alphabet.
+export function checkDraft(draft, language = ENGLISH) {
+  const puzzle = buildPuzzle(draft);
+  const errors = [];
+  const spineError = checkWord(draft.spine, translate(language, "builder.spine"), language);
+  if (spineError) return { puzzle, errors: [{ message: spineError, cells: [] }], warnings: [] };
+
+  draft.verticals.forEach(({ word }, i) => {
+    const label = translate(language, "clue.down", { number: i + 1 });
+    const wordError = checkWord(word, label, language);
+    if (wordError) {
+      errors.push({ message: wordError, cells: [] });
+    } else if (!word.includes(draft.spine[i])) {
+      errors.push({ message: translate(language, "builder.noAnchor", { label, word, letter: draft.spine[i] }), cells: [] });
+    }
+  });
+
+  const layout = validateLayout(puzzle, language);
+  return { puzzle, errors: [...errors, ...layout.errors], warnings: layout.warnings };
+}
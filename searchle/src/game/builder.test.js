@@ -0,0 +1,56 @@
+import { checkDraft, createDraft, setDraftSpine } from './builder';
+import { getLetterPositions } from './layout';
+import { LANGUAGES } from './languages';
+
+const draftOf = (spine, words) => ({
+  spine,
+  verticals: words.map((word) => (typeof word === 'string' ? { word, crossIndex: null } : word)),
+});
+
+test('a complete draft builds a playable puzzle with the spine below every vertical', () => {
+  const { puzzle, errors } = checkDraft(draftOf('CAT', ['ICE', 'SEA', 'TOP']));
+  expect(errors).toEqual([]);
+  expect(puzzle.horizontal).toEqual({ word: 'CAT', x: 0, y: 2 });
+  expect(puzzle.verticals.map((v) => v.crossIndex)).toEqual([1, 2, 0]);
+  expect(getLetterPositions(puzzle)).toHaveLength(3 + 2 * 3);
+});
+
+test('the chosen crossing letter decides where a vertical sits', () => {
+  const { puzzle } = checkDraft(draftOf('EAT', [{ word: 'EYE', crossIndex: 2 }, 'SEA', 'TOP']));
+  expect(puzzle.verticals[0].crossIndex).toBe(2);
+  const column = getLetterPositions(puzzle).filter((c) => c.x === 0).map((c) => c.y).sort();
+  expect(column).toEqual([0, 1, 2]);
+});
+
+test('verticals without their anchor letter are reported, not dropped silently', () => {
+  const { errors } = checkDraft(draftOf('CAT', ['ICE', 'DOG', '']));
+  expect(errors.map((e) => e.message)).toEqual([
+    "Down 2 (DOG) doesn't contain the letter A it hangs from.",
+    'Down 3 is empty.',
+  ]);
+});
+
+test('neighboring verticals that touch off the spine are flagged as warnings', () => {
+  const { errors, warnings } = checkDraft(draftOf('CAT', ['ICE', 'SEA', 'TOP']));
+  expect(errors).toEqual([]);
+  expect(warnings).toHaveLength(1);
+  expect(warnings[0].message).toBe("Down 1 and Down 2 touch in 1 row, forming letter pairs that aren't words.");
+});
+
+test('editing the spine keeps the verticals already entered', () => {
+  const draft = setDraftSpine(draftOf('CA', ['ICE', 'SEA']), 'CAT');
+  expect(draft.verticals.map((v) => v.word)).toEqual(['ICE', 'SEA', '']);
+  expect(createDraft('AB').verticals).toHaveLength(2);
+});
+
+test('problems are described in the language pack\'s words', () => {
+  const { errors, warnings } = checkDraft(draftOf('BÄR', ['OHM', 'SÄGE', 'XYZ']), LANGUAGES.de);
+  expect(errors.map((e) => e.message)).toEqual([
+    'Senkrecht 1 (OHM) enthält nicht das B, an dem es hängt.',
+    'Senkrecht 3 (XYZ) enthält nicht das R, an dem es hängt.',
+  ]);
+  expect(checkDraft(draftOf('BÆR', []), LANGUAGES.de).errors[0].message).toBe(
+    'Das waagerechte Wort darf nur die Buchstaben A–Z und Ä, Ö, Ü enthalten.'
+  );
+  expect(warnings).toEqual([]);
+});
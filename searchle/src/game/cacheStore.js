@@ -0,0 +1,72 @@
+// =========================
+// CACHE STORE
+// =========================
+// A small async key-value store: { get(key), set(key, value), delete(key) },
+// values being anything structured-clone can copy. It lives in IndexedDB
+// where there is one and in memory otherwise (tests, Node, private windows
+// that refuse IndexedDB), so callers never need to check.
+const DB_VERSION = 1;
+
+export function createMemoryStore() {
+  const items = new Map();
+  return {
+    persistent: false,
+    async get(key) {
+      return items.get(key);
+    },
+    async set(key, value) {
+      items.set(key, value);
+    },
+    async delete(key) {
+      items.delete(key);
+    },
+  };
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export async function openCacheStore({
+  indexedDB = typeof window === "undefined" ? undefined : window.indexedDB,
+  name = "searchle",
+  storeName = "cache",
+} = {}) {
+  if (!indexedDB) return createMemoryStore();
+  let db;
+  try {
+    db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+      let blocked = false;
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      // Another tab has an older version open; rather than wait for it to
+      // close, cache in memory, and close the database if it opens later
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error("IndexedDB is blocked by another tab"));
+      };
+      request.onsuccess = () => (blocked ? request.result.close() : resolve(request.result));
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.warn("IndexedDB is unavailable, caching in memory:", error);
+    return createMemoryStore();
+  }
+  // Let a newer version in another tab upgrade; requests fail from then on
+  db.onversionchange = () => db.close();
+
+  // Async, so a transaction that can't start (the database closed under us)
+  // rejects like a failed request instead of throwing at the caller
+  const run = async (mode, action) => {
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(action(store));
+  };
+  return {
+    persistent: true,
+    get: (key) => run("readonly", (store) => store.get(key)),
+    set: (key, value) => run("readwrite", (store) => store.put(value, key)).then(() => {}),
+    delete: (key) => run("readwrite", (store) => store.delete(key)).then(() => {}),
+  };
+}
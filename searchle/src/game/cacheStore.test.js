@@ -0,0 +1,64 @@
+import { openCacheStore } from './cacheStore';
+
+test('falls back to memory where there is no IndexedDB', async () => {
+  const store = await openCacheStore({ indexedDB: undefined });
+  expect(store.persistent).toBe(false);
+  await store.set('pool:en:normal', [{ seed: 'a' }]);
+  expect(await store.get('pool:en:normal')).toEqual([{ seed: 'a' }]);
+  await store.delete('pool:en:normal');
+  expect(await store.get('pool:en:normal')).toBeUndefined();
+});
+
+test('falls back to memory when IndexedDB refuses to open', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const indexedDB = {
+    open() {
+      const request = {};
+      setTimeout(() => request.onerror?.());
+      return request;
+    },
+  };
+  const store = await openCacheStore({ indexedDB });
+  expect(store.persistent).toBe(false);
+  console.warn.mockRestore();
+});
+
+test('falls back to memory when another tab blocks the upgrade', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const close = jest.fn();
+  let request;
+  const indexedDB = {
+    open() {
+      request = {};
+      setTimeout(() => request.onblocked?.());
+      return request;
+    },
+  };
+  const store = await openCacheStore({ indexedDB });
+  expect(store.persistent).toBe(false);
+  // The other tab closes after all: the late connection isn't kept open
+  request.result = { close };
+  request.onsuccess();
+  expect(close).toHaveBeenCalled();
+  console.warn.mockRestore();
+});
+
+test('a transaction that can\'t start rejects instead of throwing', async () => {
+  const db = {
+    transaction() {
+      throw new DOMException('The database connection is closing.', 'InvalidStateError');
+    },
+  };
+  const indexedDB = {
+    open() {
+      const request = { result: db };
+      setTimeout(() => request.onsuccess?.());
+      return request;
+    },
+  };
+  const store = await openCacheStore({ indexedDB });
+  expect(store.persistent).toBe(true);
+  const get = store.get('pool:en:normal');
+  await expect(get).rejects.toMatchObject({ name: 'InvalidStateError' });
+  await expect(store.set('pool:en:normal', [])).rejects.toMatchObject({ name: 'InvalidStateError' });
+});
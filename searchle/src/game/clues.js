@@ -0,0 +1,64 @@
+// =========================
+// CLUES
+// =========================
+// Every word on the board carries a `clue`: a dictionary definition when the
+// word source has one, otherwise a plain description of the word's shape.
+import { ENGLISH, translate } from "./languages/index.js";
+
+const MAX_CLUE_LENGTH = 140;
+
+// Tidy a raw definition into a clue that doesn't give the answer away: the
+// word and anything built on it ("roses", "überall") become blanks. Word
+// edges count letters from any alphabet, so answers with an Ü or Ñ are found
+// too.
+export function cleanDefinition(definition, word) {
+  if (!definition) return null;
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const masked = definition
+    .replace(new RegExp(`(?<!\\p{L})${escaped}\\p{L}*`, "giu"), "___")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!masked) return null;
+  const clue = masked[0].toUpperCase() + masked.slice(1);
+  return clue.length > MAX_CLUE_LENGTH ? `${clue.slice(0, MAX_CLUE_LENGTH - 1).trimEnd()}…` : clue;
+}
+
+export function fallbackClue(word, language = ENGLISH) {
+  const vowels = word.split("").filter((ch) => language.vowels.includes(ch)).length;
+  return translate(language, "clue.fallback", { length: word.length, vowels });
+}
+
+async function clueFor(word, wordSource, language, signal) {
+  try {
+    return cleanDefinition(await wordSource.define?.(word, { signal }), word) ?? fallbackClue(word, language);
+  } catch {
+    return fallbackClue(word, language);
+  }
+}
+
+// Returns a copy of the puzzle with a clue on the horizontal and every vertical.
+// Clues already present (e.g. from a shared link) are kept. `signal` aborts
+// the definition lookups.
+export async function attachClues(puzzle, wordSource, language = ENGLISH, { signal } = {}) {
+  const [horizontalClue, ...verticalClues] = await Promise.all([
+    puzzle.horizontal.clue ?? clueFor(puzzle.horizontal.word, wordSource, language, signal),
+    ...puzzle.verticals.map((v) => v.clue ?? clueFor(v.word, wordSource, language, signal)),
+  ]);
+  return {
+    ...puzzle,
+    horizontal: { ...puzzle.horizontal, clue: horizontalClue },
+    verticals: puzzle.verticals.map((v, i) => ({ ...v, clue: verticalClues[i] })),
+  };
+}
+
+// Verticals are numbered 1..n from left to right.
+export function getSlotNumber(slot) {
+  return Number(slot.id.split("-")[1]) + 1;
+}
+
+// "Across" for the spine, "Down 1".."Down n" for the verticals.
+export function getSlotLabel(slot, language = ENGLISH) {
+  return slot.direction === "across"
+    ? translate(language, "clue.across")
+    : translate(language, "clue.down", { number: getSlotNumber(slot) });
+}
@@ -0,0 +1,23 @@
+import { attachClues, cleanDefinition, fallbackClue } from './clues';
+
+test('definitions are tidied and never contain the answer', () => {
+  expect(cleanDefinition('a  flower that  blooms; roses are red', 'ROSE')).toBe('A flower that blooms; ___ are red');
+  expect(cleanDefinition(null, 'ROSE')).toBeNull();
+  expect(cleanDefinition('über alles, überall', 'ÜBER')).toBe('___ alles, ___');
+  expect(cleanDefinition('un niño; los niños y las niñas', 'NIÑO')).toBe('Un ___; los ___ y las niñas');
+  expect(cleanDefinition('señor, not a senor', 'ÑOR')).toBe('Señor, not a senor');
+  expect(cleanDefinition('a (c+) grade', 'C+')).toBe('A (___) grade');
+});
+
+test('words without a definition get a fallback clue', async () => {
+  const wordSource = { define: async (word) => (word === 'CAT' ? 'a small domesticated feline' : null) };
+  const puzzle = {
+    horizontal: { word: 'CAT', x: 0, y: 0 },
+    verticals: [{ word: 'ACE', intersectIndex: 1 }, { word: 'TOO', intersectIndex: 2, clue: 'Also' }],
+  };
+  const clued = await attachClues(puzzle, wordSource);
+  expect(clued.horizontal.clue).toBe('A small domesticated feline');
+  expect(clued.verticals[0].clue).toBe(fallbackClue('ACE'));
+  expect(clued.verticals[0].clue).toBe('3 letters, 2 vowels');
+  expect(clued.verticals[1].clue).toBe('Also');
+});
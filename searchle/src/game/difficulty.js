@@ -0,0 +1,64 @@
+// =========================
+// DIFFICULTY PRESETS
+// =========================
+// A difficulty decides the board shape (spine length and the lengths of the
+// verticals hanging off it) and how many attempts the player gets. Presets may
+// offer several shapes; the puzzle seed picks one.
+import { DEFAULT_SHAPE } from "./generator.js";
+import { createRng, pick } from "./rng.js";
+import { ENGLISH, translate } from "./languages/index.js";
+
+export const MIN_WORD_LENGTH = 3;
+export const MAX_WORD_LENGTH = 8;
+export const MAX_ATTEMPTS_LIMIT = 12;
+
+// One vertical per spine letter, so the spine is as long as the list.
+// The spine sits low enough for the longest vertical to hang above it.
+export function makeShape(verticalLengths) {
+  return {
+    spineLength: verticalLengths.length,
+    spineRow: Math.max(...verticalLengths) - 1,
+    verticalLengths,
+  };
+}
+
+export const DIFFICULTIES = {
+  easy: { id: "easy", label: "Easy", maxAttempts: 8, shapes: [makeShape([5, 4, 4, 3, 3])] },
+  normal: { id: "normal", label: "Normal", maxAttempts: 6, shapes: [DEFAULT_SHAPE] },
+  hard: {
+    id: "hard",
+    label: "Hard",
+    maxAttempts: 4,
+    shapes: [makeShape([7, 7, 6, 6, 5, 5, 5]), makeShape([8, 7, 7, 6, 6, 6, 5, 5])],
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+// Returns an error message for an unusable custom setup, in the language
+// pack's words, or null.
+export function validateCustomDifficulty({ verticalLengths, maxAttempts }, language = ENGLISH) {
+  const lengths = { min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH };
+  if (!Array.isArray(verticalLengths) || verticalLengths.length < MIN_WORD_LENGTH || verticalLengths.length > MAX_WORD_LENGTH) {
+    return translate(language, "custom.countError", lengths);
+  }
+  if (verticalLengths.some((n) => !Number.isInteger(n) || n < MIN_WORD_LENGTH || n > MAX_WORD_LENGTH)) {
+    return translate(language, "custom.lengthError", lengths);
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    return translate(language, "builder.attemptsError", { max: MAX_ATTEMPTS_LIMIT });
+  }
+  return null;
+}
+
+// Resolve a difficulty id (plus the saved custom setup) to a preset-like object.
+export function getDifficulty(id, custom = null) {
+  if (id === "custom" && custom && !validateCustomDifficulty(custom)) {
+    return { id: "custom", label: "Custom", maxAttempts: custom.maxAttempts, shapes: [makeShape(custom.verticalLengths)] };
+  }
+  return Object.hasOwn(DIFFICULTIES, id) ? DIFFICULTIES[id] : DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+export function pickShape(difficulty, seed) {
+  return pick(createRng(`${seed}:shape`), difficulty.shapes);
+}
@@ -0,0 +1,53 @@
+import {
+  DEFAULT_DIFFICULTY, DIFFICULTIES, MAX_ATTEMPTS_LIMIT, getDifficulty, makeShape, pickShape, validateCustomDifficulty,
+} from './difficulty';
+import { LANGUAGES } from './languages';
+
+test('a shape hangs the spine below its longest vertical', () => {
+  expect(makeShape([3, 7, 4])).toEqual({ spineLength: 3, spineRow: 6, verticalLengths: [3, 7, 4] });
+});
+
+test('custom setups are checked against the word and attempt limits', () => {
+  expect(validateCustomDifficulty({ verticalLengths: [3, 8, 5], maxAttempts: 1 })).toBeNull();
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4, 4, 4, 4, 4, 4, 4], maxAttempts: MAX_ATTEMPTS_LIMIT })).toBeNull();
+
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4], maxAttempts: 6 })).toBe(
+    'Give between 3 and 8 vertical lengths (one per spine letter).'
+  );
+  expect(validateCustomDifficulty({ verticalLengths: Array(9).fill(4), maxAttempts: 6 })).toMatch(/^Give between/);
+  expect(validateCustomDifficulty({ verticalLengths: 'long', maxAttempts: 6 })).toMatch(/^Give between/);
+  expect(validateCustomDifficulty({ verticalLengths: [4, 2, 4], maxAttempts: 6 })).toBe('Vertical words must be 3–8 letters long.');
+  expect(validateCustomDifficulty({ verticalLengths: [4, 9, 4], maxAttempts: 6 })).toMatch(/^Vertical words/);
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4.5, 4], maxAttempts: 6 })).toMatch(/^Vertical words/);
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4, 4], maxAttempts: 0 })).toBe('Attempts must be between 1 and 12.');
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4, 4], maxAttempts: MAX_ATTEMPTS_LIMIT + 1 })).toMatch(/^Attempts/);
+  expect(validateCustomDifficulty({ verticalLengths: [4, 4], maxAttempts: 6 }, LANGUAGES.nb)).toBe(
+    'Oppgi mellom 3 og 8 lengder, én per bokstav i det vannrette ordet.'
+  );
+});
+
+test('a valid custom setup becomes a one-shape difficulty; anything else is the default', () => {
+  expect(getDifficulty('custom', { verticalLengths: [5, 3, 4], maxAttempts: 7 })).toEqual({
+    id: 'custom',
+    label: 'Custom',
+    maxAttempts: 7,
+    shapes: [makeShape([5, 3, 4])],
+  });
+  expect(getDifficulty('hard')).toBe(DIFFICULTIES.hard);
+
+  const fallback = DIFFICULTIES[DEFAULT_DIFFICULTY];
+  expect(getDifficulty('custom', { verticalLengths: [5, 3], maxAttempts: 7 })).toBe(fallback);
+  expect(getDifficulty('custom')).toBe(fallback);
+  expect(getDifficulty('extreme')).toBe(fallback);
+  expect(getDifficulty('constructor')).toBe(fallback);
+  expect(getDifficulty(undefined)).toBe(fallback);
+});
+
+test('the seed picks the shape, the same one every time', () => {
+  const { hard } = DIFFICULTIES;
+  const picked = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((seed) => pickShape(hard, seed));
+  expect(picked).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((seed) => pickShape(hard, seed)));
+  expect(new Set(picked).size).toBe(2); // both of hard's shapes turn up
+  expect(picked.every((shape) => hard.shapes.includes(shape))).toBe(true);
+  expect(pickShape(DIFFICULTIES.normal, 'a')).toBe(DIFFICULTIES.normal.shapes[0]);
+});
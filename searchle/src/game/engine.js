@@ -0,0 +1,180 @@
+// =========================
+// GAME ENGINE
+// =========================
+// The rules of a game without any UI: a game is a plain, JSON-safe object and
+// every move returns a new one, so it can be scripted, saved and replayed.
+//
+//   { v, puzzle, maxAttempts, allowPartial, entries, attempts, history, hints, gameOver, gameWon }
+//
+// `entries`, `history` and `hints` are the same as in the app's saves (see
+// App.js), so a player's saved board loads here as it is. `history` holds one
+// { entries, cells, ts } per scored submission, `cells` being scoreBoard's.
+import { cellKey, getLetterPositions, getWordSlots } from "./layout.js";
+import { scoreBoard } from "./scoring.js";
+import { findInvalidWords } from "./validation.js";
+import { checkWords, getRevealedCells, getScore, revealLetter, revealWord } from "./hints.js";
+import { DIFFICULTIES } from "./difficulty.js";
+import { getLanguage, normalizeWord } from "./languages/index.js";
+
+export const ENGINE_VERSION = 1;
+export const DEFAULT_MAX_ATTEMPTS = 6;
+
+// A move the rules don't allow, or a save that can't be read.
+export class GameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GameError";
+  }
+}
+
+export function createGame(puzzle, { maxAttempts = DEFAULT_MAX_ATTEMPTS, allowPartial = false } = {}) {
+  if (!puzzle?.horizontal?.word || !Array.isArray(puzzle.verticals)) throw new GameError("Not a puzzle");
+  return {
+    v: ENGINE_VERSION,
+    puzzle,
+    maxAttempts,
+    allowPartial,
+    entries: {},
+    attempts: 0,
+    history: [],
+    hints: [],
+    gameOver: false,
+    gameWon: false,
+  };
+}
+
+// The answer for every cell, as entries.
+export function getSolutionEntries(puzzle) {
+  return Object.fromEntries(getLetterPositions(puzzle).map((c) => [cellKey(c.x, c.y), c.letter]));
+}
+
+// Scores a submission that passed the checks and says where it leaves the game.
+// `attempts` is the count before this one.
+export function judgeSubmission(puzzle, entries, { attempts, maxAttempts }) {
+  const result = scoreBoard(puzzle, entries);
+  const attempt = attempts + 1;
+  return { result, attempt, won: result.solved, lost: !result.solved && attempt >= maxAttempts };
+}
+
+function findSlot(game, slotId) {
+  const slot = getWordSlots(game.puzzle).find((s) => s.id === slotId);
+  if (!slot) throw new GameError(`No word "${slotId}" on this board`);
+  return slot;
+}
+
+function assertPlaying(game) {
+  if (game.gameOver) throw new GameError("The game is over");
+}
+
+// Types `word` into a slot ("across", "down-0", ...). Revealed letters stay as
+// they are; an empty string clears the word. The word is spelled in the
+// puzzle's alphabet (English for puzzles without a language), accents dropped
+// where it has no letter for them.
+export function enterWord(game, slotId, word) {
+  assertPlaying(game);
+  const slot = findSlot(game, slotId);
+  const language = getLanguage(game.puzzle.language);
+  const letters = normalizeWord(word, language.alphabet);
+  if (letters === null) throw new GameError(`"${word}" has letters that ${language.name} boards don't use`);
+  if (letters && letters.length !== slot.cells.length) {
+    throw new GameError(`${slotId} has ${slot.cells.length} letters, "${word}" has ${letters.length}`);
+  }
+  const revealed = getRevealedCells(game.hints);
+  const entries = { ...game.entries };
+  slot.cells.forEach((key, i) => {
+    if (!revealed.has(key)) entries[key] = letters[i] ?? "";
+  });
+  return { ...game, entries };
+}
+
+// Resolves to { game, invalid, result }. A submission turned away (see
+// validation.js) costs nothing and comes back with `invalid` and no result.
+// `hasWord` checks guesses against a dictionary; without one every word counts.
+export async function submit(game, { hasWord = async () => true, now = Date.now } = {}) {
+  assertPlaying(game);
+  const invalid = await findInvalidWords(game.puzzle, game.entries, { hasWord, allowPartial: game.allowPartial });
+  if (invalid.length) return { game, invalid, result: null };
+
+  const { result, attempt, won, lost } = judgeSubmission(game.puzzle, game.entries, game);
+  const next = {
+    ...game,
+    attempts: attempt,
+    history: [...game.history, { entries: { ...game.entries }, cells: result.cells, ts: now() }],
+    gameOver: won || lost,
+    gameWon: won,
+  };
+  // A lost board shows its answers, as in the app
+  if (lost) next.entries = getSolutionEntries(game.puzzle);
+  return { game: next, invalid: [], result };
+}
+
+// Enters a whole board and submits it. `words` maps slot ids to words, or is
+// a list in board order (across first, then the downs left to right).
+export async function guess(game, words, options) {
+  const slots = getWordSlots(game.puzzle);
+  const pairs = Array.isArray(words) ? slots.map((slot, i) => [slot.id, words[i] ?? ""]) : Object.entries(words);
+  const filled = pairs.reduce((g, [slotId, word]) => enterWord(g, slotId, word), game);
+  return submit(filled, options);
+}
+
+// "letter" and "check" work from a cell (`key`), "word" from a slot (`slotId`).
+// Returns { game, results }, `results` being the cells the hint lit up,
+// in scoreBoard's shape: the letters given away, or the checked word's
+// right and wrong letters.
+export function takeHint(game, type, { key, slotId } = {}) {
+  assertPlaying(game);
+  if (!["letter", "check", "word"].includes(type)) throw new GameError(`Unknown hint "${type}"`);
+  if (type === "word") findSlot(game, slotId);
+  else if (!(key in getSolutionEntries(game.puzzle))) throw new GameError(`No cell ${key} on this board`);
+
+  if (type === "check") {
+    const { hint, results } = checkWords(game.puzzle, game.entries, key);
+    return { game: { ...game, hints: [...game.hints, hint] }, results };
+  }
+  const { hint, letters } = type === "word" ? revealWord(game.puzzle, slotId) : revealLetter(game.puzzle, key);
+  const results = Object.fromEntries(Object.entries(letters).map(([k, letter]) => [k, { letter, state: "correct" }]));
+  return { game: { ...game, entries: { ...game.entries, ...letters }, hints: [...game.hints, hint] }, results };
+}
+
+// Where the game stands: the last submission's results and, once it's won,
+// its score.
+export function getStatus(game) {
+  const last = game.history[game.history.length - 1] ?? null;
+  return {
+    over: game.gameOver,
+    won: game.gameWon,
+    attempts: game.attempts,
+    attemptsLeft: game.maxAttempts - game.attempts,
+    hints: game.hints.length,
+    cells: last?.cells ?? {},
+    score: getScore({ won: game.gameWon, attempts: game.attempts, maxAttempts: game.maxAttempts, hints: game.hints }),
+  };
+}
+
+export function saveGame(game) {
+  return JSON.stringify(game);
+}
+
+// Reads saveGame's output, or an app save from localStorage. App saves have
+// no `maxAttempts`: it comes from the board's difficulty when that's a preset,
+// and from `defaults` otherwise (a custom board, an older save).
+export function loadGame(json, defaults = {}) {
+  let data;
+  try {
+    data = typeof json === "string" ? JSON.parse(json) : json;
+  } catch {
+    throw new GameError("Saved game is not valid JSON");
+  }
+  if (data?.v !== undefined && data.v !== ENGINE_VERSION) throw new GameError(`Unknown save version ${data.v}`);
+  const difficulty = data?.puzzle?.difficulty;
+  const preset = Object.hasOwn(DIFFICULTIES, difficulty) ? { maxAttempts: DIFFICULTIES[difficulty].maxAttempts } : {};
+  const base = createGame(data?.puzzle, { ...defaults, ...preset, ...pick(data, ["maxAttempts", "allowPartial"]) });
+  return {
+    ...base,
+    ...pick(data, ["entries", "attempts", "history", "hints", "gameOver", "gameWon"]),
+  };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter((key) => object?.[key] !== undefined).map((key) => [key, object[key]]));
+}
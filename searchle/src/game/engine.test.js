@@ -0,0 +1,78 @@
+import {
+  GameError, createGame, enterWord, getSolutionEntries, getStatus, guess, loadGame, saveGame, submit, takeHint,
+} from './engine';
+
+// CAT across row 1, with ICE, BAD and ATE down through its letters
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 1 },
+  verticals: [
+    { word: 'ICE', intersectIndex: 0 },
+    { word: 'BAD', intersectIndex: 1 },
+    { word: 'ATE', intersectIndex: 2 },
+  ],
+};
+const answers = ['CAT', 'ICE', 'BAD', 'ATE'];
+
+test('solving the board wins with a score', async () => {
+  const { game, result } = await guess(createGame(puzzle), answers, { now: () => 1 });
+  expect(result.solved).toBe(true);
+  expect(getStatus(game)).toMatchObject({ over: true, won: true, attempts: 1, attemptsLeft: 5, score: 600 });
+  expect(game.history).toEqual([{ entries: game.entries, cells: result.cells, ts: 1 }]);
+  expect(() => enterWord(game, 'across', 'COT')).toThrow(GameError);
+});
+
+test('an unfinished or unknown guess is turned away for free', async () => {
+  const half = enterWord(createGame(puzzle), 'across', 'CAT');
+  expect((await submit(half)).invalid.map((w) => w.reason)).toEqual(['incomplete', 'incomplete', 'incomplete']);
+
+  const hasWord = async (word) => word !== 'IXE';
+  const { game, invalid } = await guess(createGame(puzzle), { across: 'CAT', 'down-0': 'IXE', 'down-1': 'BAD', 'down-2': 'ATE' }, { hasWord });
+  expect(invalid).toEqual([expect.objectContaining({ slotId: 'down-0', reason: 'unknown' })]);
+  expect(game.attempts).toBe(0);
+});
+
+test('words are spelled in the board\'s alphabet', () => {
+  expect(() => enterWord(createGame(puzzle), 'across', 'C4T')).toThrow(GameError);
+  expect(() => enterWord(createGame(puzzle), 'across', 'CÆT')).toThrow('"CÆT" has letters that English boards don\'t use');
+  expect(enterWord(createGame(puzzle), 'across', 'cät').entries).toMatchObject({ '0,1': 'C', '1,1': 'A', '2,1': 'T' });
+  const german = enterWord(createGame({ ...puzzle, language: 'de' }), 'across', 'cät');
+  expect(german.entries['1,1']).toBe('Ä');
+});
+
+test('running out of attempts loses and shows the answers', async () => {
+  let game = createGame(puzzle, { maxAttempts: 2 });
+  for (let i = 0; i < 2; i++) ({ game } = await guess(game, ['COT', 'ICE', 'BOD', 'OTE']));
+  expect(getStatus(game)).toMatchObject({ over: true, won: false, attempts: 2, score: 0 });
+  expect(getStatus(game).cells['1,1']).toMatchObject({ letter: 'O', across: 'incorrect', down: 'incorrect' });
+  expect(game.entries).toEqual(getSolutionEntries(puzzle));
+});
+
+test('revealed letters are locked and cost points', async () => {
+  const { game: hinted, results } = takeHint(createGame(puzzle), 'letter', { key: '1,1' });
+  expect(results).toEqual({ '1,1': { letter: 'A', state: 'correct' } });
+  const typed = enterWord(hinted, 'across', 'COT');
+  expect(typed.entries['1,1']).toBe('A');
+  const { game: checked, results: checks } = takeHint(typed, 'check', { key: '0,1' });
+  expect(checks['0,1']).toEqual({ letter: 'C', state: 'correct' });
+  expect(() => takeHint(checked, 'word', { slotId: 'down-9' })).toThrow('No word "down-9"');
+
+  const { game } = await guess(checked, answers);
+  expect(getStatus(game)).toMatchObject({ won: true, hints: 2, score: 600 - 30 });
+});
+
+test('a game saves to JSON and comes back the same, as do app saves', async () => {
+  const { game } = await guess(createGame(puzzle), ['COT', 'ICE', 'BAD', 'ATE']);
+  expect(loadGame(saveGame(game))).toEqual(game);
+
+  const appSave = { puzzle, entries: game.entries, attempts: 1, history: game.history, hints: [], gameOver: false, gameWon: false };
+  expect(loadGame(JSON.stringify(appSave), { maxAttempts: 4 })).toMatchObject({ attempts: 1, maxAttempts: 4 });
+  expect(() => loadGame('{oops')).toThrow('not valid JSON');
+  expect(() => loadGame('{"v": 9}')).toThrow('Unknown save version 9');
+});
+
+test('an app save gets its attempts from the board\'s difficulty', () => {
+  const appSave = (difficulty) => JSON.stringify({ puzzle: { ...puzzle, difficulty }, attempts: 0 });
+  expect(loadGame(appSave('easy'), { maxAttempts: 4 }).maxAttempts).toBe(8);
+  expect(loadGame(appSave('custom'), { maxAttempts: 5 }).maxAttempts).toBe(5);
+  expect(loadGame(appSave('constructor'), { maxAttempts: 5 }).maxAttempts).toBe(5);
+});
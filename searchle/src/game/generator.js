@@ -0,0 +1,163 @@
+// =========================
+// PUZZLE GENERATOR
+// =========================
+// Builds a { horizontal, verticals } puzzle: one spine word across, and one
+// vertical word through each spine letter. Instead of throwing everything away
+// and starting over when a layout doesn't work out, the generator fetches a
+// pool of words per length once, then backtracks over which vertical length
+// goes where, trying further spine words until the attempt budget runs out.
+import { createRng, shuffle } from "./rng.js";
+import { attachClues } from "./clues.js";
+
+export const DEFAULT_SHAPE = {
+  spineLength: 6,
+  spineRow: 4,
+  verticalLengths: [6, 5, 5, 4, 4, 4], // 1x6, 2x5, 3x4
+};
+
+// Guards against pathological dictionaries; real searches finish in a few
+// dozen steps.
+const MAX_SEARCH_STEPS = 5000;
+
+export class PuzzleGenerationError extends Error {
+  constructor(message, { attempts } = {}) {
+    super(message);
+    this.name = "PuzzleGenerationError";
+    this.attempts = attempts;
+  }
+}
+
+// Thrown when the caller's signal aborts a generation, like fetch does.
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException("Puzzle generation was cancelled", "AbortError");
+}
+
+function countBy(values) {
+  return values.reduce((acc, v) => {
+    acc[v] = (acc[v] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+// Give every spine position a vertical word so that the lengths used match
+// `verticalLengths` exactly and no word appears twice. `candidates[i][len]` is
+// the (already shuffled) list of words for position i with that length.
+function assignVerticals(spine, candidates, verticalLengths, rng) {
+  const remaining = countBy(verticalLengths);
+  const lengths = Object.keys(remaining).map(Number);
+  const used = new Set([spine]);
+  const result = new Array(spine.length);
+
+  // Most constrained positions first, so dead ends show up early.
+  const optionCount = (i) => lengths.reduce((n, len) => n + candidates[i][len].length, 0);
+  const order = spine.split("").map((_, i) => i).sort((a, b) => optionCount(a) - optionCount(b));
+
+  let steps = 0;
+  const place = (k) => {
+    if (k === order.length) return true;
+    if (++steps > MAX_SEARCH_STEPS) return false;
+    const i = order[k];
+    for (const len of shuffle(rng, lengths)) {
+      if (!remaining[len]) continue;
+      const word = candidates[i][len].find((w) => !used.has(w));
+      if (!word) continue;
+      remaining[len] -= 1;
+      used.add(word);
+      result[i] = { word, intersectIndex: i };
+      if (place(k + 1)) return true;
+      remaining[len] += 1;
+      used.delete(word);
+    }
+    return false;
+  };
+
+  return place(0) ? result : null;
+}
+
+// onProgress receives { current, total, failed, attempt, maxAttempts, message },
+// where current/total count word-source queries finished/issued so far,
+// failed counts the ones a fallback source had to answer (see withFallback),
+// and maxAttempts is lowered to the number of spine words once they're known.
+// `language` is the pack the word source serves; it words the fallback clues.
+// Aborting `signal` cancels the word-source requests and rejects with an
+// AbortError.
+export async function generatePuzzle(
+  onProgress,
+  { wordSource, seed, rng = createRng(seed), shape = DEFAULT_SHAPE, maxAttempts = 25, language, signal }
+) {
+  throwIfAborted(signal);
+  const progress = { current: 0, total: 0, failed: 0, attempt: 1, maxAttempts, message: "" };
+  const report = () => onProgress({ ...progress });
+  const onError = (error) => {
+    progress.failed += 1;
+    progress.message = error.message;
+    report();
+  };
+
+  // Every query is made at most once per generation; retries reuse the results.
+  const cache = new Map();
+  const fetchWords = (query) => {
+    const key = JSON.stringify(query);
+    if (!cache.has(key)) {
+      progress.total += 1;
+      report();
+      cache.set(
+        key,
+        wordSource.findWords(query, { signal, onError }).then((words) => {
+          progress.current += 1;
+          report();
+          return words;
+        })
+      );
+    }
+    return cache.get(key);
+  };
+
+  const lengths = [...new Set(shape.verticalLengths)];
+  const [spineWords, ...pools] = await Promise.all([
+    fetchWords({ length: shape.spineLength, max: 100 }),
+    ...lengths.map((length) => fetchWords({ length, max: 1000 })),
+  ]);
+  throwIfAborted(signal);
+  const poolByLength = Object.fromEntries(lengths.map((len, i) => [len, pools[i]]));
+
+  const spines = shuffle(rng, spineWords);
+  if (spines.length === 0) {
+    throw new PuzzleGenerationError("Could not fetch horizontal word", { attempts: 0 });
+  }
+
+  const attempts = Math.min(maxAttempts, spines.length);
+  progress.maxAttempts = attempts;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const spine = spines[attempt - 1];
+    if (attempt > 1) {
+      progress.attempt = attempt;
+      progress.message = `Retrying with a new word (${attempt}/${attempts})`;
+      report();
+    }
+
+    const candidates = await Promise.all(
+      spine.split("").map(async (letter) => {
+        const byLength = {};
+        for (const len of lengths) {
+          let words = poolByLength[len].filter((w) => w.includes(letter));
+          // The shared pool may miss rarer letters; ask for them directly.
+          if (words.length === 0) words = await fetchWords({ length: len, contains: letter, max: 50 });
+          byLength[len] = shuffle(rng, words.filter((w) => w !== spine));
+        }
+        return byLength;
+      })
+    );
+    throwIfAborted(signal);
+
+    const verticals = assignVerticals(spine, candidates, shape.verticalLengths, rng);
+    if (verticals) {
+      const puzzle = { horizontal: { word: spine, x: 0, y: shape.spineRow }, verticals };
+      const withClues = await attachClues(puzzle, wordSource, language, { signal });
+      throwIfAborted(signal);
+      return withClues;
+    }
+  }
+
+  throw new PuzzleGenerationError(`Could not build a puzzle after ${attempts} attempts`, { attempts });
+}
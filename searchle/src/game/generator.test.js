@@ -0,0 +1,88 @@
+import { generatePuzzle, PuzzleGenerationError, DEFAULT_SHAPE } from './generator';
+import { createLocalWordSource, withFallback } from './wordSources';
+import { DIFFICULTIES } from './difficulty';
+import { LANGUAGES } from './languages';
+
+const wordSource = createLocalWordSource();
+
+test('builds a board that matches the shape', async () => {
+  const puzzle = await generatePuzzle(() => {}, { wordSource, seed: 'shape' });
+  const { word } = puzzle.horizontal;
+  expect(word).toHaveLength(DEFAULT_SHAPE.spineLength);
+  expect(puzzle.verticals).toHaveLength(word.length);
+  puzzle.verticals.forEach((v, i) => {
+    expect(v.intersectIndex).toBe(i);
+    expect(v.word).toContain(word[i]);
+  });
+  const lengths = puzzle.verticals.map((v) => v.word.length).sort();
+  expect(lengths).toEqual([...DEFAULT_SHAPE.verticalLengths].sort());
+  expect(new Set([word, ...puzzle.verticals.map((v) => v.word)]).size).toBe(7);
+});
+
+test('the same seed builds the same board', async () => {
+  const a = await generatePuzzle(() => {}, { wordSource, seed: 'daily:2026-10-19' });
+  const b = await generatePuzzle(() => {}, { wordSource, seed: 'daily:2026-10-19' });
+  expect(b).toEqual(a);
+});
+
+test('reports query progress and gives up after the attempt budget', async () => {
+  // No 4-letter word contains a Z, so no spine with a Z in it can work.
+  const tiny = createLocalWordSource({
+    words: ['zigzag', 'zipper', 'frozen', 'zebras', 'zzzzzz', 'pizzas', 'bottle', 'lizard'],
+  });
+  const updates = [];
+  const attempt = generatePuzzle((p) => updates.push(p), { wordSource: tiny, seed: 'x', maxAttempts: 3 });
+  await expect(attempt).rejects.toBeInstanceOf(PuzzleGenerationError);
+  await expect(attempt).rejects.toThrow(/after 3 attempts/);
+  const last = updates[updates.length - 1];
+  expect(last.current).toBe(last.total);
+  expect(updates.some((p) => p.attempt === 3 && /Retrying/.test(p.message))).toBe(true);
+});
+
+test('builds every difficulty preset shape', async () => {
+  for (const difficulty of Object.values(DIFFICULTIES)) {
+    for (const shape of difficulty.shapes) {
+      const puzzle = await generatePuzzle(() => {}, { wordSource, seed: difficulty.id, shape });
+      expect(puzzle.horizontal.word).toHaveLength(shape.spineLength);
+      expect(puzzle.verticals.map((v) => v.word.length).sort()).toEqual([...shape.verticalLengths].sort());
+    }
+  }
+});
+
+test('builds boards from every bundled language', async () => {
+  for (const language of Object.values(LANGUAGES)) {
+    for (const difficulty of Object.values(DIFFICULTIES)) {
+      const puzzle = await generatePuzzle(() => {}, {
+        wordSource: createLocalWordSource({ language }),
+        seed: `${language.id}:${difficulty.id}`,
+        shape: difficulty.shapes[0],
+        language,
+      });
+      expect(puzzle.horizontal.word).toHaveLength(difficulty.shapes[0].spineLength);
+    }
+  }
+});
+
+test('reports requests a fallback source had to answer', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const broken = { id: 'broken', findWords: () => Promise.reject(new Error('Datamuse is down')) };
+  const updates = [];
+  await generatePuzzle((p) => updates.push(p), { wordSource: withFallback(broken, wordSource), seed: 'fallback' });
+  const last = updates[updates.length - 1];
+  expect(last.failed).toBe(last.total);
+  expect(updates.some((p) => p.message === 'Datamuse is down')).toBe(true);
+  console.warn.mockRestore();
+});
+
+test('an aborted generation stops and rejects with an AbortError', async () => {
+  const controller = new AbortController();
+  const slow = {
+    ...wordSource,
+    findWords: async (query) => {
+      controller.abort();
+      return wordSource.findWords(query);
+    },
+  };
+  const attempt = generatePuzzle(() => {}, { wordSource: slow, seed: 'abort', signal: controller.signal });
+  await expect(attempt).rejects.toMatchObject({ name: 'AbortError' });
+});
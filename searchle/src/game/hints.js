@@ -0,0 +1,58 @@
+// =========================
+// HINTS
+// =========================
+// Hints work from one cell: reveal its letter, check the word(s) through it,
+// or reveal a whole word. Each hint is recorded as
+//   { type: "letter" | "check" | "word", cells: ["x,y", ...], slot?, ts }
+// and costs points off the final score.
+import { getLetterPositions, getWordSlots } from "./layout.js";
+
+export const HINT_PENALTIES = { letter: 20, check: 10, word: 60 };
+
+function getAnswers(puzzle) {
+  return Object.fromEntries(getLetterPositions(puzzle).map((c) => [`${c.x},${c.y}`, c.letter]));
+}
+
+// The across and/or down word running through a cell.
+export function getSlotsThrough(puzzle, key) {
+  return getWordSlots(puzzle).filter((slot) => slot.cells.includes(key));
+}
+
+// Returns the hint record plus `letters` ({ key: letter }) to write to the board.
+export function revealLetter(puzzle, key) {
+  return { hint: { type: "letter", cells: [key], ts: Date.now() }, letters: { [key]: getAnswers(puzzle)[key] } };
+}
+
+export function revealWord(puzzle, slotId) {
+  const slot = getWordSlots(puzzle).find((s) => s.id === slotId);
+  const letters = Object.fromEntries(slot.cells.map((key, i) => [key, slot.word[i]]));
+  return { hint: { type: "word", slot: slotId, cells: slot.cells, ts: Date.now() }, letters };
+}
+
+// Right/wrong for each filled cell in the word(s) through `key`; unlike a
+// submission it never says "present" and doesn't use up an attempt.
+export function checkWords(puzzle, entries, key) {
+  const answers = getAnswers(puzzle);
+  const cells = [...new Set(getSlotsThrough(puzzle, key).flatMap((slot) => slot.cells))];
+  const results = {};
+  cells.forEach((k) => {
+    const letter = entries[k];
+    if (letter) results[k] = { letter, state: letter === answers[k] ? "correct" : "incorrect" };
+  });
+  return { hint: { type: "check", cells, ts: Date.now() }, results };
+}
+
+// Cells whose letters were given away; they're locked for the rest of the game.
+export function getRevealedCells(hints) {
+  return new Set(hints.filter((h) => h.type !== "check").flatMap((h) => h.cells));
+}
+
+export function getHintPenalty(hints) {
+  return hints.reduce((sum, h) => sum + HINT_PENALTIES[h.type], 0);
+}
+
+// 100 points per unused attempt (plus the winning one), less hint penalties.
+export function getScore({ won, attempts, maxAttempts, hints = [] }) {
+  if (!won) return 0;
+  return Math.max(0, (maxAttempts - attempts + 1) * 100 - getHintPenalty(hints));
+}
@@ -0,0 +1,34 @@
+import { checkWords, getRevealedCells, getScore, revealLetter, revealWord } from './hints';
+
+// Spine "CAT" with "ACE" hanging down from the A.
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 0 },
+  verticals: [{ word: 'ACE', intersectIndex: 1 }],
+};
+
+test('reveals a letter or a whole word and locks those cells', () => {
+  const letter = revealLetter(puzzle, '2,0');
+  expect(letter.letters).toEqual({ '2,0': 'T' });
+  const word = revealWord(puzzle, 'down-1');
+  expect(word.letters).toEqual({ '1,0': 'A', '1,1': 'C', '1,2': 'E' });
+  expect(getRevealedCells([letter.hint, word.hint])).toEqual(new Set(['2,0', '1,0', '1,1', '1,2']));
+});
+
+test('checks every filled cell in the words through a crossing cell', () => {
+  const entries = { '0,0': 'C', '1,0': 'E', '1,2': 'E' };
+  const { hint, results } = checkWords(puzzle, entries, '1,0');
+  expect(hint.cells).toHaveLength(5);
+  expect(results).toEqual({
+    '0,0': { letter: 'C', state: 'correct' },
+    '1,0': { letter: 'E', state: 'incorrect' },
+    '1,2': { letter: 'E', state: 'correct' },
+  });
+  expect(getRevealedCells([hint]).size).toBe(0);
+});
+
+test('hints lower the score of a win', () => {
+  const hints = [{ type: 'letter' }, { type: 'check' }];
+  expect(getScore({ won: true, attempts: 2, maxAttempts: 6, hints: [] })).toBe(500);
+  expect(getScore({ won: true, attempts: 2, maxAttempts: 6, hints })).toBe(470);
+  expect(getScore({ won: false, attempts: 6, maxAttempts: 6, hints })).toBe(0);
+});
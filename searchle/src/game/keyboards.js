@@ -0,0 +1,35 @@
+// =========================
+// KEYBOARD LAYOUTS
+// =========================
+// Letter rows for the on-screen keyboard. The app adds Backspace, Enter and
+// the arrow keys around them.
+export const KEYBOARD_LAYOUTS = {
+  qwerty: { label: "QWERTY", rows: ["QWERTYUIOP", "ASDFGHJKL", "ZXCVBNM"] },
+  azerty: { label: "AZERTY", rows: ["AZERTYUIOP", "QSDFGHJKLM", "WXCVBN"] },
+  qwertz: { label: "QWERTZ", rows: ["QWERTZUIOP", "ASDFGHJKL", "YXCVBNM"] },
+  alphabetical: { label: "ABC", rows: ["ABCDEFGHI", "JKLMNOPQR", "STUVWXYZ"] },
+};
+
+export const DEFAULT_KEYBOARD = "qwerty";
+
+// Rows of key names: letters plus the control keys, arrows only when wanted.
+// A language pack's extra letters (Ä, Ñ, Ø…) go at the ends of the rows, as on
+// that country's keyboards; the alphabetical layout just lists the pack's
+// whole alphabet.
+export function buildKeyboardRows(layoutId, { showArrows = true, language = null } = {}) {
+  const layout = KEYBOARD_LAYOUTS[layoutId] ? layoutId : DEFAULT_KEYBOARD;
+  const letters = layout === "alphabetical" && language
+    ? splitRows(language.alphabet)
+    : KEYBOARD_LAYOUTS[layout].rows.map((row, i) => row + (language?.keyboardExtras[i] ?? ""));
+  const [top, middle, bottom] = letters.map((row) => row.split(""));
+  return [
+    [...top, "Backspace"],
+    [...middle, ...(showArrows ? ["ArrowUp"] : []), "Enter"],
+    [...bottom, ...(showArrows ? ["ArrowLeft", "ArrowDown", "ArrowRight"] : [])],
+  ];
+}
+
+function splitRows(alphabet) {
+  const size = Math.ceil(alphabet.length / 3);
+  return [alphabet.slice(0, size), alphabet.slice(size, size * 2), alphabet.slice(size * 2)];
+}
@@ -0,0 +1,26 @@
+import { KEYBOARD_LAYOUTS, buildKeyboardRows } from './keyboards';
+
+test('every layout has each letter exactly once', () => {
+  Object.values(KEYBOARD_LAYOUTS).forEach(({ rows }) => {
+    expect(rows.join('').split('').sort().join('')).toBe('ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+  });
+});
+
+test('arrow keys can be left out', () => {
+  expect(buildKeyboardRows('qwerty')[2]).toEqual(['Z', 'X', 'C', 'V', 'B', 'N', 'M', 'ArrowLeft', 'ArrowDown', 'ArrowRight']);
+  expect(buildKeyboardRows('azerty', { showArrows: false })).toEqual([
+    [...'AZERTYUIOP', 'Backspace'],
+    [...'QSDFGHJKLM', 'Enter'],
+    [...'WXCVBN'],
+  ]);
+});
+
+test("a language's extra letters are added to the rows", () => {
+  const german = { alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ', keyboardExtras: ['Ü', 'ÖÄ', ''] };
+  const rows = buildKeyboardRows('qwertz', { language: german, showArrows: false });
+  expect(rows[0].slice(-2)).toEqual(['Ü', 'Backspace']);
+  expect(rows[1].slice(-3)).toEqual(['Ö', 'Ä', 'Enter']);
+  expect(buildKeyboardRows('alphabetical', { language: german, showArrows: false }).map((row) => row.length)).toEqual([
+    11, 11, 9,
+  ]);
+});
@@ -0,0 +1,235 @@
+// =========================
+// GERMAN
+// =========================
+// Umlauts are letters of their own; ß is written SS, as in upper-case text.
+import DE_WORDS from "../words/de.js";
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+const de = {
+  id: "de",
+  name: "Deutsch",
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ",
+  vowels: "AEIOUÄÖÜ",
+  keyboardExtras: ["Ü", "ÖÄ", ""],
+  words: DE_WORDS,
+  datamuse: false,
+  strings: {
+    "mode.daily": "Tägliches Searchle",
+    "mode.free": "Freies Spiel",
+    "mode.link": "Geteiltes Rätsel",
+    "mode.timeattack": "Zeitrennen",
+    "mode.versus": "Duell",
+    "difficulty.label": "Schwierigkeit",
+    "difficulty.easy": "Leicht",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Schwer",
+    "difficulty.custom": "Eigene",
+    "difficulty.customOption": "Eigene…",
+    "language.label": "Sprache",
+
+    "header.build": "Rätsel bauen",
+    "header.copyLink": "Rätsel-Link kopieren",
+    "header.copyLinkShort": "Link kopieren",
+    "header.stats": "Statistik",
+    "header.versus": "Duell",
+    "header.settings": "Einstellungen",
+    "header.help": "Spielanleitung",
+    "action.daily": "Täglich",
+    "action.newGame": "Neues Spiel",
+    "action.timeAttack": "Zeitrennen",
+    "action.clear": "Löschen",
+    "action.hint": "Tipp",
+    "action.assist": "Helfer",
+    "action.submit": "Prüfen",
+    "action.share": "Teilen",
+    "action.play": "Spielen",
+    "action.close": "Schließen",
+
+    "status.attempts": ({ attempts, max }) => `Versuche: ${attempts}/${max}`,
+    "status.hints": ({ count, penalty }) => `Tipps: ${count} (−${penalty})`,
+    "status.boards": ({ count }) => `Rätsel: ${count}`,
+    "result.won": ({ score }) => `Gewonnen! ${score} Punkte`,
+    "result.lost": "Verloren!",
+    "result.solvedBonus": ({ bonus }) => `Gelöst! +${bonus}`,
+    "result.missed": "Leider nicht!",
+    "result.nextBoard": "Nächstes Rätsel…",
+    "result.runOver": ({ count }) => `Die Zeit ist um! ${plural(count, "Rätsel", "Rätsel")} gelöst`,
+    "result.newRun": "Neues Rennen",
+    "common.boards": ({ count }) => plural(count, "Rätsel", "Rätsel"),
+    "board.label": "Spielfeld",
+
+    "loading.title": "Wörter werden gesammelt!",
+    "loading.retry": ({ attempt, total }) => `Neuer Versuch mit einem anderen Wort (${attempt}/${total})`,
+    "linkError.title": "Defekter Rätsel-Link",
+    "linkError.hint": "Lass dir den Link noch einmal schicken oder spiel ein anderes Rätsel.",
+    "linkError.play": "Searchle spielen",
+    "loading.failed": ({ count }) => `${plural(count, "Anfrage", "Anfragen")} fehlgeschlagen, die eingebaute Wortliste springt ein`,
+    "loadError.title": "Kein Rätsel erstellt",
+    "loadError.hint": "Prüfe deine Verbindung und versuch es noch einmal, oder spiel offline mit der eingebauten Wortliste.",
+    "loadError.hintOffline": "Auch mit der eingebauten Wortliste ging etwas schief. Versuch es gleich noch einmal.",
+    "loadError.retry": "Noch einmal",
+    "loadError.offline": "Offline spielen",
+
+    "notice.copied": "In die Zwischenablage kopiert",
+    "notice.shareFailed": "Ergebnis konnte nicht geteilt werden",
+    "notice.linkCopied": "Rätsel-Link kopiert",
+    "notice.linkFailed": "Link konnte nicht kopiert werden",
+    "invalid.unknown": ({ words }) => `Nicht in der Wortliste: ${words}`,
+    "invalid.incomplete": "Fülle vor dem Prüfen jedes Wort aus",
+
+    "clue.across": "Waagerecht",
+    "clue.down": ({ number }) => `Senkrecht ${number}`,
+    "clue.downHeading": "Senkrecht",
+    "clue.panel": "Hinweise",
+    "clue.fallback": ({ length, vowels }) => `${length} Buchstaben, ${plural(vowels, "Vokal", "Vokale")}`,
+
+    "key.Backspace": "Rücktaste",
+    "key.Enter": "Eingabe",
+    "key.ArrowUp": "Hoch",
+    "key.ArrowDown": "Runter",
+    "key.ArrowLeft": "Links",
+    "key.ArrowRight": "Rechts",
+    "state.correct": "richtig",
+    "state.present": "an anderer Stelle",
+    "state.incorrect": "nicht im Wort",
+    "cell.position": ({ row, column }) => `Zeile ${row}, Spalte ${column}.`,
+    "cell.letterOf": ({ word, index, length }) => `${word} Buchstabe ${index} von ${length}`,
+    "cell.empty": "Leer",
+    "cell.split": ({ across, down }) => `waagerecht ${across}, senkrecht ${down}`,
+    "cell.title": ({ across, down }) => `Waagerecht: ${across}, senkrecht: ${down}`,
+    "cell.revealed": "durch einen Tipp aufgedeckt",
+    "submission.attempt": ({ attempt, max }) => `Versuch ${attempt} von ${max}.`,
+    "submission.solved": ({ word }) => `${word} gelöst.`,
+    "submission.won": "Du hast das Rätsel gelöst!",
+    "submission.lost": "Keine Versuche mehr.",
+
+    "history.previous": "Vorheriger Versuch",
+    "history.next": "Nächster Versuch",
+    "history.attempt": ({ index, total }) => `Versuch ${index}/${total}`,
+    "history.live": "Aktuelles Feld",
+    "history.open": "Verlauf",
+    "history.back": "Zurück zum Feld",
+    "clock.time": "Zeit",
+    "clock.left": "Restzeit",
+
+    "hint.select": "Wähle ein Feld, um einen Tipp zu bekommen.",
+    "hint.letter": ({ penalty }) => `Buchstabe aufdecken (−${penalty})`,
+    "hint.check": ({ count, penalty }) => `${count > 1 ? "Wörter" : "Wort"} prüfen (−${penalty})`,
+    "hint.word.across": ({ penalty }) => `Waagerecht aufdecken (−${penalty})`,
+    "hint.word.down": ({ penalty }) => `Senkrecht aufdecken (−${penalty})`,
+    "hint.close": "Tipps schließen",
+    "assist.title": "Lösungshelfer",
+    "assist.count": ({ count }) => plural(count, "Wort", "Wörter"),
+    "assist.loading": "Suche Wörter, die noch passen…",
+    "assist.none": "Kein Wort im Wörterbuch passt mehr",
+    "assist.suggestions": ({ word }) => `Wörter für ${word}`,
+    "assist.more": ({ count }) => `und ${count} weitere`,
+    "assist.close": "Helfer schließen",
+
+    "stats.title": "Statistik",
+    "stats.played": "Gespielt",
+    "stats.winPercent": "Siege %",
+    "stats.streak": "Aktuelle Serie",
+    "stats.maxStreak": "Längste Serie",
+    "stats.bestScore": "Bestes Ergebnis",
+    "stats.hintsUsed": "Genutzte Tipps",
+    "stats.bestTime": "Bestzeit",
+    "stats.averageTime": "Durchschnitt",
+    "stats.bestRun": "Bestes Rennen",
+    "stats.distribution": "Siege nach Versuchen",
+
+    "settings.title": "Einstellungen",
+    "settings.theme": "Design",
+    "settings.theme.system": "System",
+    "settings.theme.light": "Hell",
+    "settings.theme.dark": "Dunkel",
+    "settings.keyboard": "Tastatur",
+    "settings.showArrows": "Pfeiltasten zeigen",
+    "settings.reducedMotion": "Weniger Bewegung",
+    "settings.reducedMotionHint": "Kein Umdrehen, Hüpfen oder Aufdecken der Felder nacheinander.",
+    "settings.highContrast": "Hoher Kontrast",
+    "settings.highContrastHint": "Orange und Blau statt Grün und Gelb.",
+    "settings.vibration": "Vibration",
+    "settings.vibrationHint": "Vibriert bei Tastendrücken und Ergebnissen, wenn das Handy es kann.",
+    "settings.showTimer": "Zeit anzeigen",
+    "settings.casual": "Lockeres Spiel",
+    "settings.casualHint": "Auch unfertige Wörter abgeben; fertige werden trotzdem geprüft.",
+    "settings.telemetry": "Nutzungsdaten senden",
+    "settings.telemetryHint": "Anonyme Spielereignisse und Fehler senden, damit wir Fehler beheben können. Aus, bis du es einschaltest.",
+    "settings.assist": "Lösungshelfer",
+    "settings.assistHint": "Ein Helfer-Knopf zeigt, wie viele Wörter aus dem Wörterbuch noch zu jedem Wort passen, und welche.",
+
+    "versus.title": "Duell",
+    "versus.intro": "Tritt auf demselben Rätsel gegen Freunde an: Öffne einen Raum und gib ihnen den Code. Alle sehen, wie weit die anderen sind, aber nie ihre Buchstaben. Wer zuerst löst, gewinnt.",
+    "versus.name": "Dein Name",
+    "versus.create": "Raum öffnen",
+    "versus.code": "Raumcode",
+    "versus.join": "Beitreten",
+    "versus.joining": ({ code }) => `Warte auf jemanden in Raum ${code}…`,
+    "versus.cancel": "Abbrechen",
+    "versus.panel": "Duell",
+    "versus.room": ({ code }) => `Raum ${code}`,
+    "versus.status.connecting": "verbinde neu…",
+    "versus.status.open": "verbunden",
+    "versus.status.closed": "getrennt",
+    "versus.leave": "Verlassen",
+    "versus.you": "Du",
+    "versus.anonymous": "Spieler",
+    "versus.waiting": "noch nicht begonnen",
+    "versus.progress": ({ correct, total, attempts, max }) => `${correct}/${total} richtig · ${attempts}/${max}`,
+    "versus.solved": ({ attempts }) => `gelöst in ${attempts}`,
+    "versus.out": "keine Versuche mehr",
+    "versus.away": "weg",
+    "versus.youWon": "Du hast das Duell gewonnen!",
+    "versus.theyWon": ({ name }) => `${name} hat das Duell gewonnen`,
+
+    "custom.title": "Eigenes Rätsel",
+    "custom.lengths": "Längen der senkrechten Wörter, eine pro Buchstabe",
+    "custom.attempts": "Versuche",
+    "custom.note": ({ length }) => `Das waagerechte Wort hat ${length} Buchstaben. Eigene Rätsel sind immer freies Spiel.`,
+    "builder.title": "Rätsel bauen",
+    "builder.across": "Waagerechtes Wort",
+    "builder.down": ({ number, letter }) => `Senkrecht ${number} · durch ${letter}`,
+    "builder.crossOn": "Kreuzen auf:",
+    "builder.crossLabel": ({ number, index }) => `Senkrecht ${number} auf Buchstabe ${index} kreuzen`,
+    "builder.attemptsError": ({ max }) => `Versuche müssen zwischen 1 und ${max} liegen.`,
+    "builder.download": "JSON herunterladen",
+    "custom.countError": ({ min, max }) => `Gib ${min} bis ${max} Längen an, eine pro Buchstabe des waagerechten Worts.`,
+    "custom.lengthError": ({ min, max }) => `Senkrechte Wörter müssen ${min}–${max} Buchstaben lang sein.`,
+    "builder.spine": "Das waagerechte Wort",
+    "builder.empty": ({ label }) => `${label} ist leer.`,
+    "builder.letters": ({ label, extras }) => `${label} darf nur die Buchstaben A–Z${extras ? ` und ${extras}` : ""} enthalten.`,
+    "builder.length": ({ label, min, max }) => `${label} muss ${min}–${max} Buchstaben lang sein.`,
+    "builder.noAnchor": ({ label, word, letter }) => `${label} (${word}) enthält nicht das ${letter}, an dem es hängt.`,
+    "layout.outside": ({ label }) => `${label} liegt außerhalb des waagerechten Worts.`,
+    "layout.doubled": ({ label }) => `${label} hat mehr als ein Wort.`,
+    "layout.crossing": ({ label, word, letter }) => `${label} (${word}) muss das waagerechte Wort beim Buchstaben ${letter} kreuzen.`,
+    "layout.clash": ({ cell }) => `Zwei Wörter brauchen bei ${cell} verschiedene Buchstaben.`,
+    "layout.touching": ({ left, right, rows }) =>
+      `${left} und ${right} berühren sich in ${plural(rows, "Zeile", "Zeilen")}; die Buchstabenpaare dort sind keine Wörter.`,
+
+    "help.title": "Spielanleitung",
+    "help.intro": "Errate die versteckten Wörter. Ein Wort steht waagerecht, alle anderen senkrecht; sie kreuzen sich und teilen sich Buchstaben.",
+    "help.rules": ({ start, bonus }) => [
+      "Klicke auf ein Feld und tippe Buchstaben, auch Ä, Ö und Ü; ß schreibst du als SS. Nutze deine Tastatur oder die auf dem Bildschirm. Die Rücktaste löscht ein Feld.",
+      "Wenn du so weit bist, drücke \"Prüfen\". Jedes Wort muss ein echtes Wort sein; ein abgelehnter Versuch kostet nichts. Mit \"Lockeres Spiel\" in den Einstellungen (⚙) kannst du auch unfertige Wörter abgeben.",
+      "Beim Tippen geht es im markierten Wort weiter. Klicke noch einmal auf das gewählte Feld (oder drücke die Leertaste), um zwischen waagerecht und senkrecht zu wechseln.",
+      "Tab/Umschalt+Tab springt zum nächsten/vorherigen Wort; die Pfeiltasten bewegen dich zwischen den Feldern. Escape verlässt das Spielfeld.",
+      "Zum gewählten Feld wird der Hinweis des markierten Worts angezeigt. Auf breiten Bildschirmen stehen alle Hinweise neben dem Spielfeld.",
+      "Alle bekommen jeden Tag dasselbe tägliche Searchle. \"Neues Spiel\" startet ein zufälliges Rätsel. Jede Sprache hat eigene Rätsel, Spielstände und Statistiken.",
+      `Mit "Zeit anzeigen" in den Einstellungen siehst du, wie lange du brauchst; die Uhr startet mit dem ersten Buchstaben und hält an, solange das Spiel verborgen ist. Im Zeitrennen hast du ${start} auf der Uhr, und jedes gelöste Rätsel bringt ${bonus} dazu.`,
+      "Der 🔗-Knopf kopiert einen Link genau zu diesem Rätsel, damit Freunde es auch versuchen können.",
+      "Der ✎-Knopf öffnet den Rätselbauer: Wähle ein waagerechtes Wort und ein senkrechtes durch jeden seiner Buchstaben, dann spiele es oder teile es als Link.",
+      "Mit \"Verlauf\" neben dem Versuchszähler gehst du durch deine früheren Versuche zurück.",
+      "Keine Idee? \"Tipp\" deckt das gewählte Feld auf, prüft die Wörter durch das Feld oder deckt ein ganzes Wort auf. Tipps kosten Punkte, und aufgedeckte Felder sind gesperrt.",
+    ],
+    "help.correct": "Der Buchstabe ist im Wort und an der richtigen Stelle.",
+    "help.present": "Der Buchstabe ist im Wort, aber an einer anderen Stelle.",
+    "help.incorrect": "Der Buchstabe ist nicht im Wort.",
+    "help.counting": ({ present }) =>
+      `Buchstaben zählen wie bei Wordle: Ein Buchstabe, den du zweimal rätst, wird nur dann zweimal mit ${present} markiert, wenn er zweimal im Wort vorkommt. Wo sich zwei Wörter kreuzen, zeigt ein geteiltes Feld oben links das Ergebnis für waagerecht und unten rechts das für senkrecht. In den Einstellungen gibt es Farben mit hohem Kontrast, die leichter zu unterscheiden sind.`,
+  },
+};
+
+export default de;
@@ -0,0 +1,250 @@
+// =========================
+// ENGLISH
+// =========================
+// The reference pack: every UI string lives here, and other packs fall back
+// to it for anything they leave out.
+import EN_WORDS from "../words/en.js";
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+const en = {
+  id: "en",
+  name: "English",
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  vowels: "AEIOU",
+  keyboardExtras: ["", "", ""],
+  words: EN_WORDS,
+  datamuse: true,
+  strings: {
+    // Modes and difficulties
+    "mode.daily": "Daily Searchle",
+    "mode.free": "Free Play",
+    "mode.link": "Shared Puzzle",
+    "mode.timeattack": "Time Attack",
+    "mode.versus": "Versus",
+    "difficulty.label": "Difficulty",
+    "difficulty.easy": "Easy",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Hard",
+    "difficulty.custom": "Custom",
+    "difficulty.customOption": "Custom…",
+    "language.label": "Language",
+
+    // Header and footer
+    "header.build": "Build a puzzle",
+    "header.copyLink": "Copy puzzle link",
+    "header.copyLinkShort": "Copy link",
+    "header.stats": "Statistics",
+    "header.versus": "Versus race",
+    "header.settings": "Settings",
+    "header.help": "How to play",
+    "action.daily": "Daily",
+    "action.newGame": "New Game",
+    "action.timeAttack": "Time Attack",
+    "action.clear": "Clear",
+    "action.hint": "Hint",
+    "action.assist": "Assist",
+    "action.submit": "Submit",
+    "action.share": "Share",
+    "action.play": "Play",
+    "action.close": "Close",
+
+    // Game status
+    "status.attempts": ({ attempts, max }) => `Attempts: ${attempts}/${max}`,
+    "status.hints": ({ count, penalty }) => `Hints: ${count} (−${penalty})`,
+    "status.boards": ({ count }) => `Boards: ${count}`,
+    "result.won": ({ score }) => `You won! Score ${score}`,
+    "result.lost": "Game Over!",
+    "result.solvedBonus": ({ bonus }) => `Solved! +${bonus}`,
+    "result.missed": "Missed it!",
+    "result.nextBoard": "Next board…",
+    "result.runOver": ({ count }) => `Time's up! ${plural(count, "board", "boards")} solved`,
+    "result.newRun": "New Run",
+    "common.boards": ({ count }) => plural(count, "board", "boards"),
+    "board.label": "Puzzle board",
+
+    // Loading and link errors
+    "loading.title": "Gathering Words!",
+    "loading.retry": ({ attempt, total }) => `Retrying with a new word (${attempt}/${total})`,
+    "linkError.title": "Broken puzzle link",
+    "linkError.hint": "Ask for the link again, or play another board instead.",
+    "linkError.play": "Play Searchle",
+    "loading.failed": ({ count }) => `${plural(count, "request", "requests")} failed, using the built-in word list`,
+    "loadError.title": "Couldn't build a board",
+    "loadError.hint": "Check your connection and try again, or play offline with the built-in word list.",
+    "loadError.hintOffline": "Something went wrong with the built-in word list too. Try again in a moment.",
+    "loadError.retry": "Try again",
+    "loadError.offline": "Play offline",
+
+    // Toasts
+    "notice.copied": "Copied to clipboard",
+    "notice.shareFailed": "Couldn't share your result",
+    "notice.linkCopied": "Puzzle link copied",
+    "notice.linkFailed": "Couldn't copy the link",
+    "invalid.unknown": ({ words }) => `Not in word list: ${words}`,
+    "invalid.incomplete": "Fill in every word before submitting",
+
+    // Clues
+    "clue.across": "Across",
+    "clue.down": ({ number }) => `Down ${number}`,
+    "clue.downHeading": "Down",
+    "clue.panel": "Clues",
+    "clue.fallback": ({ length, vowels }) => `${length} letters, ${plural(vowels, "vowel", "vowels")}`,
+
+    // Keys, tiles and screen-reader text
+    "key.Backspace": "Backspace",
+    "key.Enter": "Enter",
+    "key.ArrowUp": "Up",
+    "key.ArrowDown": "Down",
+    "key.ArrowLeft": "Left",
+    "key.ArrowRight": "Right",
+    "state.correct": "correct",
+    "state.present": "in another spot",
+    "state.incorrect": "not in the word",
+    "cell.position": ({ row, column }) => `Row ${row}, column ${column}.`,
+    "cell.letterOf": ({ word, index, length }) => `${word} letter ${index} of ${length}`,
+    "cell.empty": "Empty",
+    "cell.split": ({ across, down }) => `across ${across}, down ${down}`,
+    "cell.title": ({ across, down }) => `Across: ${across}, Down: ${down}`,
+    "cell.revealed": "revealed by a hint",
+    "submission.attempt": ({ attempt, max }) => `Attempt ${attempt} of ${max}.`,
+    "submission.solved": ({ word }) => `${word} solved.`,
+    "submission.won": "You solved the board!",
+    "submission.lost": "No attempts left.",
+
+    // History and clock
+    "history.previous": "Previous attempt",
+    "history.next": "Next attempt",
+    "history.attempt": ({ index, total }) => `Attempt ${index}/${total}`,
+    "history.live": "Live board",
+    "history.open": "History",
+    "history.back": "Back to board",
+    "clock.time": "Time",
+    "clock.left": "Time left",
+
+    // Hints
+    "hint.select": "Select a tile to get a hint.",
+    "hint.letter": ({ penalty }) => `Reveal letter (−${penalty})`,
+    "hint.check": ({ count, penalty }) => `Check ${count > 1 ? "words" : "word"} (−${penalty})`,
+    "hint.word.across": ({ penalty }) => `Reveal across (−${penalty})`,
+    "hint.word.down": ({ penalty }) => `Reveal down (−${penalty})`,
+    "hint.close": "Close hints",
+    "assist.title": "Solver assist",
+    "assist.count": ({ count }) => plural(count, "word", "words"),
+    "assist.loading": "Working out which words still fit…",
+    "assist.none": "No word in the dictionary fits any more",
+    "assist.suggestions": ({ word }) => `Words that fit ${word}`,
+    "assist.more": ({ count }) => `and ${count} more`,
+    "assist.close": "Close assist",
+
+    // Statistics
+    "stats.title": "Statistics",
+    "stats.played": "Played",
+    "stats.winPercent": "Win %",
+    "stats.streak": "Current Streak",
+    "stats.maxStreak": "Max Streak",
+    "stats.bestScore": "Best score",
+    "stats.hintsUsed": "Hints used",
+    "stats.bestTime": "Best time",
+    "stats.averageTime": "Average time",
+    "stats.bestRun": "Best run",
+    "stats.distribution": "Wins by Attempts",
+
+    // Settings
+    "settings.title": "Settings",
+    "settings.theme": "Theme",
+    "settings.theme.system": "System",
+    "settings.theme.light": "Light",
+    "settings.theme.dark": "Dark",
+    "settings.keyboard": "Keyboard",
+    "settings.showArrows": "Show arrow keys",
+    "settings.reducedMotion": "Reduce motion",
+    "settings.reducedMotionHint": "No tile flips, bounces or reveal cascade.",
+    "settings.highContrast": "High contrast colours",
+    "settings.highContrastHint": "Orange and blue instead of green and yellow.",
+    "settings.vibration": "Vibration",
+    "settings.vibrationHint": "Buzz on key presses and results, on phones that support it.",
+    "settings.showTimer": "Show timer",
+    "settings.casual": "Casual play",
+    "settings.casualHint": "Submit with unfinished words; finished ones are still checked.",
+    "settings.telemetry": "Share usage data",
+    "settings.telemetryHint": "Send anonymous game events and errors to help fix bugs. Off until you turn it on.",
+    "settings.assist": "Solver assist",
+    "settings.assistHint": "An Assist button shows how many dictionary words still fit each word, and what they are.",
+
+    // Versus races
+    "versus.title": "Versus",
+    "versus.intro": "Race friends on the same board: open a room and give them its code. Everyone sees how far the others have got, never their letters. First to solve it wins.",
+    "versus.name": "Your name",
+    "versus.create": "Open a room",
+    "versus.code": "Room code",
+    "versus.join": "Join",
+    "versus.joining": ({ code }) => `Waiting for someone in room ${code}…`,
+    "versus.cancel": "Cancel",
+    "versus.panel": "Versus race",
+    "versus.room": ({ code }) => `Room ${code}`,
+    "versus.status.connecting": "reconnecting…",
+    "versus.status.open": "connected",
+    "versus.status.closed": "disconnected",
+    "versus.leave": "Leave",
+    "versus.you": "You",
+    "versus.anonymous": "Player",
+    "versus.waiting": "not started",
+    "versus.progress": ({ correct, total, attempts, max }) => `${correct}/${total} right · ${attempts}/${max}`,
+    "versus.solved": ({ attempts }) => `solved in ${attempts}`,
+    "versus.out": "out of attempts",
+    "versus.away": "away",
+    "versus.youWon": "You won the race!",
+    "versus.theyWon": ({ name }) => `${name} won the race`,
+
+    // Custom difficulty and puzzle builder
+    "custom.title": "Custom Board",
+    "custom.lengths": "Vertical word lengths, one per spine letter",
+    "custom.attempts": "Attempts",
+    "custom.note": ({ length }) => `The spine is ${length} letters long. Custom boards are always free play.`,
+    "builder.title": "Build a Puzzle",
+    "builder.across": "Across word",
+    "builder.down": ({ number, letter }) => `Down ${number} · through ${letter}`,
+    "builder.crossOn": "Cross on:",
+    "builder.crossLabel": ({ number, index }) => `Cross Down ${number} on letter ${index}`,
+    "builder.attemptsError": ({ max }) => `Attempts must be between 1 and ${max}.`,
+    "builder.download": "Download JSON",
+    "custom.countError": ({ min, max }) => `Give between ${min} and ${max} vertical lengths (one per spine letter).`,
+    "custom.lengthError": ({ min, max }) => `Vertical words must be ${min}–${max} letters long.`,
+    "builder.spine": "The across word",
+    "builder.empty": ({ label }) => `${label} is empty.`,
+    "builder.letters": ({ label, extras }) => `${label} may only use the letters A–Z${extras ? ` and ${extras}` : ""}.`,
+    "builder.length": ({ label, min, max }) => `${label} must be ${min}–${max} letters long.`,
+    "builder.noAnchor": ({ label, word, letter }) => `${label} (${word}) doesn't contain the letter ${letter} it hangs from.`,
+    "layout.outside": ({ label }) => `${label} is outside the across word.`,
+    "layout.doubled": ({ label }) => `${label} has more than one word.`,
+    "layout.crossing": ({ label, word, letter }) => `${label} (${word}) must cross the across word on the letter ${letter}.`,
+    "layout.clash": ({ cell }) => `Two words need different letters at ${cell}.`,
+    "layout.touching": ({ left, right, rows }) =>
+      `${left} and ${right} touch in ${plural(rows, "row", "rows")}, forming letter pairs that aren't words.`,
+
+    // How to play
+    "help.title": "How to Play",
+    "help.intro": "Guess the hidden words. There is 1 horizontal word and the rest are vertical, all interconnected, sharing letters.",
+    "help.rules": ({ start, bonus }) => [
+      "Click on a tile and type letters (A-Z). Use your keyboard or the on-screen one. Backspace clears a tile.",
+      "When you're ready, hit the \"Submit\" button to check your guesses. Every word has to be filled in with a real word; a rejected guess doesn't cost an attempt. Turn on \"Casual play\" in Settings (⚙) to submit unfinished words too.",
+      "Typing moves along the highlighted word. Click the selected tile again (or press Space) to switch between across and down.",
+      "Tab/Shift+Tab jumps to the next/previous word; the arrow keys move between tiles. Escape leaves the board.",
+      "Selecting a tile shows the clue for the highlighted word. On wider screens every clue is listed beside the board.",
+      "Everyone gets the same Daily Searchle each day. \"New Game\" starts a random free-play board. Each language has its own boards, saves and statistics.",
+      `Turn on "Show timer" in Settings to see how long you take; it starts with your first letter and pauses while the game is hidden. In Time Attack you get ${start} on the clock, and every board you solve adds ${bonus}.`,
+      "The 🔗 button copies a link to the exact board you are playing, so friends can try it too.",
+      "The ✎ button opens the puzzle builder: pick an across word and a down word through each of its letters, then play it or share it as a link.",
+      "Use \"History\" next to the attempt counter to step back through your earlier submissions.",
+      "Stuck? \"Hint\" reveals the selected tile, checks the word(s) through it, or reveals a whole word. Hints cost points and revealed tiles are locked.",
+    ],
+    "help.correct": "The letter is in the word and in the correct spot.",
+    "help.present": "The letter is in the word but in the wrong spot.",
+    "help.incorrect": "The letter is not in the word.",
+    "help.counting": ({ present }) =>
+      `Letters are counted like Wordle: a letter you guess twice is only marked ${present} twice if the word has it twice. Where two words cross, a split tile shows the across result (top-left) and the down result (bottom-right). Settings has a high contrast palette with colours that are easier to tell apart.`,
+  },
+};
+
+export default en;
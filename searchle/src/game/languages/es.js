@@ -0,0 +1,238 @@
+// =========================
+// SPANISH
+// =========================
+// Ñ is a letter of its own; accents are dropped (CANCIÓN is played as CANCION),
+// as in most Spanish word games.
+import ES_WORDS from "../words/es.js";
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+const es = {
+  id: "es",
+  name: "Español",
+  alphabet: "ABCDEFGHIJKLMNÑOPQRSTUVWXYZ",
+  vowels: "AEIOU",
+  keyboardExtras: ["", "Ñ", ""],
+  words: ES_WORDS,
+  datamuse: false,
+  strings: {
+    "mode.daily": "Searchle del día",
+    "mode.free": "Juego libre",
+    "mode.link": "Tablero compartido",
+    "mode.timeattack": "Contrarreloj",
+    "mode.versus": "Duelo",
+    "difficulty.label": "Dificultad",
+    "difficulty.easy": "Fácil",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Difícil",
+    "difficulty.custom": "Personalizada",
+    "difficulty.customOption": "Personalizada…",
+    "language.label": "Idioma",
+
+    "header.build": "Crear un tablero",
+    "header.copyLink": "Copiar enlace del tablero",
+    "header.copyLinkShort": "Copiar enlace",
+    "header.stats": "Estadísticas",
+    "header.versus": "Duelo",
+    "header.settings": "Ajustes",
+    "header.help": "Cómo se juega",
+    "action.daily": "Del día",
+    "action.newGame": "Nueva partida",
+    "action.timeAttack": "Contrarreloj",
+    "action.clear": "Borrar",
+    "action.hint": "Pista",
+    "action.assist": "Ayuda",
+    "action.submit": "Comprobar",
+    "action.share": "Compartir",
+    "action.play": "Jugar",
+    "action.close": "Cerrar",
+
+    "status.attempts": ({ attempts, max }) => `Intentos: ${attempts}/${max}`,
+    "status.hints": ({ count, penalty }) => `Pistas: ${count} (−${penalty})`,
+    "status.boards": ({ count }) => `Tableros: ${count}`,
+    "result.won": ({ score }) => `¡Has ganado! ${score} puntos`,
+    "result.lost": "¡Fin de la partida!",
+    "result.solvedBonus": ({ bonus }) => `¡Resuelto! +${bonus}`,
+    "result.missed": "¡Casi!",
+    "result.nextBoard": "Siguiente tablero…",
+    "result.runOver": ({ count }) =>
+      `¡Se acabó el tiempo! ${plural(count, "tablero resuelto", "tableros resueltos")}`,
+    "result.newRun": "Nueva carrera",
+    "common.boards": ({ count }) => plural(count, "tablero", "tableros"),
+    "board.label": "Tablero",
+
+    "loading.title": "¡Buscando palabras!",
+    "loading.retry": ({ attempt, total }) => `Probando con otra palabra (${attempt}/${total})`,
+    "linkError.title": "Enlace roto",
+    "linkError.hint": "Pide el enlace otra vez o juega otro tablero.",
+    "linkError.play": "Jugar a Searchle",
+    "loading.failed": ({ count }) => `${plural(count, "petición fallida", "peticiones fallidas")}, usando la lista de palabras incluida`,
+    "loadError.title": "No se pudo crear el tablero",
+    "loadError.hint": "Revisa tu conexión y vuelve a intentarlo, o juega sin conexión con la lista de palabras incluida.",
+    "loadError.hintOffline": "También falló la lista de palabras incluida. Vuelve a intentarlo en un momento.",
+    "loadError.retry": "Reintentar",
+    "loadError.offline": "Jugar sin conexión",
+
+    "notice.copied": "Copiado al portapapeles",
+    "notice.shareFailed": "No se pudo compartir el resultado",
+    "notice.linkCopied": "Enlace copiado",
+    "notice.linkFailed": "No se pudo copiar el enlace",
+    "invalid.unknown": ({ words }) => `No está en la lista de palabras: ${words}`,
+    "invalid.incomplete": "Completa todas las palabras antes de comprobar",
+
+    "clue.across": "Horizontal",
+    "clue.down": ({ number }) => `Vertical ${number}`,
+    "clue.downHeading": "Vertical",
+    "clue.panel": "Pistas",
+    "clue.fallback": ({ length, vowels }) => `${length} letras, ${plural(vowels, "vocal", "vocales")}`,
+
+    "key.Backspace": "Retroceso",
+    "key.Enter": "Intro",
+    "key.ArrowUp": "Arriba",
+    "key.ArrowDown": "Abajo",
+    "key.ArrowLeft": "Izquierda",
+    "key.ArrowRight": "Derecha",
+    "state.correct": "correcta",
+    "state.present": "en otro lugar",
+    "state.incorrect": "no está en la palabra",
+    "cell.position": ({ row, column }) => `Fila ${row}, columna ${column}.`,
+    "cell.letterOf": ({ word, index, length }) => `${word} letra ${index} de ${length}`,
+    "cell.empty": "Vacía",
+    "cell.split": ({ across, down }) => `horizontal ${across}, vertical ${down}`,
+    "cell.title": ({ across, down }) => `Horizontal: ${across}, vertical: ${down}`,
+    "cell.revealed": "revelada con una pista",
+    "submission.attempt": ({ attempt, max }) => `Intento ${attempt} de ${max}.`,
+    "submission.solved": ({ word }) => `${word} resuelta.`,
+    "submission.won": "¡Has resuelto el tablero!",
+    "submission.lost": "No quedan intentos.",
+
+    "history.previous": "Intento anterior",
+    "history.next": "Intento siguiente",
+    "history.attempt": ({ index, total }) => `Intento ${index}/${total}`,
+    "history.live": "Tablero actual",
+    "history.open": "Historial",
+    "history.back": "Volver al tablero",
+    "clock.time": "Tiempo",
+    "clock.left": "Tiempo restante",
+
+    "hint.select": "Elige una casilla para pedir una pista.",
+    "hint.letter": ({ penalty }) => `Revelar letra (−${penalty})`,
+    "hint.check": ({ count, penalty }) => `Comprobar ${count > 1 ? "palabras" : "palabra"} (−${penalty})`,
+    "hint.word.across": ({ penalty }) => `Revelar horizontal (−${penalty})`,
+    "hint.word.down": ({ penalty }) => `Revelar vertical (−${penalty})`,
+    "hint.close": "Cerrar pistas",
+    "assist.title": "Ayudante",
+    "assist.count": ({ count }) => plural(count, "palabra", "palabras"),
+    "assist.loading": "Buscando las palabras que aún encajan…",
+    "assist.none": "Ya no encaja ninguna palabra del diccionario",
+    "assist.suggestions": ({ word }) => `Palabras para ${word}`,
+    "assist.more": ({ count }) => `y ${count} más`,
+    "assist.close": "Cerrar ayudante",
+
+    "stats.title": "Estadísticas",
+    "stats.played": "Jugadas",
+    "stats.winPercent": "% victorias",
+    "stats.streak": "Racha actual",
+    "stats.maxStreak": "Mejor racha",
+    "stats.bestScore": "Mejor puntuación",
+    "stats.hintsUsed": "Pistas usadas",
+    "stats.bestTime": "Mejor tiempo",
+    "stats.averageTime": "Tiempo medio",
+    "stats.bestRun": "Mejor carrera",
+    "stats.distribution": "Victorias por intentos",
+
+    "settings.title": "Ajustes",
+    "settings.theme": "Tema",
+    "settings.theme.system": "Sistema",
+    "settings.theme.light": "Claro",
+    "settings.theme.dark": "Oscuro",
+    "settings.keyboard": "Teclado",
+    "settings.showArrows": "Mostrar flechas",
+    "settings.reducedMotion": "Reducir movimiento",
+    "settings.reducedMotionHint": "Sin giros, rebotes ni casillas que se revelan una tras otra.",
+    "settings.highContrast": "Alto contraste",
+    "settings.highContrastHint": "Naranja y azul en lugar de verde y amarillo.",
+    "settings.vibration": "Vibración",
+    "settings.vibrationHint": "Vibra al pulsar teclas y con los resultados, en móviles compatibles.",
+    "settings.showTimer": "Mostrar tiempo",
+    "settings.casual": "Juego relajado",
+    "settings.casualHint": "Comprueba aunque falten palabras; las completas se revisan igual.",
+    "settings.telemetry": "Compartir datos de uso",
+    "settings.telemetryHint": "Envía eventos de juego y errores anónimos para ayudar a corregir fallos. Desactivado hasta que lo actives.",
+    "settings.assist": "Ayudante",
+    "settings.assistHint": "Un botón Ayuda muestra cuántas palabras del diccionario encajan aún en cada palabra, y cuáles son.",
+
+    "versus.title": "Duelo",
+    "versus.intro": "Compite con tus amigos en el mismo tablero: abre una sala y dales su código. Todos ven cuánto llevan los demás, nunca sus letras. Gana quien lo resuelva primero.",
+    "versus.name": "Tu nombre",
+    "versus.create": "Abrir una sala",
+    "versus.code": "Código de sala",
+    "versus.join": "Entrar",
+    "versus.joining": ({ code }) => `Esperando a alguien en la sala ${code}…`,
+    "versus.cancel": "Cancelar",
+    "versus.panel": "Duelo",
+    "versus.room": ({ code }) => `Sala ${code}`,
+    "versus.status.connecting": "reconectando…",
+    "versus.status.open": "conectado",
+    "versus.status.closed": "desconectado",
+    "versus.leave": "Salir",
+    "versus.you": "Tú",
+    "versus.anonymous": "Jugador",
+    "versus.waiting": "sin empezar",
+    "versus.progress": ({ correct, total, attempts, max }) => `${correct}/${total} bien · ${attempts}/${max}`,
+    "versus.solved": ({ attempts }) => `resuelto en ${attempts}`,
+    "versus.out": "sin intentos",
+    "versus.away": "ausente",
+    "versus.youWon": "¡Has ganado el duelo!",
+    "versus.theyWon": ({ name }) => `${name} ha ganado el duelo`,
+
+    "custom.title": "Tablero personalizado",
+    "custom.lengths": "Longitud de cada palabra vertical, una por letra",
+    "custom.attempts": "Intentos",
+    "custom.note": ({ length }) =>
+      `La palabra horizontal tiene ${length} letras. Los tableros personalizados son siempre juego libre.`,
+    "builder.title": "Crear un tablero",
+    "builder.across": "Palabra horizontal",
+    "builder.down": ({ number, letter }) => `Vertical ${number} · por la ${letter}`,
+    "builder.crossOn": "Cruzar en:",
+    "builder.crossLabel": ({ number, index }) => `Cruzar la vertical ${number} en la letra ${index}`,
+    "builder.attemptsError": ({ max }) => `Los intentos deben estar entre 1 y ${max}.`,
+    "builder.download": "Descargar JSON",
+    "custom.countError": ({ min, max }) => `Indica entre ${min} y ${max} longitudes, una por letra de la palabra horizontal.`,
+    "custom.lengthError": ({ min, max }) => `Las palabras verticales deben tener ${min}–${max} letras.`,
+    "builder.spine": "La palabra horizontal",
+    "builder.empty": ({ label }) => `${label} está vacía.`,
+    "builder.letters": ({ label, extras }) => `${label} solo puede usar las letras A–Z${extras ? ` y ${extras}` : ""}.`,
+    "builder.length": ({ label, min, max }) => `${label} debe tener ${min}–${max} letras.`,
+    "builder.noAnchor": ({ label, word, letter }) => `${label} (${word}) no contiene la ${letter} de la que cuelga.`,
+    "layout.outside": ({ label }) => `${label} queda fuera de la palabra horizontal.`,
+    "layout.doubled": ({ label }) => `${label} tiene más de una palabra.`,
+    "layout.crossing": ({ label, word, letter }) => `${label} (${word}) debe cruzar la palabra horizontal en la ${letter}.`,
+    "layout.clash": ({ cell }) => `Dos palabras necesitan letras distintas en ${cell}.`,
+    "layout.touching": ({ left, right, rows }) =>
+      `${left} y ${right} se tocan en ${plural(rows, "fila", "filas")} y forman pares de letras que no son palabras.`,
+
+    "help.title": "Cómo se juega",
+    "help.intro": "Adivina las palabras ocultas. Hay una palabra horizontal y las demás son verticales; todas se cruzan y comparten letras.",
+    "help.rules": ({ start, bonus }) => [
+      "Pulsa una casilla y escribe letras, también la Ñ; las tildes no cuentan. Usa tu teclado o el de la pantalla. Retroceso borra una casilla.",
+      "Cuando estés listo, pulsa \"Comprobar\". Cada palabra tiene que ser una palabra real; un intento rechazado no cuenta. Activa \"Juego relajado\" en Ajustes (⚙) para comprobar también palabras sin terminar.",
+      "Al escribir avanzas por la palabra resaltada. Pulsa otra vez la casilla elegida (o la barra espaciadora) para cambiar entre horizontal y vertical.",
+      "Tab/Mayús+Tab salta a la palabra siguiente/anterior; las flechas mueven entre casillas. Escape sale del tablero.",
+      "Al elegir una casilla se muestra la pista de la palabra resaltada. En pantallas anchas todas las pistas aparecen junto al tablero.",
+      "Cada día todos reciben el mismo Searchle del día. \"Nueva partida\" empieza un tablero al azar. Cada idioma tiene sus propios tableros, partidas guardadas y estadísticas.",
+      `Activa "Mostrar tiempo" en Ajustes para ver cuánto tardas; el reloj empieza con tu primera letra y se detiene mientras el juego está oculto. En Contrarreloj empiezas con ${start} y cada tablero resuelto suma ${bonus}.`,
+      "El botón 🔗 copia un enlace a este mismo tablero para que tus amigos también lo prueben.",
+      "El botón ✎ abre el creador de tableros: elige una palabra horizontal y una vertical por cada una de sus letras, y juégalo o compártelo con un enlace.",
+      "Usa \"Historial\" junto al contador de intentos para repasar tus intentos anteriores.",
+      "¿Atascado? \"Pista\" revela la casilla elegida, comprueba las palabras que pasan por ella o revela una palabra entera. Las pistas restan puntos y las casillas reveladas quedan fijas.",
+    ],
+    "help.correct": "La letra está en la palabra y en su sitio.",
+    "help.present": "La letra está en la palabra, pero en otro sitio.",
+    "help.incorrect": "La letra no está en la palabra.",
+    "help.counting": ({ present }) =>
+      `Las letras se cuentan como en Wordle: una letra que pones dos veces solo se marca dos veces con ${present} si la palabra la tiene dos veces. Donde se cruzan dos palabras, una casilla partida muestra el resultado horizontal (arriba a la izquierda) y el vertical (abajo a la derecha). En Ajustes hay colores de alto contraste que se distinguen mejor.`,
+  },
+};
+
+export default es;
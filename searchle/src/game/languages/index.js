@@ -0,0 +1,63 @@
+// =========================
+// LANGUAGE PACKS
+// =========================
+// A language pack is a plain object:
+//
+//   id, name           "de", "Deutsch"
+//   alphabet           every letter a board may use, upper-case ("A…ZÄÖÜ")
+//   vowels             for the fallback clues
+//   keyboardExtras     letters added to the end of the three keyboard rows
+//   words              the bundled word list
+//   datamuse           true when Datamuse can serve the language (English only)
+//   strings            UI text, see en.js; missing keys fall back to English
+//
+// Strings are either plain text or a function of named values, which leaves
+// plurals and word order to each language.
+import en from "./en.js";
+import de from "./de.js";
+import es from "./es.js";
+import nb from "./nb.js";
+
+export const LANGUAGES = { en, de, es, nb };
+export const DEFAULT_LANGUAGE = "en";
+export const ENGLISH = en;
+
+export function getLanguage(id) {
+  return Object.hasOwn(LANGUAGES, id) ? LANGUAGES[id] : LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// First pack matching the browser's preferred languages, e.g. "de-AT" -> de.
+// Norwegian is often reported as "no" or "nn" rather than "nb".
+export function detectLanguage(preferred = []) {
+  const aliases = { no: "nb", nn: "nb" };
+  for (const tag of preferred) {
+    const base = tag.toLowerCase().split("-")[0];
+    const id = aliases[base] ?? base;
+    if (Object.hasOwn(LANGUAGES, id)) return id;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export function translate(language, key, values = {}) {
+  const text = language.strings[key] ?? ENGLISH.strings[key];
+  if (text === undefined) return key;
+  return typeof text === "function" ? text(values) : text;
+}
+
+// Upper-case `text` and map it onto the alphabet: letters the alphabet has are
+// kept as they are (Ñ in Spanish), other accented letters lose their accent
+// (Á -> A). Returns null when something can't be mapped, so "rock'n'roll" is
+// dropped rather than mangled.
+export function normalizeWord(text, alphabet) {
+  let word = "";
+  for (const ch of text.toUpperCase()) {
+    if (alphabet.includes(ch)) {
+      word += ch;
+      continue;
+    }
+    const base = ch.normalize("NFD")[0];
+    if (base === ch || !alphabet.includes(base)) return null;
+    word += base;
+  }
+  return word;
+}
@@ -0,0 +1,36 @@
+import { ENGLISH, LANGUAGES, detectLanguage, getLanguage, normalizeWord, translate } from './index';
+
+test('words are spelled in the alphabet, keeping its own letters', () => {
+  expect(normalizeWord('canción', LANGUAGES.es.alphabet)).toBe('CANCION');
+  expect(normalizeWord('niño', LANGUAGES.es.alphabet)).toBe('NIÑO');
+  expect(normalizeWord('bär', LANGUAGES.de.alphabet)).toBe('BÄR');
+  expect(normalizeWord('straße', LANGUAGES.de.alphabet)).toBe('STRASSE');
+  expect(normalizeWord('bär', ENGLISH.alphabet)).toBe('BAR');
+  expect(normalizeWord('øl', ENGLISH.alphabet)).toBeNull();
+  expect(normalizeWord("rock'n'roll", ENGLISH.alphabet)).toBeNull();
+});
+
+test('the browser language picks a pack', () => {
+  expect(detectLanguage(['de-AT', 'en'])).toBe('de');
+  expect(detectLanguage(['no'])).toBe('nb');
+  expect(detectLanguage(['fr-FR'])).toBe('en');
+  expect(getLanguage('xx')).toBe(ENGLISH);
+  // Names every object has aren't packs
+  expect(detectLanguage(['constructor', 'es'])).toBe('es');
+  expect(getLanguage('toString')).toBe(ENGLISH);
+});
+
+test('strings fill in values and fall back to English', () => {
+  const sparse = { strings: {} };
+  expect(translate(LANGUAGES.de, 'status.attempts', { attempts: 2, max: 6 })).toBe('Versuche: 2/6');
+  expect(translate(sparse, 'clue.fallback', { length: 5, vowels: 1 })).toBe('5 letters, 1 vowel');
+});
+
+test.each(Object.values(LANGUAGES))('$name translates every string and spells its word list', (language) => {
+  expect(Object.keys(language.strings).sort()).toEqual(Object.keys(ENGLISH.strings).sort());
+  const letters = language.alphabet.split('');
+  expect(new Set(letters).size).toBe(letters.length);
+  language.keyboardExtras.join('').split('').forEach((ch) => expect(letters).toContain(ch));
+  const unspellable = language.words.filter((word) => !normalizeWord(word, language.alphabet));
+  expect(unspellable).toEqual([]);
+});
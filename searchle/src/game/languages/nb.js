@@ -0,0 +1,235 @@
+// =========================
+// NORWEGIAN (BOKMÅL)
+// =========================
+// Æ, Ø and Å are letters of their own and come last in the alphabet.
+import NB_WORDS from "../words/nb.js";
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+const nb = {
+  id: "nb",
+  name: "Norsk",
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZÆØÅ",
+  vowels: "AEIOUYÆØÅ",
+  keyboardExtras: ["Å", "ØÆ", ""],
+  words: NB_WORDS,
+  datamuse: false,
+  strings: {
+    "mode.daily": "Dagens Searchle",
+    "mode.free": "Fritt spill",
+    "mode.link": "Delt brett",
+    "mode.timeattack": "Tidsjakt",
+    "mode.versus": "Duell",
+    "difficulty.label": "Vanskelighetsgrad",
+    "difficulty.easy": "Lett",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Vanskelig",
+    "difficulty.custom": "Egendefinert",
+    "difficulty.customOption": "Egendefinert…",
+    "language.label": "Språk",
+
+    "header.build": "Lag et brett",
+    "header.copyLink": "Kopier lenke til brettet",
+    "header.copyLinkShort": "Kopier lenke",
+    "header.stats": "Statistikk",
+    "header.versus": "Duell",
+    "header.settings": "Innstillinger",
+    "header.help": "Slik spiller du",
+    "action.daily": "Dagens",
+    "action.newGame": "Nytt spill",
+    "action.timeAttack": "Tidsjakt",
+    "action.clear": "Tøm",
+    "action.hint": "Hint",
+    "action.assist": "Hjelper",
+    "action.submit": "Sjekk",
+    "action.share": "Del",
+    "action.play": "Spill",
+    "action.close": "Lukk",
+
+    "status.attempts": ({ attempts, max }) => `Forsøk: ${attempts}/${max}`,
+    "status.hints": ({ count, penalty }) => `Hint: ${count} (−${penalty})`,
+    "status.boards": ({ count }) => `Brett: ${count}`,
+    "result.won": ({ score }) => `Du vant! ${score} poeng`,
+    "result.lost": "Spillet er over!",
+    "result.solvedBonus": ({ bonus }) => `Løst! +${bonus}`,
+    "result.missed": "Ikke denne gangen!",
+    "result.nextBoard": "Neste brett…",
+    "result.runOver": ({ count }) => `Tiden er ute! ${plural(count, "brett", "brett")} løst`,
+    "result.newRun": "Ny runde",
+    "common.boards": ({ count }) => plural(count, "brett", "brett"),
+    "board.label": "Spillebrett",
+
+    "loading.title": "Samler ord!",
+    "loading.retry": ({ attempt, total }) => `Prøver med et nytt ord (${attempt}/${total})`,
+    "linkError.title": "Ødelagt lenke",
+    "linkError.hint": "Be om lenken på nytt, eller spill et annet brett.",
+    "linkError.play": "Spill Searchle",
+    "loading.failed": ({ count }) => `${plural(count, "forespørsel", "forespørsler")} feilet, bruker den innebygde ordlisten`,
+    "loadError.title": "Klarte ikke å lage et brett",
+    "loadError.hint": "Sjekk tilkoblingen og prøv igjen, eller spill frakoblet med den innebygde ordlisten.",
+    "loadError.hintOffline": "Noe gikk galt med den innebygde ordlisten også. Prøv igjen om litt.",
+    "loadError.retry": "Prøv igjen",
+    "loadError.offline": "Spill frakoblet",
+
+    "notice.copied": "Kopiert til utklippstavlen",
+    "notice.shareFailed": "Kunne ikke dele resultatet",
+    "notice.linkCopied": "Lenken er kopiert",
+    "notice.linkFailed": "Kunne ikke kopiere lenken",
+    "invalid.unknown": ({ words }) => `Ikke i ordlisten: ${words}`,
+    "invalid.incomplete": "Fyll ut alle ordene før du sjekker",
+
+    "clue.across": "Vannrett",
+    "clue.down": ({ number }) => `Loddrett ${number}`,
+    "clue.downHeading": "Loddrett",
+    "clue.panel": "Hint til ordene",
+    "clue.fallback": ({ length, vowels }) => `${length} bokstaver, ${plural(vowels, "vokal", "vokaler")}`,
+
+    "key.Backspace": "Slett",
+    "key.Enter": "Enter",
+    "key.ArrowUp": "Opp",
+    "key.ArrowDown": "Ned",
+    "key.ArrowLeft": "Venstre",
+    "key.ArrowRight": "Høyre",
+    "state.correct": "riktig",
+    "state.present": "på et annet sted",
+    "state.incorrect": "ikke i ordet",
+    "cell.position": ({ row, column }) => `Rad ${row}, kolonne ${column}.`,
+    "cell.letterOf": ({ word, index, length }) => `${word} bokstav ${index} av ${length}`,
+    "cell.empty": "Tom",
+    "cell.split": ({ across, down }) => `vannrett ${across}, loddrett ${down}`,
+    "cell.title": ({ across, down }) => `Vannrett: ${across}, loddrett: ${down}`,
+    "cell.revealed": "vist med et hint",
+    "submission.attempt": ({ attempt, max }) => `Forsøk ${attempt} av ${max}.`,
+    "submission.solved": ({ word }) => `${word} er løst.`,
+    "submission.won": "Du løste brettet!",
+    "submission.lost": "Ingen forsøk igjen.",
+
+    "history.previous": "Forrige forsøk",
+    "history.next": "Neste forsøk",
+    "history.attempt": ({ index, total }) => `Forsøk ${index}/${total}`,
+    "history.live": "Nåværende brett",
+    "history.open": "Historikk",
+    "history.back": "Tilbake til brettet",
+    "clock.time": "Tid",
+    "clock.left": "Tid igjen",
+
+    "hint.select": "Velg en rute for å få et hint.",
+    "hint.letter": ({ penalty }) => `Vis bokstav (−${penalty})`,
+    "hint.check": ({ count, penalty }) => `Sjekk ${count > 1 ? "ordene" : "ordet"} (−${penalty})`,
+    "hint.word.across": ({ penalty }) => `Vis vannrett (−${penalty})`,
+    "hint.word.down": ({ penalty }) => `Vis loddrett (−${penalty})`,
+    "hint.close": "Lukk hint",
+    "assist.title": "Løsningshjelper",
+    "assist.count": ({ count }) => plural(count, "ord", "ord"),
+    "assist.loading": "Finner ordene som fortsatt passer…",
+    "assist.none": "Ingen ord i ordboka passer lenger",
+    "assist.suggestions": ({ word }) => `Ord som passer ${word}`,
+    "assist.more": ({ count }) => `og ${count} til`,
+    "assist.close": "Lukk hjelperen",
+
+    "stats.title": "Statistikk",
+    "stats.played": "Spilt",
+    "stats.winPercent": "Seier %",
+    "stats.streak": "Nåværende rekke",
+    "stats.maxStreak": "Lengste rekke",
+    "stats.bestScore": "Beste poengsum",
+    "stats.hintsUsed": "Hint brukt",
+    "stats.bestTime": "Beste tid",
+    "stats.averageTime": "Snittid",
+    "stats.bestRun": "Beste runde",
+    "stats.distribution": "Seire etter forsøk",
+
+    "settings.title": "Innstillinger",
+    "settings.theme": "Tema",
+    "settings.theme.system": "System",
+    "settings.theme.light": "Lyst",
+    "settings.theme.dark": "Mørkt",
+    "settings.keyboard": "Tastatur",
+    "settings.showArrows": "Vis piltaster",
+    "settings.reducedMotion": "Mindre bevegelse",
+    "settings.reducedMotionHint": "Ingen vending, hopping eller ruter som vises etter hverandre.",
+    "settings.highContrast": "Høy kontrast",
+    "settings.highContrastHint": "Oransje og blått i stedet for grønt og gult.",
+    "settings.vibration": "Vibrasjon",
+    "settings.vibrationHint": "Vibrerer ved tastetrykk og resultater, på telefoner som støtter det.",
+    "settings.showTimer": "Vis tid",
+    "settings.casual": "Avslappet spill",
+    "settings.casualHint": "Sjekk også uferdige ord; ferdige ord blir fortsatt sjekket.",
+    "settings.telemetry": "Del bruksdata",
+    "settings.telemetryHint": "Send anonyme spillhendelser og feil for å hjelpe oss å rette feil. Av til du slår det på.",
+    "settings.assist": "Løsningshjelper",
+    "settings.assistHint": "En Hjelper-knapp viser hvor mange ord i ordboka som fortsatt passer hvert ord, og hvilke.",
+
+    "versus.title": "Duell",
+    "versus.intro": "Kjemp mot venner på samme brett: åpne et rom og gi dem koden. Alle ser hvor langt de andre har kommet, men aldri bokstavene deres. Den som løser det først, vinner.",
+    "versus.name": "Navnet ditt",
+    "versus.create": "Åpne et rom",
+    "versus.code": "Romkode",
+    "versus.join": "Bli med",
+    "versus.joining": ({ code }) => `Venter på noen i rom ${code}…`,
+    "versus.cancel": "Avbryt",
+    "versus.panel": "Duell",
+    "versus.room": ({ code }) => `Rom ${code}`,
+    "versus.status.connecting": "kobler til igjen…",
+    "versus.status.open": "tilkoblet",
+    "versus.status.closed": "frakoblet",
+    "versus.leave": "Forlat",
+    "versus.you": "Du",
+    "versus.anonymous": "Spiller",
+    "versus.waiting": "ikke startet",
+    "versus.progress": ({ correct, total, attempts, max }) => `${correct}/${total} riktige · ${attempts}/${max}`,
+    "versus.solved": ({ attempts }) => `løst på ${attempts}`,
+    "versus.out": "tom for forsøk",
+    "versus.away": "borte",
+    "versus.youWon": "Du vant duellen!",
+    "versus.theyWon": ({ name }) => `${name} vant duellen`,
+
+    "custom.title": "Eget brett",
+    "custom.lengths": "Lengden på de loddrette ordene, én per bokstav",
+    "custom.attempts": "Forsøk",
+    "custom.note": ({ length }) => `Det vannrette ordet har ${length} bokstaver. Egne brett er alltid fritt spill.`,
+    "builder.title": "Lag et brett",
+    "builder.across": "Vannrett ord",
+    "builder.down": ({ number, letter }) => `Loddrett ${number} · gjennom ${letter}`,
+    "builder.crossOn": "Kryss på:",
+    "builder.crossLabel": ({ number, index }) => `Kryss loddrett ${number} på bokstav ${index}`,
+    "builder.attemptsError": ({ max }) => `Antall forsøk må være mellom 1 og ${max}.`,
+    "builder.download": "Last ned JSON",
+    "custom.countError": ({ min, max }) => `Oppgi mellom ${min} og ${max} lengder, én per bokstav i det vannrette ordet.`,
+    "custom.lengthError": ({ min, max }) => `Loddrette ord må ha ${min}–${max} bokstaver.`,
+    "builder.spine": "Det vannrette ordet",
+    "builder.empty": ({ label }) => `${label} er tomt.`,
+    "builder.letters": ({ label, extras }) => `${label} kan bare bruke bokstavene A–Z${extras ? ` og ${extras}` : ""}.`,
+    "builder.length": ({ label, min, max }) => `${label} må ha ${min}–${max} bokstaver.`,
+    "builder.noAnchor": ({ label, word, letter }) => `${label} (${word}) inneholder ikke bokstaven ${letter} det henger fra.`,
+    "layout.outside": ({ label }) => `${label} ligger utenfor det vannrette ordet.`,
+    "layout.doubled": ({ label }) => `${label} har mer enn ett ord.`,
+    "layout.crossing": ({ label, word, letter }) => `${label} (${word}) må krysse det vannrette ordet på bokstaven ${letter}.`,
+    "layout.clash": ({ cell }) => `To ord trenger ulike bokstaver i ${cell}.`,
+    "layout.touching": ({ left, right, rows }) =>
+      `${left} og ${right} ligger inntil hverandre i ${plural(rows, "rad", "rader")} og danner bokstavpar som ikke er ord.`,
+
+    "help.title": "Slik spiller du",
+    "help.intro": "Gjett de skjulte ordene. Ett ord står vannrett og resten loddrett; alle krysser hverandre og deler bokstaver.",
+    "help.rules": ({ start, bonus }) => [
+      "Trykk på en rute og skriv bokstaver, også Æ, Ø og Å. Bruk tastaturet ditt eller det på skjermen. Slett tømmer en rute.",
+      "Når du er klar, trykker du \"Sjekk\". Alle ordene må være ekte ord; et avvist forsøk koster ingenting. Slå på \"Avslappet spill\" i Innstillinger (⚙) for å sjekke uferdige ord også.",
+      "Når du skriver, flytter du deg langs det markerte ordet. Trykk på den valgte ruten igjen (eller mellomrom) for å bytte mellom vannrett og loddrett.",
+      "Tab/Shift+Tab hopper til neste/forrige ord; piltastene flytter mellom rutene. Escape forlater brettet.",
+      "Når du velger en rute, vises hintet til det markerte ordet. På brede skjermer står alle hintene ved siden av brettet.",
+      "Alle får samme Dagens Searchle hver dag. \"Nytt spill\" starter et tilfeldig brett. Hvert språk har egne brett, lagrede spill og statistikk.",
+      `Slå på "Vis tid" i Innstillinger for å se hvor lang tid du bruker; klokken starter med første bokstav og stopper mens spillet er skjult. I Tidsjakt starter du med ${start} på klokken, og hvert brett du løser gir ${bonus} ekstra.`,
+      "🔗-knappen kopierer en lenke til akkurat dette brettet, så venner kan prøve det også.",
+      "✎-knappen åpner brettbyggeren: velg et vannrett ord og et loddrett ord gjennom hver bokstav, og spill det eller del det som en lenke.",
+      "Bruk \"Historikk\" ved siden av forsøkstelleren for å gå tilbake gjennom tidligere forsøk.",
+      "Står du fast? \"Hint\" viser den valgte ruten, sjekker ordene gjennom den eller viser et helt ord. Hint koster poeng, og viste ruter låses.",
+    ],
+    "help.correct": "Bokstaven er i ordet og på riktig plass.",
+    "help.present": "Bokstaven er i ordet, men på feil plass.",
+    "help.incorrect": "Bokstaven er ikke i ordet.",
+    "help.counting": ({ present }) =>
+      `Bokstaver telles som i Wordle: en bokstav du gjetter to ganger, markeres bare to ganger med ${present} hvis ordet har den to ganger. Der to ord krysser, viser en delt rute resultatet for vannrett (oppe til venstre) og loddrett (nede til høyre). Innstillinger har farger med høy kontrast som er lettere å skille.`,
+  },
+};
+
+export default nb;
@@ -0,0 +1,135 @@
+// =========================
+// BOARD LAYOUT
+// =========================
+// Turns a { horizontal, verticals } puzzle into grid coordinates. Cells are
+// keyed "x,y" everywhere (entries, cell states, saves).
+import { ENGLISH, translate } from "./languages/index.js";
+
+export function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+// Row index inside `word` where a vertical crosses the spine. Built puzzles
+// say so explicitly (`crossIndex`, for words with the letter twice); generated
+// ones cross at the first occurrence.
+function getCrossIndex(horizWord, { word, intersectIndex, crossIndex }) {
+  return crossIndex ?? word.indexOf(horizWord[intersectIndex]);
+}
+
+export function getLetterPositions(p) {
+  const cells = [];
+  const { word: horizWord, x: startX, y: startY } = p.horizontal;
+
+  // Horizontal
+  horizWord.split("").forEach((ch, i) => {
+    cells.push({ letter: ch, x: startX + i, y: startY });
+  });
+
+  // Verticals
+  p.verticals.forEach((vertical) => {
+    const anchorX = startX + vertical.intersectIndex;
+    const anchorY = startY;
+    const intersectYIndex = getCrossIndex(horizWord, vertical);
+    if (intersectYIndex === -1) return;
+
+    vertical.word.split("").forEach((ch, i) => {
+      const posY = anchorY - (intersectYIndex - i);
+      const posX = anchorX;
+      cells.push({ letter: ch, x: posX, y: posY });
+    });
+  });
+
+  const unique = new Map();
+  cells.forEach((c) => unique.set(cellKey(c.x, c.y), c));
+  return Array.from(unique.values());
+}
+
+// Every word on the board with its cells in reading order:
+// [{ id: "across", direction: "across", word, clue, cells: ["0,4", ...] }, { id: "down-0", ... }]
+export function getWordSlots(p) {
+  const { word: horizWord, x: startX, y: startY } = p.horizontal;
+  const slots = [
+    {
+      id: "across",
+      direction: "across",
+      word: horizWord,
+      clue: p.horizontal.clue,
+      cells: horizWord.split("").map((_, i) => cellKey(startX + i, startY)),
+    },
+  ];
+
+  p.verticals.forEach((vertical) => {
+    const intersectYIndex = getCrossIndex(horizWord, vertical);
+    if (intersectYIndex === -1) return;
+    const x = startX + vertical.intersectIndex;
+    slots.push({
+      id: `down-${vertical.intersectIndex}`,
+      direction: "down",
+      word: vertical.word,
+      clue: vertical.clue,
+      cells: vertical.word.split("").map((_, i) => cellKey(x, startY - (intersectYIndex - i))),
+    });
+  });
+
+  return slots;
+}
+
+// Problems with a board, each { message, cells }, in the language pack's
+// words. Errors make it unplayable: a vertical that doesn't reach the spine,
+// or two words wanting different letters in one cell. Warnings are letters
+// side by side that belong to no across word, which read like fragments of
+// words that aren't there.
+export function validateLayout(p, language = ENGLISH) {
+  const errors = [];
+  const warnings = [];
+  const { word: horizWord, y: spineY } = p.horizontal;
+  const down = (number) => translate(language, "clue.down", { number });
+
+  const columns = new Set();
+  p.verticals.forEach((vertical) => {
+    const label = down(vertical.intersectIndex + 1);
+    const crossIndex = getCrossIndex(horizWord, vertical);
+    const anchor = horizWord[vertical.intersectIndex];
+    if (anchor === undefined) {
+      errors.push({ message: translate(language, "layout.outside", { label }), cells: [] });
+    } else if (columns.has(vertical.intersectIndex)) {
+      errors.push({ message: translate(language, "layout.doubled", { label }), cells: [] });
+    } else if (crossIndex < 0 || vertical.word[crossIndex] !== anchor) {
+      errors.push({
+        message: translate(language, "layout.crossing", { label, word: vertical.word, letter: anchor }),
+        cells: [cellKey(p.horizontal.x + vertical.intersectIndex, spineY)],
+      });
+    }
+    columns.add(vertical.intersectIndex);
+  });
+  if (errors.length) return { errors, warnings };
+
+  const letters = new Map();
+  getWordSlots(p).forEach((slot) => {
+    slot.cells.forEach((key, i) => {
+      const letter = slot.word[i];
+      if (letters.has(key) && letters.get(key) !== letter) {
+        errors.push({ message: translate(language, "layout.clash", { cell: key }), cells: [key] });
+      }
+      letters.set(key, letter);
+    });
+  });
+
+  // Pairs of side-by-side cells off the spine row, grouped by column pair
+  const touching = new Map();
+  letters.forEach((_, key) => {
+    const [x, y] = key.split(",").map(Number);
+    if (y === spineY || !letters.has(cellKey(x + 1, y))) return;
+    if (!touching.has(x)) touching.set(x, []);
+    touching.get(x).push(key, cellKey(x + 1, y));
+  });
+  touching.forEach((cells, x) => {
+    const left = x - p.horizontal.x + 1;
+    warnings.push({
+      message: translate(language, "layout.touching", { left: down(left), right: down(left + 1), rows: cells.length / 2 }),
+      cells,
+    });
+  });
+
+  return { errors, warnings };
+}
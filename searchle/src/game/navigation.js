@@ -0,0 +1,40 @@
+// =========================
+// CURSOR MOVEMENT
+// =========================
+// Crossword-style typing over the word slots from getWordSlots: the cursor
+// sits in a cell and points along one word (the active direction), moving
+// through that word as letters are typed and deleted.
+
+// The word through `key` in `direction`, or the only word through it.
+export function getActiveSlot(slots, key, direction) {
+  const through = slots.filter((slot) => slot.cells.includes(key));
+  return through.find((slot) => slot.direction === direction) ?? through[0] ?? null;
+}
+
+// Flip between across and down when the cell has a word both ways.
+export function toggleDirection(slots, key, direction) {
+  const other = direction === "across" ? "down" : "across";
+  return slots.some((slot) => slot.direction === other && slot.cells.includes(key)) ? other : direction;
+}
+
+// Where the cursor goes after typing into `key`: the next empty cell further
+// along the word, else simply the next cell, else nowhere (stay put).
+export function getNextCell(slot, key, entries) {
+  const index = slot.cells.indexOf(key);
+  const rest = slot.cells.slice(index + 1);
+  return rest.find((cell) => !entries[cell]) ?? rest[0] ?? key;
+}
+
+// The cell before `key` in the word, or `key` at its start.
+export function getPreviousCell(slot, key) {
+  const index = slot.cells.indexOf(key);
+  return index > 0 ? slot.cells[index - 1] : key;
+}
+
+// Tab order is word order: across first, then the downs left to right. Lands
+// on the first empty cell of the word (or its first cell when it's full).
+export function getAdjacentWord(slots, slotId, step, entries) {
+  const index = slots.findIndex((slot) => slot.id === slotId);
+  const slot = slots[(index + step + slots.length) % slots.length];
+  return { slot, key: slot.cells.find((cell) => !entries[cell]) ?? slot.cells[0] };
+}
@@ -0,0 +1,31 @@
+import { getActiveSlot, getAdjacentWord, getNextCell, getPreviousCell, toggleDirection } from './navigation';
+import { getWordSlots } from './layout';
+
+// CAT across on row 2; ICE down through C, SEA down through A
+const slots = getWordSlots({
+  horizontal: { word: 'CAT', x: 0, y: 2 },
+  verticals: [{ word: 'ICE', intersectIndex: 0 }, { word: 'SEA', intersectIndex: 1 }],
+});
+const across = slots[0];
+
+test('the active word follows the direction where a cell has both', () => {
+  expect(getActiveSlot(slots, '0,2', 'across').id).toBe('across');
+  expect(getActiveSlot(slots, '0,2', 'down').id).toBe('down-0');
+  expect(getActiveSlot(slots, '2,2', 'down').id).toBe('across'); // T only runs across
+  expect(toggleDirection(slots, '1,2', 'across')).toBe('down');
+  expect(toggleDirection(slots, '2,2', 'across')).toBe('across');
+});
+
+test('typing skips to the next empty cell of the word', () => {
+  expect(getNextCell(across, '0,2', { '0,2': 'C', '1,2': 'A' })).toBe('2,2');
+  expect(getNextCell(across, '0,2', { '0,2': 'C', '1,2': 'A', '2,2': 'T' })).toBe('1,2');
+  expect(getNextCell(across, '2,2', {})).toBe('2,2');
+  expect(getPreviousCell(across, '1,2')).toBe('0,2');
+  expect(getPreviousCell(across, '0,2')).toBe('0,2');
+});
+
+test('tab moves through words in order and wraps around', () => {
+  expect(getAdjacentWord(slots, 'across', 1, {})).toEqual({ slot: slots[1], key: '0,1' });
+  expect(getAdjacentWord(slots, 'down-0', 1, { '1,0': 'S' }).key).toBe('1,1');
+  expect(getAdjacentWord(slots, 'across', -1, {}).slot.id).toBe('down-1');
+});
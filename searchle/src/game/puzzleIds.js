@@ -0,0 +1,24 @@
+// =========================
+// PUZZLE IDS
+// =========================
+// Board ids double as save keys and, for the daily, as the generator seed, so
+// the client and the local server must build them the same way.
+import { DEFAULT_DIFFICULTY } from "./difficulty.js";
+import { DEFAULT_LANGUAGE } from "./languages/index.js";
+
+// Boards, saves and stats are kept apart per language. English keeps the
+// unprefixed ids and keys from before language packs, so old saves still load.
+export function getLanguageScope(language) {
+  return language === DEFAULT_LANGUAGE ? "" : `${language}:`;
+}
+
+// Normal keeps the plain id so saves from before difficulties still load.
+export function getDailyBoardId(day, difficultyId, language) {
+  const base = `${getLanguageScope(language)}daily:${day}`;
+  return difficultyId === DEFAULT_DIFFICULTY ? base : `${base}:${difficultyId}`;
+}
+
+// Free play and time attack boards are named after their random seed.
+export function getBoardId(mode, seed, language) {
+  return `${getLanguageScope(language)}${mode}:${seed}`;
+}
@@ -0,0 +1,12 @@
+import { getBoardId, getDailyBoardId, getLanguageScope } from './puzzleIds';
+
+test('English boards keep the ids from before languages and difficulties', () => {
+  expect(getLanguageScope('en')).toBe('');
+  expect(getDailyBoardId('2024-05-01', 'normal', 'en')).toBe('daily:2024-05-01');
+  expect(getBoardId('free', 'abc', 'en')).toBe('free:abc');
+});
+
+test('other languages and difficulties get their own ids', () => {
+  expect(getDailyBoardId('2024-05-01', 'hard', 'de')).toBe('de:daily:2024-05-01:hard');
+  expect(getBoardId('timeattack', 'abc', 'nb')).toBe('nb:timeattack:abc');
+});
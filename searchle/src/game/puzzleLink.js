@@ -0,0 +1,176 @@
+// =========================
+// PUZZLE LINKS
+// =========================
+// Packs a board (words, positions, clues) and its difficulty into a short
+// URL-safe code so a link can reproduce the exact same puzzle:
+//
+//   https://…/#p=<code>
+//
+// The JSON payload is XOR-ed with a fixed keystream before base64 so the
+// answers can't be read straight off the URL, and carries a checksum so an
+// edited code is rejected instead of loading a half-broken board. This is
+// obfuscation, not security.
+import { createRng, hashSeed } from "./rng.js";
+import { validateLayout } from "./layout.js";
+import { DIFFICULTIES, MAX_ATTEMPTS_LIMIT, MAX_WORD_LENGTH, MIN_WORD_LENGTH } from "./difficulty.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./languages/index.js";
+
+const LINK_VERSION = 1;
+const LINK_PARAM = "p";
+const MAX_CLUE_LENGTH = 200;
+
+export class PuzzleLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PuzzleLinkError";
+  }
+}
+
+// UTF-8 <-> "binary" strings (one char per byte), which btoa/atob need.
+function toBinary(text) {
+  return encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function fromBinary(binary) {
+  return decodeURIComponent(
+    binary
+      .split("")
+      .map((ch) => `%${ch.charCodeAt(0).toString(16).padStart(2, "0")}`)
+      .join("")
+  );
+}
+
+// XOR is its own inverse, so the same call scrambles and unscrambles.
+function scramble(binary) {
+  const rng = createRng("searchle:link");
+  let out = "";
+  for (let i = 0; i < binary.length; i++) {
+    out += String.fromCharCode(binary.charCodeAt(i) ^ Math.floor(rng() * 256));
+  }
+  return out;
+}
+
+function checksum(json) {
+  return hashSeed(json).toString(36);
+}
+
+// `difficulty` only needs { id, maxAttempts }; the board shape comes from the
+// words. `language` is a pack id, left out of the code for English so links
+// from before language packs stay valid.
+export function encodePuzzleLink({ puzzle, difficulty, language = DEFAULT_LANGUAGE }) {
+  const { horizontal, verticals } = puzzle;
+  const clues = [horizontal.clue, ...verticals.map((v) => v.clue)];
+  const payload = [
+    LINK_VERSION,
+    difficulty.id,
+    difficulty.maxAttempts,
+    [horizontal.word, horizontal.x, horizontal.y],
+    verticals.map((v) => (v.crossIndex === undefined ? [v.word, v.intersectIndex] : [v.word, v.intersectIndex, v.crossIndex])),
+    clues.some(Boolean) ? clues.map((c) => c ?? null) : null,
+    ...(language === DEFAULT_LANGUAGE ? [] : [language]),
+  ];
+  const json = JSON.stringify(payload);
+  return btoa(scramble(toBinary(`${checksum(json)}:${json}`)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function unpack(code) {
+  if (typeof code !== "string" || !/^[A-Za-z0-9_-]+$/.test(code)) {
+    throw new PuzzleLinkError("This puzzle link is malformed.");
+  }
+  let text;
+  try {
+    text = fromBinary(scramble(atob(code.replace(/-/g, "+").replace(/_/g, "/"))));
+  } catch {
+    throw new PuzzleLinkError("This puzzle link is malformed.");
+  }
+  const split = text.indexOf(":");
+  const json = text.slice(split + 1);
+  if (split === -1 || text.slice(0, split) !== checksum(json)) {
+    throw new PuzzleLinkError("This puzzle link has been changed or cut short.");
+  }
+  try {
+    return JSON.parse(json);
+  } catch {
+    throw new PuzzleLinkError("This puzzle link is malformed.");
+  }
+}
+
+const isWord = (word, alphabet) =>
+  typeof word === "string" &&
+  word.length >= MIN_WORD_LENGTH &&
+  word.length <= MAX_WORD_LENGTH &&
+  word.split("").every((ch) => alphabet.includes(ch));
+const isClue = (clue) => clue === null || (typeof clue === "string" && clue.length <= MAX_CLUE_LENGTH);
+// Boards put the spine's first letter within a word's length of the top left
+// (x is 0, y the spine's row); anything further out didn't come from one.
+const isPosition = (n) => Number.isInteger(n) && n >= 0 && n < MAX_WORD_LENGTH;
+
+// Word lengths in any order, as one comparable string
+const lengthsKey = (lengths) => [...lengths].sort((a, b) => a - b).join();
+
+// Boards hang one vertical off each spine letter. A preset's board also has
+// the spine and vertical lengths of one of its shapes, in any order; a custom
+// one may have any.
+function fitsDifficulty(spine, verticals, difficultyId) {
+  const columns = verticals.map(([, index]) => index).sort((a, b) => a - b);
+  if (columns.length !== spine.length || columns.some((index, i) => index !== i)) return false;
+  if (difficultyId === "custom") return true;
+  const lengths = lengthsKey(verticals.map(([vWord]) => vWord.length));
+  return DIFFICULTIES[difficultyId].shapes.some((shape) => lengthsKey(shape.verticalLengths) === lengths);
+}
+
+// Returns { puzzle, difficulty: { id, maxAttempts }, language } or throws
+// PuzzleLinkError.
+export function decodePuzzleLink(code) {
+  const payload = unpack(code);
+  if (!Array.isArray(payload) || payload[0] !== LINK_VERSION) {
+    throw new PuzzleLinkError("This puzzle link comes from a different version of Searchle.");
+  }
+
+  const [, difficultyId, maxAttempts, horizontal, verticals, clues, language = DEFAULT_LANGUAGE] = payload;
+  const invalid = () => new PuzzleLinkError("This puzzle link doesn't describe a playable board.");
+
+  if (!Object.hasOwn(LANGUAGES, language)) throw invalid();
+  const { alphabet } = LANGUAGES[language];
+  if (!Object.hasOwn(DIFFICULTIES, difficultyId) && difficultyId !== "custom") throw invalid();
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) throw invalid();
+  if (!Array.isArray(horizontal) || !Array.isArray(verticals)) throw invalid();
+
+  const [word, x, y] = horizontal;
+  if (!isWord(word, alphabet) || !isPosition(x) || !isPosition(y)) throw invalid();
+  for (const vertical of verticals) {
+    const [vWord, index, crossIndex] = Array.isArray(vertical) ? vertical : [];
+    if (!isWord(vWord, alphabet) || !Number.isInteger(index)) throw invalid();
+    if (crossIndex !== undefined && !Number.isInteger(crossIndex)) throw invalid();
+  }
+  if (!fitsDifficulty(word, verticals, difficultyId)) throw invalid();
+  if (clues !== null && (!Array.isArray(clues) || clues.length !== verticals.length + 1 || !clues.every(isClue))) {
+    throw invalid();
+  }
+
+  const clueAt = (i) => (clues?.[i] ? { clue: clues[i] } : {});
+  const puzzle = {
+    horizontal: { word, x, y, ...clueAt(0) },
+    verticals: verticals.map(([vWord, intersectIndex, crossIndex], i) => ({
+      word: vWord,
+      intersectIndex,
+      ...(crossIndex === undefined ? {} : { crossIndex }),
+      ...clueAt(i + 1),
+    })),
+  };
+  if (validateLayout(puzzle).errors.length) throw invalid();
+  return { puzzle, difficulty: { id: difficultyId, maxAttempts }, language };
+}
+
+// Read a link code from "#p=…" or "?p=…"; null when the URL has none.
+export function readLinkCode({ hash = "", search = "" }) {
+  const fromHash = new URLSearchParams(hash.replace(/^#/, "")).get(LINK_PARAM);
+  return fromHash ?? new URLSearchParams(search).get(LINK_PARAM);
+}
+
+export function buildPuzzleUrl(code, { origin, pathname }) {
+  return `${origin}${pathname}#${LINK_PARAM}=${code}`;
+}
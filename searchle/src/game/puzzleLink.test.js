@@ -0,0 +1,103 @@
+import { PuzzleLinkError, buildPuzzleUrl, decodePuzzleLink, encodePuzzleLink, readLinkCode } from './puzzleLink';
+
+const puzzle = {
+  horizontal: { word: 'BLAST', x: 0, y: 4, clue: 'Explosion' },
+  verticals: [
+    { word: 'ORBIT', intersectIndex: 0, clue: 'Path round a planet' },
+    { word: 'PLAN', intersectIndex: 1 },
+    { word: 'SEAL', intersectIndex: 2 },
+    { word: 'ASK', intersectIndex: 3 },
+    { word: 'TEA', intersectIndex: 4 },
+  ],
+};
+const difficulty = { id: 'easy', maxAttempts: 8 };
+
+test('a link round-trips the board, difficulty and clues', () => {
+  const code = encodePuzzleLink({ puzzle, difficulty });
+  expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(code).not.toContain('BLAST');
+  expect(decodePuzzleLink(code)).toEqual({ puzzle, difficulty, language: 'en' });
+});
+
+test('links carry the language and its letters', () => {
+  const german = {
+    horizontal: { word: 'BÄR', x: 0, y: 3 },
+    verticals: [
+      { word: 'ABER', intersectIndex: 0 },
+      { word: 'SÄGE', intersectIndex: 1, crossIndex: 1 },
+      { word: 'ROT', intersectIndex: 2 },
+    ],
+  };
+  const custom = { id: 'custom', maxAttempts: 8 };
+  const code = encodePuzzleLink({ puzzle: german, difficulty: custom, language: 'de' });
+  expect(decodePuzzleLink(code)).toEqual({ puzzle: german, difficulty: custom, language: 'de' });
+  // The same board claimed to be English has letters English doesn't have
+  expect(() => decodePuzzleLink(encodePuzzleLink({ puzzle: german, difficulty: custom }))).toThrow(PuzzleLinkError);
+});
+
+test('links are read from the hash or the query string', () => {
+  const code = encodePuzzleLink({ puzzle, difficulty });
+  const url = buildPuzzleUrl(code, { origin: 'https://example.com', pathname: '/' });
+  expect(url).toBe(`https://example.com/#p=${code}`);
+  expect(readLinkCode({ hash: `#p=${code}` })).toBe(code);
+  expect(readLinkCode({ search: `?p=${code}` })).toBe(code);
+  expect(readLinkCode({ hash: '', search: '' })).toBeNull();
+});
+
+test('malformed, edited and impossible links are rejected', () => {
+  const code = encodePuzzleLink({ puzzle, difficulty });
+  const edited = code.slice(0, 10) + (code[10] === 'A' ? 'B' : 'A') + code.slice(11);
+  expect(() => decodePuzzleLink('not a link!')).toThrow(PuzzleLinkError);
+  expect(() => decodePuzzleLink(edited)).toThrow(PuzzleLinkError);
+  expect(() => decodePuzzleLink(code.slice(0, -4))).toThrow(PuzzleLinkError);
+
+  // Well-formed, but the vertical doesn't contain the letter it crosses
+  const broken = { ...puzzle, verticals: [{ word: 'DOGMA', intersectIndex: 0 }, ...puzzle.verticals.slice(1)] };
+  expect(() => decodePuzzleLink(encodePuzzleLink({ puzzle: broken, difficulty }))).toThrow(
+    "This puzzle link doesn't describe a playable board."
+  );
+});
+
+test('links naming an unknown difficulty or an off-board position are rejected', () => {
+  for (const link of [
+    { puzzle, difficulty: { id: 'constructor', maxAttempts: 8 } },
+    { puzzle, difficulty: { id: '__proto__', maxAttempts: 8 } },
+    { puzzle: { ...puzzle, horizontal: { ...puzzle.horizontal, x: -1 } }, difficulty },
+    { puzzle: { ...puzzle, horizontal: { ...puzzle.horizontal, y: 1e9 } }, difficulty },
+    { puzzle: { ...puzzle, horizontal: { ...puzzle.horizontal, x: 2.5 } }, difficulty },
+  ]) {
+    expect(() => decodePuzzleLink(encodePuzzleLink(link))).toThrow(PuzzleLinkError);
+  }
+  const custom = { id: 'custom', maxAttempts: 5 };
+  expect(decodePuzzleLink(encodePuzzleLink({ puzzle, difficulty: custom })).difficulty).toEqual(custom);
+});
+
+test('links whose verticals don\'t fit the difficulty\'s shape are rejected', () => {
+  const custom = { id: 'custom', maxAttempts: 8 };
+  const withVerticals = (verticals) => ({ ...puzzle, verticals });
+  for (const board of [
+    withVerticals([]),
+    withVerticals(puzzle.verticals.slice(0, 3)),
+    withVerticals([...puzzle.verticals.slice(0, 4), { word: 'SEA', intersectIndex: 2 }]), // two through the A
+  ]) {
+    expect(() => decodePuzzleLink(encodePuzzleLink({ puzzle: board, difficulty }))).toThrow(PuzzleLinkError);
+    expect(() => decodePuzzleLink(encodePuzzleLink({ puzzle: board, difficulty: custom }))).toThrow(PuzzleLinkError);
+  }
+  // A whole board is fine as custom, but not easy unless its lengths are easy's
+  const longer = withVerticals([...puzzle.verticals.slice(0, 4), { word: 'TEAS', intersectIndex: 4 }]);
+  expect(decodePuzzleLink(encodePuzzleLink({ puzzle: longer, difficulty: custom })).puzzle).toEqual(longer);
+  expect(() => decodePuzzleLink(encodePuzzleLink({ puzzle: longer, difficulty }))).toThrow(PuzzleLinkError);
+});
+
+test('built boards keep their chosen crossing letters', () => {
+  const built = {
+    horizontal: { word: 'EAT', x: 0, y: 2 },
+    verticals: [
+      { word: 'EYE', intersectIndex: 0, crossIndex: 2 },
+      { word: 'ACE', intersectIndex: 1 },
+      { word: 'TOE', intersectIndex: 2 },
+    ],
+  };
+  const custom = { id: 'custom', maxAttempts: 6 };
+  expect(decodePuzzleLink(encodePuzzleLink({ puzzle: built, difficulty: custom })).puzzle).toEqual(built);
+});
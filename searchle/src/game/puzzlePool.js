@@ -0,0 +1,133 @@
+// =========================
+// PUZZLE POOL
+// =========================
+// Ready-made boards for "New Game", generated in the background while the
+// current one is played so the next starts without a spinner. Boards are kept
+// per pool key (language and difficulty, see getPoolKey) in a cache store
+// (cacheStore.js) so they survive a reload, alongside the boards already
+// played, which are never handed out again.
+//
+//   take(key)                    -> { seed, puzzle } | null, right away
+//   fill(key, generate, options) -> Promise, tops the pool up to `size`
+//   preload(key)                 -> Promise, reads a key's saved boards
+//   count(key)                   -> boards ready
+//   markPlayed(puzzle)
+//
+// `generate(seed, signal)` builds one board; `fill` calls it one board at a
+// time.
+import { randomSeed } from "./rng.js";
+
+const PLAYED_KEY = "played";
+
+export function getPoolKey(language, difficultyId) {
+  return `${language}:${difficultyId}`;
+}
+
+// Two boards are the same puzzle when they use the same words.
+export function getPuzzleSignature(puzzle) {
+  return [puzzle.horizontal, ...puzzle.verticals].map((w) => w.word).join(",");
+}
+
+export function createPuzzlePool({ store, size = 2, playedLimit = 1000, createSeed = randomSeed } = {}) {
+  const ready = Promise.resolve(store).catch(() => null);
+  const pools = new Map(); // key -> [{ seed, puzzle }]
+  const loading = new Map(); // key -> Promise of its pool read from the store
+  const filling = new Map(); // key -> { run, signal } of the fill in progress
+  let played = []; // signatures, oldest first
+  let playedSet = new Set();
+
+  const read = async (key) => (await ready)?.get(key).catch(() => undefined);
+  const write = async (key, value) => (await ready)?.set(key, value).catch(() => {});
+
+  const playedLoaded = read(PLAYED_KEY).then((saved) => {
+    if (!Array.isArray(saved)) return;
+    played = [...new Set([...saved, ...played])].slice(-playedLimit);
+    playedSet = new Set(played);
+  });
+
+  const isFresh = (entry) => !playedSet.has(getPuzzleSignature(entry.puzzle));
+
+  const load = (key) => {
+    if (!loading.has(key)) {
+      loading.set(key, Promise.all([read(`pool:${key}`), playedLoaded]).then(([saved]) => {
+        const current = pools.get(key) ?? [];
+        const entries = [...current, ...(Array.isArray(saved) ? saved : [])];
+        const seen = new Set();
+        pools.set(key, entries.filter((entry) => {
+          const signature = getPuzzleSignature(entry.puzzle);
+          if (seen.has(signature) || playedSet.has(signature)) return false;
+          seen.add(signature);
+          return true;
+        }).slice(0, size));
+      }));
+    }
+    return loading.get(key);
+  };
+
+  const save = (key) => write(`pool:${key}`, pools.get(key) ?? []);
+  const count = (key) => (pools.get(key) ?? []).filter(isFresh).length;
+
+  return {
+    // Only sees boards already in memory: fill (or preload) the key first.
+    take(key) {
+      const entries = (pools.get(key) ?? []).filter(isFresh);
+      const entry = entries.shift() ?? null;
+      pools.set(key, entries);
+      save(key);
+      return entry;
+    },
+
+    preload: load,
+
+    count,
+
+    // Resolves once the pool holds `size` boards, or stops early when `signal`
+    // is aborted or generation keeps producing boards already seen.
+    fill(key, generate, { signal } = {}) {
+      const current = filling.get(key);
+      if (current && !current.signal?.aborted) return current.run;
+      // An aborted fill finishes its board first; this one starts after it
+      const run = (current?.run ?? Promise.resolve()).catch(() => {}).then(async () => {
+        await load(key);
+        let misses = 0;
+        while (!signal?.aborted && count(key) < size && misses < size * 3) {
+          const seed = createSeed();
+          let puzzle;
+          try {
+            puzzle = await generate(seed, signal);
+          } catch (error) {
+            if (signal?.aborted) return; // cancelled, not failed
+            throw error;
+          }
+          if (signal?.aborted) return;
+          const signature = getPuzzleSignature(puzzle);
+          const entries = (pools.get(key) ?? []).filter(isFresh);
+          if (playedSet.has(signature) || entries.some((entry) => getPuzzleSignature(entry.puzzle) === signature)) {
+            misses++;
+            continue;
+          }
+          pools.set(key, [...entries, { seed, puzzle }]);
+          await save(key);
+        }
+      }).finally(() => {
+        if (filling.get(key)?.run === run) filling.delete(key);
+      });
+      filling.set(key, { run, signal });
+      return run;
+    },
+
+    markPlayed(puzzle) {
+      const signature = getPuzzleSignature(puzzle);
+      if (playedSet.has(signature)) return;
+      played = [...played, signature].slice(-playedLimit);
+      playedSet = new Set(played);
+      playedLoaded.then(() => write(PLAYED_KEY, played));
+      pools.forEach((entries, key) => {
+        if (entries.some((entry) => getPuzzleSignature(entry.puzzle) === signature)) {
+          pools.set(key, entries.filter(isFresh));
+          save(key);
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { createMemoryStore } from './cacheStore';
+import { createPuzzlePool, getPuzzleSignature } from './puzzlePool';
+
+const board = (word) => ({ horizontal: { word }, verticals: [{ word: `${word}S` }] });
+
+// Hands out the boards in `words` in turn, with seeds s1, s2, ...
+const setup = (words, options = {}) => {
+  let n = 0;
+  const generate = jest.fn(async () => board(words[(n - 1) % words.length]));
+  const pool = createPuzzlePool({ store: createMemoryStore(), createSeed: () => `s${++n}`, ...options });
+  return { pool, generate };
+};
+
+test('fills in the background and hands boards out right away', async () => {
+  const { pool, generate } = setup(['CAT', 'DOG', 'EMU']);
+  expect(pool.take('en:normal')).toBeNull();
+  await pool.fill('en:normal', generate);
+  expect(generate).toHaveBeenCalledTimes(2);
+  expect(pool.take('en:normal')).toEqual({ seed: 's1', puzzle: board('CAT') });
+  expect(pool.take('en:normal')).toEqual({ seed: 's2', puzzle: board('DOG') });
+  expect(pool.take('en:normal')).toBeNull();
+  expect(pool.take('de:normal')).toBeNull();
+});
+
+test('never hands out a board that was played', async () => {
+  const { pool, generate } = setup(['CAT', 'DOG', 'CAT', 'EMU']);
+  pool.markPlayed(board('DOG'));
+  await pool.fill('en:normal', generate);
+  expect(pool.count('en:normal')).toBe(2);
+  pool.markPlayed(board('CAT'));
+  expect(pool.take('en:normal').puzzle).toEqual(board('EMU'));
+  expect(pool.take('en:normal')).toBeNull();
+});
+
+test('keeps ready boards and played ones in the store', async () => {
+  const store = createMemoryStore();
+  const { pool, generate } = setup(['CAT', 'DOG', 'EMU'], { store });
+  await pool.fill('en:normal', generate);
+  pool.markPlayed(board('CAT'));
+  await Promise.resolve();
+
+  const reopened = createPuzzlePool({ store });
+  await reopened.preload('en:normal');
+  expect(reopened.take('en:normal').puzzle).toEqual(board('DOG'));
+  expect(await store.get('played')).toEqual([getPuzzleSignature(board('CAT'))]);
+});
+
+test('stops filling once aborted', async () => {
+  const { pool, generate } = setup(['CAT', 'DOG']);
+  const controller = new AbortController();
+  generate.mockImplementationOnce(async () => {
+    controller.abort();
+    return board('CAT');
+  });
+  await pool.fill('en:normal', generate, { signal: controller.signal });
+  expect(pool.count('en:normal')).toBe(0);
+  await pool.fill('en:normal', generate);
+  expect(pool.count('en:normal')).toBe(2);
+});
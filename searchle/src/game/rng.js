@@ -0,0 +1,54 @@
+// =========================
+// SEEDED RANDOMNESS
+// =========================
+// Everything random about a puzzle goes through one of these generators, so
+// the same seed (and the same word source) always yields the same board.
+
+// FNV-1a: turn any seed string into a 32-bit integer.
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for shuffling word lists.
+// Returns a function that yields floats in [0, 1), like Math.random.
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+export function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+// Fisher–Yates; returns a new array.
+export function shuffle(rng, list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Local calendar date as YYYY-MM-DD, so the daily board flips at the
+// player's midnight rather than UTC's.
+export function getDailyId(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
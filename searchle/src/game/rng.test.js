@@ -0,0 +1,22 @@
+import { createRng, getDailyId, shuffle } from './rng';
+
+test('the same seed replays the same sequence', () => {
+  const a = createRng('daily:2026-10-19');
+  const b = createRng('daily:2026-10-19');
+  const c = createRng('daily:2026-10-20');
+  const seqA = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(seqA);
+  expect([c(), c(), c()]).not.toEqual(seqA);
+  seqA.forEach((n) => expect(n >= 0 && n < 1).toBe(true));
+});
+
+test('shuffle is deterministic and keeps every item', () => {
+  const list = [6, 5, 5, 4, 4, 4];
+  const shuffled = shuffle(createRng('seed'), list);
+  expect(shuffle(createRng('seed'), list)).toEqual(shuffled);
+  expect([...shuffled].sort()).toEqual([...list].sort());
+});
+
+test('daily id uses the local calendar date', () => {
+  expect(getDailyId(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+});
@@ -0,0 +1,72 @@
+// =========================
+// SCORING
+// =========================
+// Wordle rules, applied to every word on the board separately. A cell where a
+// vertical crosses the spine belongs to two words and gets a result for each.
+import { getWordSlots } from "./layout.js";
+
+// Higher wins when the same letter/cell has several results.
+const STATE_RANK = { incorrect: 1, present: 2, correct: 3 };
+
+export function bestState(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return STATE_RANK[b] > STATE_RANK[a] ? b : a;
+}
+
+// Score one guess against its answer. Greens are taken first; each remaining
+// answer letter can then turn at most one other guess letter yellow, so a
+// letter guessed twice against a single occurrence only lights up once.
+export function scoreWord(guess, answer) {
+  const result = new Array(answer.length).fill("incorrect");
+  const unmatched = {};
+
+  for (let i = 0; i < answer.length; i++) {
+    if (guess[i] === answer[i]) result[i] = "correct";
+    else unmatched[answer[i]] = (unmatched[answer[i]] || 0) + 1;
+  }
+  for (let i = 0; i < answer.length; i++) {
+    const letter = guess[i];
+    if (result[i] === "correct" || !letter || !unmatched[letter]) continue;
+    result[i] = "present";
+    unmatched[letter] -= 1;
+  }
+  return result;
+}
+
+// Score the whole board. Returns
+//   cells: { "x,y": { letter, state, across?, down? } } — `state` is the best
+//          of the cell's per-word results, `across`/`down` the individual ones
+//   words: { [slotId]: ["correct" | "present" | "incorrect", ...] }
+//   solved: every cell is correct
+export function scoreBoard(puzzle, entries) {
+  const cells = {};
+  const words = {};
+
+  getWordSlots(puzzle).forEach((slot) => {
+    const guess = slot.cells.map((key) => entries[key] || "");
+    const states = scoreWord(guess, slot.word);
+    words[slot.id] = states;
+    slot.cells.forEach((key, i) => {
+      const cell = cells[key] ?? { letter: guess[i] };
+      cell[slot.direction] = states[i];
+      cell.state = bestState(cell.state, states[i]);
+      cells[key] = cell;
+    });
+  });
+
+  const solved = Object.values(cells).every((c) => c.state === "correct");
+  return { cells, words, solved };
+}
+
+// On-screen keyboard colours from scored cells: a letter shows its best result
+// in any word, so correct > present > incorrect.
+export function getKeyStates(cellResults, initial = {}) {
+  return Object.values(cellResults).reduce((acc, cell) => {
+    if (!cell.letter) return acc;
+    [cell.across, cell.down, cell.state].forEach((state) => {
+      acc[cell.letter] = bestState(acc[cell.letter], state);
+    });
+    return acc;
+  }, { ...initial });
+}
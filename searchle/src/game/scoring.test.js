@@ -0,0 +1,29 @@
+import { getKeyStates, scoreBoard, scoreWord } from './scoring';
+
+test('duplicate guess letters only match as often as the answer has them', () => {
+  expect(scoreWord('LLAMA'.split(''), 'LEVEL')).toEqual(['correct', 'present', 'incorrect', 'incorrect', 'incorrect']);
+  expect(scoreWord('EERIE'.split(''), 'THREE')).toEqual(['present', 'incorrect', 'correct', 'incorrect', 'correct']);
+  expect(scoreWord(['', 'A', '', '', ''], 'ABBEY')).toEqual(['incorrect', 'present', 'incorrect', 'incorrect', 'incorrect']);
+});
+
+// Spine "CAT" on row 1, with "ACE" crossing at A (column 1).
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 1 },
+  verticals: [{ word: 'ACE', intersectIndex: 1 }],
+};
+
+test('crossing cells get a result for each word', () => {
+  // Across guess "TEC", down guess "EEE": the crossing cell holds "E".
+  const entries = { '0,1': 'T', '1,1': 'E', '2,1': 'C', '1,2': 'E', '1,3': 'E' };
+  const { cells, words, solved } = scoreBoard(puzzle, entries);
+  expect(words.across).toEqual(['present', 'incorrect', 'present']);
+  expect(words['down-1']).toEqual(['incorrect', 'incorrect', 'correct']);
+  expect(cells['1,1']).toEqual({ letter: 'E', across: 'incorrect', down: 'incorrect', state: 'incorrect' });
+  expect(solved).toBe(false);
+});
+
+test('keyboard states use the best result across words', () => {
+  const entries = { '0,1': 'C', '1,1': 'A', '2,1': 'E', '1,2': 'E', '1,3': 'C' };
+  const { cells } = scoreBoard(puzzle, entries);
+  expect(getKeyStates(cells)).toEqual({ C: 'correct', A: 'correct', E: 'present' });
+});
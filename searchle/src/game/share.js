@@ -0,0 +1,61 @@
+// =========================
+// SHARE CARD
+// =========================
+// Spoiler-free result text: one emoji grid per submission, drawn in the
+// board's own cross shape. Only colours go in, never letters.
+import { cellKey, getLetterPositions } from "./layout.js";
+import { formatTime } from "./timer.js";
+import { ENGLISH, translate } from "./languages/index.js";
+
+const EMOJI = { correct: "🟩", present: "🟨", incorrect: "⬜" };
+// Ideographic space: about as wide as an emoji, so the cross keeps its shape.
+const GAP = "　";
+
+export function renderEmojiGrid(puzzle, cells) {
+  const positions = getLetterPositions(puzzle);
+  const xs = positions.map((c) => c.x);
+  const ys = positions.map((c) => c.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const onBoard = new Set(positions.map((c) => cellKey(c.x, c.y)));
+
+  const rows = [];
+  for (let y = Math.min(...ys); y <= Math.max(...ys); y++) {
+    let row = "";
+    for (let x = minX; x <= maxX; x++) {
+      const key = cellKey(x, y);
+      row += onBoard.has(key) ? EMOJI[cells[key]?.state] ?? EMOJI.incorrect : GAP;
+    }
+    rows.push(row.replace(new RegExp(`${GAP}+$`), ""));
+  }
+  return rows.join("\n");
+}
+
+// `history` is the list of recorded submissions ({ cells }); `label` names the
+// puzzle (the date for dailies), e.g. "Searchle 2026-10-19 3/6 💡2 ⏱1:42".
+export function buildShareText({ puzzle, history, won, maxAttempts, label, hints = 0, time = null }) {
+  const score = won ? history.length : "X";
+  const header = `Searchle ${label} ${score}/${maxAttempts}${hints ? ` 💡${hints}` : ""}${time ? ` ⏱${formatTime(time)}` : ""}`;
+  const grids = history.map((attempt) => renderEmojiGrid(puzzle, attempt.cells));
+  return [header, ...grids].join("\n\n");
+}
+
+// A finished time-attack run: "Searchle Time Attack 4 boards ⏱7:00".
+export function buildRunShareText({ solved, label, time, language = ENGLISH }) {
+  return `Searchle ${label} ${translate(language, "common.boards", { count: solved })} ⏱${formatTime(time)}`;
+}
+
+// Prefer the native share sheet; fall back to the clipboard.
+// Resolves to "shared", "copied" or "cancelled".
+export async function shareText(text) {
+  if (typeof navigator !== "undefined" && navigator.share) {
+    try {
+      await navigator.share({ text });
+      return "shared";
+    } catch (error) {
+      if (error?.name === "AbortError") return "cancelled"; // user closed the sheet
+    }
+  }
+  await navigator.clipboard.writeText(text);
+  return "copied";
+}
@@ -0,0 +1,33 @@
+import { buildRunShareText, buildShareText, renderEmojiGrid } from './share';
+
+// Spine "CAT" with "ACE" hanging down from the A.
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 0 },
+  verticals: [{ word: 'ACE', intersectIndex: 1 }],
+};
+
+test('draws the grid in the board shape with gaps where there is no tile', () => {
+  const cells = { '0,0': { state: 'correct' }, '1,0': { state: 'present' }, '1,2': { state: 'correct' } };
+  expect(renderEmojiGrid(puzzle, cells)).toBe('🟩🟨⬜\n　⬜\n　🟩');
+});
+
+test('share text has the puzzle label and score but no letters', () => {
+  const cells = { '0,0': { letter: 'C', state: 'correct' } };
+  const text = buildShareText({
+    puzzle,
+    history: [{ cells }, { cells }],
+    won: false,
+    maxAttempts: 6,
+    label: '2026-10-19',
+  });
+  expect(text.startsWith('Searchle 2026-10-19 X/6\n\n')).toBe(true);
+  expect(text.split('\n\n')).toHaveLength(3);
+  expect(text.replace('Searchle', '')).not.toMatch(/[A-WYZ]/);
+});
+
+test('timed results carry the solve time', () => {
+  const cells = { '0,0': { state: 'correct' }, '1,0': { state: 'correct' }, '2,0': { state: 'correct' } };
+  const text = buildShareText({ puzzle, history: [{ cells }], won: true, maxAttempts: 6, label: '#abc', time: 102000 });
+  expect(text.split('\n')[0]).toBe('Searchle #abc 1/6 ⏱1:42');
+  expect(buildRunShareText({ solved: 4, label: 'Time Attack', time: 420000 })).toBe('Searchle Time Attack 4 boards ⏱7:00');
+});
@@ -0,0 +1,144 @@
+// =========================
+// SOLVER
+// =========================
+// Works out which dictionary words still fit each word on the board, from the
+// results of the submissions so far. Each word is its own game of Wordle:
+//
+//   green    the letter is there
+//   yellow   the letter is elsewhere in the word, and not there
+//   grey     not there; and the word has no more of that letter than the
+//            guess had green and yellow copies of it
+//
+// and where two words cross, a candidate for one is only kept when the other
+// still has a candidate with the same letter in that cell. Nothing here looks
+// at the answers, so suggestions never give more away than the board has.
+import { getWordSlots } from "./layout.js";
+import { createGame, guess } from "./engine.js";
+
+// What the history says about one slot:
+// { fixed: [letter | null], banned: [Set], min: { letter: n }, max: { letter: n } }
+// `known` ({ "x,y": letter }) adds letters known some other way, e.g. revealed.
+export function getSlotConstraints(slot, history, known = {}) {
+  const fixed = slot.cells.map((key) => known[key] ?? null);
+  const banned = slot.cells.map(() => new Set());
+  const min = {};
+  const max = {};
+
+  history.forEach(({ cells }) => {
+    const counts = {}; // letter -> { hits, miss } in this guess
+    slot.cells.forEach((key, i) => {
+      const letter = cells[key]?.letter;
+      const state = cells[key]?.[slot.direction];
+      if (!letter || !state) return;
+      if (state === "correct") fixed[i] = letter;
+      else banned[i].add(letter);
+      counts[letter] ??= { hits: 0, miss: false };
+      if (state === "incorrect") counts[letter].miss = true;
+      else counts[letter].hits += 1;
+    });
+    Object.entries(counts).forEach(([letter, { hits, miss }]) => {
+      min[letter] = Math.max(min[letter] ?? 0, hits);
+      if (miss) max[letter] = Math.min(max[letter] ?? Infinity, hits);
+    });
+  });
+
+  return { fixed, banned, min, max };
+}
+
+export function matchesConstraints(word, { fixed, banned, min, max }) {
+  if (word.length !== fixed.length) return false;
+  for (let i = 0; i < word.length; i++) {
+    if (fixed[i] && word[i] !== fixed[i]) return false;
+    if (banned[i].has(word[i])) return false;
+  }
+  const counts = {};
+  for (const letter of word) counts[letter] = (counts[letter] ?? 0) + 1;
+  return (
+    Object.entries(min).every(([letter, n]) => (counts[letter] ?? 0) >= n) &&
+    Object.entries(max).every(([letter, n]) => (counts[letter] ?? 0) <= n)
+  );
+}
+
+// Drop candidates whose letter in a shared cell no crossing word can match,
+// until nothing changes.
+function crossCheck(slots, candidates) {
+  const crossings = new Map(); // cell -> [[slotId, index], ...]
+  slots.forEach((slot) => slot.cells.forEach((key, i) => {
+    crossings.set(key, [...(crossings.get(key) ?? []), [slot.id, i]]);
+  }));
+  const shared = [...crossings.values()].filter((uses) => uses.length > 1);
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const uses of shared) {
+      const letterSets = uses.map(([id, i]) => new Set(candidates[id].map((w) => w[i])));
+      const allowed = letterSets.reduce((a, b) => new Set([...a].filter((letter) => b.has(letter))));
+      for (const [id, i] of uses) {
+        const kept = candidates[id].filter((w) => allowed.has(w[i]));
+        if (kept.length !== candidates[id].length) {
+          candidates[id] = kept;
+          changed = true;
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+// Best guesses first: words made of the letters most candidates share, so a
+// guess rules out as many of the others as it can.
+function rank(words) {
+  const frequency = {};
+  words.forEach((w) => new Set(w).forEach((letter) => (frequency[letter] = (frequency[letter] ?? 0) + 1)));
+  const score = (w) => [...new Set(w)].reduce((sum, letter) => sum + frequency[letter], 0);
+  return words
+    .map((w) => [w, score(w)])
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .map(([w]) => w);
+}
+
+// Resolves to { [slotId]: words }, best guesses first. Each slot asks the word
+// source for every word that fits (see wordSources.js), as a topic or sampled
+// pick could leave out the answer; `max` caps what a remote source sends per
+// slot, and `signal` aborts its requests.
+export async function findCandidates(puzzle, history, { wordSource, known = {}, max = 1000, signal } = {}) {
+  const slots = getWordSlots(puzzle);
+  const lists = await Promise.all(slots.map(async (slot) => {
+    const constraints = getSlotConstraints(slot, history, known);
+    const pattern = constraints.fixed.map((letter) => letter ?? "?").join("");
+    const words = await wordSource.findWords({ pattern, max, exhaustive: true }, { signal });
+    return [slot.id, [...new Set(words)].filter((w) => matchesConstraints(w, constraints))];
+  }));
+  const candidates = crossCheck(slots, Object.fromEntries(lists));
+  return Object.fromEntries(Object.entries(candidates).map(([id, words]) => [id, rank(words)]));
+}
+
+// One word per slot that agree where they cross, taking each slot's best
+// candidate that fits the letters already chosen.
+export function pickBoard(puzzle, candidates) {
+  const letters = {};
+  const words = {};
+  getWordSlots(puzzle).forEach((slot) => {
+    const fits = (w) => slot.cells.every((key, i) => !letters[key] || letters[key] === w[i]);
+    const word = candidates[slot.id].find(fits) ?? candidates[slot.id][0] ?? "";
+    words[slot.id] = word;
+    slot.cells.forEach((key, i) => (letters[key] ??= word[i]));
+  });
+  return words;
+}
+
+// Plays the board as a player who only ever guesses words that could still
+// be right. Resolves to { solvable, attempts, history }, plus `stuck` (a slot
+// id) when no dictionary word fits a slot any more, as when an answer isn't in
+// the word source.
+export async function checkSolvable(puzzle, { wordSource, maxAttempts, max }) {
+  let game = createGame(puzzle, { maxAttempts });
+  while (!game.gameOver) {
+    const candidates = await findCandidates(puzzle, game.history, { wordSource, max });
+    const stuck = Object.keys(candidates).find((id) => candidates[id].length === 0);
+    if (stuck) return { solvable: false, attempts: game.attempts, history: game.history, stuck };
+    ({ game } = await guess(game, pickBoard(puzzle, candidates), { now: () => 0 }));
+  }
+  return { solvable: game.gameWon, attempts: game.attempts, history: game.history };
+}
@@ -0,0 +1,75 @@
+import { checkSolvable, findCandidates, getSlotConstraints } from './solver';
+import { getWordSlots } from './layout';
+import { createLocalWordSource } from './wordSources';
+import { generatePuzzle } from './generator';
+import { DIFFICULTIES } from './difficulty';
+
+// CAT across row 1, with ICE, BAD and ATE down through its letters
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 1 },
+  verticals: [
+    { word: 'ICE', intersectIndex: 0 },
+    { word: 'BAD', intersectIndex: 1 },
+    { word: 'ATE', intersectIndex: 2 },
+  ],
+};
+const words = ['CAT', 'CUT', 'ICE', 'ACE', 'BAD', 'ATE', 'OAT'];
+
+test('a grey copy of a letter caps how many the word can have', () => {
+  // TAT guessed across: the first T is grey, as CAT has only the one
+  const cells = {
+    '0,1': { letter: 'T', state: 'incorrect', across: 'incorrect' },
+    '1,1': { letter: 'A', state: 'correct', across: 'correct' },
+    '2,1': { letter: 'T', state: 'correct', across: 'correct' },
+  };
+  const across = getWordSlots(puzzle).find((slot) => slot.id === 'across');
+  const constraints = getSlotConstraints(across, [{ entries: {}, cells, ts: 0 }]);
+  expect(constraints.fixed).toEqual([null, 'A', 'T']);
+  expect(constraints.banned[0]).toEqual(new Set(['T']));
+  expect(constraints).toMatchObject({ min: { A: 1, T: 1 }, max: { T: 1 } });
+});
+
+test('crossing words narrow each other down', async () => {
+  // Only BAD starts with a B, so the across word needs an A in the middle
+  const known = { '1,0': 'B' };
+  const candidates = await findCandidates(puzzle, [], { wordSource: createLocalWordSource({ words }), known });
+  expect(candidates['down-1']).toEqual(['BAD']);
+  expect(candidates.across).toEqual(['CAT']);
+  expect([...candidates['down-0']].sort()).toEqual(['ACE', 'ICE']);
+  expect(candidates['down-2']).toEqual(['ATE']);
+});
+
+test('letters known from hints count as placed', async () => {
+  const candidates = await findCandidates(puzzle, [], { wordSource: createLocalWordSource({ words }), known: { '0,0': 'I' } });
+  expect(candidates['down-0']).toEqual(['ICE']);
+});
+
+test('a board is solvable when a player can always guess a fitting word', async () => {
+  const outcome = await checkSolvable(puzzle, { wordSource: createLocalWordSource({ words }), maxAttempts: 6 });
+  expect(outcome).toMatchObject({ solvable: true });
+  expect(outcome.attempts).toBeLessThanOrEqual(6);
+});
+
+test('an answer missing from the dictionary leaves its word stuck', async () => {
+  const wordSource = createLocalWordSource({ words: words.filter((w) => w !== 'BAD') });
+  const outcome = await checkSolvable(puzzle, { wordSource, maxAttempts: 6 });
+  expect(outcome).toMatchObject({ solvable: false, stuck: expect.any(String) });
+});
+
+test('every fitting word is considered, not just a sample of them', async () => {
+  // With max 2 the source's spread pick of the B?? words skips BAD
+  const wordSource = createLocalWordSource({ words: [...words, 'BAA', 'BAG', 'BAT', 'BAY', 'BED', 'BIG', 'BOX'] });
+  const candidates = await findCandidates(puzzle, [], { wordSource, known: { '1,0': 'B' }, max: 2 });
+  expect(candidates['down-1']).toContain('BAD');
+  const outcome = await checkSolvable(puzzle, { wordSource, maxAttempts: 6, max: 2 });
+  expect(outcome).toMatchObject({ solvable: true });
+});
+
+test('a generated board can be solved within its attempts', async () => {
+  const wordSource = createLocalWordSource();
+  const { maxAttempts } = DIFFICULTIES.normal;
+  const board = await generatePuzzle(() => {}, { wordSource, seed: 'solvable' });
+  const outcome = await checkSolvable(board, { wordSource, maxAttempts });
+  expect(outcome.solvable).toBe(true);
+  expect(outcome.attempts).toBeLessThanOrEqual(maxAttempts);
+});
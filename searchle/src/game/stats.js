@@ -0,0 +1,83 @@
+// =========================
+// PLAYER STATISTICS
+// =========================
+// Pure helpers over a stats record; the app decides where records are stored
+// (one per mode, so daily and free play don't share streaks).
+
+export function createStats() {
+  return {
+    played: 0,
+    wins: 0,
+    currentStreak: 0,
+    bestStreak: 0,
+    distribution: {}, // wins by attempt count: { 1: n, 2: n, ... }
+    hintsUsed: 0,
+    bestScore: 0,
+    bestTime: null, // fastest win in ms
+    totalTime: 0, // summed over timedWins, for the average
+    timedWins: 0,
+    bestRun: 0, // most boards solved in one time-attack run
+    lastPuzzleId: null,
+    lastDay: null,
+  };
+}
+
+// "2026-10-19" -> "2026-10-20"
+function nextDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1));
+  return next.toISOString().slice(0, 10);
+}
+
+// Fold a finished game into the record. Recording the same puzzle twice is a
+// no-op, so a reload of a finished game can't count it again. Pass `day` for
+// daily games: skipping a day breaks the streak even without a loss. `time`
+// (ms) is the solve time, when the game was timed.
+export function recordResult(stats, { puzzleId, won, attempts, day = null, hints = 0, score = 0, time = null }) {
+  if (puzzleId && stats.lastPuzzleId === puzzleId) return stats;
+
+  const streakBroken = day && stats.lastDay && nextDay(stats.lastDay) !== day;
+  const streak = won ? (streakBroken ? 0 : stats.currentStreak) + 1 : 0;
+
+  return {
+    ...stats,
+    played: stats.played + 1,
+    wins: stats.wins + (won ? 1 : 0),
+    currentStreak: streak,
+    bestStreak: Math.max(stats.bestStreak, streak),
+    distribution: won
+      ? { ...stats.distribution, [attempts]: (stats.distribution[attempts] || 0) + 1 }
+      : stats.distribution,
+    hintsUsed: stats.hintsUsed + hints,
+    bestScore: Math.max(stats.bestScore, score),
+    ...(won && time
+      ? {
+          bestTime: stats.bestTime === null ? time : Math.min(stats.bestTime, time),
+          totalTime: stats.totalTime + time,
+          timedWins: stats.timedWins + 1,
+        }
+      : {}),
+    lastPuzzleId: puzzleId,
+    lastDay: day,
+  };
+}
+
+export function recordRun(stats, solved) {
+  return { ...stats, bestRun: Math.max(stats.bestRun, solved) };
+}
+
+// Average solve time in ms, or null before the first timed win.
+export function getAverageTime(stats) {
+  return stats.timedWins ? Math.round(stats.totalTime / stats.timedWins) : null;
+}
+
+export function getWinPercentage(stats) {
+  return stats.played ? Math.round((stats.wins / stats.played) * 100) : 0;
+}
+
+// Current streak as it stands today: a daily streak whose last game was
+// before yesterday has already lapsed.
+export function getCurrentStreak(stats, today = null) {
+  if (!today || !stats.lastDay) return stats.currentStreak;
+  return stats.lastDay === today || nextDay(stats.lastDay) === today ? stats.currentStreak : 0;
+}
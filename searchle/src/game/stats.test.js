@@ -0,0 +1,45 @@
+import { createStats, getAverageTime, getCurrentStreak, getWinPercentage, recordResult, recordRun } from './stats';
+
+test('tracks wins, streaks and the attempt histogram', () => {
+  let stats = createStats();
+  stats = recordResult(stats, { puzzleId: 'free:a', won: true, attempts: 3 });
+  stats = recordResult(stats, { puzzleId: 'free:b', won: true, attempts: 3 });
+  stats = recordResult(stats, { puzzleId: 'free:c', won: false, attempts: 6 });
+  stats = recordResult(stats, { puzzleId: 'free:d', won: true, attempts: 5 });
+
+  expect(stats.played).toBe(4);
+  expect(getWinPercentage(stats)).toBe(75);
+  expect(stats.currentStreak).toBe(1);
+  expect(stats.bestStreak).toBe(2);
+  expect(stats.distribution).toEqual({ 3: 2, 5: 1 });
+});
+
+test('the same puzzle is only counted once', () => {
+  const once = recordResult(createStats(), { puzzleId: 'daily:2026-10-19', won: true, attempts: 2 });
+  expect(recordResult(once, { puzzleId: 'daily:2026-10-19', won: true, attempts: 2 })).toBe(once);
+});
+
+test('a skipped day breaks a daily streak', () => {
+  let stats = createStats();
+  stats = recordResult(stats, { puzzleId: 'daily:2026-10-18', day: '2026-10-18', won: true, attempts: 4 });
+  stats = recordResult(stats, { puzzleId: 'daily:2026-10-19', day: '2026-10-19', won: true, attempts: 4 });
+  expect(stats.currentStreak).toBe(2);
+  expect(getCurrentStreak(stats, '2026-10-20')).toBe(2);
+  expect(getCurrentStreak(stats, '2026-10-21')).toBe(0);
+
+  stats = recordResult(stats, { puzzleId: 'daily:2026-10-21', day: '2026-10-21', won: true, attempts: 4 });
+  expect(stats.currentStreak).toBe(1);
+  expect(stats.bestStreak).toBe(2);
+});
+
+test('timed wins keep the best and average solve time', () => {
+  let stats = createStats();
+  stats = recordResult(stats, { puzzleId: 'free:a', won: true, attempts: 2, time: 90000 });
+  stats = recordResult(stats, { puzzleId: 'free:b', won: false, attempts: 6, time: 10000 });
+  stats = recordResult(stats, { puzzleId: 'free:c', won: true, attempts: 3, time: 30000 });
+  stats = recordResult(stats, { puzzleId: 'free:d', won: true, attempts: 3 });
+  expect(stats.bestTime).toBe(30000);
+  expect(getAverageTime(stats)).toBe(60000);
+  expect(getAverageTime(createStats())).toBeNull();
+  expect(recordRun(recordRun(stats, 4), 2).bestRun).toBe(4);
+});
@@ -0,0 +1,202 @@
+// =========================
+// TELEMETRY
+// =========================
+// Client events are queued and posted to the log endpoint in batches. Nothing
+// is recorded until the player opts in (setConsent(true)); opting out drops
+// everything still queued.
+//
+// Schema v1. A batch is { v, sentAt, context, events }, where `context` is
+// whatever the app adds to every batch (user agent, URL) and each event is
+//
+//   { id, v, session, seq, type, ts, data }
+//
+// `session` is random per page load and `seq` counts up within it, so `id`
+// ("<session>:<seq>") lets the server drop an event it already got.
+//
+// The queue lives in `storage` (localStorage-like) so events recorded offline,
+// or whose request failed, go out on a later flush or visit. `sendBeacon` is
+// for page hide/unload, when a normal request would be cut off.
+//
+// Sampling is decided once per session; errors are always kept. An error
+// repeated within `dedupeWindow` is folded into the first one's `count` while
+// that one is still queued, and dropped once it has been sent.
+export const TELEMETRY_SCHEMA_VERSION = 1;
+
+export function createSessionId(now = Date.now(), random = Math.random) {
+  return `${now.toString(36)}-${Math.floor(random() * 36 ** 6).toString(36).padStart(6, "0")}`;
+}
+
+function loadQueue(storage, key) {
+  try {
+    const saved = JSON.parse(storage?.getItem(key));
+    return saved?.v === TELEMETRY_SCHEMA_VERSION && Array.isArray(saved.events) ? saved.events : [];
+  } catch {
+    return [];
+  }
+}
+
+// A request that hangs is given up on, so its events stay queued for a retry.
+function postJson(url, body, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  return fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, signal: controller.signal })
+    .finally(() => clearTimeout(timer));
+}
+
+export function createTelemetry({
+  endpoint = "/api/log",
+  storage = null,
+  storageKey = "searchle:v1:telemetry",
+  sendTimeout = 10000, // ms the default send waits for an answer
+  // (url, body) -> Promise; rejects or resolves { ok: false } on failure
+  send = (url, body) => postJson(url, body, sendTimeout),
+  sendBeacon = null, // (url, body) -> boolean, navigator.sendBeacon
+  isOnline = () => true,
+  consent = false,
+  sampleRate = 1,
+  batchSize = 20,
+  maxQueue = 200,
+  flushInterval = 10000, // ms after an event before the queue is sent; null leaves it to flush()
+  dedupeWindow = 60000,
+  context = () => ({}),
+  now = Date.now,
+  random = Math.random,
+  sessionId = createSessionId(now(), random),
+} = {}) {
+  let queue = loadQueue(storage, storageKey);
+  let seq = 0;
+  let flushing = null;
+  let timer = null;
+  const sampled = random() < sampleRate;
+  const recentErrors = new Map(); // signature -> { ts, event }
+
+  const persist = () => {
+    try {
+      if (queue.length) storage?.setItem(storageKey, JSON.stringify({ v: TELEMETRY_SCHEMA_VERSION, events: queue }));
+      else storage?.removeItem(storageKey);
+    } catch { /* storage full or blocked: the queue still lives in memory */ }
+  };
+
+  const schedule = () => {
+    if (timer !== null || flushInterval === null || !queue.length) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, flushInterval);
+  };
+
+  const enqueue = (type, data) => {
+    seq += 1;
+    const event = { id: `${sessionId}:${seq}`, v: TELEMETRY_SCHEMA_VERSION, session: sessionId, seq, type, ts: now(), data };
+    queue.push(event);
+    if (queue.length > maxQueue) queue = queue.slice(-maxQueue); // oldest go first
+    persist();
+    if (queue.length >= batchSize) flush();
+    else schedule();
+    return event;
+  };
+
+  const buildBody = (events) =>
+    JSON.stringify({ v: TELEMETRY_SCHEMA_VERSION, sentAt: now(), context: context(), events });
+
+  const remove = (events) => {
+    const sent = new Set(events.map((e) => e.id));
+    queue = queue.filter((e) => !sent.has(e.id));
+    persist();
+  };
+
+  const sendQueued = async () => {
+    let sent = 0;
+    while (consent && queue.length && isOnline()) {
+      const batch = queue.slice(0, batchSize);
+      try {
+        const response = await send(endpoint, buildBody(batch));
+        if (response?.ok === false) break;
+      } catch {
+        break; // keep the batch for next time
+      }
+      remove(batch);
+      sent += batch.length;
+    }
+    return sent;
+  };
+
+  // Sends batches until the queue is empty or a request fails. Resolves to the
+  // number of events sent; concurrent calls share one run.
+  function flush() {
+    if (!flushing) {
+      flushing = sendQueued().finally(() => {
+        flushing = null;
+        schedule();
+      });
+    }
+    return flushing;
+  }
+
+  // For page hide: hand every batch to the browser now. Batches it refuses
+  // stay queued in storage for the next visit.
+  function flushBeacon() {
+    if (!consent || !sendBeacon || !queue.length) return 0;
+    let sent = 0;
+    for (let i = 0; i < queue.length; i += batchSize) {
+      const batch = queue.slice(i, i + batchSize);
+      if (!sendBeacon(endpoint, buildBody(batch))) break;
+      sent += batch.length;
+    }
+    remove(queue.slice(0, sent));
+    return sent;
+  }
+
+  return {
+    sessionId,
+
+    get consent() {
+      return consent;
+    },
+
+    get queue() {
+      return queue;
+    },
+
+    setConsent(value) {
+      consent = Boolean(value);
+      if (!consent) {
+        queue = [];
+        recentErrors.clear();
+        persist();
+      } else {
+        schedule();
+      }
+    },
+
+    // Returns the queued event, or null when it wasn't recorded.
+    track(type, data = {}) {
+      if (!consent || !sampled) return null;
+      return enqueue(type, data);
+    },
+
+    trackError(type, { message = "", stack, ...data } = {}) {
+      if (!consent) return null;
+      const signature = `${type}:${message}`;
+      const recent = recentErrors.get(signature);
+      if (recent && now() - recent.ts < dedupeWindow) {
+        if (queue.includes(recent.event)) {
+          recent.event.data.count += 1;
+          persist();
+        }
+        return null;
+      }
+      const event = enqueue(type, { ...data, message, stack, count: 1 });
+      recentErrors.set(signature, { ts: event.ts, event });
+      return event;
+    },
+
+    flush,
+    flushBeacon,
+
+    dispose() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
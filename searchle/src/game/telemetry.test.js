@@ -0,0 +1,114 @@
+import { TELEMETRY_SCHEMA_VERSION, createTelemetry } from './telemetry';
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; },
+  };
+}
+
+const setup = (options = {}) => {
+  const sent = [];
+  const telemetry = createTelemetry({
+    storage: memoryStorage(),
+    send: async (url, body) => {
+      sent.push(JSON.parse(body));
+      return { ok: true };
+    },
+    consent: true,
+    flushInterval: null,
+    sessionId: 's1',
+    now: () => 1000,
+    ...options,
+  });
+  return { telemetry, sent };
+};
+
+test('records nothing without consent, and opting out drops the queue', () => {
+  const { telemetry } = setup({ consent: false });
+  expect(telemetry.track('submission')).toBeNull();
+  telemetry.setConsent(true);
+  telemetry.track('submission');
+  expect(telemetry.queue).toHaveLength(1);
+  telemetry.setConsent(false);
+  expect(telemetry.queue).toEqual([]);
+});
+
+test('events follow the versioned schema and go out in batches', async () => {
+  const { telemetry, sent } = setup({ batchSize: 2, context: () => ({ ua: 'test' }) });
+  telemetry.track('hint', { type: 'letter' });
+  telemetry.track('submission', { attempt: 1 });
+  telemetry.track('submission', { attempt: 2 });
+  await telemetry.flush();
+
+  expect(sent.map((batch) => batch.events.length)).toEqual([2, 1]);
+  expect(sent[0]).toMatchObject({ v: TELEMETRY_SCHEMA_VERSION, sentAt: 1000, context: { ua: 'test' } });
+  expect(sent[0].events[0]).toEqual({
+    id: 's1:1', v: TELEMETRY_SCHEMA_VERSION, session: 's1', seq: 1, type: 'hint', ts: 1000, data: { type: 'letter' },
+  });
+  expect(telemetry.queue).toEqual([]);
+});
+
+test('keeps events in storage while offline or when a request fails', async () => {
+  const storage = memoryStorage();
+  let online = false;
+  const { telemetry, sent } = setup({ storage, isOnline: () => online });
+  telemetry.track('submission');
+  expect(await telemetry.flush()).toBe(0);
+
+  // A reload picks the queue back up
+  const failing = createTelemetry({
+    storage, send: async () => ({ ok: false }), consent: true, flushInterval: null,
+  });
+  expect(failing.queue).toHaveLength(1);
+  expect(await failing.flush()).toBe(0);
+  expect(failing.queue).toHaveLength(1);
+
+  online = true;
+  expect(await telemetry.flush()).toBe(1);
+  expect(sent).toHaveLength(1);
+  expect(storage.getItem('searchle:v1:telemetry')).toBeNull();
+});
+
+test('hands the queue to sendBeacon when the page is hidden', () => {
+  const beacons = [];
+  const { telemetry } = setup({ batchSize: 2, sendBeacon: (url, body) => beacons.push(JSON.parse(body)) <= 1 });
+  ['a', 'b', 'c', 'd', 'e'].forEach((type) => telemetry.track(type));
+
+  // The second beacon is refused, so its events wait for the next visit
+  expect(telemetry.flushBeacon()).toBe(2);
+  expect(beacons).toHaveLength(2);
+  expect(telemetry.queue.map((e) => e.type)).toEqual(['c', 'd', 'e']);
+});
+
+test('folds repeated errors into one event', async () => {
+  let time = 0;
+  const { telemetry, sent } = setup({ now: () => time });
+  telemetry.trackError('error', { message: 'boom' });
+  telemetry.trackError('error', { message: 'boom' });
+  telemetry.trackError('error', { message: 'other' });
+  expect(telemetry.queue.map((e) => e.data)).toEqual([
+    expect.objectContaining({ message: 'boom', count: 2 }),
+    expect.objectContaining({ message: 'other', count: 1 }),
+  ]);
+
+  await telemetry.flush();
+  expect(telemetry.trackError('error', { message: 'boom' })).toBeNull(); // already reported
+  time = 60000;
+  expect(telemetry.trackError('error', { message: 'boom' })).not.toBeNull();
+  expect(sent).toHaveLength(1);
+});
+
+test('sampled-out sessions still report errors', () => {
+  const { telemetry } = setup({ sampleRate: 0.5, random: () => 0.9 });
+  expect(telemetry.track('submission')).toBeNull();
+  expect(telemetry.trackError('error', { message: 'boom' })).not.toBeNull();
+});
+
+test('caps the queue by dropping the oldest events', () => {
+  const { telemetry } = setup({ maxQueue: 3 });
+  ['a', 'b', 'c', 'd'].forEach((type) => telemetry.track(type));
+  expect(telemetry.queue.map((e) => e.type)).toEqual(['b', 'c', 'd']);
+});
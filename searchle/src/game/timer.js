@@ -0,0 +1,66 @@
+// =========================
+// TIMER
+// =========================
+// A clock is { elapsed, startedAt, started }: `elapsed` ms banked while it was
+// running before, `startedAt` set while it runs now, and `started` once the
+// player has begun (the first keystroke). The app decides when a started clock
+// should be running (visible tab, no modal open) and calls setRunning.
+
+export function createClock() {
+  return { elapsed: 0, startedAt: null, started: false };
+}
+
+export function startClock(clock) {
+  return clock.started ? clock : { ...clock, started: true };
+}
+
+export function getElapsed(clock, now = Date.now()) {
+  return clock.elapsed + (clock.startedAt === null ? 0 : now - clock.startedAt);
+}
+
+// Returns the same clock when nothing changes, so it's safe in a state updater.
+export function setRunning(clock, running, now = Date.now()) {
+  if (running === (clock.startedAt !== null)) return clock;
+  return running
+    ? { ...clock, startedAt: now }
+    : { ...clock, elapsed: getElapsed(clock, now), startedAt: null };
+}
+
+// A clock for saving: time since the last start is banked, so a reload
+// continues from here instead of counting the time the page was closed.
+export function snapshotClock(clock, now = Date.now()) {
+  return { ...clock, elapsed: getElapsed(clock, now), startedAt: null };
+}
+
+// 65000 -> "1:05", 3725000 -> "1:02:05"
+export function formatTime(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+// =========================
+// TIME ATTACK
+// =========================
+// A run is one clock shared by a string of boards. The player starts with
+// `startMs` on the countdown and every solved board adds `bonusMs`.
+export const TIME_ATTACK = { startMs: 3 * 60 * 1000, bonusMs: 60 * 1000 };
+
+export function createRun() {
+  return { clock: createClock(), budget: TIME_ATTACK.startMs, solved: 0, over: false };
+}
+
+export function getRemaining(run, now = Date.now()) {
+  return Math.max(0, run.budget - getElapsed(run.clock, now));
+}
+
+export function addSolve(run) {
+  return { ...run, solved: run.solved + 1, budget: run.budget + TIME_ATTACK.bonusMs };
+}
+
+export function endRun(run, now = Date.now()) {
+  return { ...run, clock: setRunning(run.clock, false, now), over: true };
+}
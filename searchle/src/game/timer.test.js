@@ -0,0 +1,40 @@
+import {
+  TIME_ATTACK, addSolve, createClock, createRun, endRun, formatTime, getElapsed, getRemaining, setRunning, snapshotClock,
+  startClock,
+} from './timer';
+
+test('a clock only counts time while it runs', () => {
+  let clock = startClock(createClock());
+  clock = setRunning(clock, true, 1000);
+  expect(getElapsed(clock, 4000)).toBe(3000);
+  clock = setRunning(clock, false, 5000);
+  expect(getElapsed(clock, 60000)).toBe(4000);
+  expect(setRunning(clock, false, 70000)).toBe(clock);
+  clock = setRunning(clock, true, 70000);
+  expect(getElapsed(clock, 71000)).toBe(5000);
+});
+
+test('a saved clock does not count the time the page was closed', () => {
+  const running = setRunning(startClock(createClock()), true, 0);
+  const saved = snapshotClock(running, 2000);
+  expect(saved).toEqual({ elapsed: 2000, startedAt: null, started: true });
+  expect(getElapsed(saved, 999999)).toBe(2000);
+});
+
+test('times are shown as m:ss or h:mm:ss', () => {
+  expect(formatTime(0)).toBe('0:00');
+  expect(formatTime(65000)).toBe('1:05');
+  expect(formatTime(3725000)).toBe('1:02:05');
+});
+
+test('solving a board in time attack adds time to the countdown', () => {
+  let run = createRun();
+  run = { ...run, clock: setRunning(startClock(run.clock), true, 0) };
+  expect(getRemaining(run, 60000)).toBe(TIME_ATTACK.startMs - 60000);
+  run = addSolve(run);
+  expect(run.solved).toBe(1);
+  expect(getRemaining(run, 60000)).toBe(TIME_ATTACK.startMs + TIME_ATTACK.bonusMs - 60000);
+  run = endRun(run, TIME_ATTACK.startMs * 10);
+  expect(run.over).toBe(true);
+  expect(getRemaining(run, Infinity)).toBe(0);
+});
@@ -0,0 +1,130 @@
+// =========================
+// VERSUS TRANSPORTS
+// =========================
+// How a race's messages (see versus.js) get to the other players. Every
+// transport has the same shape, so the race doesn't care which it's given:
+//
+//   { status, send(message), subscribe(listener), onStatus(listener), close() }
+//
+// `status` is "connecting", "open" or "closed"; subscribe and onStatus return
+// a function that unsubscribes. Messages sent while a transport isn't open are
+// dropped: the race repeats where it stands every heartbeat anyway.
+
+// Keeps listener lists and the status for the transports below.
+function createListeners(status) {
+  const messageListeners = new Set();
+  const statusListeners = new Set();
+  const add = (set, listener) => {
+    set.add(listener);
+    return () => set.delete(listener);
+  };
+  const transport = {
+    status,
+    subscribe: (listener) => add(messageListeners, listener),
+    onStatus: (listener) => add(statusListeners, listener),
+  };
+  return {
+    transport,
+    emit: (message) => messageListeners.forEach((listener) => listener(message)),
+    setStatus(next) {
+      if (transport.status === next) return;
+      transport.status = next;
+      statusListeners.forEach((listener) => listener(next));
+    },
+  };
+}
+
+// Tabs of one browser, through a BroadcastChannel named after the room.
+export function createBroadcastTransport(name, {
+  BroadcastChannel = typeof window === "undefined" ? undefined : window.BroadcastChannel,
+} = {}) {
+  if (!BroadcastChannel) throw new Error("BroadcastChannel is not available here");
+  const channel = new BroadcastChannel(name);
+  const { transport, emit, setStatus } = createListeners("open");
+  channel.onmessage = (event) => emit(event.data);
+  return Object.assign(transport, {
+    send(message) {
+      if (transport.status === "open") channel.postMessage(message);
+    },
+    close() {
+      setStatus("closed");
+      channel.close();
+    },
+  });
+}
+
+// Anywhere, through the WebSocket relay (server/relay.mjs). A dropped
+// connection is retried after `retryDelay` ms, doubling up to `maxRetryDelay`,
+// until close().
+export function createWebSocketTransport(url, {
+  WebSocket = typeof window === "undefined" ? undefined : window.WebSocket,
+  retryDelay = 1000,
+  maxRetryDelay = 15000,
+} = {}) {
+  if (!WebSocket) throw new Error("WebSocket is not available here");
+  const { transport, emit, setStatus } = createListeners("connecting");
+  let socket = null;
+  let retryTimer = null;
+  let delay = retryDelay;
+  let closed = false;
+
+  const connect = () => {
+    setStatus("connecting");
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      delay = retryDelay;
+      setStatus("open");
+    };
+    socket.onmessage = (event) => {
+      try {
+        emit(JSON.parse(event.data));
+      } catch { /* not one of ours */ }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      setStatus("connecting");
+      retryTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, maxRetryDelay);
+    };
+  };
+  connect();
+
+  return Object.assign(transport, {
+    send(message) {
+      if (transport.status === "open") socket.send(JSON.stringify(message));
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      // A leave sent just before is still delivered: close() lets it go first
+      socket.close();
+      setStatus("closed");
+    },
+  });
+}
+
+// Transports that only reach each other, within one page: for tests, and
+// where there's nothing better. Each connect() is one player.
+export function createMemoryHub() {
+  const members = new Set();
+  return {
+    connect() {
+      const member = createListeners("open");
+      members.add(member);
+      return Object.assign(member.transport, {
+        send(message) {
+          if (member.transport.status !== "open") return;
+          // Copied, like a real transport would, and delivered later, not mid-send
+          const copy = JSON.parse(JSON.stringify(message));
+          members.forEach((other) => {
+            if (other !== member) Promise.resolve().then(() => other.transport.status === "open" && other.emit(copy));
+          });
+        },
+        close() {
+          member.setStatus("closed");
+          members.delete(member);
+        },
+      });
+    },
+  };
+}
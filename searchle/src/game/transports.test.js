@@ -0,0 +1,87 @@
+import { createBroadcastTransport, createWebSocketTransport } from './transports';
+
+// Stands in for the browser's WebSocket: tests open and drop it by hand
+class FakeSocket {
+  static all = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.all.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.onclose?.();
+  }
+}
+
+beforeEach(() => {
+  FakeSocket.all = [];
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('a dropped relay connection is retried, backing off, until closed', () => {
+  jest.useFakeTimers();
+  const transport = createWebSocketTransport('ws://relay/versus', { WebSocket: FakeSocket, retryDelay: 100 });
+  const statuses = [];
+  transport.onStatus((status) => statuses.push(status));
+  transport.send({ type: 'hello' }); // not open yet: dropped
+  FakeSocket.all[0].onopen();
+  transport.send({ type: 'progress' });
+  expect(FakeSocket.all[0].sent).toEqual([{ type: 'progress' }]);
+
+  FakeSocket.all[0].onclose();
+  jest.advanceTimersByTime(100);
+  expect(FakeSocket.all).toHaveLength(2);
+  FakeSocket.all[1].onclose();
+  jest.advanceTimersByTime(100);
+  expect(FakeSocket.all).toHaveLength(2); // the second wait is twice as long
+  jest.advanceTimersByTime(100);
+  expect(FakeSocket.all).toHaveLength(3);
+
+  FakeSocket.all[2].onopen();
+  const messages = [];
+  transport.subscribe((message) => messages.push(message));
+  FakeSocket.all[2].onmessage({ data: '{"type":"state"}' });
+  FakeSocket.all[2].onmessage({ data: 'not json' });
+  expect(messages).toEqual([{ type: 'state' }]);
+
+  transport.close();
+  jest.advanceTimersByTime(10000);
+  expect(FakeSocket.all).toHaveLength(3);
+  expect(statuses).toEqual(['open', 'connecting', 'open', 'closed']);
+});
+
+test('tabs share a BroadcastChannel named after the room', () => {
+  const channels = [];
+  class FakeChannel {
+    constructor(name) {
+      this.name = name;
+      this.posted = [];
+      channels.push(this);
+    }
+
+    postMessage(message) {
+      this.posted.push(message);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+  const transport = createBroadcastTransport('searchle:versus:QXRTB', { BroadcastChannel: FakeChannel });
+  const messages = [];
+  transport.subscribe((message) => messages.push(message));
+  channels[0].onmessage({ data: { type: 'hello' } });
+  transport.send({ type: 'progress' });
+  transport.close();
+  transport.send({ type: 'leave' });
+  expect(channels[0]).toMatchObject({ name: 'searchle:versus:QXRTB', posted: [{ type: 'progress' }], closed: true });
+  expect(messages).toEqual([{ type: 'hello' }]);
+  expect(transport.status).toBe('closed');
+});
@@ -0,0 +1,35 @@
+// =========================
+// SUBMISSION CHECKS
+// =========================
+// Runs before a board is scored. A submission is turned away (without costing
+// an attempt) when a word is only partly filled in, or when a filled-in word
+// isn't in the dictionary. The answers themselves always pass, even if the
+// dictionary used for checking doesn't know them.
+import { getWordSlots } from "./layout.js";
+import { ENGLISH, translate } from "./languages/index.js";
+
+// Returns the words that block the submission, in board order:
+// [{ slotId, guess, reason: "incomplete" | "unknown", cells }]
+// With `allowPartial`, unfinished words are let through; finished ones are
+// still checked.
+export async function findInvalidWords(puzzle, entries, { hasWord, allowPartial = false }) {
+  const checks = getWordSlots(puzzle).map(async (slot) => {
+    const guess = slot.cells.map((key) => entries[key] || "").join("");
+    const problem = { slotId: slot.id, guess, cells: slot.cells };
+    if (guess.length < slot.word.length) return allowPartial ? null : { ...problem, reason: "incomplete" };
+    if (guess === slot.word) return null;
+    try {
+      return (await hasWord(guess)) ? null : { ...problem, reason: "unknown" };
+    } catch {
+      return null; // a dictionary we can't reach shouldn't stop the game
+    }
+  });
+  return (await Promise.all(checks)).filter(Boolean);
+}
+
+// One-line explanation for the toast shown with a rejected submission.
+export function describeInvalidWords(invalid, language = ENGLISH) {
+  const unknown = [...new Set(invalid.filter((w) => w.reason === "unknown").map((w) => w.guess))];
+  if (unknown.length) return translate(language, "invalid.unknown", { words: unknown.join(", ") });
+  return translate(language, "invalid.incomplete");
+}
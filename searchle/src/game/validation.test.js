@@ -0,0 +1,35 @@
+import { describeInvalidWords, findInvalidWords } from './validation';
+import { createLocalWordSource } from './wordSources';
+
+// CAT across, ACE down through A, TOO down through T
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 0 },
+  verticals: [{ word: 'ACE', intersectIndex: 1 }, { word: 'TOO', intersectIndex: 2 }],
+};
+const { hasWord } = createLocalWordSource({ words: ['cot', 'ice'] });
+const fill = (across, down1, down2) => ({
+  '0,0': across[0], '1,0': across[1], '2,0': across[2],
+  '1,1': down1[1], '1,2': down1[2],
+  '2,1': down2[1], '2,2': down2[2],
+});
+
+test('the answers and dictionary words pass', async () => {
+  expect(await findInvalidWords(puzzle, fill('CAT', 'ACE', 'TOO'), { hasWord })).toEqual([]);
+  expect(await findInvalidWords(puzzle, fill('COT', 'OCE', 'TOO'), { hasWord })).toEqual([
+    { slotId: 'down-1', guess: 'OCE', reason: 'unknown', cells: ['1,0', '1,1', '1,2'] },
+  ]);
+});
+
+test('unfinished words block a submission unless partial play is allowed', async () => {
+  const entries = { ...fill('CAT', 'ACE', 'TOO'), '2,2': '' };
+  const invalid = await findInvalidWords(puzzle, entries, { hasWord });
+  expect(invalid.map((w) => [w.slotId, w.reason])).toEqual([['down-2', 'incomplete']]);
+  expect(describeInvalidWords(invalid)).toBe('Fill in every word before submitting');
+  expect(await findInvalidWords(puzzle, entries, { hasWord, allowPartial: true })).toEqual([]);
+});
+
+test('unknown words are named in the rejection message', () => {
+  expect(describeInvalidWords([{ guess: 'XQZ', reason: 'unknown' }, { guess: 'AB', reason: 'incomplete' }])).toBe(
+    'Not in word list: XQZ'
+  );
+});
@@ -0,0 +1,187 @@
+// =========================
+// VERSUS RACES
+// =========================
+// Players who share a room code race on the same board: the room's code seeds
+// it, and the first to solve it wins. Each player's progress goes to the room
+// through a transport (see transports.js) as counts only, never letters:
+//
+//   hello     { type, v, room, player: { id, name }, board, progress, at }
+//   progress  the same, sent after every submission and as a heartbeat
+//   leave     { type, v, room, player, at }
+//   state     from the relay (server/relay.mjs) to a player joining: the
+//             room's board and { player, progress, online } for everyone
+//
+// `board` is { difficulty, language }; whoever opened the room sets it and
+// whoever joins plays it. Players who stop sending for AWAY_AFTER ms are shown
+// as away until they're heard from again, so a dropped connection or a reload
+// rejoins the race where it left off.
+import { getLetterPositions } from "./layout.js";
+
+export const VERSUS_VERSION = 1;
+export const HEARTBEAT_INTERVAL = 5000;
+export const AWAY_AFTER = 3 * HEARTBEAT_INTERVAL;
+
+// No 0/O or 1/I, so a code read out loud can't be misheard
+const ROOM_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE = new RegExp(`^[${ROOM_ALPHABET}]{${ROOM_CODE_LENGTH}}$`);
+const MESSAGE_TYPES = ["hello", "progress", "leave", "state"];
+
+export function createRoomCode(random = Math.random) {
+  return Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_ALPHABET[Math.floor(random() * ROOM_ALPHABET.length)]).join("");
+}
+
+// A code as typed ("qx rt-b") -> "QXRTB", or null when it can't be one
+export function normalizeRoomCode(input) {
+  const code = String(input ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return ROOM_CODE.test(code) ? code : null;
+}
+
+// Whether `message` is one of ours, for this protocol version, as far as
+// the relay needs to know before passing it on.
+export function isVersusMessage(message) {
+  return (
+    message?.v === VERSUS_VERSION &&
+    MESSAGE_TYPES.includes(message.type) &&
+    ROOM_CODE.test(message.room) &&
+    (message.type === "state" || typeof message.player?.id === "string")
+  );
+}
+
+// Whether an entry in the relay's `state` names a player we can list
+function isPlayerEntry(entry) {
+  return typeof entry?.player?.id === "string";
+}
+
+// What a player's board says about them without giving anything away:
+// { attempts, maxAttempts, correct, total, solved, over }, `correct` being
+// the cells right in their last submission.
+export function getProgress(puzzle, history, { maxAttempts }) {
+  const total = getLetterPositions(puzzle).length;
+  const last = history[history.length - 1];
+  const correct = last ? Object.values(last.cells).filter((cell) => cell.state === "correct").length : 0;
+  const solved = correct === total;
+  return { attempts: history.length, maxAttempts, correct, total, solved, over: solved || history.length >= maxAttempts };
+}
+
+// Finishers by solve time, then everyone else by cells right and attempts left.
+export function getStandings(players) {
+  return [...players].sort((a, b) => {
+    const pa = a.progress ?? {};
+    const pb = b.progress ?? {};
+    // A solve whose time hasn't come back from the relay yet goes last; two
+    // of those (Infinity - Infinity) tie
+    if (pa.solved || pb.solved) {
+      return (pb.solved ? 1 : 0) - (pa.solved ? 1 : 0) || (pa.solvedAt ?? Infinity) - (pb.solvedAt ?? Infinity) || 0;
+    }
+    return (pb.correct ?? 0) - (pa.correct ?? 0) || (pa.attempts ?? 0) - (pb.attempts ?? 0) || (a.name < b.name ? -1 : 1);
+  });
+}
+
+// One player's side of a race. `transport` is any of transports.js's;
+// `onChange` gets getState()'s answer whenever it changes:
+//
+//   { room, board, status, self, players: [{ id, name, progress, online, self }], winner }
+//
+// A player joining by code passes no board and learns it from the room.
+export function createRace({ transport, room, player, board = null, now = Date.now, onChange = () => {} }) {
+  const players = new Map(); // id -> { id, name, progress, online, seenAt }
+  let roomBoard = board;
+  let progress = null;
+  let timer = null;
+  let unsubscribe = [];
+
+  const getState = () => {
+    const everyone = [{ ...player, progress, online: transport.status === "open", self: true }, ...players.values()]
+      .map(({ seenAt, ...rest }) => ({ self: false, ...rest }));
+    const standings = getStandings(everyone);
+    return {
+      room,
+      board: roomBoard,
+      status: transport.status,
+      self: player.id,
+      players: standings,
+      winner: standings[0]?.progress?.solved ? standings[0].id : null,
+    };
+  };
+  const changed = () => onChange(getState());
+
+  const send = (type) => transport.send({ type, v: VERSUS_VERSION, room, player, board: roomBoard, progress, at: now() });
+
+  const seen = ({ player: { id, name }, progress: theirs }, { online = true } = {}) => {
+    const known = players.get(id);
+    players.set(id, {
+      id,
+      name: typeof name === "string" ? name.slice(0, 24) : known?.name ?? "",
+      progress: theirs ?? known?.progress ?? null,
+      online,
+      seenAt: now(),
+    });
+  };
+
+  const receive = (message) => {
+    if (!isVersusMessage(message) || message.room !== room) return;
+    if (!roomBoard && message.board) roomBoard = message.board;
+    if (message.type === "state") {
+      const entries = Array.isArray(message.players) ? message.players.filter(isPlayerEntry) : [];
+      entries.forEach((entry) => entry.player.id !== player.id && seen(entry, { online: entry.online !== false }));
+    } else if (message.player.id === player.id) {
+      // The relay's echo: its clock settles who solved first
+      if (progress?.solved && message.progress?.solvedAt) progress = { ...progress, solvedAt: message.progress.solvedAt };
+    } else if (message.type === "leave") {
+      if (players.has(message.player.id)) players.set(message.player.id, { ...players.get(message.player.id), online: false });
+    } else {
+      seen(message);
+      // Answer a newcomer, so they see us without waiting for a heartbeat
+      if (message.type === "hello") send("progress");
+    }
+    changed();
+  };
+
+  // Heartbeat: resend where we are, and notice players gone quiet
+  const beat = () => {
+    send(progress ? "progress" : "hello");
+    let away = false;
+    players.forEach((p) => {
+      if (p.online && now() - p.seenAt > AWAY_AFTER) {
+        players.set(p.id, { ...p, online: false });
+        away = true;
+      }
+    });
+    if (away) changed();
+  };
+
+  return {
+    getState,
+    join() {
+      unsubscribe = [
+        transport.subscribe(receive),
+        // Say hello again after every reconnect; the room may have moved on
+        transport.onStatus((status) => {
+          if (status === "open") send("hello");
+          changed();
+        }),
+      ];
+      timer = setInterval(beat, HEARTBEAT_INTERVAL);
+      if (transport.status === "open") send("hello");
+      changed();
+    },
+    // The board being played, once a joining player has started it
+    setBoard(next) {
+      roomBoard = next;
+    },
+    // After every submission, from getProgress
+    report(next) {
+      const solvedAt = progress?.solvedAt ?? (next.solved ? now() : undefined);
+      progress = solvedAt ? { ...next, solvedAt } : next;
+      send("progress");
+      changed();
+    },
+    leave() {
+      clearInterval(timer);
+      send("leave");
+      unsubscribe.forEach((off) => off());
+      transport.close();
+    },
+  };
+}
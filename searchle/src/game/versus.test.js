@@ -0,0 +1,136 @@
+import {
+  AWAY_AFTER, HEARTBEAT_INTERVAL, createRace, createRoomCode, getProgress, getStandings, normalizeRoomCode,
+} from './versus';
+import { createGame, guess } from './engine';
+import { createMemoryHub } from './transports';
+
+// CAT across row 1, with ICE, BAD and ATE down through its letters
+const puzzle = {
+  horizontal: { word: 'CAT', x: 0, y: 1 },
+  verticals: [
+    { word: 'ICE', intersectIndex: 0 },
+    { word: 'BAD', intersectIndex: 1 },
+    { word: 'ATE', intersectIndex: 2 },
+  ],
+};
+const board = { difficulty: 'normal', language: 'en' };
+
+// Lets the memory hub deliver what's been sent
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+afterEach(() => jest.useRealTimers());
+
+test('room codes survive being typed back in any case and spacing', () => {
+  const code = createRoomCode();
+  expect(code).toMatch(/^[A-Z2-9]{5}$/);
+  expect(normalizeRoomCode(` ${code.slice(0, 2).toLowerCase()} ${code.slice(2)}`)).toBe(code);
+  expect(normalizeRoomCode('QX0TB')).toBeNull(); // no zeros, so no O/0 mix-ups
+  expect(normalizeRoomCode('QXRT')).toBeNull();
+});
+
+test('progress is counts only, never letters', async () => {
+  const { game } = await guess(createGame(puzzle), ['COT', 'ICE', 'BOD', 'OTE']);
+  const progress = getProgress(puzzle, game.history, { maxAttempts: 6 });
+  expect(progress).toEqual({ attempts: 1, maxAttempts: 6, correct: 7, total: 9, solved: false, over: false });
+  expect(Object.values(progress).every((value) => typeof value !== 'string')).toBe(true);
+});
+
+test('the first to solve heads the standings, then the closest', () => {
+  const standings = getStandings([
+    { id: 'a', name: 'Ada', progress: { solved: false, correct: 5, attempts: 2 } },
+    { id: 'b', name: 'Bo', progress: { solved: true, solvedAt: 20, correct: 7, attempts: 3 } },
+    { id: 'c', name: 'Cy', progress: { solved: true, solvedAt: 10, correct: 7, attempts: 4 } },
+    { id: 'd', name: 'Di', progress: null },
+  ]);
+  expect(standings.map((p) => p.id)).toEqual(['c', 'b', 'a', 'd']);
+});
+
+test('a solve without a time yet ranks after the timed ones', () => {
+  const standings = getStandings([
+    { id: 'a', name: 'Ada', progress: { solved: true, correct: 7, attempts: 2 } },
+    { id: 'b', name: 'Bo', progress: { solved: true, solvedAt: 20, correct: 7, attempts: 3 } },
+    { id: 'c', name: 'Cy', progress: { solved: true, correct: 7, attempts: 4 } },
+    { id: 'd', name: 'Di', progress: { solved: true, solvedAt: 10, correct: 7, attempts: 4 } },
+  ]);
+  expect(standings.map((p) => p.id)).toEqual(['d', 'b', 'a', 'c']);
+});
+
+test('a player joining learns the board and sees the others race', async () => {
+  const hub = createMemoryHub();
+  const host = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'a', name: 'Ada' }, board });
+  host.join();
+  const states = [];
+  const guest = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'b', name: 'Bo' }, onChange: (s) => states.push(s) });
+  guest.join();
+  await settle();
+  expect(guest.getState().board).toEqual(board);
+
+  host.report({ attempts: 1, maxAttempts: 6, correct: 3, total: 7, solved: false, over: false });
+  await settle();
+  expect(guest.getState().players.find((p) => p.id === 'a')).toMatchObject({ name: 'Ada', online: true, progress: { correct: 3 } });
+
+  guest.report({ attempts: 2, maxAttempts: 6, correct: 7, total: 7, solved: true, over: true });
+  await settle();
+  expect(host.getState().winner).toBe('b');
+  expect(states[states.length - 1].winner).toBe('b');
+});
+
+test('entries in the room\'s state that name no player are skipped', async () => {
+  const hub = createMemoryHub();
+  const relay = hub.connect();
+  const race = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'a', name: 'Ada' }, board });
+  race.join();
+  relay.send({
+    type: 'state',
+    v: 1,
+    room: 'QXRTB',
+    board,
+    players: [null, {}, { player: null }, { player: { id: 7 } }, { player: { id: 'b', name: 'Bo' }, progress: null, online: true }],
+  });
+  await settle();
+  expect(race.getState().players.map((p) => p.id)).toEqual(['a', 'b']);
+  relay.send({ type: 'state', v: 1, room: 'QXRTB', board, players: 'everyone' });
+  await settle();
+  expect(race.getState().players).toHaveLength(2);
+});
+
+test('players who leave or go quiet are away until they come back', async () => {
+  jest.useFakeTimers();
+  let clock = 0;
+  const now = () => clock;
+  const hub = createMemoryHub();
+  const host = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'a', name: 'Ada' }, board, now });
+  host.join();
+  const guest = createRace({ transport: hub.connect(), room: 'QXRTB', player: { id: 'b', name: 'Bo' }, now });
+  guest.join();
+  await settle();
+  const bo = () => host.getState().players.find((p) => p.id === 'b');
+  expect(bo().online).toBe(true);
+
+  guest.leave();
+  await settle();
+  expect(bo().online).toBe(false);
+
+  // Back with the same id, as after a reload, on a connection that then
+  // drops without a word: only the heartbeat notices
+  const link = hub.connect();
+  const send = link.send;
+  let dropped = false;
+  link.send = (message) => !dropped && send(message);
+  createRace({ transport: link, room: 'QXRTB', player: { id: 'b', name: 'Bo' }, now }).join();
+  await settle();
+  expect(bo().online).toBe(true);
+
+  dropped = true;
+  clock += AWAY_AFTER + 1;
+  jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+  await settle();
+  expect(bo().online).toBe(false);
+
+  dropped = false;
+  jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+  await settle();
+  expect(bo().online).toBe(true);
+});
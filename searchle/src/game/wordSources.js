@@ -0,0 +1,232 @@
+// =========================
+// WORD SOURCES
+// =========================
+// A word source is a plain object with an `id` and three async methods:
+//
+//   findWords({ pattern, length, startsWith, contains, max, exhaustive }) -> Promise<string[]>
+//   define(word) -> Promise<string | null>
+//   hasWord(word) -> Promise<boolean>
+//
+// `pattern` uses Datamuse's `?` wildcard ("B??K"); when it's omitted the
+// pattern is built from `length` and `startsWith`. `contains` keeps only words
+// with that letter somewhere in them. `exhaustive` asks for every match, not a
+// pick of `max` that suits a puzzle: no topic steering and no sampling, as the
+// solver needs (Datamuse still stops at `max`, which it caps at 1000). Results are always upper-case words in
+// the source's alphabet (see languages/index.js), accents dropped where the
+// alphabet has no letter for them.
+// `define` returns a raw dictionary definition, or null when there is none.
+// `hasWord` says whether a guess is in the source's dictionary.
+//
+// Each method also takes an optional `{ signal, onError }`: sources that make
+// requests abort them when `signal` fires, and withFallback reports the
+// errors it recovers from to `onError`.
+import { ENGLISH, normalizeWord } from "./languages/index.js";
+
+const DATAMUSE_URL = "https://api.datamuse.com";
+
+function buildPattern({ pattern, length, startsWith = "" }) {
+  if (pattern) return pattern.toUpperCase();
+  if (!length) throw new Error("Word query needs a pattern or a length");
+  return startsWith.toUpperCase() + "?".repeat(Math.max(0, length - startsWith.length));
+}
+
+// Spell every word in `alphabet`, dropping the ones that can't be.
+function normalizeWords(words, alphabet) {
+  return words.map((w) => normalizeWord(w, alphabet)).filter(Boolean);
+}
+
+function matchesPattern(word, pattern) {
+  if (word.length !== pattern.length) return false;
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] !== "?" && pattern[i] !== word[i]) return false;
+  }
+  return true;
+}
+
+// Shared post-filter so every source answers a query the same way.
+function filterWords(words, query, alphabet) {
+  const pattern = buildPattern(query);
+  const contains = query.contains?.toUpperCase();
+  return normalizeWords(words, alphabet)
+    .filter((w) => matchesPattern(w, pattern))
+    .filter((w) => !contains || w.includes(contains));
+}
+
+// Take `max` words spread evenly across the matches instead of the first `max`,
+// so an alphabetical list doesn't only ever yield words starting with A–C.
+function spread(words, max) {
+  if (!max || words.length <= max) return words;
+  const step = words.length / max;
+  return Array.from({ length: max }, (_, i) => words[Math.floor(i * step)]);
+}
+
+// Datamuse strips definitions to "pos\tdefinition"; keep the first one.
+function firstDefinition(entry) {
+  const def = entry?.defs?.[0];
+  return def ? def.replace(/^[a-z]+\t/, "") : null;
+}
+
+// `timeout` (ms) bounds every request; one that takes longer fails.
+export function createDatamuseWordSource({ baseUrl = DATAMUSE_URL, topic = "love", timeout = 8000 } = {}) {
+  // Every query asks for definitions too (md=d), so clues for generated words
+  // usually come from results we already have.
+  const definitions = new Map();
+  const known = new Map();
+
+  const request = async (params, { signal } = {}) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    signal?.addEventListener("abort", abort);
+    if (signal?.aborted) abort();
+    try {
+      const res = await fetch(`${baseUrl}/words?${params}`, { signal: controller.signal });
+      if (!res.ok) throw new Error(`Datamuse request failed with status ${res.status}`);
+      const data = await res.json();
+      data.forEach((entry) => {
+        const def = firstDefinition(entry);
+        if (def) definitions.set(entry.word.toUpperCase(), def);
+      });
+      return data;
+    } catch (error) {
+      if (timedOut) throw new Error(`Datamuse did not answer within ${timeout} ms`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  };
+
+  return {
+    id: "datamuse",
+    async findWords(query, options) {
+      const params = new URLSearchParams({ sp: buildPattern(query).toLowerCase(), max: String(query.max ?? 50), md: "d" });
+      // ml (means like) steers Datamuse towards common English words.
+      if (topic && !query.exhaustive) params.set("ml", topic);
+      const data = await request(params, options);
+      return filterWords(data.map((d) => d.word), query, ENGLISH.alphabet);
+    },
+    async define(word, options) {
+      const key = word.toUpperCase();
+      if (!definitions.has(key)) {
+        await request(new URLSearchParams({ sp: word.toLowerCase(), md: "d", max: "1" }), options);
+        if (!definitions.has(key)) definitions.set(key, null); // remember misses too
+      }
+      return definitions.get(key) ?? null;
+    },
+    async hasWord(word, options) {
+      const key = word.toUpperCase();
+      if (!known.has(key)) {
+        const data = await request(new URLSearchParams({ sp: word.toLowerCase(), max: "1" }), options);
+        known.set(key, data.some((entry) => entry.word.toUpperCase() === key));
+      }
+      return known.get(key);
+    },
+  };
+}
+
+// Serves a language pack's bundled list, or `words` in that language's
+// alphabet. `definitions` is an optional { WORD: "definition" } map; the
+// bundled lists have none.
+export function createLocalWordSource({ language = ENGLISH, words = language.words, definitions = {} } = {}) {
+  const list = [...new Set(normalizeWords(words, language.alphabet))].sort();
+  const lookup = new Set(list);
+  return {
+    id: `local:${language.id}`,
+    async findWords(query) {
+      const matches = filterWords(list, query, language.alphabet);
+      return query.exhaustive ? matches : spread(matches, query.max);
+    },
+    async define(word) {
+      return definitions[word.toUpperCase()] ?? null;
+    },
+    async hasWord(word) {
+      return lookup.has(normalizeWord(word, language.alphabet));
+    },
+  };
+}
+
+// Try `primary` first and answer from `fallback` whenever it throws, unless
+// the caller aborted the query.
+export function withFallback(primary, fallback) {
+  const recover = (options, error) => {
+    if (options?.signal?.aborted) throw error;
+    options?.onError?.(error);
+  };
+  return {
+    id: `${primary.id}+${fallback.id}`,
+    async findWords(query, options) {
+      try {
+        return await primary.findWords(query, options);
+      } catch (error) {
+        recover(options, error);
+        console.warn(`Word source "${primary.id}" failed, using "${fallback.id}":`, error);
+        return fallback.findWords(query, options);
+      }
+    },
+    async define(word, options) {
+      try {
+        return await primary.define(word, options);
+      } catch (error) {
+        recover(options, error);
+        return fallback.define(word, options);
+      }
+    },
+    async hasWord(word, options) {
+      try {
+        return await primary.hasWord(word, options);
+      } catch (error) {
+        recover(options, error);
+        return fallback.hasWord(word, options);
+      }
+    },
+  };
+}
+
+// Remember `source`'s answers in a cache store (see cacheStore.js) for `ttl`
+// ms, so recent API responses survive a reload. `store` may be a promise of
+// one; until it resolves, and whenever it fails, queries go straight through.
+export function withCache(source, store, { ttl = 7 * 24 * 60 * 60 * 1000, now = Date.now } = {}) {
+  const ready = Promise.resolve(store).catch(() => null);
+
+  const cached = async (key, ask) => {
+    const cache = await ready;
+    const hit = await cache?.get(key).catch(() => undefined);
+    if (hit && now() - hit.ts < ttl) return hit.value;
+    const value = await ask();
+    cache?.set(key, { ts: now(), value }).catch(() => {});
+    return value;
+  };
+
+  return {
+    id: source.id,
+    findWords: (query, options) =>
+      cached(`words:${source.id}:find:${JSON.stringify(query)}`, () => source.findWords(query, options)),
+    define: (word, options) => cached(`words:${source.id}:define:${word.toUpperCase()}`, () => source.define(word, options)),
+    hasWord: (word, options) => cached(`words:${source.id}:has:${word.toUpperCase()}`, () => source.hasWord(word, options)),
+  };
+}
+
+// Build the word source named in config for a language pack. Remote sources
+// always fall back to the bundled dictionary so the game can start offline;
+// Datamuse only knows English, so other languages always play locally.
+// `datamuseUrl` swaps in another Datamuse-compatible server; `cache` is a
+// cache store (or a promise of one) for its answers, see withCache.
+export function createWordSource(name = "datamuse", language = ENGLISH, { datamuseUrl, cache } = {}) {
+  switch (name) {
+    case "local":
+      return createLocalWordSource({ language });
+    case "datamuse": {
+      if (!language.datamuse) return createLocalWordSource({ language });
+      const datamuse = createDatamuseWordSource({ baseUrl: datamuseUrl });
+      // Only Datamuse's own answers are cached, never the fallback's
+      return withFallback(cache ? withCache(datamuse, cache) : datamuse, createLocalWordSource({ language }));
+    }
+    default:
+      throw new Error(`Unknown word source "${name}"`);
+  }
+}
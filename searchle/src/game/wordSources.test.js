@@ -0,0 +1,83 @@
+import { createMemoryStore } from './cacheStore';
+import { createDatamuseWordSource, createLocalWordSource, withCache, withFallback } from './wordSources';
+
+const words = ['apple', 'bread', 'crane', 'cable', 'oak', 'plane'];
+
+test('local source answers length, pattern, starting-letter and contains queries', async () => {
+  const source = createLocalWordSource({ words });
+  expect(await source.findWords({ length: 3 })).toEqual(['OAK']);
+  expect(await source.findWords({ pattern: '??ANE' })).toEqual(['CRANE', 'PLANE']);
+  expect(await source.findWords({ length: 5, startsWith: 'c' })).toEqual(['CABLE', 'CRANE']);
+  expect(await source.findWords({ length: 5, contains: 'b' })).toEqual(['BREAD', 'CABLE']);
+});
+
+test('local source knows which words are in its list', async () => {
+  const source = createLocalWordSource({ words });
+  expect(await source.hasWord('crane')).toBe(true);
+  expect(await source.hasWord('CRANX')).toBe(false);
+});
+
+test('local source spreads a capped result across the list', async () => {
+  const source = createLocalWordSource({ words });
+  expect(await source.findWords({ length: 5, max: 2 })).toEqual(['APPLE', 'CABLE']);
+});
+
+test('an exhaustive query skips the sampling and the topic', async () => {
+  const source = createLocalWordSource({ words });
+  expect(await source.findWords({ length: 5, max: 2, exhaustive: true })).toEqual(['APPLE', 'BREAD', 'CABLE', 'CRANE', 'PLANE']);
+
+  const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => [{ word: 'crane' }] });
+  const datamuse = createDatamuseWordSource({ topic: 'birds' });
+  expect(await datamuse.findWords({ pattern: '??ANE' })).toEqual(['CRANE']);
+  expect(new URL(fetch.mock.calls[0][0]).searchParams.get('ml')).toBe('birds');
+  await datamuse.findWords({ pattern: '??ANE', exhaustive: true });
+  expect(new URL(fetch.mock.calls[1][0]).searchParams.has('ml')).toBe(false);
+  fetch.mockRestore();
+});
+
+test('falls back when the primary source fails', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const broken = { id: 'broken', findWords: () => Promise.reject(new Error('offline')) };
+  const source = withFallback(broken, createLocalWordSource({ words }));
+  expect(await source.findWords({ pattern: 'OAK' })).toEqual(['OAK']);
+  expect(await source.hasWord('oak')).toBe(true);
+  console.warn.mockRestore();
+});
+
+test('cached source answers repeat queries from the store until they expire', async () => {
+  const local = createLocalWordSource({ words });
+  const findWords = jest.spyOn(local, 'findWords');
+  let time = 0;
+  const store = createMemoryStore();
+  const source = withCache(local, store, { ttl: 1000, now: () => time });
+  expect(await source.findWords({ pattern: '??ANE' })).toEqual(['CRANE', 'PLANE']);
+  expect(await withCache(local, store, { ttl: 1000, now: () => time }).findWords({ pattern: '??ANE' })).toEqual(['CRANE', 'PLANE']);
+  expect(findWords).toHaveBeenCalledTimes(1);
+  time = 1000;
+  await source.findWords({ pattern: '??ANE' });
+  expect(findWords).toHaveBeenCalledTimes(2);
+});
+
+// A fetch that only ever ends by being aborted
+const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+}));
+
+test('Datamuse requests give up after the timeout', async () => {
+  const fetch = jest.spyOn(global, 'fetch').mockImplementation(hangingFetch());
+  const source = createDatamuseWordSource({ timeout: 10 });
+  await expect(source.findWords({ pattern: '??ANE' })).rejects.toThrow('Datamuse did not answer within 10 ms');
+  fetch.mockRestore();
+});
+
+test('an aborted query is not answered by the fallback', async () => {
+  const fetch = jest.spyOn(global, 'fetch').mockImplementation(hangingFetch());
+  const onError = jest.fn();
+  const controller = new AbortController();
+  const source = withFallback(createDatamuseWordSource(), createLocalWordSource({ words }));
+  const query = source.findWords({ pattern: '??ANE' }, { signal: controller.signal, onError });
+  controller.abort();
+  await expect(query).rejects.toMatchObject({ name: 'AbortError' });
+  expect(onError).not.toHaveBeenCalled();
+  fetch.mockRestore();
+});
@@ -0,0 +1,84 @@
+// =========================
+// BUNDLED GERMAN WORD LIST
+// =========================
+// Common 3–8 letter words for the German pack, nouns in lower case like the
+// rest. The word source upper-cases them (ß becomes SS).
+const WORDS = `
+aal aas abt akt alt amt arm art ast axt bad bau bär bei bett bier bis bus dach damm dank
+eid eis elf erz fan fee fix gas gut hai hut ihr jux kai kuh kur lob los lot mal mit mus
+nah neu nie not nun nur ohr oma opa ort ost pol rad rat reh rot rum ruf see sie ski sog
+sud tag tal tee tod ton tor tun tür uhr ulk uni vor wal weg wer wie wir zeh zoo zug öde
+acht adel affe akte alge alle alpe ahle amme arie atem auge aula auto bach bahn ball band
+bank bart bass baum bein berg bild biss blau blei blut boot bord böse bote brei brot brut
+buch bude bund burg büro dame darm dose dorf dorn drei duft dumm dünn echo ecke ehre eile
+eins ende ente erbe erde esel eule euro fach fall farn fass faul fein feld fell fest fett
+film fink flug flur form foto frau frei froh früh fuge fund funk furt fuß gabe gang gans
+garn gast geld gelb gier gift glas glut gold golf gras grau grob grün gurt hahn hals halt
+hand hang hart hase haus haut heer heft heim held hell hemd herd herz hexe hirn hirt hoch
+hof holz hose huhn hund hupe idee igel jagd jahr jung kahn kalb kalt kamm kern kiel kind
+kino klee klug knie koch kohl kopf korb korn kran krug kühl kuss lack lage lahm lamm land
+lang lärm last laub lauf laus laut lehm leib leim lied lila list loch lohn löwe luft lust
+mahl mais mama mann mark mast maus meer mehl mehr mist mond moor moos mord müde mund nabe
+nase nass nest netz neun nuss obst ofen ohne oper paar pakt park pass pech pelz pfad pilz
+post puls rahm rand rang rast raum rede reif reim reis rest ring riss rock rose ross ruhe
+rund saal saat sack saft sage salz samt sand satt satz seil senf sieb sieg sinn sitz sofa
+sohn spät stab süß tank tanz teig teil test text tief tier topf torf tuch turm ufer ulme
+vase vieh volk wade wahl wald wand ware warm watt weit welt wert wild wind wolf wort wurm
+zahl zahm zahn zaun zehe zeit zelt ziel zins zoll zorn
+abend abfall achse adler ahorn akten alarm amsel angel angst anker apfel ärger ärmel asche
+atlas bäcker bagger balken banane bauch bauer becher beere beginn beruf besen besuch biber
+biene birke birne bitte blatt blick blitz blume blüte boden bogen bohne braten brett brief
+brille brücke bruder brunnen bühne butter chef dampf daumen decke deckel degen dichter dienst
+distel donner drache draht dunkel dunst durst eimer eisen eltern engel enkel erbse ernte
+essig fabrik faden fahne falke familie farbe feder fehler feier fenster ferien feuer fieber
+finger fisch flamme flasche fleck fliege flocke flöte flügel fluss forelle frage freude freund
+frieden frosch frucht fuchs gabel garage garten geduld gefahr gefühl gegend geige gemüse
+gesicht gewicht giebel giraffe gitarre glocke glück graben grenze gruppe gurke gürtel hafen
+hafer hagel haken hammer handel harfe hecke heimat heizung helfer himmel hitze hobel honig
+hotel hügel hummel hunger hütte insel insekt jacke jäger jubel jugend kaffee käfer käfig
+kakao kamel kamera kammer kampf kanal kanne kanone kante kappe karotte karte kasse katze
+kegel kelle kerze kessel kette kirche kirsche kiste kissen klasse klavier kleid klima knochen
+knopf koffer kohle komet könig konzert körper kraft kragen kraut krebs kreis krieg krone kröte
+küche kuchen kugel kummer kunde kunst kupfer kurve küste lager lampe laterne leben leder lehrer
+leiter lerche licht linie löffel lücke magen maler mantel märchen marmor mauer medizin meise
+meister messer metall miete milch minute mittag möbel monat morgen motor mücke mühle münze
+muschel musik muskel mutter nabel nachbar nacht nadel nagel narbe natur nebel neffe nelke
+norden nudel nummer ochse onkel orange ordnung orgel osten palast papier pause perle pfanne
+pfeffer pfeife pfeil pferd pflanze pflaume pflug pinsel planet platz pokal polizei preis
+prinz puppe punkt quelle rabe rakete rasen rätsel rauch regal regel regen reich reihe reise
+rettich richter riese rinde ritter rücken rudel ruder sahne salat sattel schaf schatz schere
+schiff schule schwan seele segel seide seife sessel silbe socke sommer sonne sorge spargel
+spiegel spiel spinne sport sprache stadt stahl stall stamm stern stier stiefel stock stoff
+straße strand strom stuhl stufe stunde sturm suche süden suppe tafel tante tasche tasse
+taube teich teller tempel teppich theater tiger tinte tisch tochter tomate torte traube
+traum treppe treue trommel tulpe tunnel umwelt unfall urlaub vater vogel vorhang waage wache
+waffe wagen wange wärme wasser weizen welle wespe westen wetter wiese winter woche wolke
+wolle wunder wunsch würfel wurst wüste zange zauber zebra zeitung zettel ziege ziegel zimmer
+zirkus zitrone zucker zukunft zunge zweig zwerg zwiebel
+apotheke bahnhof bergwerk eichhorn einkauf erdbeere fahrplan fußball gebäude gedanke gedicht
+gemeinde geschenk geschirr gespenst gespräch getränk getreide gewitter handtuch hochzeit
+kindheit kleidung kreuzung mahlzeit mitglied nilpferd papagei pinguin rathaus rechnung
+schatten schinken schlange schnecke sonntag sprecher stempel tagebuch tischler trompete
+uniform wahrheit weinberg werkzeug wohnung zahnarzt freiheit montag freitag samstag
+dienstag mittwoch januar februar april august oktober november dezember
+gehen laufen reden lesen singen tanzen kochen backen malen sehen essen trinken fahren
+fliegen lachen weinen denken sagen fragen geben nehmen kommen bleiben finden halten
+kaufen wohnen arbeiten schlafen warten rufen helfen bringen wissen glauben lieben hoffen
+spielen lernen suchen zeigen stehen liegen sitzen rennen fallen werfen fangen bauen
+klein groß schön leise stark schwach schnell langsam bunt weiß schwarz braun rosa weich
+sauer bitter frisch leicht schwer dick breit schmal fern ruhig lustig traurig mutig
+fleißig ehrlich sicher gesund krank fertig richtig falsch wichtig einfach sauber
+aufgabe ausgang ausweis autobahn brötchen diamant eisbär erfinder ergebnis flugzeug frühling
+gardine gemälde gewinner handwerk haustier hochhaus hoffnung kalender kapitän kastanie kreide
+kürbis lehrerin ohrring postbote reiter rucksack schaukel schrank seestern spinat strumpf
+tastatur teekanne tierarzt umschlag vollmond wecker zwilling abendrot ameise arbeiter ballon
+bergdorf dachs delfin drachen eidechse eisvogel erfolg fahrer feldweg fichte flieder forscher
+gebirge geburt gelände geruch gesetz gewinn gipfel grille hamster hausflur hirsch holunder
+kaktus kanzler kätzchen kiefer kobold krokodil kuckuck lavendel leopard libelle maulwurf möwe
+nashorn paprika pudding schäfer schal schloss schmuck schnee schwamm schwein seehund spatz
+specht sperling stachel storch strauch tanne taucher tümpel uhu wiesel wimpel
+`;
+
+const DE_WORDS = WORDS.trim().split(/\s+/).map((w) => w.toUpperCase());
+
+export default DE_WORDS;
@@ -0,0 +1,255 @@
+// =========================
+// BUNDLED ENGLISH WORD LIST
+// =========================
+// Common 3–8 letter words used by the offline word source. Kept as a plain
+// string (not JSON) so the same module loads in the browser bundle and in Node.
+const WORDS = `
+ace act add age aid aim air ale all and ant any ape arc are ark arm art ash ask ate awe axe bad
+bag ban bar bat bay bed bee beg bet bid big bin bit bow box boy bud bug bun bus but buy cab can
+cap car cat cow cry cub cup cut dad dam day den dew did die dig dim dip dog dot dry due dug dye
+ear eat egg ego elf elk elm end era eve eye fan far fat fax fed fee few fig fin fir fit fix flu
+fly foe fog for fox fry fun fur gag gap gas gel gem get gin god got gum gun gut guy gym had ham
+has hat hay hen her hid him hip his hit hog hop hot how hub hue hug hum hut ice icy ill ink inn
+ion ivy jam jar jaw jet jig job jog joy jug keg key kid kin kit lab lad lag lap law lay led leg
+let lid lie lip lit log lot low mad man map mat may men met mix mob mom mop mud mug nap net new
+nod nor not now nut oak oar oat odd off oft oil old one opt orb ore our out owe owl own pad pal
+pan pat paw pay pea peg pen pet pie pig pin pit ply pod pop pot pro pub pun pup put rag ram ran
+rap rat raw ray red rib rid rig rim rip rob rod rot row rub rug rum run rut rye sad sag sap sat
+saw say sea see set sew shy sin sip sir sit six ski sky sly sob sod son sow soy spa spy sub sue
+sum sun tab tag tan tap tar tax tea ten the tie tin tip toe ton too top tow toy try tub tug two
+urn use van vat vet via vow wag war was wax way web wed wet who why wig win wit woe wok won woo
+yak yam yap yes yet you zap zip zoo
+able ache acid acre aged aide also amid army arts atom aunt auto avid away axis baby back bait
+bake bald ball band bank bare bark barn base bath bead beak beam bean bear beat beef been beer
+bell belt bend best bike bill bind bird bite blow blue blur boat body boil bold bolt bomb bond
+bone book boom boot bore born boss both bowl bulb bulk bull bump burn bush busy cafe cage cake
+calf call calm came camp cane cape card care cart case cash cast cave cell chat chef chin chip
+chop city clay clip club clue coal coat code coin cold colt come cone cook cool cope copy cord
+core corn cost cozy crab crew crop crow cube cult curb cure curl cute dare dark dart dash data
+date dawn dead deal dear debt deck deed deep deer desk dial dice diet dirt dish dive dock does
+doll dome done door dose dove down drag draw drew drip drop drum dual duck dull dune dusk dust
+duty each earn ease east easy echo edge edit else emit envy epic even ever exam exit face fact
+fade fail fair fake fall fame farm fast fate fawn fear feed feel feet fell felt fern file fill
+film find fine fire firm fish fist five flag flat flaw flea fled flew flip flow foam foil fold
+folk fond font food fool foot fork form fort foul four fowl free frog from fuel full fume fund
+fuse gain gait gale game gate gave gaze gear gift girl give glad glow glue goal goat gold golf
+gone good gown grab gray grew grid grim grin grip grit grow gulf gust hail hair half hall halt
+hand hang hard harm harp hate haul have hawk head heal heap hear heat heel held helm help herb
+herd here hero hide high hike hill hint hire hold hole holy home hood hook hope horn hose host
+hour huge hull hump hung hunt hurt hymn icon idea idle inch into iron isle item jade jail jazz
+jest join joke jump jury just keen keep kept kick kind king kiss kite knee knew knit knob knot
+know lace lack lady laid lake lamb lamp land lane last late lava lawn lazy lead leaf leak lean
+leap left lend lens less lick life lift like lily limb lime limp line link lion list live load
+loaf loan lock loft logo lone long look loop lord lose loss lost loud love luck lump lung lure
+lush made mail main make male mall malt mane many mare mark mask mass mast mate maze meal mean
+meat meet melt memo menu mere mesh mild mile milk mill mind mine mint miss mist moan moat mode
+mold mole monk mood moon moor more moss most moth move much mule must myth nail name navy near
+neat neck need nest news next nice nine node none noon norm nose note noun oath obey odds okay
+omen once only onto open oral oven over pace pack page paid pail pain pair pale palm pane park
+part pass past path peak pear peel peer pest pick pier pike pile pine pink pint pipe plan play
+plea plot plow plug plum plus poem poet pole poll pond pony pool poor pork port pose post pour
+pray prey prop pull pulp pump punk pure push quit quiz race rack raft rage raid rail rain rake
+ramp rank rare rash rate rave read real reap rear reed reef rein rely rent rest rice rich ride
+rift ring riot rise risk road roam roar robe rock rode role roll roof room root rope rose ruby
+rude rule rung rush rust sack safe sage said sail sake sale salt same sand sane sang seal seam
+seat seed seek seem seen self sell send sent shed ship shoe shop shot show shut sick side sigh
+sign silk sing sink site size skin skip slab slam slap sled slid slim slip slot slow slug snap
+snow soak soap soar sock soda sofa soft soil sold sole some song soon sore sort soul soup sour
+span spin spot spur star stay stem step stew stir stop such suit sung sunk sure surf swan swap
+sway swim tail take tale talk tall tame tank tape task taxi team tear tell tend tent term test
+text than that them then they thin this tide tidy tied tier tile till time tiny tire toad told
+toll tomb tone took tool torn tour town trap tray tree trim trio trip true tube tuck tuna tune
+turn twin type unit upon urge used user vain vase vast veil vein verb very vest veto view vine
+visa void vote wade wage wait wake walk wall wand want ward warm warn wash wasp wave wavy weak
+wear weed week well went were west what when whip wide wife wild will wind wine wing wink wipe
+wire wise wish with wolf wood wool word wore work worm worn wrap yard yarn year yell yoga yolk
+your zero zinc zone zoom
+about above abuse actor acute adapt admit adopt adult after again agent agree ahead alarm album
+alert alike alive allow alone along alter amber amend among ample angel anger angle angry ankle
+apart apple apply apron arena argue arise armor aroma arrow aside asset audio avoid awake award
+aware awful bacon badge bagel baker basic basin batch beach beard beast begin being belly below
+bench berry birth black blade blame bland blank blast blaze bleak blend bless blind blink bliss
+block bloom blown blunt blush board boast bonus boost booth bound brain brake brand brass brave
+bread break breed brick bride brief bring brisk broad broke brook broom brown brush buddy build
+built bunch burst cabin cable camel candy canoe cargo carol carry catch cause cedar chain chair
+chalk charm chart chase cheap check cheek cheer chess chest chief child chill choir chord chore
+civic claim clamp clash class clean clear clerk click cliff climb cling clock close cloth cloud
+clown coach coast cocoa comet comic coral couch cough could count court cover crack craft crane
+crash crate crawl crazy cream creek crest crisp cross crowd crown crude crumb crush crust cubic
+curve cycle daily dairy daisy dance dealt death debut decay decor delay delta dense depth diary
+digit diner dirty ditch dizzy dodge doing donor doubt dough dozen draft drain drama drank drawn
+dream dress dried drift drill drink drive drove dwarf eager eagle early earth easel eaten ebony
+eight elbow elder elect elite empty enemy enjoy enter entry equal error essay event every exact
+exile exist extra fable faint fairy faith false fancy fault feast fence ferry fetch fever fiber
+field fiery fifth fifty fight final flair flame flank flash flask fleet flesh flint float flock
+flood floor flour fluid flute focus foggy force forge forth forty forum found frame fraud fresh
+front frost froze fruit fudge fully funny gauge ghost giant given glass gleam globe gloom glory
+glove going goose grace grade grain grand grant grape graph grasp grass grave gravy great greed
+green greet grief grill grind groan groom gross group grove grown guard guess guest guide guild
+habit happy harsh haste hatch haven heart heavy hedge hello hence hinge hobby honey honor horse
+hotel hound house hover human humid humor hurry ideal image imply index inner input irony issue
+ivory jelly jewel joint jolly judge juice juicy kayak knack knead kneel knife knock known label
+labor lance large laser latch later laugh layer learn lease least leave ledge legal lemon level
+lever light lilac limit linen liner lived liver llama local lodge logic loose lotus lover lower
+loyal lucky lunar lunch lying magic major maker mango manor maple march marsh match mayor medal
+melon mercy merit merry metal meter might minor mirth model moist money month moose moral motor
+motto mound mount mouse mouth movie muddy mural music naive nerve never newly niece night noble
+noise north notch novel nurse nylon oasis ocean offer often olive onion opera orbit order organ
+other otter ought ounce outer owner oxide ozone paint panel panic paper party pasta paste patch
+pause peace peach pearl pedal penny perch peril petal phase phone photo piano piece pilot pinch
+pitch pizza place plain plane plank plant plate plaza plead pluck plumb plume plush point polar
+porch pouch pound power press price pride prime print prior prism prize probe proof proud prune
+pulse punch pupil puppy purse quack queen query quest quick quiet quilt quota quote radar radio
+rainy raise rally ranch range rapid raven reach react ready realm rebel refer reign relax relay
+renew reply rhyme rider ridge rifle right rigid rinse risky rival river roast robin robot rocky
+rogue roost rough round route royal ruler rumor rural rusty sadly saint salad salon salsa sandy
+sauce scale scarf scene scent scoop scope score scout scrap screw scrub sense serve seven shade
+shady shaft shake shall shame shape share shark sharp shave shawl sheep sheet shelf shell shift
+shine shiny shirt shock shore short shout shrub siege sight silly since siren skate skill skirt
+skull slate sleep slice slide slope smart smell smile smoke snack snail snake sneak snore solar
+solid solve sorry sound south space spare spark speak spear speed spell spend spice spicy spike
+spine spite split spoke spoon sport spray squad stack staff stage stain stair stake stale stall
+stamp stand stare start state steak steam steel steep steer stern stick stiff still sting stock
+stone stood stool store storm story stove straw stray strip stuck study stuff style sugar suite
+sunny super surge swamp swarm swear sweat sweep sweet swell swift swing sword syrup table taken
+taste teach teeth tempo tense thank theme there thick thief thing think third thorn those three
+threw throw thumb tiger tight timer tired title toast today token topic torch total touch tough
+towel tower toxic trace track trade trail train trait tread treat trend trial tribe trick tried
+troop trout truck truly trunk trust truth tulip tuner twice twist uncle under union unite unity
+until upper upset urban usage usual valid value valve vapor vault venue verse video vigor vinyl
+viola viper virus visit vital vivid vocal voice voter wagon waist waste watch water weary weave
+wedge weigh weird whale wheat wheel where which while whirl whisk white whole whose widow width
+witch woman world worry worse worst worth would wound woven wrath wreck wrist write wrong yacht
+yeast yield young youth zebra
+absent accent accept access across action active actual admire advice advise affair afford
+afraid agency agenda almond almost always amount anchor animal annual answer anyone anyway
+appeal appear arctic around arrest arrive artist aspect assert assign assist assume attach
+attack attend august author autumn avenue backup badger ballet banana bandit banner barely
+barrel basket battle beauty beaver became become before behalf behave behind belong beside
+better beyond bishop bitter blazer blonde border borrow bottle bottom bounce branch breach
+breath breeze bridge bright broken bronze bubble bucket budget buffet bundle burden bureau
+butter button bypass cactus camera campus candle cannon canvas carbon career carpet carrot
+casino castle casual cattle caught celery cellar cement center cereal chance change chapel
+charge cheese cherry chorus chosen church cinema circle circus citrus client climax closet
+clover cobalt coffee collar colony column combat comedy common convoy cookie copper corner
+costly cotton cousin coward cradle crater create credit crisis critic cruise custom dancer
+danger daring debate decade decent decide defeat defend define degree delete demand denial
+dental depend deploy desert design desire detail detect device devote diesel differ dinner
+direct divide doctor dollar domain donkey double dragon drawer driver during easily eating
+editor effect effort eighth either eleven empire employ enable ending endure energy engage
+engine enough ensure entire entity equity escape estate ethnic exceed except excess expand
+expect expert export expose extend extent fabric facing factor falcon family famous farmer
+father faucet fellow female fiddle figure filter finger finish fiscal flavor flight flower
+fluent follow forest forget formal format fossil foster fourth freeze friend fringe frozen
+future gadget galaxy gallon garage garden garlic gather gentle ginger glance global golden
+gospel gravel ground growth guilty guitar hammer handle happen harbor hardly health heater
+height helmet hiccup hidden hockey holder hollow honest hunger hunter hurdle ignore impact
+import income indeed infant inform injury insect inside insist intend invent invest island
+itself jacket jersey jigsaw jockey joyful jungle junior kettle kidney kitten ladder lagoon
+launch lawyer leader league legacy legend length lesson letter linear liquid listen lizard
+locker lovely luxury magnet maiden manner marble margin marine market master matter meadow
+medium melody member memory mental mentor merely method middle minute mirror mobile modern
+modest moment monkey mostly mother motion muscle museum mutual myself narrow nation native
+nature nearby nearly needle nephew nickel nobody normal notice number object obtain office
+online oppose option orange orchid origin outfit oxygen oyster paddle palace parade parcel
+parent parrot pastry patent patrol peanut pebble pencil people pepper period permit person
+pickle pigeon pillow pirate planet plasma player pledge pocket poetry poison police policy
+polish potato powder praise prayer prefer pretty priest prince prison profit prompt proper
+public puppet purple pursue puzzle rabbit racket radish random ranger rarely rather reader
+reason recall recent recipe record reduce reform refuse regard region relief remain remedy
+remind remote remove rental repair repeat report rescue resist resort result retail retire
+return reveal review reward rhythm ribbon riddle ripple ritual rocket rubber ruling saddle
+safety salary salmon sample scheme school scroll season second secret sector select senior
+series settle shadow shield shower shrimp silent silver simple single sister sketch slight
+smooth soccer social socket sodium sorrow source spider spinal spirit splash sponge spring
+sprout square squash stable statue steady stereo sticky strain stream street stress strict
+strike string stripe strong studio submit sudden suffer summer summit sunset supply surely
+survey switch symbol system tablet tackle talent target temple tenant tender tennis thirty
+thread threat thrill throat ticket timber tomato tongue toward travel treaty tribal trophy
+tunnel turkey turtle twelve twenty unable unfair unique unless unlock update useful valley
+velvet vendor versus vessel victim violin virtue vision visual volume voyage waiter walnut
+wander warmth wealth weapon weekly weight window winner winter wisdom within wizard wonder
+wooden worker worthy writer yellow zipper
+ability absence academy account achieve acquire address advance adviser against airline airport
+alcohol already amazing ancient another anxiety anxious anybody apology apparel applied arrange
+arrival article artwork attempt attract auction average awesome balance balloon bandage banking
+bargain barrier battery bearing bedroom believe beneath benefit between bicycle billion biscuit
+blanket blossom bracket breathe brother browser buffalo builder cabinet calcium capable capital
+captain capture caramel careful carrier cartoon ceiling central century certain chamber channel
+chapter charity chicken chimney circuit citizen climate clothes cluster coastal collect college
+combine comfort command comment company compare compass complex concept concern concert conduct
+confirm connect consent consist contact contain content contest context control convert correct
+costume cottage council counter country courage cricket crystal culture curious current curtain
+cushion customs dancing deficit deliver density deposit desktop dessert destroy develop diamond
+digital dilemma discuss disease display dispute distant diverse dolphin drawing dynamic eastern
+economy edition educate elderly element embrace emerald emotion engaged enhance episode equally
+essence evening exactly examine example excited exclude execute exhibit expense explain explore
+express extreme factory faculty failure fantasy farming fashion feature federal feeling fiction
+fifteen fighter finance finding fishing fitness foreign forever formula fortune forward freedom
+freight gallery garment general genuine gesture giraffe glacier granite gravity grocery harmony
+harvest healthy hearing heating helpful herself highway himself history holiday horizon hostile
+housing however hundred hunting husband illness imagine impress improve include initial insight
+inspire install instant instead involve isolate journal journey justice kitchen knowing lantern
+laundry leading learned leather lecture leisure lettuce liberal library license limited lobster
+machine mammoth manager mansion maximum meaning measure medical meeting mention message mineral
+minimum miracle mission mistake mixture monitor monster morning mustard mystery natural neither
+network nothing nucleus nursery oatmeal obvious octopus offense officer opinion orchard organic
+outdoor outline outside overall package painter panther partner passage passion patient pattern
+payment peacock penalty pension percent perfect perform perhaps pianist picture pioneer plastic
+popular portion poverty precise predict premium prepare present prevent primary printer privacy
+private problem process produce product profile program project promise protect protein provide
+publish pumpkin purpose pyramid quality quarter railway rainbow reading reality receipt receive
+recover reflect regular related release remains removal replace request require reserve resolve
+respect respond restore retreat revenue reverse rooster routine running sailing sandals satisfy
+sausage scholar science scratch section segment serious servant service session setting shelter
+sheriff shortly silence similar sixteen skating society soldier someone speaker special sponsor
+squeeze stadium station stomach storage strange stretch student subject success suggest summary
+support surface surgeon surplus survive suspect sustain sweater symptom teacher tension theater
+therapy thought thunder tobacco tonight tourist towards traffic trainer transit trouble trumpet
+typical uniform unknown unusual upgrade utility vampire variety vehicle venture version veteran
+victory village vintage violent virtual visible volcano walking warning weather website wedding
+weekend welcome welfare western whisper whistle without witness working worried writing
+absolute abstract academic accepted accident accurate activity actually addition adequate
+adjacent advanced aircraft alphabet although ambition analysis announce anything anywhere
+apparent appetite approach approval argument artistic assembly athletic attitude audience
+bachelor backyard baseball bathroom becoming birthday blizzard bookcase boundary building
+business calendar campaign capacity cardinal carnival category cautious ceremony champion
+chemical children chipmunk circular civilian clinical clothing collapse colonial commerce
+complete composer compound computer conclude concrete conflict congress consider constant
+consumer continue contract contrast convince corridor coverage creation creative criminal
+critical crossing culinary customer database daughter deadline decision decrease delicate
+delivery describe designer detailed devotion diagonal dialogue dinosaur diplomat director
+disaster discount discover distance distinct district dividend document domestic dominant
+doorstep download dramatic dressing driveway duration dwelling economic educated election
+electric elephant elevator emphasis employee engineer enormous entrance envelope equality
+equation estimate evaluate everyday evidence exchange exciting exercise existing expected
+explicit exposure external facility familiar favorite feedback festival flagship flexible
+floating football forecast formerly fountain fragment frequent friendly frontier function
+generous geometry gigantic goldfish graduate graphics grateful guidance handsome hardware
+harmless headline heritage highland historic homework hospital humorous identity ignorant
+illusion imperial incident increase indicate indirect industry infinite informal innocent
+instance integral interest interior internal interval invasion investor isolated judgment
+kangaroo keyboard kindness landlord language latitude laughter lavender learning leverage
+lifetime likewise location magazine magnetic maintain majority marathon material medicine
+memorial merchant midnight military minister minority moderate momentum monument mountain
+movement multiple mushroom national negative neighbor notebook numerous observer obstacle
+occasion offering official operator opponent opposite optional ordinary organize original
+outbreak overcome overview painting pamphlet parallel particle passport password patience
+peaceful pendulum personal physical pleasant pleasure plumbing politics porridge portrait
+position positive possible powerful practice precious pregnant premises presence preserve
+pressure previous princess priority prisoner probable producer profound progress property
+proposal prospect protocol province publicly purchase quantity question rational reaction
+received recently recovery regional register relation relative reliable remember reminder
+republic required research resident resource response romantic sandwich scenario schedule
+scissors security sentence separate sequence shoulder sidewalk simplify slightly snowball
+software solution southern specific spectrum spelling squirrel standard starfish starting
+stranger strategy strength striking strongly struggle suitcase sunlight superior supplier
+surprise survival swimming symbolic sympathy syndrome teaspoon teenager template terminal
+thinking thousand tomorrow tortoise tracking training transfer treasure triangle tropical
+trousers ultimate umbrella universe unlikely vacation valuable variable vertical vineyard
+violence volatile weakness whatever wherever wildlife wireless woodland workshop yourself
+`;
+
+const EN_WORDS = WORDS.trim().split(/\s+/).map((w) => w.toUpperCase());
+
+export default EN_WORDS;
@@ -0,0 +1,62 @@
+// =========================
+// BUNDLED SPANISH WORD LIST
+// =========================
+// Common 3–8 letter words for the Spanish pack, written with their accents;
+// the word source drops them (CANCIÓN -> CANCION) and keeps Ñ.
+const WORDS = `
+ajo ala ama año ave bar col con día dos eje fin gas gol hoy ira ley luz mal mar mes mil
+oca oro oso pan paz pez pie rey río sal sed sol sur tos uno uva vez voz uña red
+agua aire alma amor arco arte asno aula azul bajo baño beso boca boda bola bote café caja
+cama cara casa cena cero cine cita codo cola copa coro cruz cubo dama dato dedo duda duro
+edad faro fase fila foca foto flor gato gota gris hada hijo hilo hoja hora humo idea isla
+jefe joya jugo lado lago lana lata león lima lobo loco luna malo mano mapa mesa miel mina
+moda mono muro nido niño nube nuez ocho olla onda pato pavo pelo pera peso piel pino pipa
+piso puño rana rata raíz rayo rico risa roca rojo ropa rosa sala sapo seda sopa taza tela
+toro tren tubo vaca vaso vela vida vino alto leña remo búho frío leer amar
+abeja acero aguja amigo ancho ángel araña arena arroz barco blusa bolsa botón brazo bruja
+burro cabra calle calor campo carne carta cerdo cielo clase clavo coche color corto crema
+cueva ducha dulce fresa fruta fuego globo gordo gorra grano hielo huevo hueso jabón jamón
+joven juego largo leche libro limón llave lleno madre metal miedo mosca mundo nariz negro
+nieve noche nuevo oreja otoño oveja padre papel patio pecho peine perla perro playa plato
+pluma pobre pollo polvo pulpo queso radio ratón reloj rueda salud silla sobre suelo sueño
+tarde techo tigre tinta trigo vapor verde viaje viejo zorro feliz lento sucio lápiz débil
+abrigo abuelo aceite águila anillo animal antena azúcar balcón bandera barril bebida bigote
+blanco bosque cabeza cadena cámara camino camisa cereza ciudad cocina cohete collar comida
+conejo cuento cuerda cuerpo dinero diente dragón escuela espada espejo esposa fiesta fuente
+garaje granja guante guerra harina helado hierba hierro hígado jardín jirafa ladrón lluvia
+madera maleta mañana médico minuto moneda música nombre novela océano paella pájaro paloma
+parque pastel patata payaso pelota piedra pierna planta puente pueblo puerta regalo región
+sandía sartén semana señor sombra tambor tienda tierra tomate trueno vecino verano viento
+volcán zapato triste bonito limpio fuerte rápido blando vacío morado rosado abierto
+alegría armario ballena bombero botella caballo canción cebolla corazón cordero cuchara
+familia fábrica galleta gallina gigante hermano hormiga iglesia juguete lámpara manzana
+mercado montaña naranja oficina palabra pintura piscina planeta plátano pulsera rodilla
+soldado tenedor tiburón tijeras tortuga trabajo tractor ventana vestido amarillo caliente
+almohada ascensor cangrejo castillo chaqueta cuchillo estrella guitarra hospital invierno
+mariposa martillo pantalón paraguas sombrero teléfono tormenta domingo sábado viernes
+jueves martes lunes enero febrero marzo abril mayo junio julio agosto octubre
+cantar comer beber dormir correr saltar nadar mirar jugar bailar hablar pensar llorar
+volar subir bajar abrir cerrar andar vivir morir ganar perder buscar llegar tomar poner
+tener hacer decir pintar cocinar limpiar escribir
+abogado actor aldea alfombra almuerzo alumno amistad apellido árbitro armadura asiento ardilla
+autobús avión ayuda bañera barba barrio basura batalla bombilla borrador cajón calcetín camello
+campana cansado caracol carbón cartero casco cazador cepillo cesta chico chiste cisne cliente
+colegio columna cometa cuaderno cuadro cuello culebra cumbre delfín deporte desierto destino
+disfraz dolor dueño elefante enfermo escoba espalda esquina estación estufa examen extraño
+falda farmacia flecha frontera fútbol gafas gallo garganta gemelo gorila granero grifo gusano
+hermosa hogar hombre hombro horno hotel idioma imagen insecto jaula jinete lagarto langosta
+lechuga lengua letra linterna loro madrina maestro maíz mantel mármol máscara mejilla mendigo
+mentira mochila molino mosquito muñeca museo nevera nieto novio nudo olivo ombligo orquesta
+paisaje paja pala pañuelo pantera pareja pasillo película peluca pepino pestaña pimienta pintor
+pirata pizarra plaza pobreza premio primo princesa puerto rama rincón riqueza robot rubio ruido
+sábana sabor salsa secreto selva semilla sendero sierra sirena sobrino sofá suerte tabla taller
+tarea tarjeta teatro tejado tesoro tiempo toalla tobillo tornillo trompeta tronco tumba turista
+uniforme vacuna valle vaquero velero vereda vidrio vinagre violín yegua aprender ayudar caminar
+cambiar comprar conocer contar crecer dibujar empezar enseñar entrar esperar estudiar explicar
+gritar guardar llamar llevar mandar olvidar pagar recordar regalar reír romper sentir soñar
+terminar trabajar usar vender viajar visitar volver
+`;
+
+const ES_WORDS = WORDS.trim().split(/\s+/).map((w) => w.toUpperCase());
+
+export default ES_WORDS;
@@ -0,0 +1,50 @@
+// =========================
+// BUNDLED NORWEGIAN WORD LIST
+// =========================
+// Common 3–8 letter Bokmål words for the Norwegian pack.
+const WORDS = `
+and ape arm ask bil bok bro bær dag dal dyr dør due egg eik elg elv eng fem fin fly fot
+fri får gås gul hai hav hus hår høy kam kne lam lys løk mat mor far mus nål ost ovn rev
+ris rot rød sau sol sjø ski sko sky sti syk søt tak tid tog tre ull ulv vei vin våt øks
+øre øye ånd dyp grå fisk snø ørn
+alle arme bade band bank barn bein berg blad blod bord brev bror brød bukk buss dame eple
+fest fole folk foss fugl gave gris gull gutt hage hake halm hane hest hode hjem hule hund
+høst jern jord kake kald kalv katt klær kniv kone kopp kors krig land lege liv lue mage
+mann måne mark melk måke natt nese nord nøtt pære penn pose regn ring rose sand seng sild
+skog skip sted stol tann telt time torg vann varm vegg venn vind avis drøm fjær hjul løve
+nabo saks salt smør sopp stue bake lage lese leke løpe male sove glad hvit kort lang lett
+mørk rask rund sint stor tung tynn høne kyst
+fjell fjord flagg jakke jente kirke kropp kunst mølle onkel papir stein storm tante tunge
+ørret bakke banan bilde bonde bølge drage dukke farge frosk frukt glede gress grønn gitar
+hvete kaffe kanin kjole konge krone lampe lærer pinne potet pølse reise skole skatt speil
+suppe svane tiger tomat trapp vindu ørken danse fiske flyte gråte hoppe kaste kjøre komme
+sitte spise synge tenke blank flink liten rolig sterk svart hytte sekk ekorn
+hjerte strand sukker sykkel ansikt arbeid blomst fiende flaske gaffel gammel genser gulrot
+hammer himmel hotell insekt kamera klokke maleri maskin middag morgen musikk nøkkel ordbok
+planet politi rakett slange sommer teater tromme tunnel vaffel vinter datter drikke klatre
+skrive svømme stille vakker sjakk
+bryllup eventyr fabrikk familie frokost honning isbjørn jordbær kjøkken kompass kylling
+paraply regnbue skjorte stjerne springe lørdag søndag mandag tirsdag onsdag torsdag fredag
+appelsin bestemor bestefar kirsebær lommebok
+ballong bjørn bukse butikk dusj eske fjøs flue gate geit gjest grøt hjelm hylle kino kiste
+kjeks kjeller kjøtt lefse lykke matte mynt pakke pappa mamma penger plass pute ramme reke rosin
+ryggsekk sang seil skje skjerf skrue slott snekker sofa sokk stokk strøm sverd sykehus sølv
+tårn teppe tråd uke ved veske vogn ønske åker blyant hjemme hjørne kaptein kontor lekse lomme
+lyspære måltid mester minutt mygg nyheter prins rektor ridder rygg sekund sirkus skrift skulder
+skygge snømann spill spiller svamp tavle tommel trening troll ulykke utsikt skjegg bestikk
+dronning elefant fengsel frisør gardin hodepute jeger jobb kamel kjæreste kokk kvinne landsby
+lærebok løvetann mormor morfar farmor farfar nyttår oppgave ordfører pingvin postkort prest
+regning reinsdyr sjåfør skinke snegle stasjon student tannlege torsk trikk tøfler verden
+øyeblikk åpen ærlig billig dyktig enkel farlig ferdig fersk frisk glatt heldig kjedelig kjekk
+kjent klok koselig lykkelig morsom modig nydelig riktig sikker skitten skummel smal sulten
+tørst viktig vennlig arbeide begynne betale bygge drømme finne glemme hente huske høre kjenne
+kjøpe lukke lære miste prate rydde sende snakke spørre stoppe svare tegne vente vinne åpne
+fjernsyn flyplass badekar bokhylle brannbil fotball fiskebåt hundehus juletre klesskap kokebok
+lastebil matpakke nattbord pensjon postbud snøball tusen hundre tretten fjorten seksten sytten
+atten nitten tjue tretti førti femti seksti sytti åtti nitti januar februar mars april juni
+juli august oktober november desember rosa lilla brun oransje turkis
+`;
+
+const NB_WORDS = WORDS.trim().split(/\s+/).map((w) => w.toUpperCase());
+
+export default NB_WORDS;